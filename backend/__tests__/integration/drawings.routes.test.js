@@ -0,0 +1,185 @@
+/**
+ * Integration tests for chart drawing routes
+ */
+
+const express = require('express');
+
+// Mock the database
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const request = require('supertest');
+
+// Create a test app with the drawing routes
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/drawings', require('../../routes/drawings'));
+  return app;
+};
+
+describe('Drawing Routes', () => {
+  let app;
+
+  const session = { id: 1, asset: 'BTCUSDT', assets: ['BTCUSDT', 'ETHUSDT'], timeframe: '1h' };
+  const trendline = {
+    sessionId: 1,
+    tool: 'trendline',
+    points: [
+      { time: '2024-01-15T02:00:00.000Z', price: 42000 },
+      { time: '2024-01-15T08:00:00.000Z', price: 43500 }
+    ],
+    color: '#f59e0b'
+  };
+  const saved = {
+    id: 7, session_id: 1, asset: 'BTCUSDT', tool: 'trendline', points: trendline.points, text: null, color: '#f59e0b'
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/drawings', () => {
+    it('should save a drawing on the session asset', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [session] })
+        .mockResolvedValueOnce({ rows: [saved] });
+
+      const response = await request(app).post('/api/drawings').send(trendline);
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(7);
+      expect(db.query.mock.calls[1][1]).toEqual([
+        1, 'BTCUSDT', 'trendline', JSON.stringify(trendline.points), null, '#f59e0b'
+      ]);
+    });
+
+    it('should save a drawing on another asset of the session', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [session] })
+        .mockResolvedValueOnce({ rows: [{ ...saved, asset: 'ETHUSDT' }] });
+
+      const response = await request(app).post('/api/drawings').send({ ...trendline, asset: 'ETHUSDT' });
+
+      expect(response.status).toBe(200);
+      expect(db.query.mock.calls[1][1][1]).toBe('ETHUSDT');
+    });
+
+    it('should reject an asset outside the session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+
+      const response = await request(app).post('/api/drawings').send({ ...trendline, asset: 'EURUSD' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Asset is not part of this session');
+    });
+
+    it('should reject the wrong number of points for the tool', async () => {
+      const response = await request(app)
+        .post('/api/drawings')
+        .send({ ...trendline, tool: 'horizontal' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A horizontal needs 1 time/price point');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject points without a valid time or price', async () => {
+      const response = await request(app)
+        .post('/api/drawings')
+        .send({ ...trendline, points: [{ time: 'yesterday', price: 42000 }, { time: trendline.points[1].time, price: 0 }] });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should require text for a text note', async () => {
+      const response = await request(app)
+        .post('/api/drawings')
+        .send({ sessionId: 1, tool: 'text', points: [trendline.points[0]], text: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A text note needs text');
+    });
+
+    it('should reject unknown tools', async () => {
+      const response = await request(app).post('/api/drawings').send({ ...trendline, tool: 'pitchfork' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid drawing tool');
+    });
+
+    it('should return 404 for a missing session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).post('/api/drawings').send(trendline);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/drawings/session/:sessionId', () => {
+    it('should list the drawings of a session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [saved] });
+
+      const response = await request(app).get('/api/drawings/session/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([saved]);
+      expect(db.query.mock.calls[0][1]).toEqual(['1']);
+    });
+  });
+
+  describe('PATCH /api/drawings/:id', () => {
+    it('should move a drawing and keep its style', async () => {
+      const moved = [{ time: '2024-01-15T03:00:00.000Z', price: 42100 }, trendline.points[1]];
+      db.query
+        .mockResolvedValueOnce({ rows: [saved] })
+        .mockResolvedValueOnce({ rows: [{ ...saved, points: moved }] });
+
+      const response = await request(app).patch('/api/drawings/7').send({ points: moved });
+
+      expect(response.status).toBe(200);
+      expect(db.query.mock.calls[1][1]).toEqual([JSON.stringify(moved), null, '#f59e0b', '7']);
+    });
+
+    it('should not let a text note lose its text', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...saved, tool: 'text', text: 'Asia high' }] });
+
+      const response = await request(app).patch('/api/drawings/7').send({ text: '' });
+
+      expect(response.status).toBe(400);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for a missing drawing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).patch('/api/drawings/99').send({ color: '#ffffff' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/drawings/:id', () => {
+    it('should delete a drawing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      const response = await request(app).delete('/api/drawings/7');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 7 });
+    });
+
+    it('should return 404 for a missing drawing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).delete('/api/drawings/99');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * Integration tests for pending order routes
+ */
+
+const express = require('express');
+
+// Mock the database
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const request = require('supertest');
+
+// Create a test app with the order routes
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/orders', require('../../routes/orders'));
+  return app;
+};
+
+describe('Order Routes', () => {
+  let app;
+
+  const session = {
+    id: 1,
+    asset: 'BTCUSDT',
+    timeframe: '1h',
+    start_date: new Date('2024-01-15T00:00:00Z'),
+    initial_balance: '10000',
+    engine_candle_time: new Date('2024-01-15T02:00:00Z'),
+    engine_tick_index: 40
+  };
+  const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+
+  const pendingOrder = {
+    id: 3, session_id: 1, side: 'BUY', order_type: 'LIMIT', trigger_price: '49000',
+    position_size: '0.1', stop_loss: '48000', take_profit: '52000', status: 'pending'
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/orders', () => {
+    const validOrder = {
+      sessionId: 1,
+      side: 'BUY',
+      orderType: 'LIMIT',
+      triggerPrice: 49000,
+      positionSize: 0.1,
+      stopLoss: 48000,
+      takeProfit: 52000,
+      replayPosition
+    };
+
+    it('should place a pending order at the current replay time', async () => {
+      const tickTime = new Date('2024-01-15T02:24:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] }); // replay price
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] }); // account
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO orders');
+        expect(params).toEqual([1, 'BUY', 'LIMIT', 49000, 0.1, 48000, 52000, tickTime, 'BTCUSDT', null]);
+        return Promise.resolve({ rows: [{ ...pendingOrder, created_at: tickTime }] });
+      });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send(validOrder);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('pending');
+      expect(response.body.created_at).toBe(tickTime.toISOString());
+    });
+
+    it('should store a bracket with the ATR at placement instead of fixed levels', async () => {
+      const tickTime = new Date('2024-01-15T02:24:00Z');
+      const candles = Array.from({ length: 15 }, () => ({ high: '50100', low: '49900', close: '50000' }));
+      const bracket = { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 } };
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] });
+      db.query.mockResolvedValueOnce({ rows: candles }); // ATR
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(5, 7)).toEqual([null, null]);
+        expect(JSON.parse(params[9])).toEqual({ ...bracket, atr: 200 });
+        return Promise.resolve({ rows: [{ ...pendingOrder, stop_loss: null, take_profit: null }] });
+      });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, stopLoss: null, takeProfit: null, bracket });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject an invalid bracket', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, bracket: { takeProfit: { type: 'r', value: 2 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A target in R needs a stop loss');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a stop or target on the wrong side of the trigger', async () => {
+      const buyStop = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, stopLoss: 49500 });
+      const sellTarget = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, side: 'SELL', orderType: 'LIMIT', triggerPrice: 51000, stopLoss: 52000, takeProfit: 51500 });
+
+      expect(buyStop.status).toBe(400);
+      expect(buyStop.body).toEqual({ error: 'Stop loss must be below the trigger price' });
+      expect(sellTarget.status).toBe(400);
+      expect(sellTarget.body).toEqual({ error: 'Take profit must be below the trigger price' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject an order the account could not margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, leverage: '1' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, positionSize: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Insufficient margin', requiredMargin: 49000, freeMargin: 10000 });
+    });
+
+    it('should reject a trigger on the wrong side of the replay price', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, orderType: 'STOP' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'A BUY STOP trigger must be at or above the current price', currentPrice: 50000 });
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject unknown sides and order types', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, orderType: 'MARKET' });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject non-positive trigger prices', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, triggerPrice: 0 });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should require a replay position', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, replayPosition: undefined });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid replay position' });
+    });
+
+    it('should return 404 for non-existent session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send({ ...validOrder, sessionId: 999 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Session not found' });
+    });
+
+    it('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/orders')
+        .send(validOrder);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Server error' });
+    });
+  });
+
+  describe('GET /api/orders/session/:sessionId', () => {
+    it('should return all orders for a session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder, { ...pendingOrder, id: 2, status: 'filled' }] });
+
+      const response = await request(app).get('/api/orders/session/1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      expect(db.query.mock.calls[0][1]).toEqual(['1']);
+    });
+  });
+
+  describe('PATCH /api/orders/:id', () => {
+    it('should update the given fields and keep the rest', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] }); // replay price
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] }); // account
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([48500, '0.1', null, '52000', '3']);
+        return Promise.resolve({ rows: [{ ...pendingOrder, trigger_price: '48500', stop_loss: null }] });
+      });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ triggerPrice: 48500, stopLoss: null, replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trigger_price).toBe('48500');
+    });
+
+    it('should keep the trigger when only the size changes', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['49000', 0.2, '48000', '52000', '3']);
+        return Promise.resolve({ rows: [{ ...pendingOrder, position_size: '0.2' }] });
+      });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ positionSize: 0.2 });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not raise the size past the free margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ positionSize: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Insufficient margin', requiredMargin: 49000, freeMargin: 10000 });
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep the stop and target on their side of the trigger', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ stopLoss: 49500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Stop loss must be below the trigger price' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require a replay position to move the trigger', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ triggerPrice: 48500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid replay position' });
+    });
+
+    it('should refuse to move a trigger past the replay price', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '50000' }] });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ triggerPrice: 50500, replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A BUY LIMIT trigger must be at or below the current price');
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should refuse to modify an order that already filled', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...pendingOrder, status: 'filled', trade_id: 9 }] });
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ triggerPrice: 48500 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.order.trade_id).toBe(9);
+    });
+
+    it('should report a fill that happened before the modify request', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] }); // order
+      db.query.mockResolvedValueOnce({ rows: [session] }); // session
+      db.query.mockResolvedValueOnce({ rows: [] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: session.engine_candle_time, tick_index: 42, timestamp: new Date('2024-01-15T02:25:00Z'), price: '48990' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 9, trade_type: 'BUY', status: 'open' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ ...pendingOrder, status: 'filled', trade_id: 9 }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] }); // engine position
+
+      const response = await request(app)
+        .patch('/api/orders/3')
+        .send({ triggerPrice: 48500, replayPosition: { ...replayPosition, tickIndex: 45 } });
+
+      expect(response.status).toBe(409);
+      expect(response.body.order.status).toBe('filled');
+    });
+
+    it('should return 404 for non-existent order', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .patch('/api/orders/999')
+        .send({ triggerPrice: 48500 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Order not found' });
+    });
+  });
+
+  describe('PUT /api/orders/:id/cancel', () => {
+    it('should cancel a pending order', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingOrder] });
+      db.query.mockResolvedValueOnce({ rows: [{ ...pendingOrder, status: 'cancelled' }] });
+
+      const response = await request(app)
+        .put('/api/orders/3/cancel')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+      expect(db.query.mock.calls[1][0]).toContain("status = 'cancelled'");
+    });
+
+    it('should refuse to cancel an order that is no longer pending', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...pendingOrder, status: 'cancelled' }] });
+
+      const response = await request(app)
+        .put('/api/orders/3/cancel')
+        .send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Order is no longer pending');
+    });
+
+    it('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .put('/api/orders/3/cancel')
+        .send({});
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Server error' });
+    });
+  });
+});
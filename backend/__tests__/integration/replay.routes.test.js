@@ -269,4 +269,401 @@ describe('Replay Routes', () => {
       }
     });
   });
+
+  describe('GET /api/replay/candles-with-ticks', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z')
+    };
+
+    const candles = [
+      { timestamp: new Date('2024-01-20T00:00:00Z'), open: 50000, high: 50500, low: 49800, close: 50200, volume: 100 },
+      { timestamp: new Date('2024-01-20T01:00:00Z'), open: 50200, high: 50800, low: 50000, close: 50600, volume: 120 }
+    ];
+
+    it('should open the window just before the saved cursor', async () => {
+      const cursorTime = new Date('2024-01-20T01:00:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, cursor_candle_time: cursorTime, cursor_tick_index: 7 }] });
+      db.query.mockResolvedValueOnce({ rows: [{ count: '121' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['BTCUSDT', '1h', session.start_date, '2', 120]);
+        return Promise.resolve({ rows: candles });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1, limit: 2, lookback: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.offset).toBe(120);
+      expect(response.body.cursor).toEqual({
+        candleTimestamp: cursorTime.toISOString(),
+        tickIndex: 7,
+        candleIndex: 1
+      });
+    });
+
+    it('should keep an explicit offset relative to the session start', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, cursor_candle_time: new Date('2024-01-25T00:00:00Z'), cursor_tick_index: null }] });
+      db.query.mockResolvedValueOnce({ rows: [{ count: '240' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[4]).toBe(0);
+        return Promise.resolve({ rows: candles });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1, offset: 0, limit: 2 });
+
+      expect(response.body.offset).toBe(0);
+      expect(response.body.cursor.candleIndex).toBeNull();
+    });
+
+    it('should start from the session start without a cursor', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[4]).toBe(0);
+        return Promise.resolve({ rows: candles });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.candles).toHaveLength(2);
+      expect(response.body.cursor).toBeNull();
+    });
+  });
+
+  describe('GET /api/replay/available-data', () => {
+    it('should offer derived timeframes next to stored ones, shortest first', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { timeframe: '1h', min_date: '2024-01-01', max_date: '2024-02-01', total_candles: '744' },
+          { timeframe: '2h', min_date: '2024-01-01', max_date: '2024-02-01', total_candles: '372' },
+          { timeframe: '5m', min_date: '2024-01-01', max_date: '2024-02-01', total_candles: '8928' }
+        ]
+      });
+      // Base timeframes of the derived ones that were not built yet
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '5m' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '5m' }, { timeframe: '1h' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '5m' }, { timeframe: '1h' }] });
+
+      const response = await request(app)
+        .get('/api/replay/available-data')
+        .query({ asset: 'BTCUSDT' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.timeframes.map(t => t.timeframe)).toEqual(['5m', '30m', '1h', '2h', '12h', '1w']);
+      expect(response.body.timeframes.find(t => t.timeframe === '30m')).toMatchObject({
+        totalCandles: 1488,
+        minDate: '2024-01-01',
+        derived: true
+      });
+      expect(response.body.timeframes.find(t => t.timeframe === '1h').derived).toBe(false);
+    });
+  });
+
+  describe('GET /api/replay/higher-timeframe', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '5m',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      cursor_candle_time: new Date('2024-01-15T10:20:00Z'),
+      cursor_tick_index: 3
+    };
+
+    it('should aggregate up to the requested position', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[5]).toEqual(new Date('2024-01-15T10:40:00Z'));
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: '100', high: '101', low: '99', close: '100.5' }] });
+
+      const response = await request(app)
+        .get('/api/replay/higher-timeframe')
+        .query({ sessionId: 1, timeframe: '1h', candleTimestamp: '2024-01-15T10:40:00Z', tickIndex: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.candles).toEqual([
+        { timestamp: '2024-01-15T10:00:00.000Z', open: 100, high: 101, low: 99, close: 100.5, volume: null, forming: true }
+      ]);
+    });
+
+    it('should only serve timeframes built from whole session candles', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+
+      const response = await request(app)
+        .get('/api/replay/higher-timeframe')
+        .query({ sessionId: 1, timeframe: '7m' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not look past a strict cursor', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, strict_replay: true }] });
+
+      const response = await request(app)
+        .get('/api/replay/higher-timeframe')
+        .query({ sessionId: 1, timeframe: '1h', candleTimestamp: '2024-01-15T10:20:00Z', tickIndex: 4 });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('keyset pagination', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z')
+    };
+
+    const candles = [
+      { timestamp: new Date('2024-01-20T00:00:00Z'), open: 50000, high: 50500, low: 49800, close: 50200, volume: 100 },
+      { timestamp: new Date('2024-01-20T01:00:00Z'), open: 50200, high: 50800, low: 50000, close: 50600, volume: 120 }
+    ];
+
+    it('should page candles after a timestamp instead of an offset', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('AND timestamp > $5');
+        expect(sql).not.toContain('OFFSET');
+        expect(params[4]).toEqual(new Date('2024-01-19T23:00:00Z'));
+        return Promise.resolve({ rows: candles });
+      });
+
+      const response = await request(app)
+        .get('/api/replay/candles')
+        .query({ sessionId: 1, after: '2024-01-19T23:00:00Z', limit: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hasMore).toBe(true);
+      expect(response.body.nextAfter).toBe('2024-01-20T01:00:00.000Z');
+    });
+
+    it('should page ticks after a candle and tick', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('(ct.candle_timestamp, ct.tick_index) > ($5, $6)');
+        expect(params.slice(4)).toEqual([new Date('2024-01-20T00:00:00Z'), 3]);
+        return Promise.resolve({ rows: [{ candle_timestamp: candles[0].timestamp, tick_index: 4 }] });
+      });
+
+      const response = await request(app)
+        .get('/api/replay/ticks')
+        .query({ sessionId: 1, after: '2024-01-20T00:00:00Z', afterTick: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.nextAfterTick).toBe(4);
+    });
+
+    it('should locate the cursor inside a keyset window', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, cursor_candle_time: candles[1].timestamp, cursor_tick_index: 2 }] });
+      db.query.mockImplementationOnce((sql) => {
+        expect(sql).not.toContain('COUNT');
+        return Promise.resolve({ rows: candles });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1, after: '2024-01-19T23:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.offset).toBeNull();
+      expect(response.body.cursor.candleIndex).toBe(1);
+      expect(response.body.nextAfter).toBe('2024-01-20T01:00:00.000Z');
+    });
+
+    it('should reject an invalid after timestamp', async () => {
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1, after: 'yesterday' });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('strict replay', () => {
+    const strictSession = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      status: 'active',
+      strict_replay: true,
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      cursor_candle_time: new Date('2024-01-15T01:00:00Z'),
+      cursor_tick_index: 1
+    };
+
+    const candles = [
+      { timestamp: new Date('2024-01-15T00:00:00Z'), open: 100, high: 110, low: 95, close: 105, volume: 10 },
+      { timestamp: new Date('2024-01-15T01:00:00Z'), open: 105, high: 130, low: 80, close: 120, volume: 12 }
+    ];
+
+    const tickRow = (candle, index, price) => ({
+      candle_timestamp: candle.timestamp,
+      tick_index: index,
+      timestamp: candle.timestamp,
+      price,
+      running_open: 105,
+      running_high: Math.max(105, price),
+      running_low: Math.min(105, price),
+      running_close: price,
+      is_final_tick: false
+    });
+
+    it('should not serve candles or ticks past the cursor', async () => {
+      db.query.mockResolvedValueOnce({ rows: [strictSession] });
+      db.query.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('timestamp <= $6');
+        expect(params[5]).toEqual(strictSession.cursor_candle_time);
+        return Promise.resolve({ rows: candles });
+      });
+      db.query.mockResolvedValueOnce({
+        rows: [tickRow(candles[1], 0, 105), tickRow(candles[1], 1, 107), tickRow(candles[1], 2, 130)]
+      });
+
+      const response = await request(app)
+        .get('/api/replay/candles-with-ticks')
+        .query({ sessionId: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.candles[0].close).toBe(105);
+      expect(response.body.candles[1]).toMatchObject({ open: 105, high: 107, low: 105, close: 107, volume: null });
+      expect(response.body.candles[1].ticks).toHaveLength(2);
+    });
+
+    it('should strip the final OHLC from ticks', async () => {
+      db.query.mockResolvedValueOnce({ rows: [strictSession] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).not.toContain('final_open');
+        expect(params.slice(5)).toEqual([strictSession.cursor_candle_time, 1]);
+        return Promise.resolve({ rows: [] });
+      });
+
+      const response = await request(app)
+        .get('/api/replay/ticks')
+        .query({ sessionId: 1 });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should only serve finished candles', async () => {
+      db.query.mockResolvedValueOnce({ rows: [strictSession] });
+      db.query.mockImplementationOnce((sql) => {
+        expect(sql).toContain('timestamp < $6');
+        return Promise.resolve({ rows: [candles[0]] });
+      });
+
+      const response = await request(app)
+        .get('/api/replay/candles')
+        .query({ sessionId: 1 });
+
+      expect(response.body.candles).toHaveLength(1);
+    });
+
+    describe('POST /api/replay/step', () => {
+      it('should advance the cursor and return the revealed candles', async () => {
+        db.query.mockResolvedValueOnce({ rows: [strictSession] });
+        db.query.mockResolvedValueOnce({ rows: [{ candle_timestamp: candles[1].timestamp, tick_index: 2 }] });
+        db.query.mockImplementationOnce((sql, params) => {
+          expect(params).toEqual([1, candles[1].timestamp, 2]);
+          return Promise.resolve({ rows: [] });
+        });
+        db.query.mockResolvedValueOnce({ rows: [candles[1]] });
+        db.query.mockResolvedValueOnce({
+          rows: [tickRow(candles[1], 0, 105), tickRow(candles[1], 1, 107), tickRow(candles[1], 2, 130)]
+        });
+
+        const response = await request(app)
+          .post('/api/replay/step')
+          .send({ sessionId: 1 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.cursor).toEqual({ candleTimestamp: candles[1].timestamp.toISOString(), tickIndex: 2 });
+        expect(response.body.candles[0]).toMatchObject({ high: 130, close: 130 });
+        expect(response.body.candles[0].ticks).toHaveLength(3);
+      });
+
+      it('should report the end of the data', async () => {
+        db.query.mockResolvedValueOnce({ rows: [strictSession] });
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        const response = await request(app)
+          .post('/api/replay/step')
+          .send({ sessionId: 1, unit: 'candle' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error).toBe('No more replay data');
+      });
+
+      it('should refuse sessions that are not strict', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...strictSession, strict_replay: false }] });
+
+        const response = await request(app)
+          .post('/api/replay/step')
+          .send({ sessionId: 1 });
+
+        expect(response.status).toBe(409);
+      });
+
+      it('should validate the step', async () => {
+        const badUnit = await request(app).post('/api/replay/step').send({ sessionId: 1, unit: 'day' });
+        const badCount = await request(app).post('/api/replay/step').send({ sessionId: 1, count: 0 });
+
+        expect(badUnit.status).toBe(400);
+        expect(badCount.status).toBe(400);
+        expect(db.query).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('replay stream', () => {
+    it('should validate the stream options', async () => {
+      const badSpeed = await request(app).get('/api/replay/stream?sessionId=1&speed=3');
+      const badGranularity = await request(app).get('/api/replay/stream?sessionId=1&granularity=second');
+
+      expect(badSpeed.status).toBe(400);
+      expect(badGranularity.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/replay/stream?sessionId=999');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not stream an ended session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'ended' }] });
+
+      const response = await request(app).get('/api/replay/stream?sessionId=1');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should need an open stream for commands', async () => {
+      const response = await request(app)
+        .post('/api/replay/stream/command')
+        .send({ sessionId: 1, action: 'play' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('No open replay stream for this session');
+    });
+  });
 });
@@ -80,6 +80,169 @@ describe('Session Routes', () => {
       });
     });
 
+    it('should reject leverage beyond the asset class maximum', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'XAUUSD', timeframe: '1h', leverage: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Leverage must be between 1 and 20' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should require strict replay for scored sessions', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'BTCUSDT', timeframe: '1h', scored: true, strictReplay: false });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Scored sessions must use strict replay' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject timeframes that cannot be derived', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'BTCUSDT', timeframe: '7m' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unsupported timeframe' });
+    });
+
+    it('should store the trading costs set for the session', async () => {
+      const startDate = new Date('2024-01-15T12:00:00Z');
+      const costs = { EURUSD: { commission: { type: 'fixed', value: 2 }, spread: 0.0001 } };
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: startDate }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('cost_models');
+        expect(JSON.parse(params[14])).toEqual(costs);
+        return Promise.resolve({ rows: [{ id: 5, asset: 'EURUSD', start_date: startDate, initial_balance: 10000 }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: 1.09 }] });
+
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'EURUSD', timeframe: '1h', costs });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject trading costs for an asset outside the session', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'EURUSD', timeframe: '1h', costs: { GBPUSD: { spread: 0.0001 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'GBPUSD is not part of this session' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should start a multi-asset session when every asset has data at the start', async () => {
+      const startDate = new Date('2024-01-15T12:00:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: startDate }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([['EURUSD', 'GBPUSD'], '1h', startDate]);
+        return Promise.resolve({ rows: [{ asset: 'EURUSD' }, { asset: 'GBPUSD' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[10]).toEqual(['EURUSD', 'GBPUSD']);
+        return Promise.resolve({
+          rows: [{ id: 4, asset: 'EURUSD', assets: ['EURUSD', 'GBPUSD'], start_date: startDate, initial_balance: 10000 }]
+        });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: 1.09 }] });
+
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'EURUSD', assets: ['GBPUSD'], timeframe: '1h' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.assets).toEqual(['EURUSD', 'GBPUSD']);
+    });
+
+    it('should reject extra assets without data at the session start', async () => {
+      const startDate = new Date('2024-01-15T12:00:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: startDate }] });
+      db.query.mockResolvedValueOnce({ rows: [{ asset: 'XAUUSD' }] });
+
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'XAUUSD', assets: ['XAGUSD'], timeframe: '1h' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'No market data at the session start for XAGUSD' });
+    });
+
+    it('should cap leverage at the most restrictive asset of the session', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'BTCUSDT', assets: ['XAUUSD'], timeframe: '1h', leverage: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Leverage must be between 1 and 20' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should start scored sessions in strict mode with the cursor at the first tick', async () => {
+      const startDate = new Date('2024-01-15T12:00:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: startDate }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(6, 10)).toEqual([true, true, startDate, 0]);
+        return Promise.resolve({ rows: [{ id: 3, start_date: startDate, initial_balance: 10000, strict_replay: true, scored: true }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: 50000 }] });
+
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'BTCUSDT', timeframe: '1h', scored: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ strictReplay: true, scored: true });
+    });
+
+    it('should start a blind session masked, keeping its key on the server', async () => {
+      const startDate = new Date('2024-01-15T12:00:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: startDate }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[11]).toBe(true);
+        expect(params[12]).toBeGreaterThanOrEqual(0.5);
+        return Promise.resolve({
+          rows: [{
+            id: 5, asset: 'BTCUSDT', start_date: startDate, initial_balance: 10000,
+            blind_mode: true, blind_price_factor: String(params[12]), blind_time_offset: String(params[13])
+          }]
+        });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: 42000 }] });
+
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'BTCUSDT', timeframe: '1h', blind: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.blind).toEqual({ alias: 'BLIND-CRYPTO' });
+      expect(response.body.asset).toBe('BLIND-CRYPTO');
+      expect(response.body.assets).toEqual(['BLIND-CRYPTO']);
+      expect(new Date(response.body.startDate).getUTCFullYear()).toBe(2000);
+      expect(response.body.startPrice).not.toBe(42000);
+      expect(JSON.stringify(response.body)).not.toMatch(/BTCUSDT|2024|priceFactor|timeOffset/);
+    });
+
+    it('should keep blind sessions to a single asset', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ asset: 'EURUSD', assets: ['GBPUSD'], timeframe: '1h', blind: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Blind sessions replay a single asset' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
     it('should use default balance of 10000 if not provided', async () => {
       const startDate = new Date('2024-01-15T12:00:00Z');
 
@@ -298,4 +461,367 @@ describe('Session Routes', () => {
       );
     });
   });
+
+  describe('GET /api/sessions', () => {
+    it('should list sessions with the given filters', async () => {
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('s.status = $2');
+        expect(sql).toContain('s.asset = $3');
+        expect(params).toEqual([1, 'ended', 'BTCUSDT', 20, 0]);
+        return Promise.resolve({ rows: [{ id: 3, status: 'ended', trade_count: '4', realized_pnl: '120' }] });
+      });
+
+      const response = await request(app).get('/api/sessions?status=ended&asset=BTCUSDT&limit=20');
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toMatchObject({ id: 3, trade_count: '4' });
+    });
+
+    it('should mask active blind sessions and keep them out of asset filters', async () => {
+      db.query.mockImplementationOnce((sql) => {
+        expect(sql).toContain("NOT (COALESCE(s.blind_mode, false) AND s.status <> 'ended')");
+        return Promise.resolve({
+          rows: [
+            {
+              id: 4, asset: 'EURUSD', status: 'active', start_date: '2024-01-15T00:00:00.000Z',
+              blind_mode: true, blind_price_factor: '2', blind_time_offset: '-758419200000',
+              cost_models: { EURUSD: { spread: 0.0001 } }
+            },
+            { id: 3, asset: 'EURUSD', status: 'ended', blind_mode: true, blind_price_factor: '2', blind_time_offset: '0' }
+          ]
+        });
+      });
+
+      const response = await request(app).get('/api/sessions?asset=EURUSD');
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toEqual({
+        id: 4, asset: 'BLIND-FX', status: 'active', start_date: '2000-01-03T00:00:00.000Z', blind_mode: true,
+        cost_models: { 'BLIND-FX': { spread: 0.0001 } }
+      });
+      expect(response.body[1]).toMatchObject({ asset: 'EURUSD', blind_price_factor: '2' });
+    });
+
+    it('should reject unknown statuses', async () => {
+      const response = await request(app).get('/api/sessions?status=archived');
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/sessions/:id/cursor', () => {
+    const session = { id: 1, status: 'active', start_date: new Date('2024-01-15T00:00:00Z') };
+
+    it('should save the replay cursor', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['1', new Date('2024-01-16T03:00:00Z'), 12]);
+        return Promise.resolve({ rows: [{ ...session, cursor_tick_index: 12 }] });
+      });
+
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: '2024-01-16T03:00:00.000Z', tickIndex: 12 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cursor_tick_index).toBe(12);
+    });
+
+    it('should store a whole-candle cursor without a tick index', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[2]).toBeNull();
+        return Promise.resolve({ rows: [session] });
+      });
+
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: '2024-01-16T03:00:00.000Z', tickIndex: null });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject a cursor before the session start', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: '2024-01-01T00:00:00.000Z', tickIndex: 0 });
+
+      expect(response.status).toBe(400);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: 'not-a-date' });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should not let strict sessions move the cursor directly', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, strict_replay: true }] });
+
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: '2024-02-01T00:00:00.000Z', tickIndex: 0 });
+
+      expect(response.status).toBe(409);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not move the cursor of an ended session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, status: 'ended' }] });
+
+      const response = await request(app)
+        .patch('/api/sessions/1/cursor')
+        .send({ candleTimestamp: '2024-01-16T03:00:00.000Z', tickIndex: 0 });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/sessions/:id/end', () => {
+    const session = {
+      id: 1, asset: 'BTCUSDT', timeframe: '1h', status: 'active', initial_balance: '10000',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      engine_candle_time: new Date('2024-01-15T02:00:00Z'), engine_tick_index: 40
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+
+    it('should close open trades at the replay price and freeze the session', async () => {
+      const tickTime = new Date('2024-01-15T02:24:00Z');
+      const openTrade = { id: 5, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', realized_pnl: '-5.5', status: 'open' };
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [openTrade] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] }); // replay time
+      db.query.mockResolvedValueOnce({ rows: [{ price: '51000' }] }); // replay price
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 3)).toEqual([51000, tickTime, 'session_end']);
+        // 100 gross - 5.1 commission - 0.51 spread - 5.5 paid on entry
+        expect(params[3]).toBeCloseTo(88.89, 6);
+        return Promise.resolve({ rows: [{ ...openTrade, status: 'closed', exit_reason: 'session_end', pnl: '88.89' }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled' }] }); // pending orders
+      db.query.mockImplementationOnce((sql) => {
+        expect(sql).toContain("status = 'ended'");
+        return Promise.resolve({ rows: [{ ...session, status: 'ended' }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, status: 'closed', pnl: '88.89' }] }); // summary
+
+      const response = await request(app)
+        .post('/api/sessions/1/end')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.session.status).toBe('ended');
+      expect(response.body.closedTrades[0].exit_reason).toBe('session_end');
+      expect(response.body.cancelledOrders).toHaveLength(1);
+      expect(response.body.summary).toMatchObject({ tradeCount: 1, wins: 1, finalBalance: 10088.89 });
+    });
+
+    it('should refuse to end a session twice', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, status: 'ended' }] });
+
+      const response = await request(app)
+        .post('/api/sessions/1/end')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Session already ended');
+    });
+
+    it('should require a replay position', async () => {
+      const response = await request(app)
+        .post('/api/sessions/1/end')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/sessions/:id/pause and /resume', () => {
+    it('should pause an active session', async () => {
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['1', 'paused', 'active']);
+        return Promise.resolve({ rows: [{ id: 1, status: 'paused' }] });
+      });
+
+      const response = await request(app).post('/api/sessions/1/pause');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('paused');
+    });
+
+    it('should not resume an ended session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'ended' }] });
+
+      const response = await request(app).post('/api/sessions/1/resume');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Session is ended');
+    });
+
+    it('should return 404 for non-existent session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).post('/api/sessions/999/pause');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/sessions/:id/rewind', () => {
+    // Whole candles, so the replay times are the candle times
+    const session = {
+      id: 1, asset: 'BTCUSDT', timeframe: '1h', status: 'active', initial_balance: '10000', branch: 1,
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      engine_candle_time: new Date('2024-01-15T05:00:00Z'), engine_tick_index: 2147483647
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T05:00:00.000Z', tickIndex: null };
+    const to = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: null };
+    const rewindTime = new Date('2024-01-15T02:00:00Z');
+
+    it('should archive the branch and carry a trade open at the rewind point into the new one', async () => {
+      const held = {
+        id: 5, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', realized_pnl: '-5.5',
+        stop_loss: '49000', initial_stop_loss: '49000', take_profit: null, status: 'open',
+        entry_time: new Date('2024-01-15T01:00:00Z'), asset: null
+      };
+      const closedHeld = { ...held, status: 'closed', exit_reason: 'rewind', exit_time: new Date('2024-01-15T05:00:00Z'), pnl: '188.49' };
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [held] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [{ close: '52000' }] }); // replay price
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 3)).toEqual([52000, new Date('2024-01-15T05:00:00Z'), 'rewind']);
+        return Promise.resolve({ rows: [closedHeld] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // exit fill
+      db.query.mockResolvedValueOnce({ rows: [closedHeld] }); // branch summary
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO session_branches');
+        expect(params.slice(0, 6)).toEqual([1, 1, rewindTime, null, new Date('2024-01-15T05:00:00Z'), null]);
+        expect(JSON.parse(params[6])).toMatchObject({ finalBalance: 10188.49, tradeCount: 1 });
+        return Promise.resolve({ rows: [{ id: 3, session_id: 1, branch: 1 }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [closedHeld] }); // open at the rewind point
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { fill_type: 'entry', price: '50000', quantity: '0.1', filled_at: held.entry_time },
+          { fill_type: 'exit', price: '52000', quantity: '0.1', pnl: '194', filled_at: closedHeld.exit_time }
+        ]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // stop history
+      db.query.mockResolvedValueOnce({ rows: [] }); // modifications
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 7)).toEqual([1, 'BUY', 50000, 0.1, '49000', null, held.entry_time]);
+        expect(params[12]).toBeCloseTo(-5.5, 6);
+        return Promise.resolve({ rows: [{ ...held, id: 9 }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // fills
+      db.query.mockResolvedValueOnce({ rows: [] }); // stop history
+      db.query.mockResolvedValueOnce({ rows: [] }); // modifications
+      db.query.mockResolvedValueOnce({ rows: [] }); // orders of the trade
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('branch_id = $3');
+        expect(params).toEqual([1, rewindTime, 3]);
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // orders placed after the rewind point
+      db.query.mockResolvedValueOnce({ rows: [] }); // orders resting again
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([1, rewindTime, 2147483647, null]);
+        return Promise.resolve({ rows: [{ ...session, branch: 2, engine_candle_time: rewindTime }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ ...held, id: 9 }] }); // trades of the new branch
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '-5.5' }] }); // balance
+
+      const response = await request(app)
+        .post('/api/sessions/1/rewind')
+        .send({ replayPosition, to });
+
+      expect(response.status).toBe(200);
+      expect(response.body.session.branch).toBe(2);
+      expect(response.body.branch).toMatchObject({ id: 3, branch: 1 });
+      expect(response.body.trades).toEqual([expect.objectContaining({ id: 9, status: 'open' })]);
+      expect(response.body.balance).toBe(9994.5);
+    });
+
+    it('should only rewind to an earlier position', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+
+      const response = await request(app)
+        .post('/api/sessions/1/rewind')
+        .send({ replayPosition: to, to: replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Can only rewind to an earlier replay position');
+    });
+
+    it('should refuse to rewind a strict session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, strict_replay: true }] });
+
+      const response = await request(app)
+        .post('/api/sessions/1/rewind')
+        .send({ replayPosition, to });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Strict replay sessions cannot be rewound');
+    });
+
+    it('should need both replay positions', async () => {
+      const response = await request(app)
+        .post('/api/sessions/1/rewind')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/sessions/:id/summary', () => {
+    it('should compute the summary from the stored trades', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, initial_balance: '10000', status: 'ended' }] });
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { status: 'closed', pnl: '300', commission: '2' },
+          { status: 'closed', pnl: '-100', commission: '2' },
+          { status: 'open', realized_pnl: '-1', commission: '1' }
+        ]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3, branch: 1, summary: { finalBalance: 10500 } }] });
+
+      const response = await request(app).get('/api/sessions/1/summary');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        finalBalance: 10199,
+        tradeCount: 2,
+        openTradeCount: 1,
+        winRate: 50,
+        profitFactor: 3,
+        costs: { commission: 5, spread: 0, slippage: 0 }
+      });
+      // A branch left by a rewind keeps its own result
+      expect(response.body.branches[0].summary.finalBalance).toBe(10500);
+    });
+
+    it('should return 404 for non-existent session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/sessions/999/summary');
+
+      expect(response.status).toBe(404);
+    });
+  });
 });
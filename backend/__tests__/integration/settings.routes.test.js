@@ -0,0 +1,168 @@
+/**
+ * Integration tests for user settings routes
+ */
+
+const express = require('express');
+
+// Mock the database
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const request = require('supertest');
+
+// Create a test app with the settings routes
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/settings', require('../../routes/settings'));
+  return app;
+};
+
+describe('Settings Routes', () => {
+  let app;
+
+  const rsi = { id: 'rsi-1', type: 'rsi', params: { period: 14 }, placement: 'pane' };
+  const ema = { id: 'ema-1', type: 'ema', params: { period: 21 }, placement: 'overlay', color: '#f59e0b' };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/settings/indicators', () => {
+    it('should return the saved indicators', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ indicators: [rsi] }] });
+
+      const response = await request(app).get('/api/settings/indicators');
+
+      expect(response.status).toBe(200);
+      expect(response.body.indicators).toEqual([rsi]);
+      expect(db.query.mock.calls[0][1]).toEqual([1]);
+    });
+
+    it('should return an empty list before anything was saved', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/settings/indicators');
+
+      expect(response.status).toBe(200);
+      expect(response.body.indicators).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/settings/indicators', () => {
+    it('should save the indicators for the user', async () => {
+      db.query.mockImplementationOnce(async (sql, params) => ({ rows: [{ indicators: JSON.parse(params[1]) }] }));
+
+      const response = await request(app)
+        .put('/api/settings/indicators')
+        .send({ indicators: [ema, { ...rsi, params: { period: '14', source: 'high' } }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.indicators).toEqual([ema, rsi]);
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id)');
+      expect(db.query.mock.calls[0][1][0]).toBe(1);
+    });
+
+    it('should reject unknown indicators', async () => {
+      const response = await request(app)
+        .put('/api/settings/indicators')
+        .send({ indicators: [{ ...rsi, type: 'ichimoku' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown indicator: ichimoku');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject parameters that are not positive', async () => {
+      const response = await request(app)
+        .put('/api/settings/indicators')
+        .send({ indicators: [{ ...rsi, params: { period: 0 } }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid period for rsi');
+    });
+
+    it('should reject an unknown placement', async () => {
+      const response = await request(app)
+        .put('/api/settings/indicators')
+        .send({ indicators: [{ ...ema, placement: 'floating' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Placement must be overlay or pane');
+    });
+
+    it('should reject a list that is too long', async () => {
+      const indicators = Array.from({ length: 13 }, (_, i) => ({ ...ema, id: `ema-${i}` }));
+
+      const response = await request(app)
+        .put('/api/settings/indicators')
+        .send({ indicators });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/settings/hotkeys', () => {
+    it('should fill in the defaults around the saved keys', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ hotkeys: { buy: 'Shift+B', sell: null } }] });
+
+      const response = await request(app).get('/api/settings/hotkeys');
+
+      expect(response.status).toBe(200);
+      expect(response.body.hotkeys).toMatchObject({ buy: 'Shift+B', sell: null, playPause: 'Space' });
+    });
+
+    it('should return the defaults before anything was saved', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/api/settings/hotkeys');
+
+      expect(response.body.hotkeys.showHelp).toBe('Shift+/');
+    });
+  });
+
+  describe('PUT /api/settings/hotkeys', () => {
+    it('should save every action, with defaults for those left out', async () => {
+      db.query.mockImplementationOnce((sql, params) => Promise.resolve({ rows: [{ hotkeys: JSON.parse(params[1]) }] }));
+
+      const response = await request(app)
+        .put('/api/settings/hotkeys')
+        .send({ hotkeys: { buy: 'Ctrl+B', reverse: null } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hotkeys).toMatchObject({ buy: 'Ctrl+B', reverse: null, sell: 'S', stepTick: 'ArrowRight' });
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id)');
+    });
+
+    it('should reject two actions on one key', async () => {
+      const response = await request(app)
+        .put('/api/settings/hotkeys')
+        .send({ hotkeys: { buy: 'S' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('buy and sell both use S');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should keep the template keys free', async () => {
+      const response = await request(app)
+        .put('/api/settings/hotkeys')
+        .send({ hotkeys: { closeAll: 'Alt+3' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Alt+3 is used by the order templates');
+    });
+
+    it('should reject unknown actions and keys', async () => {
+      const unknownAction = await request(app).put('/api/settings/hotkeys').send({ hotkeys: { fly: 'F' } });
+      const badKey = await request(app).put('/api/settings/hotkeys').send({ hotkeys: { buy: 'Shift+Ctrl+B' } });
+
+      expect(unknownAction.body.error).toBe('Unknown hotkey action: fly');
+      expect(badKey.body.error).toBe('Invalid key for buy');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Integration tests for order template routes
+ */
+
+const express = require('express');
+
+// Mock the database
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const request = require('supertest');
+
+// Create a test app with the template routes
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/templates', require('../../routes/templates'));
+  return app;
+};
+
+describe('Template Routes', () => {
+  let app;
+
+  const template = {
+    name: '1% risk, SL 1.5 ATR, TP 2R',
+    riskMode: 'percent',
+    riskValue: 1,
+    bracket: { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 } },
+    hotkey: '1'
+  };
+  const saved = {
+    id: 4, user_id: 1, name: template.name, risk_mode: 'percent', risk_value: '1', bracket: template.bracket, hotkey: '1'
+  };
+
+  beforeEach(() => {
+    app = createTestApp();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/templates', () => {
+    it('should return the user\'s templates', async () => {
+      db.query.mockResolvedValueOnce({ rows: [saved] });
+
+      const response = await request(app).get('/api/templates');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([saved]);
+      expect(db.query.mock.calls[0][1]).toEqual([1]);
+    });
+  });
+
+  describe('POST /api/templates', () => {
+    it('should save a template', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // hotkey free
+        .mockResolvedValueOnce({ rows: [saved] });
+
+      const response = await request(app).post('/api/templates').send(template);
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(4);
+      expect(db.query.mock.calls[1][1]).toEqual([
+        1, template.name, 'percent', 1, JSON.stringify(template.bracket), '1'
+      ]);
+    });
+
+    it('should save a template without a risk or hotkey', async () => {
+      db.query.mockResolvedValueOnce({ rows: [saved] });
+
+      const response = await request(app).post('/api/templates').send({
+        name: 'SL 20 pips, TP 40 pips',
+        bracket: { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'pips', value: 40 } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1].slice(2, 4)).toEqual([null, null]);
+    });
+
+    it('should reject a template without a name', async () => {
+      const response = await request(app).post('/api/templates').send({ ...template, name: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a risk over 100 percent', async () => {
+      const response = await request(app).post('/api/templates').send({ ...template, riskValue: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid risk value');
+    });
+
+    it('should reject a risk without a stop loss to size from', async () => {
+      const response = await request(app).post('/api/templates').send({
+        ...template, bracket: { takeProfit: { type: 'pips', value: 40 } }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Sizing from risk needs a stop loss');
+    });
+
+    it('should reject an invalid bracket', async () => {
+      const response = await request(app).post('/api/templates').send({ ...template, bracket: {} });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A bracket needs a stop loss or a take profit');
+    });
+
+    it('should reject a hotkey another template uses', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 2 }] });
+
+      const response = await request(app).post('/api/templates').send(template);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Hotkey 1 is already used by another template');
+    });
+
+    it('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).post('/api/templates').send(template);
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Server error');
+    });
+  });
+
+  describe('PUT /api/templates/:id', () => {
+    it('should replace a template, keeping its own hotkey', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...saved, name: 'Scalp' }] });
+
+      const response = await request(app).put('/api/templates/4').send({ ...template, name: 'Scalp' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Scalp');
+      expect(db.query.mock.calls[0][1]).toEqual([1, '1', '4']);
+    });
+
+    it('should return 404 for non-existent template', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).put('/api/templates/99').send(template);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/templates/:id', () => {
+    it('should delete a template', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+      const response = await request(app).delete('/api/templates/4');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 4 });
+    });
+
+    it('should return 404 for non-existent template', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).delete('/api/templates/99');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -34,6 +34,10 @@ describe('Trade Routes', () => {
   let app;
   let validToken;
 
+  // Opening or adding to a position checks the session's free margin first
+  const marginSession = { id: 1, asset: 'BTCUSDT', initial_balance: '10000', leverage: '10' };
+  const emptyAccount = { rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] };
+
   beforeEach(() => {
     app = createTestApp();
     validToken = generateToken();
@@ -51,6 +55,8 @@ describe('Trade Routes', () => {
         takeProfit: 52000
       };
 
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+      db.query.mockResolvedValueOnce(emptyAccount);
       db.query.mockResolvedValueOnce({
         rows: [{
           id: 1,
@@ -85,6 +91,8 @@ describe('Trade Routes', () => {
         takeProfit: 48000
       };
 
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+      db.query.mockResolvedValueOnce(emptyAccount);
       db.query.mockResolvedValueOnce({
         rows: [{
           id: 2,
@@ -117,6 +125,8 @@ describe('Trade Routes', () => {
         takeProfit: null
       };
 
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+      db.query.mockResolvedValueOnce(emptyAccount);
       db.query.mockResolvedValueOnce({
         rows: [{
           id: 3,
@@ -140,6 +150,105 @@ describe('Trade Routes', () => {
       expect(response.body.take_profit).toBeNull();
     });
 
+    it('should book the entry costs of a new trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        // 0.1% commission on 5000 notional and half a 2bp spread, no slippage on market orders
+        expect(params[12]).toBeCloseTo(5, 6);
+        expect(params[13]).toBeCloseTo(0.5, 6);
+        expect(params[14]).toBe(0);
+        expect(params[11]).toBeCloseTo(-5.5, 6);
+        return Promise.resolve({ rows: [{ id: 4, commission: '5', spread_cost: '0.5', status: 'open' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.commission).toBe('5');
+    });
+
+    it('should reject a trade that needs more than the free margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...marginSession, leverage: '2' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '-1000', open_notional: '0', unrealized: '0' }] });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.5 });
+
+      // 25000 notional at 2x needs 12500, the account only has 9000
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Insufficient margin', requiredMargin: 12500, freeMargin: 9000 });
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should open a trade on another asset of a multi-asset session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...marginSession, assets: ['BTCUSDT', 'ETHUSDT'] }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([1, [2500], ['ETHUSDT'], 'BTCUSDT']);
+        return Promise.resolve(emptyAccount);
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[15]).toBe('ETHUSDT');
+        // 0.1% commission on the 2500 notional of ETH
+        expect(params[12]).toBeCloseTo(2.5, 6);
+        return Promise.resolve({ rows: [{ id: 5, asset: 'ETHUSDT', status: 'open' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 2500, positionSize: 1, asset: 'ETHUSDT' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.asset).toBe('ETHUSDT');
+    });
+
+    it('should reject unknown trade types', async () => {
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'LONG', entryPrice: 50000, positionSize: 0.1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid trade type' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject sizes that are not positive numbers', async () => {
+      for (const positionSize of [0, -0.5, 'lots', undefined]) {
+        const response = await request(app)
+          .post('/api/trades/open')
+          .send({ sessionId: 1, tradeType: 'SELL', entryPrice: 50000, positionSize });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'Position size must be positive' });
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject trades on assets outside the session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 2500, positionSize: 1, asset: 'ETHUSDT' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Asset is not part of this session' });
+    });
+
+    it('should return 404 when the session does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 999, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Session not found' });
+    });
+
     it('should reject request without auth token', async () => {
       const response = await request(app)
         .post('/api/trades/open')
@@ -371,6 +480,777 @@ describe('Trade Routes', () => {
     });
   });
 
+  describe('Replay-time entries and exits', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      initial_balance: '10000',
+      engine_candle_time: new Date('2024-01-15T02:00:00Z'),
+      engine_tick_index: 40
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+
+    it('should stamp a new trade with the replay time of the current tick', async () => {
+      const tickTime = new Date('2024-01-15T02:24:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[6]).toEqual(tickTime);
+        return Promise.resolve({ rows: [{ id: 5, entry_time: tickTime, status: 'open' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.entry_time).toBe(tickTime.toISOString());
+    });
+
+    it('should reject an invalid replay position', async () => {
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, replayPosition: { candleTimestamp: 'soon' } });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should mark manual closes with their exit reason', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, session_id: 1, trade_type: 'BUY', entry_price: 50000, position_size: 0.1, status: 'open' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, exit_reason: 'manual', status: 'closed' }] });
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 51000 });
+
+      expect(response.status).toBe(200);
+      expect(db.query.mock.calls[1][0]).toContain("exit_reason = 'manual'");
+    });
+
+    it('should refuse to close a trade that is already closed', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, trade_type: 'BUY', entry_price: 50000, position_size: 0.1, status: 'closed' }]
+      });
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 51000 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Trade already closed');
+    });
+
+    it('should report a stop-out that happened before the close request', async () => {
+      const openTrade = {
+        id: 1, session_id: 1, trade_type: 'BUY', entry_price: '50000',
+        position_size: '0.1', stop_loss: '49000', take_profit: null, status: 'open'
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [openTrade] }); // trade
+      db.query.mockResolvedValueOnce({ rows: [session] }); // session
+      db.query.mockResolvedValueOnce({ rows: [openTrade] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: session.engine_candle_time, tick_index: 45, timestamp: new Date('2024-01-15T02:27:00Z'), price: '48950' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, exit_reason: 'stop_loss', status: 'closed' }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] }); // engine position
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 48800, replayPosition: { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 50 } });
+
+      expect(response.status).toBe(409);
+      expect(response.body.trade.exit_reason).toBe('stop_loss');
+    });
+
+    describe('in strict sessions', () => {
+      const strictSession = { ...session, strict_replay: true, cursor_candle_time: session.engine_candle_time, cursor_tick_index: 40 };
+
+      it('should open at the replay price instead of the price sent', async () => {
+        db.query.mockResolvedValueOnce({ rows: [strictSession] });
+        db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+        db.query.mockResolvedValueOnce({ rows: [{ price: '50100' }] }); // replay price
+        db.query.mockResolvedValueOnce(emptyAccount);
+        db.query.mockImplementationOnce((sql, params) => {
+          expect(params[2]).toBe(50100);
+          return Promise.resolve({ rows: [{ id: 5, entry_price: '50100', status: 'open' }] });
+        });
+
+        const response = await request(app)
+          .post('/api/trades/open')
+          .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 40000, positionSize: 0.1, replayPosition });
+
+        expect(response.status).toBe(200);
+        expect(response.body.entry_price).toBe('50100');
+      });
+
+      it('should close at the replay price instead of the price sent', async () => {
+        db.query.mockResolvedValueOnce({
+          rows: [{
+            id: 1, session_id: 1, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', status: 'open',
+            asset: 'BTCUSDT', strict_replay: true
+          }]
+        });
+        db.query.mockResolvedValueOnce({ rows: [strictSession] });
+        db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+        db.query.mockResolvedValueOnce({ rows: [{ price: '49900' }] }); // replay price
+        db.query.mockImplementationOnce((sql, params) => {
+          expect(params[0]).toBe(49900);
+          return Promise.resolve({ rows: [{ id: 1, exit_price: '49900', status: 'closed' }] });
+        });
+
+        const response = await request(app)
+          .put('/api/trades/1/close')
+          .send({ exitPrice: 60000, replayPosition });
+
+        expect(response.status).toBe(200);
+        expect(response.body.exit_price).toBe('49900');
+      });
+
+      it('should require a replay position', async () => {
+        db.query.mockResolvedValueOnce({ rows: [{ ...marginSession, scored: true }] });
+
+        const response = await request(app)
+          .post('/api/trades/open')
+          .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1 });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: 'Strict sessions need a replay position' });
+      });
+    });
+  });
+
+  describe('Trailing stops and break-even', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      initial_balance: '10000',
+      engine_candle_time: new Date('2024-01-15T02:00:00Z'),
+      engine_tick_index: 40
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+
+    it('should store a fixed trailing stop and break-even rule with the trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(7, 11)).toEqual(['fixed', 300, 300, 1.5]);
+        return Promise.resolve({ rows: [{ id: 6, trailing_type: 'fixed', status: 'open' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({
+          sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, stopLoss: 49000,
+          trailingStop: { type: 'fixed', value: 300 }, breakEvenR: 1.5
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trailing_type).toBe('fixed');
+    });
+
+    it('should resolve an ATR trailing stop from the candles before entry', async () => {
+      const candles = Array.from({ length: 15 }, () => ({ high: '50100', low: '49900', close: '50000' }));
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+      db.query.mockResolvedValueOnce({ rows: candles });
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(7, 11)).toEqual(['atr', 2, 400, null]);
+        return Promise.resolve({ rows: [{ id: 7, trailing_type: 'atr', trailing_distance: '400' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({
+          sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1,
+          trailingStop: { type: 'atr', value: 2 }, replayPosition
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.trailing_distance).toBe('400');
+    });
+
+    it('should place a bracket around the entry price', async () => {
+      const candles = Array.from({ length: 15 }, () => ({ high: '50100', low: '49900', close: '50000' }));
+
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T02:24:00Z') }] });
+      db.query.mockResolvedValueOnce({ rows: candles });
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        // 1.5 ATR of 200 below the entry, twice that distance above it
+        expect(params.slice(4, 6)).toEqual([49700, 50600]);
+        return Promise.resolve({ rows: [{ id: 8, stop_loss: '49700', take_profit: '50600' }] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({
+          sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, stopLoss: 1, replayPosition,
+          bracket: { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 } }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.stop_loss).toBe('49700');
+    });
+
+    it('should reject ATR trailing stops without a replay position', async () => {
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, trailingStop: { type: 'atr', value: 2 } });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject break-even without a stop loss', async () => {
+      const response = await request(app)
+        .post('/api/trades/open')
+        .send({ sessionId: 1, tradeType: 'BUY', entryPrice: 50000, positionSize: 0.1, breakEvenR: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Break-even needs a stop loss' });
+    });
+
+    it('should return the stop history of a trade', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { trade_id: 6, stop_loss: '49300', reason: 'trailing' },
+          { trade_id: 6, stop_loss: '50000', reason: 'break_even' }
+        ]
+      });
+
+      const response = await request(app).get('/api/trades/6/stops');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(s => s.reason)).toEqual(['trailing', 'break_even']);
+      expect(db.query.mock.calls[0][1]).toEqual(['6']);
+    });
+  });
+
+  describe('Partial closes and scaling in', () => {
+    const openTrade = {
+      id: 1, session_id: 1, trade_type: 'BUY', entry_price: '50000',
+      position_size: '1', realized_pnl: '0', status: 'open'
+    };
+
+    it('should close part of a trade by percent and bank its PnL', async () => {
+      db.query.mockResolvedValueOnce({ rows: [openTrade] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('realized_pnl');
+        expect(params).toEqual([0.75, 250, '1', 0, 0, 0]);
+        return Promise.resolve({ rows: [{ ...openTrade, position_size: '0.75', realized_pnl: '250' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO trade_fills');
+        expect(params).toEqual([1, 'exit', 51000, 0.25, 250, 'manual', null]);
+        return Promise.resolve({ rows: [] });
+      });
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 51000, percent: 25 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('open');
+      expect(response.body.position_size).toBe('0.75');
+    });
+
+    it('should take the exit costs of the session asset off the PnL', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 8, session_id: 1, trade_type: 'BUY', entry_price: '1.1', position_size: '100000', realized_pnl: '-7.9', status: 'open', asset: 'EURUSD' }]
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        // 100 gross - 3.5 commission - 4.404 spread on exit - 7.9 paid on entry
+        expect(params[1]).toBeCloseTo(84.196, 6);
+        expect(params[4]).toBe(3.5);
+        expect(params[5]).toBeCloseTo(4.404, 6);
+        return Promise.resolve({ rows: [{ id: 8, pnl: '84.196', status: 'closed' }] });
+      });
+
+      const response = await request(app)
+        .put('/api/trades/8/close')
+        .send({ exitPrice: 1.101 });
+
+      expect(response.status).toBe(200);
+      expect(db.query.mock.calls[0][0]).toContain('sessions.asset');
+    });
+
+    it('should include earlier partial exits in the final PnL', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, position_size: '0.5', realized_pnl: '500' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        // 500 banked + (49000 - 50000) * 0.5
+        expect(params[1]).toBe(0);
+        return Promise.resolve({ rows: [{ ...openTrade, pnl: '0', status: 'closed' }] });
+      });
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 49000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('closed');
+    });
+
+    it('should reject closing more than the open position', async () => {
+      db.query.mockResolvedValueOnce({ rows: [openTrade] });
+
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 51000, quantity: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Quantity exceeds the open position' });
+    });
+
+    it('should reject invalid percentages', async () => {
+      const response = await request(app)
+        .put('/api/trades/1/close')
+        .send({ exitPrice: 51000, percent: 150 });
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should add to a trade at the size-weighted average entry', async () => {
+      db.query.mockResolvedValueOnce({ rows: [openTrade] });
+      db.query.mockResolvedValueOnce({ rows: [marginSession] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '50000', unrealized: '2000' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 3)).toEqual([51000, 2, '1']);
+        // 0.1% commission on 52000 and half a 2bp spread
+        expect(params[3]).toBeCloseTo(57.2, 6);
+        return Promise.resolve({ rows: [{ ...openTrade, entry_price: '51000', position_size: '2' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([1, 'entry', 52000, 1, null, null, null]);
+        return Promise.resolve({ rows: [] });
+      });
+
+      const response = await request(app)
+        .post('/api/trades/1/add')
+        .send({ price: 52000, quantity: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.entry_price).toBe('51000');
+    });
+
+    it('should not add beyond the free margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [openTrade] });
+      db.query.mockResolvedValueOnce({ rows: [{ ...marginSession, leverage: '1' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '50000', unrealized: '0' }] });
+
+      const response = await request(app)
+        .post('/api/trades/1/add')
+        .send({ price: 52000, quantity: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Insufficient margin');
+    });
+
+    it('should not add to a closed trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, status: 'closed' }] });
+
+      const response = await request(app)
+        .post('/api/trades/1/add')
+        .send({ price: 52000, quantity: 1 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 when adding to a non-existent trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/trades/999/add')
+        .send({ price: 52000, quantity: 1 });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Trade not found' });
+    });
+
+    it('should return the fills of a trade', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { trade_id: 1, fill_type: 'entry', price: '50000', quantity: '1' },
+          { trade_id: 1, fill_type: 'exit', price: '51000', quantity: '0.25', pnl: '250' }
+        ]
+      });
+
+      const response = await request(app).get('/api/trades/1/fills');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      expect(db.query.mock.calls[0][0]).toContain('trade_fills');
+    });
+  });
+
+  describe('PATCH /api/trades/:id', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      status: 'active',
+      engine_candle_time: new Date('2024-01-15T02:00:00Z'),
+      engine_tick_index: 40
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+    const tickTime = new Date('2024-01-15T02:24:00Z');
+    const openTrade = {
+      id: 1, session_id: 1, trade_type: 'BUY', entry_price: '50000', position_size: '0.1',
+      stop_loss: '49000', take_profit: '52000', initial_stop_loss: '49000', status: 'open'
+    };
+
+    // Trade, session, then the price and time at the replay position - the engine is already there
+    const mockReplay = (trade = openTrade, price = '50500') => {
+      db.query.mockResolvedValueOnce({ rows: [trade] });
+      db.query.mockResolvedValueOnce({ rows: [session] });
+      db.query.mockResolvedValueOnce({ rows: [{ price }] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+    };
+
+    it('should move the stop and record the change', async () => {
+      mockReplay();
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('UPDATE trades');
+        expect(params).toEqual([49800, '52000', '1']);
+        return Promise.resolve({ rows: [{ ...openTrade, stop_loss: '49800' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO trade_modifications');
+        expect(params).toEqual(['1', 50500, tickTime, 'stop_loss', '49000', 49800]);
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain("'manual'");
+        expect(params).toEqual(['1', 49800, tickTime]);
+        return Promise.resolve({ rows: [{ trade_id: 1, stop_loss: '49800', reason: 'manual', moved_at: tickTime }] });
+      });
+
+      const response = await request(app)
+        .patch('/api/trades/1')
+        .send({ stopLoss: 49800, replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.stop_loss).toBe('49800');
+      expect(response.body.stopMove.reason).toBe('manual');
+    });
+
+    it('should record every field that changed', async () => {
+      mockReplay();
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, stop_loss: null, take_profit: '53000' }] });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .patch('/api/trades/1')
+        .send({ stopLoss: null, takeProfit: 53000, replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.stopMove).toBeNull();
+      const [sql, params] = db.query.mock.calls[5];
+      expect(sql).toContain('($1, $4, $5, $6, $2, $3), ($1, $7, $8, $9, $2, $3)');
+      expect(params.slice(3)).toEqual(['stop_loss', '49000', null, 'take_profit', '52000', 53000]);
+      expect(db.query).toHaveBeenCalledTimes(6);
+    });
+
+    it('should reject a long stop above the current price', async () => {
+      mockReplay();
+
+      const response = await request(app)
+        .patch('/api/trades/1')
+        .send({ stopLoss: 50600, replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Stop loss must be below the current price', price: 50500 });
+      expect(db.query).toHaveBeenCalledTimes(4);
+    });
+
+    it('should reject a short target above the current price', async () => {
+      mockReplay({ ...openTrade, trade_type: 'SELL', stop_loss: '51000', take_profit: '48000' });
+
+      const response = await request(app)
+        .patch('/api/trades/1')
+        .send({ takeProfit: 50600, replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Take profit must be below the current price');
+    });
+
+    it('should refuse to modify a closed trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...openTrade, status: 'closed' }] });
+
+      const response = await request(app)
+        .patch('/api/trades/1')
+        .send({ stopLoss: 49800, replayPosition });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Trade already closed');
+    });
+
+    it('should need a replay position and something to change', async () => {
+      const noPosition = await request(app).patch('/api/trades/1').send({ stopLoss: 49800 });
+      const nothing = await request(app).patch('/api/trades/1').send({ replayPosition });
+
+      expect(noPosition.status).toBe(400);
+      expect(noPosition.body.error).toBe('Invalid replay position');
+      expect(nothing.status).toBe(400);
+      expect(nothing.body.error).toBe('Nothing to modify');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should list the modifications of a trade', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, trade_id: 1, field: 'stop_loss', new_value: '49800' }] });
+
+      const response = await request(app).get('/api/trades/1/modifications');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(db.query.mock.calls[0][0]).toContain('FROM trade_modifications');
+    });
+  });
+
+  describe('POST /api/trades/session/:sessionId/close-all and /reverse', () => {
+    // The engine already stands at the replay position, so syncing reads nothing
+    const session = {
+      id: 1, asset: 'BTCUSDT', timeframe: '1h', status: 'active', initial_balance: '10000', leverage: '10',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      engine_candle_time: new Date('2024-01-15T02:00:00Z'), engine_tick_index: 40
+    };
+    const replayPosition = { candleTimestamp: '2024-01-15T02:00:00.000Z', tickIndex: 40 };
+    const tickTime = new Date('2024-01-15T02:24:00Z');
+    const long = { id: 5, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', realized_pnl: '0', status: 'open' };
+    const closedRow = (trade) => Promise.resolve({ rows: [{ ...trade, status: 'closed', exit_reason: 'manual' }] });
+
+    it('should close every open trade at the replay price', async () => {
+      const short = { ...long, id: 6, trade_type: 'SELL', position_size: '0.2' };
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [long, short] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] }); // replay time
+      db.query.mockResolvedValueOnce({ rows: [{ price: '51000' }] }); // replay price
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 3)).toEqual([51000, tickTime, 'manual']);
+        return closedRow(long);
+      });
+      db.query.mockImplementationOnce(() => closedRow(short));
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '-100' }] }); // balance
+
+      const response = await request(app)
+        .post('/api/trades/session/1/close-all')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.closedTrades.map(t => t.id)).toEqual([5, 6]);
+      expect(response.body.balance).toBe(9900);
+    });
+
+    it('should only close the trades of the given asset', async () => {
+      const ethTrade = { ...long, id: 7, asset: 'ETHUSDT' };
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, assets: ['BTCUSDT', 'ETHUSDT'] }] });
+      db.query.mockResolvedValueOnce({ rows: [long, ethTrade] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '51000' }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params[4]).toBe(5);
+        return closedRow(long);
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '100' }] });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/close-all')
+        .send({ replayPosition, asset: 'BTCUSDT' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.closedTrades).toHaveLength(1);
+      expect(db.query).toHaveBeenCalledTimes(7);
+    });
+
+    it('should open the net size the other way when reversing', async () => {
+      const second = { ...long, id: 6, position_size: '0.2' };
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [long, second] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce({ rows: [{ price: '51000' }] });
+      db.query.mockImplementationOnce(() => closedRow(long));
+      db.query.mockImplementationOnce(() => closedRow(second));
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [{ price: '51000' }] }); // entry price
+      db.query.mockResolvedValueOnce(emptyAccount);
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params.slice(0, 4)).toEqual(['1', 'SELL', 51000, 0.3]);
+        expect(params[6]).toEqual(tickTime);
+        return Promise.resolve({ rows: [{ id: 8, trade_type: 'SELL', position_size: '0.3', status: 'open' }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // entry fill
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '300' }] });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/reverse')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(200);
+      expect(response.body.closedTrades).toHaveLength(2);
+      expect(response.body.openedTrades).toEqual([expect.objectContaining({ id: 8, trade_type: 'SELL' })]);
+      expect(response.body.balance).toBe(10300);
+    });
+
+    it('should refuse to reverse without an open position', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [long, { ...long, id: 6, trade_type: 'SELL' }] });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/reverse')
+        .send({ replayPosition });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No open position to reverse');
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require a replay position', async () => {
+      const response = await request(app)
+        .post('/api/trades/session/1/close-all')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/trades/session/:sessionId/sync', () => {
+    const session = {
+      id: 1,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      initial_balance: '10000',
+      engine_candle_time: null,
+      engine_tick_index: null
+    };
+
+    it('should not sync a strict session past its cursor', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...session, strict_replay: true, cursor_candle_time: session.start_date, cursor_tick_index: 2 }]
+      });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/sync')
+        .send({ replayPosition: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 3 } });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Replay position is past the strict replay cursor');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    // The engine moves the session forward, so each test hands it a fresh copy
+    it('should return trades closed by the engine and the server balance', async () => {
+      const trade = {
+        id: 2, session_id: 1, trade_type: 'SELL', entry_price: '50000',
+        position_size: '0.5', stop_loss: null, take_profit: '49000', status: 'open'
+      };
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [trade] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: session.start_date, tick_index: 0, timestamp: session.start_date, price: '48990' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ ...trade, exit_price: '49000', pnl: '500', exit_reason: 'take_profit', status: 'closed' }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '500' }] });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/sync')
+        .send({ replayPosition: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 3 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.closedTrades).toHaveLength(1);
+      expect(response.body.closedTrades[0].exit_reason).toBe('take_profit');
+      expect(response.body.filledOrders).toEqual([]);
+      expect(response.body.balance).toBe(10500);
+    });
+
+    it('should return orders filled by the engine with the trades they opened', async () => {
+      const order = {
+        id: 4, session_id: 1, side: 'BUY', order_type: 'LIMIT', trigger_price: '49000',
+        position_size: '0.2', stop_loss: '48000', take_profit: null, status: 'pending'
+      };
+      const fillTime = new Date('2024-01-15T00:12:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [order] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: session.start_date, tick_index: 2, timestamp: fillTime, price: '48990' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 9, session_id: 1, trade_type: 'BUY', entry_price: '49000', status: 'open' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ ...order, status: 'filled', filled_at: fillTime, trade_id: 9 }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] });
+
+      const response = await request(app)
+        .post('/api/trades/session/1/sync')
+        .send({ replayPosition: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 3 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.filledOrders[0]).toMatchObject({ id: 4, status: 'filled', trade_id: 9 });
+      expect(response.body.openedTrades[0]).toMatchObject({ id: 9, entry_price: '49000' });
+      expect(response.body.closedTrades).toEqual([]);
+    });
+
+    it('should return 404 for non-existent session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/trades/session/999/sync')
+        .send({ replayPosition: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 3 } });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Session not found' });
+    });
+
+    it('should require a replay position', async () => {
+      const response = await request(app)
+        .post('/api/trades/session/1/sync')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should handle database errors gracefully', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/trades/session/1/sync')
+        .send({ replayPosition: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 3 } });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Server error' });
+    });
+  });
+
   describe('P&L Calculation Verification', () => {
     it('should calculate correct P&L for large BUY position', async () => {
       db.query.mockResolvedValueOnce({
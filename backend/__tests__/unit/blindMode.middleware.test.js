@@ -0,0 +1,112 @@
+/**
+ * Unit tests for masking blind sessions at the API boundary
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const blindSession = {
+  id: 7, asset: 'EURUSD', status: 'active', start_date: new Date('2020-03-09T00:00:00Z'),
+  blind_mode: true, blind_price_factor: '2', blind_time_offset: String(-1000 * WEEK)
+};
+
+// Echoes what the route saw as text, which the response masking leaves alone
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../../middleware/blindMode'));
+  app.get('/api/sessions/:id', (req, res) => res.json({ ...blindSession, cost_models: { EURUSD: { spread: 0.0001 } } }));
+  app.all('/api/*path', (req, res) => res.json({
+    asset: 'EURUSD',
+    price: 1.1,
+    body: JSON.stringify(req.body),
+    query: JSON.stringify(req.query)
+  }));
+  return app;
+};
+
+describe('Blind Mode Middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = createTestApp();
+  });
+
+  it('should unmask the request and mask the response of an active blind session', async () => {
+    db.query.mockResolvedValueOnce({ rows: [blindSession] });
+
+    const response = await request(app)
+      .post('/api/trades/open')
+      .send({ sessionId: 7, entryPrice: 2.2, asset: 'BLIND-FX' });
+
+    expect(db.query.mock.calls[0][1]).toEqual([7]);
+    expect(JSON.parse(response.body.body)).toEqual({ sessionId: 7, entryPrice: 1.1, asset: 'EURUSD' });
+    expect(response.body).toMatchObject({ asset: 'BLIND-FX', price: 2.2 });
+  });
+
+  it('should unmask query parameters', async () => {
+    db.query.mockResolvedValueOnce({ rows: [blindSession] });
+
+    const response = await request(app).get('/api/replay/candles-with-ticks?sessionId=7&asset=BLIND-FX');
+
+    expect(JSON.parse(response.body.query)).toEqual({ sessionId: '7', asset: 'EURUSD' });
+    expect(response.body.asset).toBe('BLIND-FX');
+  });
+
+  it('should find the session of a trade named in the path', async () => {
+    db.query.mockImplementationOnce((sql, params) => {
+      expect(sql).toContain('JOIN trades r ON r.session_id = s.id');
+      expect(params).toEqual(['12']);
+      return Promise.resolve({ rows: [blindSession] });
+    });
+
+    const response = await request(app).put('/api/trades/12/close').send({});
+
+    expect(response.body.price).toBe(2.2);
+  });
+
+  it('should show a blind session as it was once it has ended', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ ...blindSession, status: 'ended' }] });
+
+    const response = await request(app).get('/api/sessions/7/summary');
+
+    expect(response.body).toMatchObject({ asset: 'EURUSD', price: 1.1 });
+  });
+
+  it('should hide the real asset, start and key of a blind session row', async () => {
+    db.query.mockResolvedValueOnce({ rows: [blindSession] });
+
+    const response = await request(app).get('/api/sessions/7');
+
+    expect(response.body).toMatchObject({ asset: 'BLIND-FX', cost_models: { 'BLIND-FX': { spread: 0.0001 } } });
+    expect(response.body).not.toHaveProperty('blind_price_factor');
+    expect(JSON.stringify(response.body)).not.toMatch(/EURUSD|2020/);
+  });
+
+  it('should leave requests without a session alone', async () => {
+    const response = await request(app).get('/api/settings/hotkeys');
+
+    expect(response.body.asset).toBe('EURUSD');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should not answer unmasked when the session cannot be looked up', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockRejectedValueOnce(new Error('Connection lost'));
+
+    const response = await request(app).get('/api/sessions/7');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Server error' });
+    console.error.mockRestore();
+  });
+});
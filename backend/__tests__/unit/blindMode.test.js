@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the keys of blind sessions and the masking done with them
+ */
+
+const blindMode = require('../../services/blindMode');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const key = {
+  sessionId: 7,
+  asset: 'EURUSD',
+  alias: 'BLIND-FX',
+  pipSize: 0.0001,
+  priceFactor: 2,
+  timeOffset: -1000 * WEEK
+};
+
+const shift = (iso, weeks) => new Date(new Date(iso).getTime() + weeks * WEEK).toISOString();
+
+describe('Blind Mode', () => {
+  describe('createKey', () => {
+    it('should move the start close to the fake epoch by whole weeks', () => {
+      const start = new Date('2020-03-09T14:00:00Z');
+      const { timeOffset } = blindMode.createKey(start);
+      const shifted = new Date(start.getTime() + timeOffset);
+
+      expect(Math.abs(timeOffset % WEEK)).toBe(0);
+      expect(Math.abs(shifted.getTime() - blindMode.FAKE_EPOCH)).toBeLessThanOrEqual(WEEK / 2);
+      // Same weekday and time of day
+      expect(shifted.getUTCDay()).toBe(start.getUTCDay());
+      expect(shifted.getUTCHours()).toBe(14);
+    });
+
+    it('should pick a price factor between a half and two', () => {
+      expect(blindMode.createKey(new Date(), () => 0).priceFactor).toBe(0.5);
+      expect(blindMode.createKey(new Date(), () => 0.5).priceFactor).toBe(1.25);
+      expect(blindMode.createKey(new Date(), () => 0.999999999).priceFactor).toBeLessThanOrEqual(2);
+    });
+  });
+
+  describe('keyOf', () => {
+    it('should read the key of a blind session', () => {
+      expect(blindMode.keyOf({
+        id: 7, asset: 'EURUSD', blind_mode: true, blind_price_factor: '1.234567', blind_time_offset: '-630720000000'
+      })).toEqual({
+        sessionId: 7, asset: 'EURUSD', alias: 'BLIND-FX', pipSize: 0.0001, priceFactor: 1.234567, timeOffset: -630720000000
+      });
+    });
+
+    it('should return null for other sessions', () => {
+      expect(blindMode.keyOf({ blind_mode: false })).toBeNull();
+      expect(blindMode.keyOf({})).toBeNull();
+    });
+  });
+
+  describe('activeKeyOf', () => {
+    const session = { id: 7, asset: 'BTCUSDT', blind_mode: true, blind_price_factor: '2', blind_time_offset: '0' };
+
+    it('should mask a blind session until it has ended', () => {
+      expect(blindMode.activeKeyOf({ ...session, status: 'paused' }).alias).toBe('BLIND-CRYPTO');
+      expect(blindMode.activeKeyOf({ ...session, status: 'ended' })).toBeNull();
+      expect(blindMode.activeKeyOf(null)).toBeNull();
+    });
+  });
+
+  describe('maskData', () => {
+    it('should scale prices, sizes and times of candles and ticks', () => {
+      const masked = blindMode.maskData(key, {
+        candles: [{
+          timestamp: new Date('2020-03-09T14:00:00.000Z'),
+          open: '1.1', high: 1.2, low: 1.05, close: 1.15, volume: 1000,
+          ticks: [{ tickIndex: 0, timestamp: '2020-03-09T14:01:00.000Z', price: 1.1, runningClose: 1.1, isFinalTick: false }]
+        }],
+        nextAfter: '2020-03-09T14:00:00.000Z',
+        hasMore: true
+      });
+
+      expect(masked.candles[0]).toMatchObject({
+        timestamp: shift('2020-03-09T14:00:00.000Z', -1000),
+        open: 2.2, high: 2.4, low: 2.1, close: 2.3, volume: 500
+      });
+      expect(masked.candles[0].ticks[0]).toEqual({
+        tickIndex: 0, timestamp: shift('2020-03-09T14:01:00.000Z', -1000), price: 2.2, runningClose: 2.2, isFinalTick: false
+      });
+      expect(masked.hasMore).toBe(true);
+    });
+
+    it('should keep the PnL of a trade and hide its asset', () => {
+      const masked = blindMode.maskData(key, {
+        id: 3, asset: 'EURUSD', trade_type: 'BUY', entry_price: '1.1', position_size: '10000',
+        stop_loss: null, trailing_type: 'fixed', trailing_value: '0.002', pnl: '50', status: 'open'
+      });
+
+      expect(masked).toMatchObject({
+        id: 3, asset: 'BLIND-FX', entry_price: 2.2, position_size: 5000, stop_loss: null, trailing_value: 0.004, pnl: '50'
+      });
+      expect(masked.entry_price * masked.position_size).toBeCloseTo(1.1 * 10000, 8);
+    });
+
+    it('should move the replay time an order was placed at', () => {
+      const masked = blindMode.maskData(key, { trigger_price: '1.2', created_at: new Date('2020-03-09T14:00:00.000Z') });
+
+      expect(masked.created_at).toBe(shift('2020-03-09T14:00:00.000Z', -1000));
+    });
+
+    it('should leave out the key of a session row', () => {
+      const masked = blindMode.maskData(key, {
+        session: { id: 7, asset: 'EURUSD', assets: ['EURUSD'], blind_price_factor: '2', blind_time_offset: '-604800000000' }
+      });
+
+      expect(masked.session).toEqual({ id: 7, asset: 'BLIND-FX', assets: ['BLIND-FX'] });
+    });
+
+    it('should key the trading costs of a session by its alias', () => {
+      const costs = { commission: { type: 'fixed', value: 3.5 }, spread: 0.0001, slippage: 0.1 };
+      const masked = blindMode.maskData(key, { id: 7, asset: 'EURUSD', cost_models: { EURUSD: costs } });
+
+      expect(masked.cost_models).toEqual({ 'BLIND-FX': costs });
+      expect(JSON.stringify(masked)).not.toContain('EURUSD');
+      expect(blindMode.unmaskData(key, { costs: masked.cost_models }).costs).toEqual({ EURUSD: costs });
+    });
+
+    it('should pass data through without a key', () => {
+      const data = { open: 1 };
+      expect(blindMode.maskData(null, data)).toBe(data);
+    });
+  });
+
+  describe('unmaskData', () => {
+    it('should bring prices, sizes and replay positions back to their real values', () => {
+      const unmasked = blindMode.unmaskData(key, {
+        sessionId: 7,
+        tradeType: 'BUY',
+        entryPrice: 2.2,
+        positionSize: 5000,
+        stopLoss: 2.1,
+        asset: 'BLIND-FX',
+        replayPosition: { candleTimestamp: shift('2020-03-09T14:00:00.000Z', -1000), tickIndex: 4 }
+      });
+
+      expect(unmasked).toEqual({
+        sessionId: 7,
+        tradeType: 'BUY',
+        entryPrice: 1.1,
+        positionSize: 10000,
+        stopLoss: 1.05,
+        asset: 'EURUSD',
+        replayPosition: { candleTimestamp: '2020-03-09T14:00:00.000Z', tickIndex: 4 }
+      });
+    });
+
+    it('should turn bracket pips into a price distance', () => {
+      const unmasked = blindMode.unmaskData(key, {
+        bracket: { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'r', value: 2 } }
+      });
+
+      expect(unmasked.bracket).toEqual({
+        stopLoss: { type: 'fixed', value: 0.001 },
+        takeProfit: { type: 'r', value: 2 }
+      });
+    });
+  });
+});
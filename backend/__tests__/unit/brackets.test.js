@@ -0,0 +1,56 @@
+/**
+ * Unit tests for bracket orders placed relative to the entry
+ */
+
+const brackets = require('../../services/brackets');
+
+describe('Brackets', () => {
+  describe('normalizeBracket', () => {
+    it('should keep the stop and target and drop anything else', () => {
+      expect(brackets.normalizeBracket({
+        stopLoss: { type: 'pips', value: '20', label: 'x' }, takeProfit: null, extra: true
+      })).toEqual({ bracket: { stopLoss: { type: 'pips', value: 20 }, takeProfit: null } });
+    });
+
+    it('should reject unknown types and non-positive values', () => {
+      expect(brackets.normalizeBracket({ stopLoss: { type: 'r', value: 1 } }))
+        .toEqual({ error: 'Invalid stop loss type' });
+      expect(brackets.normalizeBracket({ takeProfit: { type: 'percent', value: 0 } }))
+        .toEqual({ error: 'Take profit value must be positive' });
+    });
+
+    it('should need at least one level, and a stop for a target in R', () => {
+      expect(brackets.normalizeBracket({}).error).toBe('A bracket needs a stop loss or a take profit');
+      expect(brackets.normalizeBracket({ takeProfit: { type: 'r', value: 2 } }).error)
+        .toBe('A target in R needs a stop loss');
+    });
+  });
+
+  describe('resolveBracket', () => {
+    it('should place a long stop below and target above the entry', () => {
+      const bracket = { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 }, atr: 200 };
+
+      expect(brackets.resolveBracket(bracket, 'BUY', 50000, 'BTCUSDT'))
+        .toEqual({ stopLoss: 49700, takeProfit: 50600 });
+    });
+
+    it('should place a short the other way round, with pips of the asset', () => {
+      const bracket = { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'pips', value: 40 } };
+
+      expect(brackets.resolveBracket(bracket, 'SELL', '1.08450', 'EURUSD'))
+        .toEqual({ stopLoss: 1.0865, takeProfit: 1.0805 });
+    });
+
+    it('should measure percent levels from the entry', () => {
+      const bracket = { stopLoss: null, takeProfit: { type: 'percent', value: 2 } };
+
+      expect(brackets.resolveBracket(bracket, 'BUY', 2000, 'XAUUSD')).toEqual({ stopLoss: null, takeProfit: 2040 });
+    });
+
+    it('should leave out a target a short could never reach', () => {
+      const bracket = { stopLoss: null, takeProfit: { type: 'fixed', value: 150 } };
+
+      expect(brackets.resolveBracket(bracket, 'SELL', 100, 'SOLUSDT').takeProfit).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for putting trades back the way they were at a rewind point
+ */
+
+const branches = require('../../services/branches');
+
+const at = (hours) => new Date(Date.UTC(2024, 0, 15) + hours * 60 * 60 * 1000);
+
+describe('Branches', () => {
+  describe('tradeStateAt', () => {
+    const fills = [
+      { fill_type: 'entry', price: '50000', quantity: '0.1', filled_at: at(1) },
+      { fill_type: 'entry', price: '52000', quantity: '0.1', filled_at: at(2) },
+      { fill_type: 'exit', price: '53000', quantity: '0.1', pnl: '195', filled_at: at(3) },
+      { fill_type: 'exit', price: '54000', quantity: '0.1', pnl: '290', filled_at: at(6) }
+    ];
+
+    it('should replay the fills up to the rewind point', () => {
+      const state = branches.tradeStateAt({}, fills, at(4), 'BTCUSDT');
+
+      expect(state.positionSize).toBe(0.1);
+      // A partial exit leaves the average entry where it was
+      expect(state.entryPrice).toBe(51000);
+      // 195 banked, less 5.5 and 5.72 paid on the two entries
+      expect(state.realizedPnl).toBeCloseTo(183.78, 6);
+      expect(state.commission).toBeCloseTo(15.5, 6);
+      expect(state.spreadCost).toBeCloseTo(1.55, 6);
+    });
+
+    it('should only count the fills made by then', () => {
+      expect(branches.tradeStateAt({}, fills, at(1), 'BTCUSDT')).toMatchObject({ positionSize: 0.1, entryPrice: 50000 });
+    });
+
+    it('should return null for a trade that was not open then', () => {
+      expect(branches.tradeStateAt({}, fills, at(0), 'BTCUSDT')).toBeNull();
+      expect(branches.tradeStateAt({}, fills, at(7), 'BTCUSDT')).toBeNull();
+    });
+  });
+
+  describe('levelsAt', () => {
+    const trade = { initial_stop_loss: '49000', stop_loss: '50500', take_profit: '56000' };
+    const stopMoves = [
+      { stop_loss: '49500', reason: 'trailing', moved_at: at(2.5) },
+      { stop_loss: '50500', reason: 'trailing', moved_at: at(5) }
+    ];
+    const modifications = [{ field: 'take_profit', old_value: '55000', new_value: '56000', modified_at: at(4.5) }];
+
+    it('should take the last stop move and target change made by then', () => {
+      expect(branches.levelsAt(trade, stopMoves, modifications, at(6)))
+        .toEqual({ stopLoss: '50500', takeProfit: '56000' });
+      expect(branches.levelsAt(trade, stopMoves, modifications, at(3)))
+        .toEqual({ stopLoss: '49500', takeProfit: '55000' });
+    });
+
+    it('should fall back to the levels the trade was opened with', () => {
+      expect(branches.levelsAt(trade, stopMoves, modifications, at(1)))
+        .toEqual({ stopLoss: '49000', takeProfit: '55000' });
+      expect(branches.levelsAt({ ...trade, initial_stop_loss: null }, [], [], at(1)))
+        .toEqual({ stopLoss: null, takeProfit: '56000' });
+    });
+
+    it('should follow a stop that was removed by hand', () => {
+      const removed = [{ field: 'stop_loss', old_value: '49500', new_value: null, modified_at: at(3) }];
+
+      expect(branches.levelsAt(trade, stopMoves.slice(0, 1), removed, at(4)).stopLoss).toBeNull();
+    });
+  });
+});
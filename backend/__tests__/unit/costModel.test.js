@@ -0,0 +1,86 @@
+/**
+ * Unit tests for commission, spread and slippage costs
+ */
+
+const costModel = require('../../services/costModel');
+
+describe('Cost Model', () => {
+  describe('calculateCommission', () => {
+    it('should charge crypto a percent of the notional', () => {
+      expect(costModel.calculateCommission('BTCUSDT', 50000, 0.5)).toBeCloseTo(25, 6);
+    });
+
+    it('should charge forex a fixed amount per fill', () => {
+      expect(costModel.calculateCommission('EURUSD', 1.1, 100000)).toBe(3.5);
+    });
+  });
+
+  describe('calculateSpreadCost', () => {
+    it('should charge half the spread on each fill', () => {
+      // 0.8 pip spread on EURUSD around 1.1
+      expect(costModel.calculateSpreadCost('EURUSD', 1.1, 100000)).toBeCloseTo(4.4, 6);
+    });
+  });
+
+  describe('calculateSlippage', () => {
+    it('should slip by a fraction of the candle range', () => {
+      expect(costModel.calculateSlippage('BTCUSDT', { high: 50200, low: 49800 }, 2)).toBeCloseTo(40, 6);
+    });
+
+    it('should prefer the candle range carried by tick bars', () => {
+      expect(costModel.calculateSlippage('BTCUSDT', { high: 50000, low: 50000, range: 100 }, 1)).toBeCloseTo(5, 6);
+    });
+  });
+
+  describe('getFillCosts', () => {
+    it('should only include slippage when a bar is given', () => {
+      const market = costModel.getFillCosts('BTCUSDT', '50000', '1');
+      const stop = costModel.getFillCosts('BTCUSDT', '50000', '1', { high: 50200, low: 49800 });
+
+      expect(market.slippageCost).toBe(0);
+      expect(market.total).toBeCloseTo(55, 6);
+      expect(stop.slippageCost).toBeCloseTo(20, 6);
+      expect(stop.total).toBeCloseTo(75, 6);
+    });
+
+    it('should be free for assets without a cost model', () => {
+      expect(costModel.getFillCosts('UNKNOWN', 100, 10, { high: 110, low: 90 }).total).toBe(0);
+    });
+
+    it('should use the costs a session set for the asset and the defaults for the rest', () => {
+      const overrides = { BTCUSDT: { commission: { type: 'fixed', value: 1 }, slippage: 0 } };
+
+      const costs = costModel.getFillCosts('BTCUSDT', '50000', '1', { high: 50200, low: 49800 }, overrides);
+
+      expect(costs.commission).toBe(1);
+      expect(costs.spreadCost).toBeCloseTo(5, 6);
+      expect(costs.slippageCost).toBe(0);
+      expect(costModel.getFillCosts('ETHUSDT', 2500, 1, null, overrides).commission).toBeCloseTo(2.5, 6);
+    });
+  });
+
+  describe('normalizeCostModels', () => {
+    it('should keep valid costs of the session\'s assets', () => {
+      const costs = { EURUSD: { commission: { type: 'percent', value: 0.01 }, spread: 0.0001, slippage: 0.2, extra: 1 } };
+
+      expect(costModel.normalizeCostModels(costs, ['EURUSD'])).toEqual({
+        costModels: { EURUSD: { commission: { type: 'percent', value: 0.01 }, spread: 0.0001, slippage: 0.2 } }
+      });
+    });
+
+    it('should treat missing or empty costs as the defaults', () => {
+      expect(costModel.normalizeCostModels(undefined, ['EURUSD'])).toEqual({ costModels: null });
+      expect(costModel.normalizeCostModels({ EURUSD: {} }, ['EURUSD'])).toEqual({ costModels: null });
+    });
+
+    it('should reject invalid costs', () => {
+      expect(costModel.normalizeCostModels({ EURUSD: { commission: { type: 'flat', value: 1 } } }, ['EURUSD']))
+        .toEqual({ error: 'Invalid commission for EURUSD' });
+      expect(costModel.normalizeCostModels({ EURUSD: { spread: -0.1 } }, ['EURUSD']))
+        .toEqual({ error: 'Invalid spread for EURUSD' });
+      expect(costModel.normalizeCostModels({ EURUSD: { slippage: 1.5 } }, ['EURUSD']))
+        .toEqual({ error: 'Invalid slippage for EURUSD' });
+      expect(costModel.normalizeCostModels([], ['EURUSD'])).toEqual({ error: 'Invalid trading costs' });
+    });
+  });
+});
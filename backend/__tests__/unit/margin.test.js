@@ -0,0 +1,127 @@
+/**
+ * Unit tests for leverage and margin accounting
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const margin = require('../../services/margin');
+const { getMaxLeverage } = require('../../config/assets');
+
+describe('Margin', () => {
+  const session = { id: 1, asset: 'BTCUSDT', initial_balance: '10000', leverage: '10' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getLeverage', () => {
+    it('should cap leverage at the asset class maximum', () => {
+      expect(getMaxLeverage('BTCUSDT')).toBe(50);
+      expect(getMaxLeverage('EURUSD')).toBe(100);
+      expect(margin.getLeverage({ asset: 'XAUUSD', leverage: '100' })).toBe(20);
+    });
+
+    it('should treat unknown assets and missing leverage as 1:1', () => {
+      expect(margin.getLeverage({ asset: 'UNKNOWN', leverage: '10' })).toBe(1);
+      expect(margin.getLeverage({ asset: 'BTCUSDT', leverage: null })).toBe(1);
+    });
+
+    it('should cap leverage at the lowest maximum of a multi-asset session', () => {
+      expect(margin.getLeverage({ asset: 'BTCUSDT', assets: ['BTCUSDT', 'XAUUSD'], leverage: '50' })).toBe(20);
+    });
+  });
+
+  describe('getAccount', () => {
+    it('should mark open positions to the given price', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '500', open_notional: '50000', unrealized: '-1500' }] });
+
+      const account = await margin.getAccount(session, 48500);
+
+      expect(account).toEqual({ balance: 10500, equity: 9000, usedMargin: 5000, freeMargin: 4000 });
+      expect(db.query.mock.calls[0][1]).toEqual([1, [48500], ['BTCUSDT'], 'BTCUSDT']);
+    });
+
+    it('should only mark positions on the priced asset', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+
+      await margin.getAccount({ ...session, assets: ['BTCUSDT', 'ETHUSDT'] }, 2500, 'ETHUSDT');
+
+      expect(db.query.mock.calls[0][1]).toEqual([1, [2500], ['ETHUSDT'], 'BTCUSDT']);
+    });
+
+    it('should mark the other legs of the account at their own price', async () => {
+      // A long BTC leg down 3000 at its mark, the new ETH position flat
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '50000', unrealized: '-3000' }] });
+
+      const account = await margin.getAccount({ ...session, assets: ['BTCUSDT', 'ETHUSDT'] }, 2500, 'ETHUSDT', { BTCUSDT: 47000 });
+
+      expect(db.query.mock.calls[0][1]).toEqual([1, [47000, 2500], ['BTCUSDT', 'ETHUSDT'], 'BTCUSDT']);
+      expect(account).toEqual({ balance: 10000, equity: 7000, usedMargin: 5000, freeMargin: 2000 });
+    });
+  });
+
+  describe('checkMargin', () => {
+    it('should allow positions that fit in the free margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '0', unrealized: '0' }] });
+
+      const result = await margin.checkMargin(session, 50000, 2);
+
+      expect(result).toEqual({ allowed: true, required: 10000, freeMargin: 10000 });
+    });
+
+    it('should reject positions beyond the free margin', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '50000', unrealized: '0' }] });
+
+      const result = await margin.checkMargin(session, 50000, 2);
+
+      expect(result.allowed).toBe(false);
+      expect(result.freeMargin).toBe(5000);
+    });
+
+    it('should leave less free margin while another leg is losing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0', open_notional: '50000', unrealized: '-3000' }] });
+
+      const result = await margin.checkMargin({ ...session, assets: ['BTCUSDT', 'ETHUSDT'] }, 2500, 10, 'ETHUSDT', { BTCUSDT: 47000 });
+
+      // 25000 of ETH at 10x needs 2500, only 2000 is left after the BTC loss
+      expect(result).toEqual({ allowed: false, required: 2500, freeMargin: 2000 });
+    });
+  });
+
+  describe('isBelowMaintenance', () => {
+    const trades = [{ trade_type: 'SELL', entry_price: '100', position_size: '100' }];
+
+    it('should mark shorts at the high of the bar', () => {
+      expect(margin.isBelowMaintenance(trades, { high: 108, low: 90 }, 1000, 'BTCUSDT')).toBe(false);
+      expect(margin.isBelowMaintenance(trades, { high: 109.5, low: 90 }, 1000, 'BTCUSDT')).toBe(true);
+    });
+
+    it('should never trigger without open trades', () => {
+      expect(margin.isBelowMaintenance([], { high: 1, low: 1 }, -100, 'BTCUSDT')).toBe(false);
+    });
+  });
+
+  describe('isAccountBelowMaintenance', () => {
+    it('should add up equity and maintenance over every asset held', () => {
+      const trades = [
+        { asset: 'EURUSD', trade_type: 'BUY', entry_price: '1.1', position_size: '100000' },
+        { trade_type: 'SELL', entry_price: '100', position_size: '10' }
+      ];
+      const marks = new Map([['EURUSD', { high: 1.1, low: 1.09 }], ['BTCUSDT', { high: 180, low: 180 }]]);
+
+      // Equity 2000 - 1000 - 800 = 200 against 545 + 18 maintenance
+      expect(margin.isAccountBelowMaintenance(trades, marks, 2000, 'BTCUSDT')).toBe(true);
+      expect(margin.isAccountBelowMaintenance(trades.slice(1), marks, 2000, 'BTCUSDT')).toBe(false);
+    });
+
+    it('should hold assets without a mark at their entry', () => {
+      const trades = [{ asset: 'ETHUSDT', trade_type: 'BUY', entry_price: '10', position_size: '100' }];
+
+      expect(margin.isAccountBelowMaintenance(trades, new Map(), 5, 'BTCUSDT')).toBe(true);
+      expect(margin.isAccountBelowMaintenance(trades, new Map(), 20, 'BTCUSDT')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,600 @@
+/**
+ * Unit tests for the server-side order engine
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const orderEngine = require('../../services/orderEngine');
+
+describe('Order Engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseReplayPosition', () => {
+    it('should parse a candle timestamp and tick index', () => {
+      const position = orderEngine.parseReplayPosition({
+        candleTimestamp: '2024-01-15T00:00:00Z',
+        tickIndex: 42
+      });
+
+      expect(position.candleTime).toEqual(new Date('2024-01-15T00:00:00Z'));
+      expect(position.tickIndex).toBe(42);
+    });
+
+    it('should treat a missing tick index as the whole candle', () => {
+      const position = orderEngine.parseReplayPosition({
+        candleTimestamp: '2024-01-15T00:00:00Z',
+        tickIndex: null
+      });
+
+      expect(position.tickIndex).toBe(orderEngine.LAST_TICK);
+    });
+
+    it('should reject malformed positions', () => {
+      expect(orderEngine.parseReplayPosition(null)).toBeNull();
+      expect(orderEngine.parseReplayPosition({ candleTimestamp: 'not a date' })).toBeNull();
+      expect(orderEngine.parseReplayPosition({ candleTimestamp: '2024-01-15', tickIndex: -3 })).toBeNull();
+    });
+  });
+
+  describe('checkExit', () => {
+    const buyTrade = { trade_type: 'BUY', entry_price: '50000', stop_loss: '49000', take_profit: '52000' };
+    const sellTrade = { trade_type: 'SELL', entry_price: '50000', stop_loss: '51000', take_profit: '48000' };
+
+    it('should stop out a BUY trade when price reaches the stop', () => {
+      expect(orderEngine.checkExit(buyTrade, { high: 49000, low: 49000 }))
+        .toEqual({ exitPrice: 49000, exitReason: 'stop_loss' });
+    });
+
+    it('should take profit on a BUY trade when price reaches the target', () => {
+      expect(orderEngine.checkExit(buyTrade, { high: 52100, low: 52100 }))
+        .toEqual({ exitPrice: 52000, exitReason: 'take_profit' });
+    });
+
+    it('should stop out a SELL trade when price rises to the stop', () => {
+      expect(orderEngine.checkExit(sellTrade, { high: 51500, low: 51500 }))
+        .toEqual({ exitPrice: 51000, exitReason: 'stop_loss' });
+    });
+
+    it('should take profit on a SELL trade when price falls to the target', () => {
+      expect(orderEngine.checkExit(sellTrade, { high: 47900, low: 47900 }))
+        .toEqual({ exitPrice: 48000, exitReason: 'take_profit' });
+    });
+
+    it('should prefer the stop when one candle spans both levels', () => {
+      expect(orderEngine.checkExit(buyTrade, { high: 53000, low: 48000 }).exitReason).toBe('stop_loss');
+    });
+
+    it('should fill a stop the bar gapped through at its open', () => {
+      expect(orderEngine.checkExit(buyTrade, { open: 48500, high: 48700, low: 48200 }))
+        .toEqual({ exitPrice: 48500, exitReason: 'stop_loss' });
+      expect(orderEngine.checkExit(sellTrade, { open: 51800, high: 52000, low: 51600 }))
+        .toEqual({ exitPrice: 51800, exitReason: 'stop_loss' });
+    });
+
+    it('should fill a stop at its level when the bar opens before it', () => {
+      expect(orderEngine.checkExit(buyTrade, { open: 49500, high: 49600, low: 48800 }).exitPrice).toBe(49000);
+    });
+
+    it('should leave trades without SL/TP open', () => {
+      const trade = { trade_type: 'BUY', entry_price: '50000', stop_loss: null, take_profit: null };
+      expect(orderEngine.checkExit(trade, { high: 90000, low: 10000 })).toBeNull();
+    });
+  });
+
+  describe('processBars', () => {
+    it('should close each trade on the first bar that hits it', () => {
+      const trades = [
+        { id: 1, trade_type: 'BUY', entry_price: '100', position_size: '2', stop_loss: '95', take_profit: '110' },
+        { id: 2, trade_type: 'SELL', entry_price: '100', position_size: '1', stop_loss: '105', take_profit: null }
+      ];
+      const bars = [
+        { timestamp: 't1', high: 101, low: 101 },
+        { timestamp: 't2', high: 106, low: 106 },
+        { timestamp: 't3', high: 111, low: 111 }
+      ];
+
+      const { exits } = orderEngine.processBars(trades, [], bars);
+
+      expect(exits).toHaveLength(2);
+      expect(exits[0]).toMatchObject({ exitPrice: 105, exitReason: 'stop_loss', exitTime: 't2', pnl: -5 });
+      expect(exits[0].trade.id).toBe(2);
+      expect(exits[1]).toMatchObject({ exitPrice: 110, exitReason: 'take_profit', exitTime: 't3', pnl: 20 });
+      expect(exits[1].trade.id).toBe(1);
+    });
+  });
+
+  describe('checkFill', () => {
+    const order = (side, orderType) => ({ side, order_type: orderType, trigger_price: '100' });
+
+    it('should fill limit orders at or better than the trigger', () => {
+      expect(orderEngine.checkFill(order('BUY', 'LIMIT'), { high: 100, low: 100 })).toBe(true);
+      expect(orderEngine.checkFill(order('BUY', 'LIMIT'), { high: 101, low: 101 })).toBe(false);
+      expect(orderEngine.checkFill(order('SELL', 'LIMIT'), { high: 101, low: 101 })).toBe(true);
+      expect(orderEngine.checkFill(order('SELL', 'LIMIT'), { high: 99, low: 99 })).toBe(false);
+    });
+
+    it('should fill stop orders once price trades through the trigger', () => {
+      expect(orderEngine.checkFill(order('BUY', 'STOP'), { high: 101, low: 101 })).toBe(true);
+      expect(orderEngine.checkFill(order('BUY', 'STOP'), { high: 99, low: 99 })).toBe(false);
+      expect(orderEngine.checkFill(order('SELL', 'STOP'), { high: 99, low: 99 })).toBe(true);
+      expect(orderEngine.checkFill(order('SELL', 'STOP'), { high: 101, low: 101 })).toBe(false);
+    });
+  });
+
+  describe('getFillPrice', () => {
+    const order = (side, orderType) => ({ side, order_type: orderType, trigger_price: '100' });
+
+    it('should fill at the trigger when the bar opens on the near side of it', () => {
+      expect(orderEngine.getFillPrice(order('BUY', 'STOP'), { open: 99, high: 101, low: 99 })).toBe(100);
+      expect(orderEngine.getFillPrice(order('BUY', 'LIMIT'), { open: 101, high: 101, low: 99 })).toBe(100);
+      expect(orderEngine.getFillPrice(order('BUY', 'STOP'), { high: 103, low: 101 })).toBe(100);
+    });
+
+    it('should fill at the open of a bar that gapped through the trigger', () => {
+      expect(orderEngine.getFillPrice(order('BUY', 'STOP'), { open: 103, high: 104, low: 102 })).toBe(103);
+      expect(orderEngine.getFillPrice(order('SELL', 'STOP'), { open: 97, high: 98, low: 96 })).toBe(97);
+      expect(orderEngine.getFillPrice(order('BUY', 'LIMIT'), { open: 97, high: 98, low: 96 })).toBe(97);
+      expect(orderEngine.getFillPrice(order('SELL', 'LIMIT'), { open: 103, high: 104, low: 102 })).toBe(103);
+    });
+  });
+
+  describe('processBars with pending orders', () => {
+    it('should fill an order at its trigger and manage the new trade from the next bar', () => {
+      const orders = [
+        { id: 4, session_id: 7, side: 'BUY', order_type: 'LIMIT', trigger_price: '100', position_size: '2', stop_loss: '95', take_profit: null }
+      ];
+      const bars = [
+        { timestamp: 't1', high: 94, low: 94 },
+        { timestamp: 't2', high: 96, low: 96 },
+        { timestamp: 't3', high: 94, low: 94 }
+      ];
+
+      const { fills, exits } = orderEngine.processBars([], orders, bars);
+
+      expect(fills).toHaveLength(1);
+      expect(fills[0].fillTime).toBe('t1');
+      expect(fills[0].trade).toMatchObject({ trade_type: 'BUY', entry_price: 100, position_size: 2 });
+      expect(exits).toHaveLength(1);
+      expect(exits[0]).toMatchObject({ exitPrice: 95, exitReason: 'stop_loss', exitTime: 't3', pnl: -10 });
+    });
+  });
+
+  describe('processBars with brackets', () => {
+    it('should place the bracket around the fill price', () => {
+      const orders = [{
+        id: 5, session_id: 7, side: 'SELL', order_type: 'STOP', trigger_price: '1.1', position_size: '1000',
+        stop_loss: null, take_profit: null, asset: 'EURUSD',
+        bracket: { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'pips', value: 40 } }
+      }];
+
+      const { fills } = orderEngine.processBars([], orders, [{ timestamp: 't1', high: 1.101, low: 1.099 }]);
+
+      expect(fills[0].trade).toMatchObject({ stop_loss: 1.102, take_profit: 1.096 });
+    });
+
+    it('should keep a level set on the order by hand', () => {
+      const orders = [{
+        id: 6, session_id: 7, side: 'BUY', order_type: 'LIMIT', trigger_price: '100', position_size: '1',
+        stop_loss: '97', take_profit: null, bracket: { stopLoss: { type: 'fixed', value: 5 }, takeProfit: { type: 'r', value: 2 } }
+      }];
+
+      const { fills } = orderEngine.processBars([], orders, [{ timestamp: 't1', high: 101, low: 99 }]);
+
+      expect(fills[0].trade).toMatchObject({ stop_loss: '97', take_profit: 110 });
+    });
+  });
+
+  describe('processBars with trailing stops', () => {
+    it('should trail the stop and exit at the trailed level', () => {
+      const trades = [{
+        id: 5, trade_type: 'BUY', entry_price: '100', position_size: '1', stop_loss: '95',
+        initial_stop_loss: '95', trailing_type: 'fixed', trailing_value: '3', trailing_distance: '3'
+      }];
+      const bars = [
+        { timestamp: 't1', high: 104, low: 104 },
+        { timestamp: 't2', high: 106, low: 106 },
+        { timestamp: 't3', high: 102, low: 102 }
+      ];
+
+      const { exits, stopMoves } = orderEngine.processBars(trades, [], bars);
+
+      expect(stopMoves.map(m => [m.stopLoss, m.movedAt])).toEqual([[101, 't1'], [103, 't2']]);
+      expect(exits).toHaveLength(1);
+      expect(exits[0]).toMatchObject({ exitPrice: 103, exitReason: 'stop_loss', exitTime: 't3', pnl: 3 });
+    });
+  });
+
+  describe('processBars with margin', () => {
+    it('should liquidate every open trade once equity falls below maintenance', () => {
+      const trades = [
+        { id: 1, trade_type: 'BUY', entry_price: '100', position_size: '100', stop_loss: null, take_profit: null }
+      ];
+      const bars = [
+        { timestamp: 't1', high: 95, low: 91 },
+        { timestamp: 't2', high: 92, low: 90.5 }
+      ];
+
+      // Equity 1000 - 950 = 50 is below 1% of 9050 notional on the second bar
+      const { exits } = orderEngine.processBars(trades, [], bars, { balance: 1000, asset: 'BTCUSDT' });
+
+      expect(exits).toHaveLength(1);
+      expect(exits[0]).toMatchObject({ exitPrice: 90.5, exitReason: 'liquidation', exitTime: 't2' });
+      // A liquidation is a stop fill: commission 9.05, spread 0.905 and slippage 7.5 on top of the loss
+      expect(exits[0].pnl).toBeCloseTo(-967.455, 6);
+    });
+
+    it('should count losses on one asset towards the margin of every asset', () => {
+      const trades = [
+        { id: 1, asset: 'BTCUSDT', trade_type: 'BUY', entry_price: '100', position_size: '100' },
+        { id: 2, asset: 'ETHUSDT', trade_type: 'BUY', entry_price: '10', position_size: '100' }
+      ];
+      const bars = [
+        { asset: 'BTCUSDT', timestamp: 't0', high: 100, low: 100, close: 100 },
+        { asset: 'ETHUSDT', timestamp: 't1', high: 1, low: 1, close: 1 }
+      ];
+
+      // Equity 1000 - 900 = 100 covers the ETH position alone, not the 100 + 1 both need
+      const { exits } = orderEngine.processBars(trades, [], bars, { balance: 1000, asset: 'BTCUSDT' });
+
+      expect(exits.map(e => [e.trade.id, e.exitPrice, e.exitReason, e.exitTime])).toEqual([
+        [1, 100, 'liquidation', 't1'],
+        [2, 1, 'liquidation', 't1']
+      ]);
+    });
+
+    it('should only move trades and orders of the bar\'s asset', () => {
+      const trades = [{ id: 1, asset: 'ETHUSDT', trade_type: 'BUY', entry_price: '10', position_size: '1', stop_loss: '9' }];
+      const orders = [{ id: 2, asset: 'ETHUSDT', side: 'BUY', order_type: 'LIMIT', trigger_price: '9.5', position_size: '1' }];
+
+      const { fills, exits } = orderEngine.processBars(trades, orders, [
+        { asset: 'BTCUSDT', timestamp: 't1', high: 5, low: 5, close: 5 }
+      ], { balance: 10000, asset: 'BTCUSDT' });
+
+      expect(fills).toEqual([]);
+      expect(exits).toEqual([]);
+    });
+
+    it('should not liquidate without an account', () => {
+      const trades = [{ id: 1, trade_type: 'BUY', entry_price: '100', position_size: '100' }];
+
+      const { exits } = orderEngine.processBars(trades, [], [{ timestamp: 't1', high: 90, low: 50 }]);
+
+      expect(exits).toEqual([]);
+    });
+  });
+
+  describe('processBars with swap', () => {
+    it('should accrue swap at each rollover the bars pass', () => {
+      const trade = {
+        id: 1, trade_type: 'BUY', entry_price: '1.1', position_size: '100000', stop_loss: null, take_profit: null,
+        realized_pnl: '0', entry_time: new Date('2024-01-16T20:00:00Z')
+      };
+      const bars = [
+        { timestamp: new Date('2024-01-16T21:00:00Z'), high: 1.1, low: 1.1, close: 1.1 },
+        { timestamp: new Date('2024-01-16T23:00:00Z'), high: 1.1, low: 1.1, close: 1.1 },
+        { timestamp: new Date('2024-01-17T23:00:00Z'), high: 1.1, low: 1.1, close: 1.1 }
+      ];
+
+      orderEngine.processBars([trade], [], bars, { balance: 10000, asset: 'EURUSD' });
+
+      // One night on Tuesday, three on Wednesday
+      expect(trade.swap).toBeCloseTo(-22, 6);
+      expect(trade.realized_pnl).toBeCloseTo(-22, 6);
+      expect(trade.swap_accrued_through).toEqual(new Date('2024-01-17T22:00:00Z'));
+    });
+  });
+
+  describe('syncSession', () => {
+    const session = () => ({
+      id: 7,
+      asset: 'BTCUSDT',
+      timeframe: '1h',
+      start_date: new Date('2024-01-15T00:00:00Z'),
+      initial_balance: '10000',
+      engine_candle_time: new Date('2024-01-15T00:00:00Z'),
+      engine_tick_index: 10
+    });
+
+    it('should do nothing when the target is not ahead of the engine', async () => {
+      const closed = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 5
+      });
+
+      expect(closed).toEqual({ closedTrades: [], filledOrders: [], openedTrades: [], updatedTrades: [], stopMoves: [] });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should only move the engine position when nothing is open or pending', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }); // open trades
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const target = { candleTime: new Date('2024-01-15T01:00:00Z'), tickIndex: 3 };
+      const { closedTrades } = await orderEngine.syncSession(session(), target);
+
+      expect(closedTrades).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(3);
+      expect(db.query.mock.calls[2][1]).toEqual([target.candleTime, 3, 7]);
+    });
+
+    it('should close trades at the replay time of the tick that hit the stop', async () => {
+      const tickTime = new Date('2024-01-15T00:36:00Z');
+
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', stop_loss: '49000', take_profit: null }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 11, timestamp: new Date('2024-01-15T00:06:00Z'), price: '49500' },
+          { candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 12, timestamp: tickTime, price: '48900' }
+        ]
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        // The tick traded through the stop: -110 gross, less 4.89 commission and 0.489 spread
+        expect(params.slice(0, 3)).toEqual([48900, tickTime, 'stop_loss']);
+        expect(params[3]).toBeCloseTo(-115.379, 6);
+        expect(params[4]).toBe(1);
+        return Promise.resolve({ rows: [{ id: 1, status: 'closed', exit_reason: 'stop_loss' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO trade_fills');
+        expect(params[4]).toBeCloseTo(-115.379, 6);
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const { closedTrades } = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 50
+      });
+
+      expect(closedTrades).toEqual([{ id: 1, status: 'closed', exit_reason: 'stop_loss' }]);
+    });
+
+    it('should fall back to whole candles when there are no ticks', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 3, trade_type: 'SELL', entry_price: '2000', position_size: '1', stop_loss: null, take_profit: '1900' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({ rows: [] }); // no ticks
+      db.query.mockResolvedValueOnce({
+        rows: [{ timestamp: new Date('2024-01-15T01:00:00Z'), high: '2010', low: '1850', close: '1950' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3, status: 'closed', pnl: '100' }] });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const { closedTrades } = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T01:00:00Z'),
+        tickIndex: orderEngine.LAST_TICK
+      });
+
+      expect(closedTrades).toHaveLength(1);
+      expect(db.query.mock.calls[4][0]).toContain('market_data');
+    });
+
+    it('should open trades for filled orders and link them to the order', async () => {
+      const fillTime = new Date('2024-01-15T00:42:00Z');
+
+      db.query.mockResolvedValueOnce({ rows: [] }); // open trades
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 4, session_id: 7, side: 'SELL', order_type: 'STOP', trigger_price: '49000', position_size: '0.5', stop_loss: '49500', take_profit: null }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 14, timestamp: fillTime, price: '48990', candle_range: '200' }]
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        // The first tick through the trigger traded below it, so that is where the stop fills
+        expect(params.slice(0, 7)).toEqual([7, 'SELL', 48990, 0.5, '49500', null, fillTime]);
+        // 0.1% commission, half a 2bp spread and 5% of the candle range for a stop entry
+        expect(params[8]).toBeCloseTo(24.495, 6);
+        expect(params[9]).toBeCloseTo(2.4495, 6);
+        expect(params[10]).toBeCloseTo(5, 6);
+        expect(params[7]).toBeCloseTo(-31.9445, 6);
+        return Promise.resolve({ rows: [{ id: 11, trade_type: 'SELL', status: 'open' }] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([fillTime, 11, 4]);
+        return Promise.resolve({ rows: [{ id: 4, status: 'filled', trade_id: 11 }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // trade fills
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const result = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 20
+      });
+
+      expect(result.filledOrders).toEqual([{ id: 4, status: 'filled', trade_id: 11 }]);
+      expect(result.openedTrades).toEqual([{ id: 11, trade_type: 'SELL', status: 'open' }]);
+      expect(result.closedTrades).toEqual([]);
+    });
+
+    it('should save the funding accrued by trades that stay open', async () => {
+      const tickTime = new Date('2024-01-15T00:06:00Z');
+
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 5, trade_type: 'BUY', entry_price: '50000', position_size: '0.1', stop_loss: null, take_profit: null,
+          realized_pnl: '-5.5', swap: '0', entry_time: new Date('2024-01-14T23:00:00Z'), swap_accrued_through: null
+        }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '-5.5' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 11, timestamp: tickTime, price: '50000' }]
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        // The 00:00 funding: 0.01% of 5000 notional
+        expect(sql).toContain('swap_accrued_through');
+        expect(params[0]).toBeCloseTo(-0.5, 6);
+        expect(params[1]).toBeCloseTo(-6, 6);
+        expect(params.slice(2)).toEqual([new Date('2024-01-15T00:00:00Z'), 5]);
+        return Promise.resolve({ rows: [{ id: 5, swap: '-0.5', realized_pnl: '-6' }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const result = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 11
+      });
+
+      expect(result.updatedTrades).toEqual([{ id: 5, swap: '-0.5', realized_pnl: '-6' }]);
+    });
+
+    it('should record stop moves and save the trailed stop of open trades', async () => {
+      const tickTime = new Date('2024-01-15T00:30:00Z');
+
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 2, trade_type: 'SELL', entry_price: '50000', position_size: '1', stop_loss: '50500',
+          initial_stop_loss: '50500', trailing_type: 'fixed', trailing_value: '200', trailing_distance: '200', best_price: null
+        }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 11, timestamp: tickTime, price: '49700' }]
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO stop_history');
+        expect(params).toEqual([2, 49900, 'trailing', tickTime]);
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual([49900, 49700, 2]);
+        return Promise.resolve({ rows: [{ id: 2, stop_loss: '49900', best_price: '49700' }] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const result = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 11
+      });
+
+      expect(result.updatedTrades).toEqual([{ id: 2, stop_loss: '49900', best_price: '49700' }]);
+      expect(result.stopMoves).toEqual([{ trade_id: 2, stop_loss: 49900, reason: 'trailing', moved_at: tickTime }]);
+    });
+
+    it('should not save a best price that did not change', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 2, trade_type: 'SELL', entry_price: '50000', position_size: '1', stop_loss: '49900',
+          initial_stop_loss: '50500', trailing_type: 'fixed', trailing_value: '200', trailing_distance: '200', best_price: '49700'
+        }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({
+        rows: [{ candle_timestamp: new Date('2024-01-15T00:00:00Z'), tick_index: 11, timestamp: new Date('2024-01-15T00:30:00Z'), price: '49800' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const result = await orderEngine.syncSession(session(), {
+        candleTime: new Date('2024-01-15T00:00:00Z'),
+        tickIndex: 11
+      });
+
+      expect(result.updatedTrades).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(5);
+    });
+
+    it('should walk trades on another asset of the session on that asset\'s ticks', async () => {
+      const multiSession = { ...session(), assets: ['BTCUSDT', 'ETHUSDT'] };
+      const candleTime = new Date('2024-01-15T00:00:00Z');
+
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 4, asset: 'ETHUSDT', trade_type: 'BUY', entry_price: '2500', position_size: '1', stop_loss: '2450', take_profit: null }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // pending orders
+      db.query.mockResolvedValueOnce({ rows: [{ realized: '0' }] }); // balance
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T00:10:00Z') }] }); // from: BTC tick 10
+      db.query.mockResolvedValueOnce({ rows: [{ tick_index: 6 }] }); // ETH tick at that time
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T00:20:00Z') }] }); // target: BTC tick 20
+      db.query.mockResolvedValueOnce({ rows: [{ tick_index: 9 }] }); // ETH tick at that time
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['ETHUSDT', '1h', candleTime, 6, candleTime, 9]);
+        return Promise.resolve({ rows: [] });
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }); // no candles either
+      db.query.mockResolvedValueOnce({ rows: [] }); // update session
+
+      const { closedTrades } = await orderEngine.syncSession(multiSession, { candleTime, tickIndex: 20 });
+
+      expect(closedTrades).toEqual([]);
+      expect(db.query.mock.calls[9][1]).toEqual([candleTime, 20, 7]);
+    });
+  });
+
+  describe('getSessionAssets', () => {
+    it('should list the asset driving the replay first', () => {
+      expect(orderEngine.getSessionAssets({ asset: 'EURUSD', assets: ['GBPUSD', 'EURUSD'] })).toEqual(['EURUSD', 'GBPUSD']);
+      expect(orderEngine.getSessionAssets({ asset: 'BTCUSDT', assets: null })).toEqual(['BTCUSDT']);
+    });
+  });
+
+  describe('mapPosition', () => {
+    const session = { asset: 'EURUSD', assets: ['EURUSD', 'GBPUSD'], timeframe: '1h' };
+    const candleTime = new Date('2024-01-15T10:00:00Z');
+
+    it('should keep positions on the session asset and whole candles as they are', async () => {
+      const position = { candleTime, tickIndex: 5 };
+      const whole = { candleTime, tickIndex: orderEngine.LAST_TICK };
+
+      expect(await orderEngine.mapPosition(session, 'EURUSD', position)).toBe(position);
+      expect(await orderEngine.mapPosition(session, 'GBPUSD', whole)).toBe(whole);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should map to the last tick of the other asset at the same replay time', async () => {
+      const tickTime = new Date('2024-01-15T10:12:00Z');
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: tickTime }] });
+      db.query.mockResolvedValueOnce({ rows: [{ tick_index: 3 }] });
+
+      const mapped = await orderEngine.mapPosition(session, 'GBPUSD', { candleTime, tickIndex: 5 });
+
+      expect(mapped).toEqual({ candleTime, tickIndex: 3 });
+      expect(db.query.mock.calls[1][1]).toEqual(['GBPUSD', '1h', candleTime, tickTime]);
+    });
+
+    it('should map to the end of the previous candle before the first tick', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T10:00:30Z') }] });
+      db.query.mockResolvedValueOnce({ rows: [{ tick_index: null }] });
+
+      const mapped = await orderEngine.mapPosition(session, 'GBPUSD', { candleTime, tickIndex: 0 });
+
+      expect(mapped).toEqual({ candleTime: new Date(candleTime.getTime() - 1), tickIndex: orderEngine.LAST_TICK });
+    });
+  });
+
+  describe('getReplayMarks', () => {
+    const session = { asset: 'EURUSD', assets: ['EURUSD', 'GBPUSD', 'USDJPY'], timeframe: '1h' };
+    const position = { candleTime: new Date('2024-01-15T10:00:00Z'), tickIndex: orderEngine.LAST_TICK };
+
+    it('should price every other asset of the session at the replay position', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ close: '1.09' }] });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const marks = await orderEngine.getReplayMarks(session, position, 'GBPUSD');
+
+      // USDJPY has no price yet and stays at its entry
+      expect(marks).toEqual({ EURUSD: 1.09 });
+      expect(db.query.mock.calls.map(([, params]) => params[0])).toEqual(['EURUSD', 'USDJPY']);
+    });
+
+    it('should mark nothing without a replay position', async () => {
+      expect(await orderEngine.getReplayMarks(session, null, 'GBPUSD')).toEqual({});
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the strict replay cursor
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const { LAST_TICK } = require('../../services/orderEngine');
+const replayCursor = require('../../services/replayCursor');
+
+const strictSession = {
+  id: 1,
+  asset: 'BTCUSDT',
+  timeframe: '1h',
+  strict_replay: true,
+  cursor_candle_time: new Date('2024-01-15T02:00:00Z'),
+  cursor_tick_index: 5
+};
+
+describe('Replay Cursor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isRevealed', () => {
+    it('should allow positions up to the cursor', () => {
+      const candleTime = new Date('2024-01-15T02:00:00Z');
+
+      expect(replayCursor.isRevealed(strictSession, { candleTime, tickIndex: 5 })).toBe(true);
+      expect(replayCursor.isRevealed(strictSession, { candleTime, tickIndex: 6 })).toBe(false);
+      expect(replayCursor.isRevealed(strictSession, { candleTime, tickIndex: LAST_TICK })).toBe(false);
+      expect(replayCursor.isRevealed(strictSession, {
+        candleTime: new Date('2024-01-15T01:00:00Z'), tickIndex: LAST_TICK
+      })).toBe(true);
+    });
+
+    it('should allow anything outside strict mode', () => {
+      const session = { ...strictSession, strict_replay: false };
+
+      expect(replayCursor.isRevealed(session, { candleTime: new Date('2030-01-01T00:00:00Z'), tickIndex: 0 })).toBe(true);
+    });
+  });
+
+  describe('stepCursor', () => {
+    it('should move to the nth next tick', async () => {
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['BTCUSDT', '1h', strictSession.cursor_candle_time, 5, 2]);
+        return Promise.resolve({ rows: [{ candle_timestamp: new Date('2024-01-15T03:00:00Z'), tick_index: 0 }] });
+      });
+
+      const next = await replayCursor.stepCursor(strictSession, 'tick', 3);
+
+      expect(next).toEqual({ candleTime: new Date('2024-01-15T03:00:00Z'), tickIndex: 0 });
+    });
+
+    it('should reveal whole candles once the ticks run out', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T03:00:00Z'), has_ticks: false }] });
+
+      const next = await replayCursor.stepCursor(strictSession, 'tick', 1);
+
+      expect(next).toEqual({ candleTime: new Date('2024-01-15T03:00:00Z'), tickIndex: LAST_TICK });
+    });
+
+    it('should land on the first tick of the next candle', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T03:00:00Z'), has_ticks: true }] });
+
+      expect(await replayCursor.stepCursor(strictSession, 'candle', 1))
+        .toEqual({ candleTime: new Date('2024-01-15T03:00:00Z'), tickIndex: 0 });
+
+      db.query.mockResolvedValueOnce({ rows: [{ timestamp: new Date('2024-01-15T03:00:00Z'), has_ticks: true }] });
+
+      expect(await replayCursor.stepCursor(strictSession, 'candle', 1, true))
+        .toEqual({ candleTime: new Date('2024-01-15T03:00:00Z'), tickIndex: LAST_TICK });
+    });
+
+    it('should return null at the end of the data', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await replayCursor.stepCursor(strictSession, 'candle', 1)).toBeNull();
+    });
+  });
+
+  describe('revealCandle', () => {
+    const candle = {
+      timestamp: new Date('2024-01-15T02:00:00Z'),
+      open: 100, high: 120, low: 90, close: 110, volume: 50,
+      ticks: [
+        { tickIndex: 0, runningOpen: 100, runningHigh: 100, runningLow: 100, runningClose: 100, runningVolume: 10 },
+        { tickIndex: 1, runningOpen: 100, runningHigh: 104, runningLow: 98, runningClose: 102, runningVolume: 20 },
+        { tickIndex: 2, runningOpen: 100, runningHigh: 120, runningLow: 90, runningClose: 110, runningVolume: 50 }
+      ]
+    };
+
+    it('should hide the final OHLC and volume of the forming candle', () => {
+      const revealed = replayCursor.revealCandle(candle, { candleTime: candle.timestamp, tickIndex: 1 });
+
+      expect(revealed).toMatchObject({ open: 100, high: 104, low: 98, close: 102, volume: 20 });
+      expect(revealed.ticks).toHaveLength(2);
+    });
+
+    it('should leave finished candles alone', () => {
+      expect(replayCursor.revealCandle(candle, { candleTime: candle.timestamp, tickIndex: LAST_TICK })).toBe(candle);
+      expect(replayCursor.revealCandle(candle, {
+        candleTime: new Date('2024-01-15T03:00:00Z'), tickIndex: 0
+      })).toBe(candle);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the streaming replay
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const replayStream = require('../../services/replayStream');
+
+const session = {
+  id: 7,
+  asset: 'BTCUSDT',
+  timeframe: '1h',
+  status: 'active',
+  start_date: new Date('2024-01-15T00:00:00Z'),
+  cursor_candle_time: new Date('2024-01-15T01:00:00Z'),
+  cursor_tick_index: 1
+};
+
+const candleRow = (hour, close) => ({
+  timestamp: new Date(`2024-01-15T0${hour}:00:00Z`),
+  open: 100, high: 110, low: 90, close, volume: 5
+});
+
+const tickRow = (hour, index, price) => ({
+  candle_timestamp: new Date(`2024-01-15T0${hour}:00:00Z`),
+  tick_index: index,
+  timestamp: new Date(`2024-01-15T0${hour}:0${index}:00Z`),
+  price, running_open: 100, running_high: Math.max(100, price), running_low: Math.min(100, price), running_close: price
+});
+
+// Parse the SSE frames written to a fake client
+const eventsOf = (client) => client.write.mock.calls.map(([payload]) => {
+  const [eventLine, dataLine] = payload.trim().split('\n');
+  return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+describe('Replay Stream', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { write: jest.fn() };
+  });
+
+  afterEach(() => {
+    replayStream.close(session.id, client);
+  });
+
+  describe('itemsDue', () => {
+    it('should pace ticks and candles like client playback', () => {
+      expect(replayStream.itemsDue(340, 1, 'tick').count).toBe(2);
+      expect(replayStream.itemsDue(1400, 2, 'candle').count).toBe(2);
+    });
+
+    it('should carry the fraction of a tick into the next frame', () => {
+      const first = replayStream.itemsDue(100, 1, 'tick');
+      expect(first.count).toBe(0);
+      expect(replayStream.itemsDue(100, 1, 'tick', first.carry).count).toBe(1);
+    });
+  });
+
+  describe('loadNextTicks', () => {
+    it('should turn candles without ticks into whole-candle ticks', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...tickRow(2, 0, 105), tick_index: null }]
+      });
+
+      const ticks = await replayStream.loadNextTicks(session, { candleTime: session.cursor_candle_time, tickIndex: 1 }, 'tick');
+
+      expect(ticks[0]).toMatchObject({ tickIndex: null, price: 105, runningClose: 105 });
+    });
+
+    it('should finish a partly revealed candle in candle mode', async () => {
+      db.query.mockResolvedValueOnce({ rows: [candleRow(1, 120)] });
+
+      const ticks = await replayStream.loadNextTicks(session, { candleTime: session.cursor_candle_time, tickIndex: 1 }, 'candle');
+
+      expect(db.query.mock.calls[0][0]).toContain('timestamp >= $3');
+      expect(ticks[0]).toMatchObject({ tickIndex: null, runningHigh: 110, runningClose: 120 });
+    });
+  });
+
+  describe('open', () => {
+    it('should send the history up to the cursor', async () => {
+      db.query.mockResolvedValueOnce({ rows: [candleRow(1, 120), candleRow(0, 105)] });
+      db.query.mockResolvedValueOnce({ rows: [tickRow(1, 0, 100), tickRow(1, 1, 104), tickRow(1, 2, 120)] });
+
+      await replayStream.open({ ...session }, client);
+
+      const [snapshot] = eventsOf(client);
+      expect(snapshot.event).toBe('snapshot');
+      expect(snapshot.data.cursor.tickIndex).toBe(1);
+      expect(snapshot.data.candles.map(c => c.close)).toEqual([105, 104]);
+      expect(snapshot.data.candles[1].ticks).toHaveLength(2);
+    });
+
+    it('should mask the snapshot of a blind session', async () => {
+      db.query.mockResolvedValueOnce({ rows: [candleRow(1, 120), candleRow(0, 105)] });
+      db.query.mockResolvedValueOnce({ rows: [tickRow(1, 0, 100), tickRow(1, 1, 104), tickRow(1, 2, 120)] });
+
+      await replayStream.open({
+        ...session, blind_mode: true, blind_price_factor: '2', blind_time_offset: String(-1254 * 7 * 24 * 60 * 60 * 1000)
+      }, client);
+
+      const [snapshot] = eventsOf(client);
+      expect(snapshot.data.candles.map(c => c.close)).toEqual([210, 208]);
+      expect(snapshot.data.cursor.candleTimestamp).toBe('2000-01-03T01:00:00.000Z');
+      expect(snapshot.data.candles[0].timestamp).toBe('2000-01-03T00:00:00.000Z');
+    });
+  });
+
+  describe('playFrame', () => {
+    it('should send the due ticks, save the cursor and run the engine', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }); // snapshot candles
+      const stream = await replayStream.open({ ...session, cursor_candle_time: null, cursor_tick_index: null }, client);
+
+      const cursorUpdates = [];
+      db.query.mockImplementation((sql, params) => {
+        if (sql.startsWith('SELECT * FROM sessions')) return Promise.resolve({ rows: [{ ...session, cursor_candle_time: null }] });
+        if (sql.includes('LEFT JOIN candle_ticks')) {
+          return Promise.resolve({ rows: [tickRow(0, 0, 100), tickRow(0, 1, 101), tickRow(0, 2, 102)] });
+        }
+        if (sql.includes('cursor_candle_time = $2')) cursorUpdates.push(params);
+        return Promise.resolve({ rows: [] });
+      });
+
+      stream.playing = true;
+      stream.lastFrameAt = 1000;
+      await replayStream.playFrame(stream, 1340);
+
+      const ticks = eventsOf(client).find(e => e.event === 'ticks');
+      expect(ticks.data.ticks.map(t => t.price)).toEqual([100, 101]);
+      expect(cursorUpdates).toEqual([[7, new Date('2024-01-15T00:00:00Z'), 1]]);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("status = 'open'"), [7]);
+      expect(stream.buffer).toHaveLength(1);
+
+      db.query.mockReset();
+    });
+
+    it('should end the stream when the session has ended', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      const stream = await replayStream.open({ ...session }, client);
+
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, status: 'ended' }] });
+      stream.playing = true;
+      await replayStream.playFrame(stream);
+
+      expect(eventsOf(client).pop()).toMatchObject({ event: 'end', data: { reason: 'session_ended' } });
+      expect(stream.playing).toBe(false);
+    });
+  });
+
+  describe('command', () => {
+    it('should need an open stream', async () => {
+      expect(await replayStream.command(999, 'play')).toMatchObject({ status: 404 });
+    });
+
+    it('should change the speed', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      await replayStream.open({ ...session }, client);
+
+      expect(await replayStream.command(session.id, 'speed', { speed: 5 })).toMatchObject({ speed: 5, playing: false });
+      expect(await replayStream.command(session.id, 'speed', { speed: 3 })).toMatchObject({ status: 400 });
+      expect(eventsOf(client).pop()).toMatchObject({ event: 'state', data: { speed: 5 } });
+    });
+
+    it('should not seek a strict session backwards', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      await replayStream.open({ ...session, strict_replay: true }, client);
+      db.query.mockResolvedValueOnce({ rows: [{ ...session, strict_replay: true }] });
+
+      const result = await replayStream.command(session.id, 'seek', {
+        position: { candleTimestamp: '2024-01-15T00:00:00.000Z', tickIndex: 0 }
+      });
+
+      expect(result).toMatchObject({ status: 409 });
+    });
+
+    it('should reject unknown commands', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      await replayStream.open({ ...session }, client);
+
+      expect(await replayStream.command(session.id, 'rewind')).toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for session statistics
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const { calculateStats } = require('../../services/sessionStats');
+
+describe('Session Stats', () => {
+  it('should summarise closed trades', () => {
+    const trades = [
+      { status: 'closed', pnl: '500' },
+      { status: 'closed', pnl: '-1000' },
+      { status: 'closed', pnl: '250' }
+    ];
+
+    const stats = calculateStats(trades, 10000);
+
+    expect(stats).toMatchObject({
+      finalBalance: 9750,
+      totalPnL: -250,
+      returnPct: -2.5,
+      tradeCount: 3,
+      wins: 2,
+      losses: 1,
+      avgWin: 375,
+      avgLoss: 1000,
+      profitFactor: 0.75,
+      bestTrade: 500,
+      worstTrade: -1000
+    });
+    // 10500 peak down to 9500
+    expect(stats.maxDrawdown).toBeCloseTo(9.5238, 3);
+  });
+
+  it('should handle a session without trades', () => {
+    const stats = calculateStats([], 5000);
+
+    expect(stats).toMatchObject({ finalBalance: 5000, tradeCount: 0, winRate: 0, profitFactor: null, maxDrawdown: 0 });
+  });
+
+  it('should count swap and what open trades realized', () => {
+    const trades = [
+      { status: 'closed', pnl: '90', swap: '-10' },
+      { status: 'open', realized_pnl: '40', swap: '-2' }
+    ];
+
+    const stats = calculateStats(trades, 1000);
+
+    expect(stats.finalBalance).toBe(1130);
+    expect(stats.swap).toBe(-12);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for trailing stop and break-even rules
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const stopRules = require('../../services/stopRules');
+
+describe('Stop Rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateStopRules', () => {
+    it('should accept trades without rules', () => {
+      expect(stopRules.validateStopRules(undefined, undefined, null)).toBeNull();
+    });
+
+    it('should reject unknown trailing types and non-positive values', () => {
+      expect(stopRules.validateStopRules({ type: 'chandelier', value: 2 })).toBe('Invalid trailing stop type');
+      expect(stopRules.validateStopRules({ type: 'fixed', value: 0 })).toBe('Trailing stop value must be positive');
+    });
+
+    it('should require a stop loss for break-even', () => {
+      expect(stopRules.validateStopRules(null, 1, null)).toBe('Break-even needs a stop loss');
+      expect(stopRules.validateStopRules(null, 1, 49000)).toBeNull();
+    });
+  });
+
+  describe('updateStop', () => {
+    const buyTrade = {
+      trade_type: 'BUY', entry_price: '100', stop_loss: '90', initial_stop_loss: '90',
+      trailing_type: 'fixed', trailing_value: '5', trailing_distance: '5', best_price: null
+    };
+
+    it('should trail a BUY stop below the highest price', () => {
+      expect(stopRules.updateStop(buyTrade, { high: 110, low: 108 }))
+        .toEqual({ stopLoss: 105, reason: 'trailing', bestPrice: 110 });
+    });
+
+    it('should never loosen the stop', () => {
+      const trade = { ...buyTrade, stop_loss: '105', best_price: '110' };
+      expect(stopRules.updateStop(trade, { high: 104, low: 100 }))
+        .toEqual({ stopLoss: 105, reason: null, bestPrice: 110 });
+    });
+
+    it('should trail a SELL stop above the lowest price by percent', () => {
+      const trade = {
+        trade_type: 'SELL', entry_price: '200', stop_loss: '210',
+        trailing_type: 'percent', trailing_value: '2', best_price: null
+      };
+      const result = stopRules.updateStop(trade, { high: 195, low: 190 });
+
+      expect(result.reason).toBe('trailing');
+      expect(result.stopLoss).toBeCloseTo(193.8, 6);
+      expect(result.bestPrice).toBe(190);
+    });
+
+    it('should move the stop to entry once the trade is X R in profit', () => {
+      const trade = {
+        trade_type: 'BUY', entry_price: '100', stop_loss: '90', initial_stop_loss: '90', break_even_r: '1'
+      };
+
+      expect(stopRules.updateStop(trade, { high: 109, low: 105 }).reason).toBeNull();
+      expect(stopRules.updateStop(trade, { high: 110, low: 105 }))
+        .toEqual({ stopLoss: 100, reason: 'break_even', bestPrice: 110 });
+    });
+
+    it('should prefer the trailing level when it is tighter than break-even', () => {
+      const trade = { ...buyTrade, break_even_r: '1' };
+      expect(stopRules.updateStop(trade, { high: 120, low: 118 }))
+        .toEqual({ stopLoss: 115, reason: 'trailing', bestPrice: 120 });
+    });
+  });
+
+  describe('calculateATR', () => {
+    it('should average the true range of the candles before entry', async () => {
+      // Newest first, as returned by the query
+      const candles = [];
+      for (let i = 14; i >= 0; i--) {
+        candles.push({ high: String(100 + i + 2), low: String(100 + i - 2), close: String(100 + i) });
+      }
+      db.query.mockResolvedValueOnce({ rows: candles });
+
+      const atr = await stopRules.calculateATR({ asset: 'BTCUSDT', timeframe: '1h' }, new Date('2024-01-15T00:00:00Z'));
+
+      expect(atr).toBe(4);
+      expect(db.query.mock.calls[0][1][3]).toBe(15);
+    });
+
+    it('should return null without enough history', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ high: '10', low: '9', close: '9.5' }] });
+
+      const atr = await stopRules.calculateATR({ asset: 'BTCUSDT', timeframe: '1h' }, new Date());
+
+      expect(atr).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for overnight swap and funding
+ */
+
+const swap = require('../../services/swap');
+
+describe('Swap', () => {
+  describe('getNextRollover', () => {
+    it('should roll forex over at 22:00 UTC', () => {
+      // Tuesday
+      expect(swap.getNextRollover('EURUSD', new Date('2024-01-16T10:00:00Z')))
+        .toEqual({ time: new Date('2024-01-16T22:00:00Z'), periods: 1 });
+      expect(swap.getNextRollover('EURUSD', new Date('2024-01-16T22:00:00Z')))
+        .toEqual({ time: new Date('2024-01-17T22:00:00Z'), periods: 3 });
+    });
+
+    it('should skip the weekend', () => {
+      // Friday night to Monday night
+      expect(swap.getNextRollover('XAUUSD', new Date('2024-01-19T23:00:00Z')))
+        .toEqual({ time: new Date('2024-01-22T22:00:00Z'), periods: 1 });
+    });
+
+    it('should charge crypto funding every 8 hours', () => {
+      expect(swap.getNextRollover('BTCUSDT', new Date('2024-01-20T09:30:00Z')))
+        .toEqual({ time: new Date('2024-01-20T16:00:00Z'), periods: 1 });
+    });
+
+    it('should have no rollovers for unknown assets or invalid times', () => {
+      expect(swap.getNextRollover('UNKNOWN', new Date())).toBeNull();
+      expect(swap.getNextRollover('BTCUSDT', 'soon')).toBeNull();
+    });
+  });
+
+  describe('getRollovers', () => {
+    it('should list the rollovers in the window', () => {
+      const rollovers = swap.getRollovers('BTCUSDT', '2024-01-20T00:00:00Z', '2024-01-21T00:00:00Z');
+
+      expect(rollovers.map(r => r.time.toISOString())).toEqual([
+        '2024-01-20T08:00:00.000Z',
+        '2024-01-20T16:00:00.000Z',
+        '2024-01-21T00:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('calculateSwap', () => {
+    it('should make longs pay and shorts receive crypto funding', () => {
+      expect(swap.calculateSwap('BTCUSDT', { trade_type: 'BUY', position_size: '2' }, 50000)).toBeCloseTo(-10, 6);
+      expect(swap.calculateSwap('BTCUSDT', { trade_type: 'SELL', position_size: '2' }, 50000)).toBeCloseTo(10, 6);
+    });
+
+    it('should scale with the periods of the rollover', () => {
+      expect(swap.calculateSwap('EURUSD', { trade_type: 'BUY', position_size: '100000' }, 1.1, 3)).toBeCloseTo(-16.5, 6);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for timeframe aggregation
+ */
+
+jest.mock('../../db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../db');
+const { parseTimeframe, bucketStart } = require('../../config/timeframes');
+const { LAST_TICK } = require('../../services/orderEngine');
+const timeframeAggregation = require('../../services/timeframeAggregation');
+
+describe('Timeframe Aggregation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseTimeframe', () => {
+    it('should measure timeframes in seconds', () => {
+      expect(parseTimeframe('30m')).toEqual({ seconds: 1800, alignment: 0 });
+      expect(parseTimeframe('12h').seconds).toBe(43200);
+    });
+
+    it('should open weeks on Monday', () => {
+      // 1970-01-05 was the first Monday after the epoch
+      expect(parseTimeframe('1w')).toEqual({ seconds: 604800, alignment: 345600 });
+    });
+
+    it('should reject anything else', () => {
+      expect(parseTimeframe('1M')).toBeNull();
+      expect(parseTimeframe('0h')).toBeNull();
+      expect(parseTimeframe(undefined)).toBeNull();
+    });
+  });
+
+  describe('bucketStart', () => {
+    it('should find the bucket a time falls into', () => {
+      expect(bucketStart('2024-01-17T13:25:00Z', '4h')).toEqual(new Date('2024-01-17T12:00:00Z'));
+      // 2024-01-17 was a Wednesday
+      expect(bucketStart('2024-01-17T13:25:00Z', '1w')).toEqual(new Date('2024-01-15T00:00:00Z'));
+    });
+  });
+
+  describe('findBaseTimeframe', () => {
+    it('should pick the finest stored timeframe that fits evenly', async () => {
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(params).toEqual(['BTCUSDT', ['5m', '15m', '1h', '4h']]);
+        return Promise.resolve({ rows: [{ timeframe: '1h' }, { timeframe: '15m' }] });
+      });
+
+      expect(await timeframeAggregation.findBaseTimeframe('BTCUSDT', '12h')).toBe('15m');
+    });
+
+    it('should not build from timeframes that do not divide it', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '5m' }] });
+
+      await timeframeAggregation.findBaseTimeframe('BTCUSDT', '1w');
+
+      expect(db.query.mock.calls[0][1][1]).toEqual(['5m', '15m', '1h', '4h', '1d']);
+      expect(await timeframeAggregation.findBaseTimeframe('BTCUSDT', '7m')).toBeNull();
+    });
+  });
+
+  describe('ensureTimeframe', () => {
+    it('should not touch stored timeframes', async () => {
+      expect(await timeframeAggregation.ensureTimeframe('BTCUSDT', '1h')).toBe(true);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should build a derived timeframe once and cache it', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '5m' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ latest: new Date('2024-01-20T00:00:00Z') }] });
+      db.query.mockImplementationOnce((sql, params) => {
+        expect(sql).toContain('INSERT INTO market_data');
+        expect(sql).toContain('ON CONFLICT (asset, timeframe, timestamp) DO UPDATE');
+        // Rebuild from the newest bucket, out of 5m candles
+        expect(params).toEqual(['ETHUSDT', '2h', 7200, 0, '5m', new Date('2024-01-20T00:00:00Z')]);
+        return Promise.resolve({ rows: [] });
+      });
+
+      expect(await timeframeAggregation.ensureTimeframe('ETHUSDT', '2h')).toBe(true);
+      expect(await timeframeAggregation.ensureTimeframe('ETHUSDT', '2h')).toBe(true);
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should share one build between concurrent requests', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ timeframe: '1h' }] });
+      db.query.mockResolvedValueOnce({ rows: [{ latest: null }] });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const results = await Promise.all([
+        timeframeAggregation.ensureTimeframe('SOLUSDT', '12h'),
+        timeframeAggregation.ensureTimeframe('SOLUSDT', '12h')
+      ]);
+
+      expect(results).toEqual([true, true]);
+      expect(db.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should refuse timeframes without a base', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await timeframeAggregation.ensureTimeframe('XAUUSD', '30m')).toBe(false);
+      expect(await timeframeAggregation.ensureTimeframe('XAUUSD', 'weekly')).toBe(false);
+    });
+  });
+
+  describe('loadHigherTimeframe', () => {
+    const session = { asset: 'BTCUSDT', timeframe: '5m' };
+
+    it('should form the current candle from what the replay has revealed', async () => {
+      db.query.mockImplementationOnce((sql, params) => {
+        // Only candles before the position are aggregated
+        expect(sql).toContain('timestamp < $6');
+        expect(params).toEqual([
+          'BTCUSDT', '5m', 3600, 0, new Date('2024-01-15T09:00:00Z'), new Date('2024-01-15T10:20:00Z')
+        ]);
+        return Promise.resolve({
+          rows: [
+            { timestamp: new Date('2024-01-15T09:00:00Z'), open: '100', high: '120', low: '95', close: '110', volume: '50' },
+            { timestamp: new Date('2024-01-15T10:00:00Z'), open: '110', high: '115', low: '105', close: '112', volume: '20' }
+          ]
+        });
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: '112', high: '118', low: '111', close: '117' }] });
+
+      const candles = await timeframeAggregation.loadHigherTimeframe(
+        session, '1h', { candleTime: new Date('2024-01-15T10:20:00Z'), tickIndex: 3 }, 2
+      );
+
+      expect(candles).toEqual([
+        expect.objectContaining({ close: 110, forming: false }),
+        {
+          timestamp: new Date('2024-01-15T10:00:00Z'),
+          open: 110, high: 118, low: 105, close: 117, volume: null, forming: true
+        }
+      ]);
+    });
+
+    it('should open a new candle at the start of a bucket', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ timestamp: new Date('2024-01-15T09:00:00Z'), open: '100', high: '120', low: '95', close: '110', volume: '50' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: '110', high: '111', low: '108', close: '109', volume: '4' }] });
+
+      const candles = await timeframeAggregation.loadHigherTimeframe(
+        session, '1h', { candleTime: new Date('2024-01-15T10:00:00Z'), tickIndex: LAST_TICK }
+      );
+
+      expect(candles[1]).toMatchObject({ open: 110, close: 109, volume: 4, forming: true });
+    });
+
+    it('should complete the candle once its last base candle is revealed', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ timestamp: new Date('2024-01-15T10:00:00Z'), open: '110', high: '120', low: '105', close: '112', volume: '20' }]
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ open: '112', high: '113', low: '100', close: '101', volume: '2' }] });
+
+      const candles = await timeframeAggregation.loadHigherTimeframe(
+        session, '1h', { candleTime: new Date('2024-01-15T10:55:00Z'), tickIndex: LAST_TICK }
+      );
+
+      expect(candles).toEqual([expect.objectContaining({ low: 100, close: 101, volume: 22, forming: false })]);
+    });
+  });
+});
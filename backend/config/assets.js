@@ -0,0 +1,97 @@
+/**
+ * Asset configuration
+ *
+ * Asset classes follow the categories of ASSET_CONFIG in the frontend store.
+ * Margin rates are fractions of the position's notional value: the initial
+ * rate caps the leverage a session can use, the maintenance rate is the
+ * equity a position needs to stay open before it is liquidated.
+ * Cost models describe the commission, spread and slippage of each class,
+ * carry models the swap or funding paid on positions held over time.
+ * Pip sizes match the pipValue of ASSET_CONFIG, so stops set in pips land
+ * where the order panel shows them.
+ */
+
+const ASSET_CATEGORIES = {
+  BTCUSDT: 'crypto',
+  ETHUSDT: 'crypto',
+  SOLUSDT: 'crypto',
+  XAUUSD: 'commodities',
+  XAGUSD: 'commodities',
+  WTIUSD: 'commodities',
+  EURUSD: 'forex',
+  GBPUSD: 'forex',
+  USDJPY: 'forex',
+  AUDUSD: 'forex',
+  USDCAD: 'forex',
+  USDCHF: 'forex',
+};
+
+// Smallest quoted price step of each asset
+const PIP_SIZES = {
+  XAGUSD: 0.001,
+  EURUSD: 0.0001,
+  GBPUSD: 0.0001,
+  USDJPY: 0.01,
+  AUDUSD: 0.0001,
+  USDCAD: 0.0001,
+  USDCHF: 0.0001,
+};
+const DEFAULT_PIP_SIZE = 0.01;
+
+const MARGIN_REQUIREMENTS = {
+  crypto: { initial: 0.02, maintenance: 0.01 }, // up to 50:1
+  commodities: { initial: 0.05, maintenance: 0.025 }, // up to 20:1
+  forex: { initial: 0.01, maintenance: 0.005 }, // up to 100:1
+  unknown: { initial: 1, maintenance: 0.5 }, // cash only
+};
+
+// Trading costs per asset class. Commission is charged on every fill, either a
+// fixed amount per fill or a percent of the fill's notional. The spread is the
+// full bid/ask width as a fraction of price - each fill crosses half of it.
+// Stop fills also slip by a fraction of the candle's high-low range. These are
+// the defaults; a session can set its own costs for any of its assets.
+const COST_MODELS = {
+  crypto: { commission: { type: 'percent', value: 0.1 }, spread: 0.0002, slippage: 0.05 },
+  commodities: { commission: { type: 'fixed', value: 2.5 }, spread: 0.0003, slippage: 0.05 },
+  forex: { commission: { type: 'fixed', value: 3.5 }, spread: 0.00008, slippage: 0.1 },
+  unknown: { commission: { type: 'fixed', value: 0 }, spread: 0, slippage: 0 }, // no data, no costs
+};
+
+// Carry of positions held over time, as a fraction of notional per period
+// (negative is paid, positive is received). Forex and commodities pay swap at
+// the 22:00 UTC rollover on weekdays, with Wednesday carrying the weekend;
+// crypto perpetuals pay funding every 8 hours, longs to shorts.
+const CARRY_MODELS = {
+  crypto: { type: 'funding', intervalHours: 8, long: -0.0001, short: 0.0001 },
+  commodities: { type: 'swap', rolloverHour: 22, long: -0.0001, short: -0.00005 },
+  forex: { type: 'swap', rolloverHour: 22, long: -0.00005, short: -0.00003 },
+  unknown: null,
+};
+
+const getAssetCategory = (asset) => ASSET_CATEGORIES[asset] || 'unknown';
+
+const getPipSize = (asset) => PIP_SIZES[asset] || DEFAULT_PIP_SIZE;
+
+// A session's cost models ({ [asset]: { commission, spread, slippage } }) replace the defaults field by field
+const getCostModel = (asset, overrides = null) => ({ ...COST_MODELS[getAssetCategory(asset)], ...overrides?.[asset] });
+
+const getCarryModel = (asset) => CARRY_MODELS[getAssetCategory(asset)];
+
+const getMarginRequirements = (asset) => MARGIN_REQUIREMENTS[getAssetCategory(asset)];
+
+// Highest leverage a session on this asset may use
+const getMaxLeverage = (asset) => Math.round(1 / getMarginRequirements(asset).initial);
+
+module.exports = {
+  ASSET_CATEGORIES,
+  MARGIN_REQUIREMENTS,
+  COST_MODELS,
+  CARRY_MODELS,
+  PIP_SIZES,
+  getAssetCategory,
+  getPipSize,
+  getMarginRequirements,
+  getCostModel,
+  getCarryModel,
+  getMaxLeverage,
+};
@@ -0,0 +1,60 @@
+/**
+ * Hotkey configuration
+ *
+ * The keyboard shortcuts of the trading screen and their default keys. A key
+ * is written as the modifiers (Ctrl, Alt, Shift, Meta, in that order) and the
+ * physical key, e.g. "Shift+ArrowRight" or "Shift+/". Alt with a digit is
+ * taken by the order templates. Must match the frontend's hotkeys module.
+ */
+
+const DEFAULT_HOTKEYS = {
+  playPause: 'Space',
+  stepTick: 'ArrowRight',
+  stepCandle: 'Shift+ArrowRight',
+  speedUp: 'ArrowUp',
+  speedDown: 'ArrowDown',
+  buy: 'B',
+  sell: 'S',
+  closeAll: 'Shift+X',
+  reverse: 'R',
+  showHelp: 'Shift+/',
+};
+
+const HOTKEY_ACTIONS = Object.keys(DEFAULT_HOTKEYS);
+
+const KEY_PATTERN = /^(Ctrl\+)?(Alt\+)?(Shift\+)?(Meta\+)?([A-Z0-9]|F([1-9]|1[0-2])|Space|Enter|Arrow(Up|Down|Left|Right)|[-=[\]\\;',./`])$/;
+const TEMPLATE_KEY_PATTERN = /^Alt\+[1-9]$/;
+
+/**
+ * Check saved hotkeys. Every action gets a key or null for none, actions left
+ * out keep their default. Returns { hotkeys } or { error }.
+ */
+function normalizeHotkeys(bindings) {
+  if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+    return { error: 'Hotkeys must be an object' };
+  }
+
+  const unknown = Object.keys(bindings).find(action => !HOTKEY_ACTIONS.includes(action));
+  if (unknown) return { error: `Unknown hotkey action: ${unknown}` };
+
+  const hotkeys = {};
+  const usedBy = {};
+  for (const action of HOTKEY_ACTIONS) {
+    const key = action in bindings ? bindings[action] : DEFAULT_HOTKEYS[action];
+    if (key !== null) {
+      if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return { error: `Invalid key for ${action}` };
+      if (TEMPLATE_KEY_PATTERN.test(key)) return { error: `${key} is used by the order templates` };
+      if (usedBy[key]) return { error: `${usedBy[key]} and ${action} both use ${key}` };
+      usedBy[key] = action;
+    }
+    hotkeys[action] = key;
+  }
+
+  return { hotkeys };
+}
+
+module.exports = {
+  DEFAULT_HOTKEYS,
+  HOTKEY_ACTIONS,
+  normalizeHotkeys,
+};
@@ -0,0 +1,76 @@
+/**
+ * Indicator configuration
+ *
+ * The indicators the chart can draw, with the parameters each one takes. The
+ * calculations live in the frontend's indicators module; the server only
+ * checks the choices a user saves. Every parameter is a positive number -
+ * periods, lengths and the Bollinger band width.
+ */
+
+const INDICATOR_PARAMS = {
+  sma: ['period'],
+  ema: ['period'],
+  vwap: [],
+  bollinger: ['period', 'stdDev'],
+  rsi: ['period'],
+  macd: ['fast', 'slow', 'signal'],
+  atr: ['period'],
+  stochastic: ['kPeriod', 'dPeriod'],
+  volume: [],
+};
+
+// Drawn on the price chart or in a pane of its own below it
+const PLACEMENTS = ['overlay', 'pane'];
+
+const MAX_INDICATORS = 12;
+const MAX_PARAM_VALUE = 500;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check a saved indicator list and strip anything the chart does not read.
+ * Returns { indicators } or { error }.
+ */
+function normalizeIndicators(list) {
+  if (!Array.isArray(list)) return { error: 'Indicators must be a list' };
+  if (list.length > MAX_INDICATORS) return { error: `At most ${MAX_INDICATORS} indicators can be saved` };
+
+  const indicators = [];
+  for (const item of list) {
+    const paramNames = INDICATOR_PARAMS[item?.type];
+    if (!paramNames) return { error: `Unknown indicator: ${item?.type}` };
+
+    if (typeof item.id !== 'string' || item.id.length === 0 || item.id.length > 40) {
+      return { error: 'Every indicator needs an id' };
+    }
+
+    if (!PLACEMENTS.includes(item.placement)) {
+      return { error: 'Placement must be overlay or pane' };
+    }
+
+    const params = {};
+    for (const name of paramNames) {
+      const value = Number(item.params?.[name]);
+      if (!Number.isFinite(value) || value <= 0 || value > MAX_PARAM_VALUE) {
+        return { error: `Invalid ${name} for ${item.type}` };
+      }
+      params[name] = value;
+    }
+
+    const indicator = { id: item.id, type: item.type, params, placement: item.placement };
+    if (item.color !== undefined && item.color !== null) {
+      if (!COLOR_PATTERN.test(item.color)) return { error: 'Invalid indicator color' };
+      indicator.color = item.color;
+    }
+    indicators.push(indicator);
+  }
+
+  return { indicators };
+}
+
+module.exports = {
+  INDICATOR_PARAMS,
+  PLACEMENTS,
+  MAX_INDICATORS,
+  normalizeIndicators,
+};
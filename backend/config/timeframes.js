@@ -0,0 +1,58 @@
+/**
+ * Timeframe configuration
+ *
+ * Stored timeframes are the ones the fetch scripts ingest into market_data.
+ * Derived timeframes are aggregated from the finest stored resolution of an
+ * asset when they are first requested. Any whole number of minutes, hours,
+ * days or weeks can be derived; the derived list is what the setup screen
+ * offers. Buckets are aligned to the Unix epoch, except weeks, which open on
+ * Monday 00:00 UTC.
+ */
+
+const STORED_TIMEFRAMES = ['5m', '15m', '1h', '4h', '1d'];
+const DERIVED_TIMEFRAMES = ['30m', '2h', '12h', '1w'];
+
+const UNIT_SECONDS = { m: 60, h: 3600, d: 86400, w: 604800 };
+
+// The epoch fell on a Thursday - weeks start four days later
+const WEEK_ALIGNMENT_SECONDS = 4 * 86400;
+
+// Length and bucket alignment of a timeframe such as '30m' or '1w', null when it is not one
+function parseTimeframe(timeframe) {
+  const match = /^([1-9]\d*)([mhdw])$/.exec(timeframe || '');
+  if (!match) return null;
+
+  return {
+    seconds: parseInt(match[1], 10) * UNIT_SECONDS[match[2]],
+    alignment: match[2] === 'w' ? WEEK_ALIGNMENT_SECONDS : 0
+  };
+}
+
+const isStoredTimeframe = (timeframe) => STORED_TIMEFRAMES.includes(timeframe);
+
+// Whether every bucket of `timeframe` is made of whole buckets of the shorter `baseTimeframe`
+function fitsEvenly(baseTimeframe, timeframe) {
+  const base = parseTimeframe(baseTimeframe);
+  const target = parseTimeframe(timeframe);
+  if (!base || !target) return false;
+
+  return base.seconds < target.seconds
+    && target.seconds % base.seconds === 0
+    && (target.alignment - base.alignment) % base.seconds === 0;
+}
+
+// Open time of the bucket a time falls into
+function bucketStart(time, timeframe) {
+  const { seconds, alignment } = parseTimeframe(timeframe);
+  const epochSeconds = new Date(time).getTime() / 1000;
+  return new Date((Math.floor((epochSeconds - alignment) / seconds) * seconds + alignment) * 1000);
+}
+
+module.exports = {
+  STORED_TIMEFRAMES,
+  DERIVED_TIMEFRAMES,
+  parseTimeframe,
+  isStoredTimeframe,
+  fitsEvenly,
+  bucketStart,
+};
@@ -19,7 +19,47 @@ CREATE TABLE IF NOT EXISTS sessions (
   start_date TIMESTAMP NOT NULL,
   initial_balance DECIMAL(20, 2) DEFAULT 10000,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  status VARCHAR(20) DEFAULT 'active'
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'paused', 'ended'
+  paused_at TIMESTAMP,
+  ended_at TIMESTAMP,
+  leverage DECIMAL(10, 2) DEFAULT 1, -- capped per asset class by the initial margin rate
+  -- Replay position the order engine has evaluated open positions up to
+  engine_candle_time TIMESTAMP,
+  engine_tick_index INTEGER,
+  -- Where the user stopped watching the replay (NULL tick index = whole candle shown)
+  cursor_candle_time TIMESTAMP,
+  cursor_tick_index INTEGER,
+  -- Strict replay: the server only reveals data up to the cursor (required for scored sessions)
+  strict_replay BOOLEAN DEFAULT FALSE,
+  scored BOOLEAN DEFAULT FALSE,
+  -- Every asset replayed in the session; asset is the one that drives the replay clock
+  assets TEXT[],
+  branch INTEGER DEFAULT 1, -- number of the live branch, one more after every rewind
+  -- Blind mode: the client shows prices times the factor and times moved by the
+  -- offset (milliseconds), with the asset hidden, until the session ends
+  blind_mode BOOLEAN DEFAULT FALSE,
+  blind_price_factor DECIMAL(12, 6),
+  blind_time_offset BIGINT,
+  -- Trading costs that replace the asset class defaults, per asset:
+  -- { "EURUSD": { "commission": { "type": "fixed", "value": 2 }, "spread": 0.0001, "slippage": 0.05 } }
+  cost_models JSONB
+);
+
+-- History a session left behind when it was rewound. The trades and orders made
+-- after the rewind point are detached from the session and kept under the branch.
+CREATE TABLE IF NOT EXISTS session_branches (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+  branch INTEGER NOT NULL, -- the session's branch number while it was live
+  -- Replay position the session was rewound to (NULL tick index = whole candle)
+  rewind_candle_time TIMESTAMP NOT NULL,
+  rewind_tick_index INTEGER,
+  -- How far the branch had been played when it was left
+  left_candle_time TIMESTAMP NOT NULL,
+  left_tick_index INTEGER,
+  summary JSONB NOT NULL, -- session stats of the branch, open positions closed when it was left
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(session_id, branch)
 );
 
 -- Trades table
@@ -32,11 +72,122 @@ CREATE TABLE IF NOT EXISTS trades (
   position_size DECIMAL(20, 8) NOT NULL,
   stop_loss DECIMAL(20, 8),
   take_profit DECIMAL(20, 8),
-  entry_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  exit_time TIMESTAMP,
-  exit_reason VARCHAR(50), -- 'manual', 'stop_loss', 'take_profit'
+  entry_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- replay time of the entry tick
+  exit_time TIMESTAMP, -- replay time of the exit tick
+  exit_reason VARCHAR(50), -- 'manual', 'stop_loss', 'take_profit', 'liquidation', 'session_end', 'rewind'
   pnl DECIMAL(20, 8),
-  status VARCHAR(20) DEFAULT 'open' -- 'open', 'closed'
+  status VARCHAR(20) DEFAULT 'open', -- 'open', 'closed'
+  asset VARCHAR(20), -- symbol traded, NULL for the session's asset
+  -- Stop management rules, applied by the order engine on every tick
+  initial_stop_loss DECIMAL(20, 8),
+  trailing_type VARCHAR(10), -- 'fixed', 'percent', 'atr'
+  trailing_value DECIMAL(20, 8), -- distance, percent or ATR multiple
+  trailing_distance DECIMAL(20, 8), -- resolved distance for 'fixed' and 'atr'
+  break_even_r DECIMAL(10, 4), -- move the stop to entry once price is this many R in profit
+  best_price DECIMAL(20, 8), -- most favourable price seen since entry
+  -- entry_price is the average entry and position_size what is still open;
+  -- realized_pnl holds the PnL of partial exits, costs and swap booked so far
+  realized_pnl DECIMAL(20, 8) DEFAULT 0,
+  -- Trading costs of all fills; pnl is net of them
+  commission DECIMAL(20, 8) DEFAULT 0,
+  spread_cost DECIMAL(20, 8) DEFAULT 0,
+  slippage_cost DECIMAL(20, 8) DEFAULT 0,
+  -- Overnight swap / funding accrued so far (negative when paid) and the last rollover charged
+  swap DECIMAL(20, 8) DEFAULT 0,
+  swap_accrued_through TIMESTAMP,
+  -- Archived with a branch the session was rewound from; session_id is then NULL
+  branch_id INTEGER REFERENCES session_branches(id) ON DELETE CASCADE
+);
+
+-- Every entry and exit of a trade - scaling in, partial and final exits
+CREATE TABLE IF NOT EXISTS trade_fills (
+  id SERIAL PRIMARY KEY,
+  trade_id INTEGER REFERENCES trades(id) ON DELETE CASCADE,
+  fill_type VARCHAR(10) NOT NULL, -- 'entry' or 'exit'
+  price DECIMAL(20, 8) NOT NULL,
+  quantity DECIMAL(20, 8) NOT NULL,
+  pnl DECIMAL(20, 8), -- realized PnL of an exit fill
+  reason VARCHAR(50), -- exit reason, as on trades
+  filled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP -- replay time of the fill
+);
+
+-- Every automatic or manual move of a trade's stop loss
+CREATE TABLE IF NOT EXISTS stop_history (
+  id SERIAL PRIMARY KEY,
+  trade_id INTEGER REFERENCES trades(id) ON DELETE CASCADE,
+  stop_loss DECIMAL(20, 8) NOT NULL,
+  reason VARCHAR(20) NOT NULL, -- 'trailing', 'break_even', 'manual'
+  moved_at TIMESTAMP NOT NULL -- replay time of the tick that moved the stop
+);
+
+-- Audit trail of manual stop loss and take profit changes
+CREATE TABLE IF NOT EXISTS trade_modifications (
+  id SERIAL PRIMARY KEY,
+  trade_id INTEGER REFERENCES trades(id) ON DELETE CASCADE,
+  field VARCHAR(20) NOT NULL, -- 'stop_loss' or 'take_profit'
+  old_value DECIMAL(20, 8), -- NULL when there was none
+  new_value DECIMAL(20, 8), -- NULL when it was removed
+  price DECIMAL(20, 8), -- market price at the replay position of the change
+  modified_at TIMESTAMP NOT NULL, -- replay time of the change
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pending entry orders (limit / stop), filled by the order engine
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+  side VARCHAR(10) NOT NULL, -- 'BUY' or 'SELL'
+  order_type VARCHAR(10) NOT NULL, -- 'LIMIT' or 'STOP'
+  trigger_price DECIMAL(20, 8) NOT NULL,
+  position_size DECIMAL(20, 8) NOT NULL,
+  stop_loss DECIMAL(20, 8),
+  take_profit DECIMAL(20, 8),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- replay time the order was placed
+  filled_at TIMESTAMP, -- replay time of the fill
+  cancelled_at TIMESTAMP,
+  trade_id INTEGER REFERENCES trades(id) ON DELETE SET NULL,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'filled', 'cancelled'
+  asset VARCHAR(20), -- symbol to fill on, NULL for the session's asset
+  -- Stop loss and take profit placed relative to the fill price: { stopLoss, takeProfit, atr }
+  bracket JSONB,
+  -- Archived with a branch the session was rewound from; session_id is then NULL
+  branch_id INTEGER REFERENCES session_branches(id) ON DELETE CASCADE
+);
+
+-- Chart drawings, anchored to candle time and price
+CREATE TABLE IF NOT EXISTS drawings (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+  asset VARCHAR(20) NOT NULL, -- chart the drawing belongs to
+  tool VARCHAR(20) NOT NULL, -- 'trendline', 'horizontal', 'rectangle', 'fibonacci' or 'text'
+  points JSONB NOT NULL, -- [{ time, price }]
+  text TEXT,
+  color VARCHAR(7),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-user settings
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- Chart indicators: [{ id, type, params, placement, color }]
+  indicators JSONB NOT NULL DEFAULT '[]',
+  -- Keyboard shortcuts: { action: key }, NULL until first changed
+  hotkeys JSONB,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved order templates: a risk and a bracket applied to new orders in one click
+CREATE TABLE IF NOT EXISTS order_templates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(60) NOT NULL,
+  risk_mode VARCHAR(10), -- 'percent' of balance or 'fixed' dollars, NULL to size by hand
+  risk_value DECIMAL(20, 8),
+  bracket JSONB NOT NULL, -- { stopLoss: { type, value }, takeProfit: { type, value } }
+  hotkey VARCHAR(1), -- digit selecting the template with Alt, NULL for none
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Market data table (candles)
@@ -80,11 +231,63 @@ CREATE INDEX IF NOT EXISTS idx_market_data_lookup ON market_data(asset, timefram
 CREATE INDEX IF NOT EXISTS idx_candle_ticks_lookup ON candle_ticks(asset, timeframe, candle_timestamp, tick_index);
 CREATE INDEX IF NOT EXISTS idx_trades_session ON trades(session_id, status);
 CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_session ON orders(session_id, status);
+CREATE INDEX IF NOT EXISTS idx_stop_history_trade ON stop_history(trade_id, moved_at);
+CREATE INDEX IF NOT EXISTS idx_trade_fills_trade ON trade_fills(trade_id, filled_at);
+CREATE INDEX IF NOT EXISTS idx_drawings_session ON drawings(session_id);
+CREATE INDEX IF NOT EXISTS idx_trade_modifications_trade ON trade_modifications(trade_id, modified_at);
+CREATE INDEX IF NOT EXISTS idx_order_templates_user ON order_templates(user_id);
+
+-- Upgrades for databases created from an earlier version of this schema
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS engine_candle_time TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS engine_tick_index INTEGER;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS leverage DECIMAL(10, 2) DEFAULT 1;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cursor_candle_time TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cursor_tick_index INTEGER;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS strict_replay BOOLEAN DEFAULT FALSE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS scored BOOLEAN DEFAULT FALSE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS assets TEXT[];
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS branch INTEGER DEFAULT 1;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS blind_mode BOOLEAN DEFAULT FALSE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS blind_price_factor DECIMAL(12, 6);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS blind_time_offset BIGINT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cost_models JSONB;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS initial_stop_loss DECIMAL(20, 8);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS trailing_type VARCHAR(10);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS trailing_value DECIMAL(20, 8);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS trailing_distance DECIMAL(20, 8);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS break_even_r DECIMAL(10, 4);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS best_price DECIMAL(20, 8);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(20, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS commission DECIMAL(20, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS spread_cost DECIMAL(20, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS slippage_cost DECIMAL(20, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS swap DECIMAL(20, 8) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS swap_accrued_through TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS asset VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS asset VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS bracket JSONB;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS hotkeys JSONB;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS branch_id INTEGER REFERENCES session_branches(id) ON DELETE CASCADE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS branch_id INTEGER REFERENCES session_branches(id) ON DELETE CASCADE;
+
+-- Indexes on columns the upgrades above may have just added
+CREATE INDEX IF NOT EXISTS idx_trades_branch ON trades(branch_id);
 
 -- Enable RLS (Row Level Security) for Supabase
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE trades ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stop_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE trade_fills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE drawings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE trade_modifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_branches ENABLE ROW LEVEL SECURITY;
 
 -- Note: Market data and candle_ticks are read-only for users
 -- They can be populated by admin/scripts only
@@ -5,6 +5,7 @@ module.exports = {
   collectCoverageFrom: [
     'routes/**/*.js',
     'middleware/**/*.js',
+    'services/**/*.js',
     '!**/node_modules/**'
   ],
   testMatch: ['**/__tests__/**/*.test.js'],
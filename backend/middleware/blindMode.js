@@ -0,0 +1,64 @@
+const db = require('../db');
+const blindMode = require('../services/blindMode');
+
+/**
+ * Blind sessions at the API boundary
+ *
+ * A request about an active blind session is unmasked before the routes see
+ * it and its JSON response, errors included, is masked on the way out. The
+ * session is found by the id in the path, the sessionId in the query or body,
+ * or the trade, order or drawing the path names. Other requests pass through.
+ */
+
+const SESSION_PATH = /^\/(?:sessions|trades\/session|orders\/session|drawings\/session)\/(\d+)(?:\/|$)/;
+const ROW_PATH = /^\/(trades|orders|drawings)\/(\d+)(?:\/|$)/;
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+async function findSession(req) {
+  const sessionId = req.path.match(SESSION_PATH)?.[1] ?? req.query.sessionId ?? req.body?.sessionId;
+  if (sessionId !== undefined) {
+    if (!isId(sessionId)) return null;
+    const result = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    return result.rows[0] || null;
+  }
+
+  const row = req.path.match(ROW_PATH);
+  if (!row) return null;
+
+  // The table comes from ROW_PATH, never from the client
+  const result = await db.query(`
+    SELECT s.* FROM sessions s
+    JOIN ${row[1]} r ON r.session_id = s.id
+    WHERE r.id = $1
+  `, [row[2]]);
+  return result.rows[0] || null;
+}
+
+module.exports = async function(req, res, next) {
+  let key;
+  try {
+    key = blindMode.activeKeyOf(await findSession(req));
+  } catch (error) {
+    console.error('Blind mode error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  if (!key) return next();
+
+  if (req.body) {
+    req.body = blindMode.unmaskData(key, req.body);
+  }
+  // req.query is a getter in Express 5, so the unmasked copy shadows it
+  Object.defineProperty(req, 'query', {
+    value: blindMode.unmaskData(key, req.query),
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(blindMode.maskData(key, body));
+
+  next();
+};
@@ -0,0 +1,171 @@
+const express = require('express');
+const db = require('../db');
+const orderEngine = require('../services/orderEngine');
+// AUTH DISABLED FOR TESTING
+// const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Number of time/price anchors each drawing tool takes
+const TOOL_POINTS = {
+  trendline: 2,
+  horizontal: 1,
+  rectangle: 2,
+  fibonacci: 2,
+  text: 1,
+};
+
+const MAX_TEXT_LENGTH = 500;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// [{ time, price }] with a valid timestamp and a positive price for every anchor, null otherwise
+const parsePoints = (points, count) => {
+  if (!Array.isArray(points) || points.length !== count) return null;
+
+  const parsed = points.map(point => ({
+    time: new Date(point?.time),
+    price: parseFloat(point?.price)
+  }));
+  if (parsed.some(p => Number.isNaN(p.time.getTime()) || !Number.isFinite(p.price) || p.price <= 0)) {
+    return null;
+  }
+
+  return parsed.map(p => ({ time: p.time.toISOString(), price: p.price }));
+};
+
+// Check the text and color of a drawing, returning the first problem
+const validateStyle = (text, color) => {
+  if (text !== null && (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH)) {
+    return `Text must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  if (color !== null && !COLOR_PATTERN.test(color)) {
+    return 'Invalid drawing color';
+  }
+  return null;
+};
+
+router.post('/', async (req, res) => {
+  try {
+    const { sessionId, tool, points, text = null, color = null, asset } = req.body;
+
+    const pointCount = TOOL_POINTS[tool];
+    if (!pointCount) {
+      return res.status(400).json({ error: 'Invalid drawing tool' });
+    }
+
+    const anchors = parsePoints(points, pointCount);
+    if (!anchors) {
+      return res.status(400).json({ error: `A ${tool} needs ${pointCount} time/price point${pointCount > 1 ? 's' : ''}` });
+    }
+
+    if (tool === 'text' && !(typeof text === 'string' && text.trim())) {
+      return res.status(400).json({ error: 'A text note needs text' });
+    }
+
+    const styleError = validateStyle(text, color);
+    if (styleError) {
+      return res.status(400).json({ error: styleError });
+    }
+
+    // AUTH DISABLED - skip user check
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Drawings on another asset of a multi-asset session only show on that asset's chart
+    const drawingAsset = asset || session.rows[0].asset;
+    if (!orderEngine.getSessionAssets(session.rows[0]).includes(drawingAsset)) {
+      return res.status(400).json({ error: 'Asset is not part of this session' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO drawings (session_id, asset, tool, points, text, color)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [sessionId, drawingAsset, tool, JSON.stringify(anchors), text, color]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Create drawing error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM drawings WHERE session_id = $1 ORDER BY created_at ASC, id ASC',
+      [sessionId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get drawings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move or restyle a drawing - fields left out of the body keep their current value
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const drawing = await db.query('SELECT * FROM drawings WHERE id = $1', [id]);
+    if (drawing.rows.length === 0) {
+      return res.status(404).json({ error: 'Drawing not found' });
+    }
+
+    const current = drawing.rows[0];
+    let points = current.points;
+    if ('points' in req.body) {
+      points = parsePoints(req.body.points, TOOL_POINTS[current.tool]);
+      if (!points) {
+        return res.status(400).json({ error: 'Invalid drawing points' });
+      }
+    }
+
+    const text = 'text' in req.body ? req.body.text || null : current.text;
+    const color = 'color' in req.body ? req.body.color || null : current.color;
+    if (current.tool === 'text' && !(text && text.trim())) {
+      return res.status(400).json({ error: 'A text note needs text' });
+    }
+
+    const styleError = validateStyle(text, color);
+    if (styleError) {
+      return res.status(400).json({ error: styleError });
+    }
+
+    const result = await db.query(`
+      UPDATE drawings
+      SET points = $1, text = $2, color = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [JSON.stringify(points), text, color, id]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update drawing error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query('DELETE FROM drawings WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Drawing not found' });
+    }
+
+    res.json({ id: result.rows[0].id });
+  } catch (error) {
+    console.error('Delete drawing error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const db = require('../db');
+const orderEngine = require('../services/orderEngine');
+const margin = require('../services/margin');
+const stopRules = require('../services/stopRules');
+const brackets = require('../services/brackets');
+const replayCursor = require('../services/replayCursor');
+// AUTH DISABLED FOR TESTING
+// const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+const SIDES = ['BUY', 'SELL'];
+const ORDER_TYPES = ['LIMIT', 'STOP'];
+
+const isPositive = (value) => Number.isFinite(parseFloat(value)) && parseFloat(value) > 0;
+
+// A trigger on the wrong side of the replay price would fill on the next tick at a price the market never offered
+const checkTriggerSide = async (session, position, asset, side, orderType, triggerPrice) => {
+  const currentPrice = await orderEngine.getReplayPrice(session, position, asset);
+  if (currentPrice === null) return null;
+
+  const required = orderEngine.triggerSide(side, orderType);
+  const trigger = parseFloat(triggerPrice);
+  if (required === 'below' ? trigger <= currentPrice : trigger >= currentPrice) return null;
+
+  return { error: `A ${side} ${orderType} trigger must be at or ${required} the current price`, currentPrice };
+};
+
+// Run the engine up to the replay position so an order is not changed after it already filled.
+// `ahead` is set when a strict replay session has not revealed that position yet.
+const syncOrderSession = async (order, position) => {
+  const session = await db.query('SELECT * FROM sessions WHERE id = $1', [order.session_id]);
+  if (session.rows.length === 0) {
+    return { session: null, filledOrders: [] };
+  }
+
+  if (!replayCursor.isRevealed(session.rows[0], position)) {
+    return { session: session.rows[0], filledOrders: [], ahead: true };
+  }
+
+  const { filledOrders } = await orderEngine.syncSession(session.rows[0], position);
+  return { session: session.rows[0], filledOrders };
+};
+
+router.post('/', async (req, res) => {
+  try {
+    const {
+      sessionId, side, orderType, triggerPrice, positionSize, stopLoss, takeProfit, replayPosition, asset
+    } = req.body;
+
+    if (!SIDES.includes(side) || !ORDER_TYPES.includes(orderType)) {
+      return res.status(400).json({ error: 'Invalid order side or type' });
+    }
+
+    if (!isPositive(triggerPrice) || !isPositive(positionSize)) {
+      return res.status(400).json({ error: 'Trigger price and position size must be positive' });
+    }
+
+    // The trade opens at the trigger, so its stop and target are placed around it
+    const levelError = stopRules.validateLevelSides(side, parseFloat(triggerPrice), stopLoss, takeProfit, 'the trigger price');
+    if (levelError) {
+      return res.status(400).json({ error: levelError });
+    }
+
+    // A bracket is resolved against the fill price when the order fills
+    let bracket = null;
+    if (req.body.bracket) {
+      const normalized = brackets.normalizeBracket(req.body.bracket);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      bracket = normalized.bracket;
+    }
+
+    // Orders rest from the moment they were placed in the replay
+    const position = orderEngine.parseReplayPosition(replayPosition);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    const orderAsset = asset || session.rows[0].asset;
+    if (!orderEngine.getSessionAssets(session.rows[0]).includes(orderAsset)) {
+      return res.status(400).json({ error: 'Asset is not part of this session' });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    // Evaluate everything up to now first, so the new order only sees later ticks
+    await orderEngine.syncSession(session.rows[0], position);
+    const createdAt = await orderEngine.getReplayTime(session.rows[0], position);
+
+    const wrongSide = await checkTriggerSide(session.rows[0], position, orderAsset, side, orderType, triggerPrice);
+    if (wrongSide) {
+      return res.status(400).json(wrongSide);
+    }
+
+    // The engine fills orders bar by bar without the candle history, so the ATR is taken now
+    if (brackets.needsATR(bracket)) {
+      bracket.atr = await stopRules.calculateATR({ ...session.rows[0], asset: orderAsset }, position.candleTime);
+      if (!bracket.atr) {
+        return res.status(400).json({ error: 'Not enough history to calculate ATR' });
+      }
+    }
+
+    // Margin is reserved when the order fills, but an order that could never fill is rejected now
+    const marks = await orderEngine.getReplayMarks(session.rows[0], position, orderAsset);
+    const marginCheck = await margin.checkMargin(session.rows[0], triggerPrice, positionSize, orderAsset, marks);
+    if (!marginCheck.allowed) {
+      return res.status(400).json({
+        error: 'Insufficient margin',
+        requiredMargin: marginCheck.required,
+        freeMargin: marginCheck.freeMargin
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO orders
+      (session_id, side, order_type, trigger_price, position_size, stop_loss, take_profit, created_at, status, asset,
+       bracket)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', $9, $10)
+      RETURNING *
+    `, [sessionId, side, orderType, triggerPrice, positionSize,
+      bracket ? null : stopLoss || null, bracket ? null : takeProfit || null, createdAt,
+      orderAsset, bracket && JSON.stringify(bracket)]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Place order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM orders WHERE session_id = $1 ORDER BY created_at DESC',
+      [sessionId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Modify a pending order - fields left out of the body keep their current value
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { replayPosition } = req.body;
+
+    const order = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+    if (order.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.rows[0].status !== 'pending') {
+      return res.status(409).json({ error: 'Order is no longer pending', order: order.rows[0] });
+    }
+
+    const current = order.rows[0];
+    const triggerPrice = req.body.triggerPrice ?? current.trigger_price;
+    const positionSize = req.body.positionSize ?? current.position_size;
+    const stopLoss = 'stopLoss' in req.body ? req.body.stopLoss || null : current.stop_loss;
+    const takeProfit = 'takeProfit' in req.body ? req.body.takeProfit || null : current.take_profit;
+
+    if (!isPositive(triggerPrice) || !isPositive(positionSize)) {
+      return res.status(400).json({ error: 'Trigger price and position size must be positive' });
+    }
+
+    const levelError = stopRules.validateLevelSides(
+      current.side, parseFloat(triggerPrice), stopLoss, takeProfit, 'the trigger price'
+    );
+    if (levelError) {
+      return res.status(400).json({ error: levelError });
+    }
+
+    // A moved trigger is checked against the price at the replay position
+    const movesTrigger = req.body.triggerPrice !== undefined && req.body.triggerPrice !== null;
+    if (movesTrigger && !replayPosition) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    let session = null;
+    let position = null;
+    if (replayPosition) {
+      position = orderEngine.parseReplayPosition(replayPosition);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid replay position' });
+      }
+
+      const synced = await syncOrderSession(current, position);
+      session = synced.session;
+      if (synced.ahead) {
+        return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+      }
+      const filled = synced.filledOrders.find(o => String(o.id) === String(id));
+      if (filled) {
+        return res.status(409).json({ error: 'Order is no longer pending', order: filled });
+      }
+
+      if (session && movesTrigger) {
+        const wrongSide = await checkTriggerSide(
+          session, position, current.asset || session.asset, current.side, current.order_type, triggerPrice
+        );
+        if (wrongSide) {
+          return res.status(400).json(wrongSide);
+        }
+      }
+    }
+
+    // A bigger order, or one moved to a higher trigger, has to fit in the free margin like a new one
+    const resizes = req.body.positionSize !== undefined && req.body.positionSize !== null;
+    if (resizes || movesTrigger) {
+      if (!session) {
+        const loaded = await db.query('SELECT * FROM sessions WHERE id = $1', [current.session_id]);
+        session = loaded.rows[0] || null;
+      }
+      if (session) {
+        const orderAsset = current.asset || session.asset;
+        const marks = await orderEngine.getReplayMarks(session, position, orderAsset);
+        const marginCheck = await margin.checkMargin(session, triggerPrice, positionSize, orderAsset, marks);
+        if (!marginCheck.allowed) {
+          return res.status(400).json({
+            error: 'Insufficient margin',
+            requiredMargin: marginCheck.required,
+            freeMargin: marginCheck.freeMargin
+          });
+        }
+      }
+    }
+
+    const result = await db.query(`
+      UPDATE orders
+      SET trigger_price = $1, position_size = $2, stop_loss = $3, take_profit = $4
+      WHERE id = $5 AND status = 'pending'
+      RETURNING *
+    `, [triggerPrice, positionSize, stopLoss, takeProfit, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Order is no longer pending' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Modify order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { replayPosition } = req.body;
+
+    const order = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+    if (order.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.rows[0].status !== 'pending') {
+      return res.status(409).json({ error: 'Order is no longer pending', order: order.rows[0] });
+    }
+
+    let cancelledAt = null;
+    if (replayPosition) {
+      const position = orderEngine.parseReplayPosition(replayPosition);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid replay position' });
+      }
+
+      const { session, filledOrders, ahead } = await syncOrderSession(order.rows[0], position);
+      if (ahead) {
+        return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+      }
+      const filled = filledOrders.find(o => String(o.id) === String(id));
+      if (filled) {
+        return res.status(409).json({ error: 'Order is no longer pending', order: filled });
+      }
+
+      if (session) {
+        cancelledAt = await orderEngine.getReplayTime(session, position);
+      }
+    }
+
+    const result = await db.query(`
+      UPDATE orders
+      SET status = 'cancelled', cancelled_at = COALESCE($2, NOW())
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [id, cancelledAt]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Order is no longer pending' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,35 @@
 const express = require('express');
 const db = require('../db');
+const orderEngine = require('../services/orderEngine');
+const replayCursor = require('../services/replayCursor');
+const marketData = require('../services/marketData');
+const replayStream = require('../services/replayStream');
+const timeframeAggregation = require('../services/timeframeAggregation');
+const { DERIVED_TIMEFRAMES, parseTimeframe, fitsEvenly } = require('../config/timeframes');
 // AUTH DISABLED FOR TESTING
 // const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
+// Candles served before the saved cursor when a client resumes a session
+const DEFAULT_CURSOR_LOOKBACK = 100;
+const MAX_HIGHER_TIMEFRAME_CANDLES = 1000;
+
+// Keyset pagination - `after` (plus `afterTick` for ticks) is the last row the client
+// already has. Returns undefined when no key was given and null when it is invalid.
+function parseAfter(query) {
+  if (query.after === undefined) return undefined;
+  return orderEngine.parseReplayPosition({ candleTimestamp: query.after, tickIndex: query.afterTick });
+}
+
 // Get available date range for historical data
 router.get('/date-range', async (req, res) => {
   try {
     const { asset = 'BTCUSDT', timeframe = '1d' } = req.query;
 
+    // Derived timeframes are aggregated on first use
+    await timeframeAggregation.ensureTimeframe(asset, timeframe);
+
     const result = await db.query(`
       SELECT
         MIN(timestamp) as min_date,
@@ -53,26 +73,38 @@ router.get('/available-data', async (req, res) => {
       FROM market_data
       WHERE asset = $1
       GROUP BY timeframe
-      ORDER BY
-        CASE timeframe
-          WHEN '5m' THEN 1
-          WHEN '15m' THEN 2
-          WHEN '1h' THEN 3
-          WHEN '4h' THEN 4
-          WHEN '1d' THEN 5
-          ELSE 6
-        END
     `, [asset]);
 
-    res.json({
-      asset,
-      timeframes: result.rows.map(row => ({
-        timeframe: row.timeframe,
-        minDate: row.min_date,
-        maxDate: row.max_date,
-        totalCandles: parseInt(row.total_candles)
-      }))
-    });
+    const timeframes = result.rows.map(row => ({
+      timeframe: row.timeframe,
+      minDate: row.min_date,
+      maxDate: row.max_date,
+      totalCandles: parseInt(row.total_candles),
+      derived: DERIVED_TIMEFRAMES.includes(row.timeframe)
+    }));
+
+    // Derived timeframes that have not been built yet span the same dates as their base
+    for (const timeframe of DERIVED_TIMEFRAMES) {
+      if (timeframes.some(t => t.timeframe === timeframe)) continue;
+
+      const baseTimeframe = await timeframeAggregation.findBaseTimeframe(asset, timeframe);
+      const base = timeframes.find(t => t.timeframe === baseTimeframe);
+      if (!base) continue;
+
+      timeframes.push({
+        timeframe,
+        minDate: base.minDate,
+        maxDate: base.maxDate,
+        totalCandles: Math.ceil(base.totalCandles * parseTimeframe(baseTimeframe).seconds / parseTimeframe(timeframe).seconds),
+        derived: true
+      });
+    }
+
+    // Shortest timeframe first; names that are not timeframes go last
+    const length = (timeframe) => parseTimeframe(timeframe)?.seconds ?? Infinity;
+    timeframes.sort((a, b) => length(a.timeframe) - length(b.timeframe));
+
+    res.json({ asset, timeframes });
   } catch (error) {
     console.error('Get available data error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -83,6 +115,11 @@ router.get('/available-data', async (req, res) => {
 router.get('/candles', async (req, res) => {
   try {
     const { sessionId, offset = 0, limit = 100 } = req.query;
+    const after = parseAfter(req.query);
+
+    if (after === null) {
+      return res.status(400).json({ error: 'Invalid after timestamp' });
+    }
 
     // AUTH DISABLED - skip user check
     const session = await db.query(
@@ -96,19 +133,28 @@ router.get('/candles', async (req, res) => {
 
     const { asset, timeframe, start_date } = session.rows[0];
 
+    // Strict sessions only get finished candles - a forming one has no final OHLC yet
+    const cursor = session.rows[0].strict_replay ? replayCursor.getCursorPosition(session.rows[0]) : null;
+    const cursorFilter = !cursor ? ''
+      : cursor.tickIndex === orderEngine.LAST_TICK ? 'AND timestamp <= $6' : 'AND timestamp < $6';
+
     const candles = await db.query(`
       SELECT timestamp, open, high, low, close, volume
       FROM market_data
       WHERE asset = $1
         AND timeframe = $2
         AND timestamp >= $3
+        ${after ? 'AND timestamp > $5' : ''}
+        ${cursorFilter}
       ORDER BY timestamp ASC
-      LIMIT $4 OFFSET $5
-    `, [asset, timeframe, start_date, limit, offset]);
+      LIMIT $4 ${after ? '' : 'OFFSET $5'}
+    `, [asset, timeframe, start_date, limit, after ? after.candleTime : offset, ...(cursor ? [cursor.candleTime] : [])]);
 
+    const last = candles.rows[candles.rows.length - 1];
     res.json({
       candles: candles.rows,
-      hasMore: candles.rows.length === parseInt(limit)
+      hasMore: candles.rows.length === parseInt(limit),
+      nextAfter: last ? last.timestamp : null
     });
   } catch (error) {
     console.error('Get candles error:', error);
@@ -120,6 +166,11 @@ router.get('/candles', async (req, res) => {
 router.get('/ticks', async (req, res) => {
   try {
     const { sessionId, offset = 0, limit = 100 } = req.query;
+    const after = parseAfter(req.query);
+
+    if (after === null) {
+      return res.status(400).json({ error: 'Invalid after timestamp' });
+    }
 
     // AUTH DISABLED - skip user check
     const session = await db.query(
@@ -133,6 +184,13 @@ router.get('/ticks', async (req, res) => {
 
     const { asset, timeframe, start_date } = session.rows[0];
 
+    // Strict sessions stop at the cursor and never see the final OHLC of a candle
+    const cursor = session.rows[0].strict_replay ? replayCursor.getCursorPosition(session.rows[0]) : null;
+    const params = [asset, timeframe, start_date, limit, after ? after.candleTime : offset];
+    if (cursor) params.push(cursor.candleTime, cursor.tickIndex);
+    // Without afterTick the whole `after` candle counts as loaded
+    if (after) params.push(after.tickIndex);
+
     // Get ticks for candles starting from session start date
     const ticks = await db.query(`
       SELECT
@@ -144,23 +202,25 @@ router.get('/ticks', async (req, res) => {
         ct.running_high,
         ct.running_low,
         ct.running_close,
-        ct.final_open,
-        ct.final_high,
-        ct.final_low,
-        ct.final_close,
+        ${cursor ? '' : 'ct.final_open, ct.final_high, ct.final_low, ct.final_close,'}
         ct.volume,
         ct.is_final_tick
       FROM candle_ticks ct
       WHERE ct.asset = $1
         AND ct.timeframe = $2
         AND ct.candle_timestamp >= $3
+        ${after ? `AND (ct.candle_timestamp, ct.tick_index) > ($5, $${params.length})` : ''}
+        ${cursor ? 'AND (ct.candle_timestamp, ct.tick_index) <= ($6, $7)' : ''}
       ORDER BY ct.candle_timestamp ASC, ct.tick_index ASC
-      LIMIT $4 OFFSET $5
-    `, [asset, timeframe, start_date, limit, offset]);
+      LIMIT $4 ${after ? '' : 'OFFSET $5'}
+    `, params);
 
+    const last = ticks.rows[ticks.rows.length - 1];
     res.json({
       ticks: ticks.rows,
-      hasMore: ticks.rows.length === parseInt(limit)
+      hasMore: ticks.rows.length === parseInt(limit),
+      nextAfter: last ? last.candle_timestamp : null,
+      nextAfterTick: last ? last.tick_index : null
     });
   } catch (error) {
     console.error('Get ticks error:', error);
@@ -171,7 +231,12 @@ router.get('/ticks', async (req, res) => {
 // Get candles with their ticks bundled together
 router.get('/candles-with-ticks', async (req, res) => {
   try {
-    const { sessionId, offset = 0, limit = 100 } = req.query;
+    const { sessionId, limit = 100, lookback = DEFAULT_CURSOR_LOOKBACK } = req.query;
+    const after = parseAfter(req.query);
+
+    if (after === null) {
+      return res.status(400).json({ error: 'Invalid after timestamp' });
+    }
 
     // AUTH DISABLED - skip user check
     const session = await db.query(
@@ -183,80 +248,259 @@ router.get('/candles-with-ticks', async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    const { asset, timeframe, start_date } = session.rows[0];
+    // Multi-asset sessions serve any of their assets, cut on the session's own clock
+    const asset = req.query.asset || session.rows[0].asset;
+    if (!orderEngine.getSessionAssets(session.rows[0]).includes(asset)) {
+      return res.status(400).json({ error: 'Asset is not part of this session' });
+    }
+
+    const { timeframe, start_date, cursor_candle_time, cursor_tick_index } = session.rows[0];
+    let strictCursor = session.rows[0].strict_replay ? replayCursor.getCursorPosition(session.rows[0]) : null;
+    if (strictCursor) {
+      strictCursor = await orderEngine.mapPosition(session.rows[0], asset, strictCursor);
+    }
 
-    // Get candles
+    // Candle index of the saved cursor, counted from the session start.
+    // Keyset pages locate the cursor inside the window instead.
+    let cursorIndex = null;
+    if (cursor_candle_time && !after) {
+      const count = await db.query(`
+        SELECT COUNT(*) AS count
+        FROM market_data
+        WHERE asset = $1
+          AND timeframe = $2
+          AND timestamp >= $3
+          AND timestamp < $4
+      `, [asset, timeframe, start_date, cursor_candle_time]);
+      cursorIndex = parseInt(count.rows[0].count, 10);
+    }
+
+    // Without an explicit offset the window opens a little before the cursor
+    let offset = null;
+    if (!after) {
+      offset = req.query.offset !== undefined
+        ? parseInt(req.query.offset, 10) || 0
+        : Math.max(0, (cursorIndex ?? 0) - (parseInt(lookback, 10) || 0));
+    }
+
+    // Strict sessions never get candles past the cursor
     const candles = await db.query(`
       SELECT timestamp, open, high, low, close, volume
       FROM market_data
       WHERE asset = $1
         AND timeframe = $2
         AND timestamp >= $3
+        ${after ? 'AND timestamp > $5' : ''}
+        ${strictCursor ? 'AND timestamp <= $6' : ''}
       ORDER BY timestamp ASC
-      LIMIT $4 OFFSET $5
-    `, [asset, timeframe, start_date, limit, offset]);
+      LIMIT $4 ${after ? '' : 'OFFSET $5'}
+    `, [asset, timeframe, start_date, limit, after ? after.candleTime : offset, ...(strictCursor ? [strictCursor.candleTime] : [])]);
 
-    // Get ticks for these candles
-    const candleTimestamps = candles.rows.map(c => c.timestamp);
+    if (candles.rows.length === 0) {
+      return res.json({ candles: [], hasMore: false, offset, nextAfter: null, cursor: null });
+    }
+
+    const candlesWithTicks = (await marketData.bundleTicks(asset, timeframe, candles.rows))
+      .map(candle => replayCursor.revealCandle(candle, strictCursor));
 
-    if (candleTimestamps.length === 0) {
-      return res.json({ candles: [], hasMore: false });
+    // candleIndex is relative to this window, null when the cursor falls outside it
+    let windowIndex = null;
+    if (cursor_candle_time) {
+      const cursorTime = new Date(cursor_candle_time).getTime();
+      windowIndex = after
+        ? candlesWithTicks.findIndex(c => new Date(c.timestamp).getTime() === cursorTime)
+        : cursorIndex - offset;
     }
+    const cursor = !cursor_candle_time ? null : {
+      candleTimestamp: cursor_candle_time,
+      tickIndex: cursor_tick_index,
+      candleIndex: windowIndex >= 0 && windowIndex < candlesWithTicks.length ? windowIndex : null
+    };
 
-    const ticks = await db.query(`
-      SELECT
-        candle_timestamp,
-        tick_index,
-        timestamp,
-        price,
-        running_open,
-        running_high,
-        running_low,
-        running_close,
-        is_final_tick
-      FROM candle_ticks
+    res.json({
+      candles: candlesWithTicks,
+      hasMore: candles.rows.length === parseInt(limit),
+      offset,
+      nextAfter: candles.rows[candles.rows.length - 1].timestamp,
+      cursor
+    });
+  } catch (error) {
+    console.error('Get candles with ticks error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Candles of a higher timeframe up to a replay position, for chart panes that
+// follow the replay. The position defaults to the session's cursor.
+router.get('/higher-timeframe', async (req, res) => {
+  try {
+    const { sessionId, timeframe, candleTimestamp, tickIndex } = req.query;
+    const limit = req.query.limit === undefined ? 200 : parseInt(req.query.limit, 10);
+
+    if (!(limit >= 1 && limit <= MAX_HIGHER_TIMEFRAME_CANDLES)) {
+      return res.status(400).json({ error: `Limit must be between 1 and ${MAX_HIGHER_TIMEFRAME_CANDLES}` });
+    }
+
+    // AUTH DISABLED - skip user check
+    const session = await db.query(
+      'SELECT * FROM sessions WHERE id = $1',
+      [sessionId]
+    );
+
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!fitsEvenly(session.rows[0].timeframe, timeframe)) {
+      return res.status(400).json({ error: `${timeframe} is not a higher timeframe of ${session.rows[0].timeframe}` });
+    }
+
+    const position = candleTimestamp
+      ? orderEngine.parseReplayPosition({ candleTimestamp, tickIndex })
+      : replayCursor.getCursorPosition(session.rows[0]);
+
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    const candles = await timeframeAggregation.loadHigherTimeframe(session.rows[0], timeframe, position, limit);
+
+    res.json({ timeframe, candles });
+  } catch (error) {
+    console.error('Get higher timeframe error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Advance the cursor of a strict replay session and return what it revealed:
+// the candle the cursor was in (now further formed) up to the new cursor candle
+router.post('/step', async (req, res) => {
+  try {
+    const { sessionId, unit = 'tick', wholeCandle = false } = req.body;
+    const count = req.body.count === undefined ? 1 : parseInt(req.body.count, 10);
+
+    if (!replayCursor.STEP_UNITS.includes(unit)) {
+      return res.status(400).json({ error: 'Invalid step unit' });
+    }
+    if (!(count >= 1 && count <= replayCursor.MAX_STEP)) {
+      return res.status(400).json({ error: `Step count must be between 1 and ${replayCursor.MAX_STEP}` });
+    }
+
+    // AUTH DISABLED - skip user check
+    const session = await db.query(
+      'SELECT * FROM sessions WHERE id = $1',
+      [sessionId]
+    );
+
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!session.rows[0].strict_replay) {
+      return res.status(409).json({ error: 'Session does not use strict replay' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    const { asset, timeframe } = session.rows[0];
+    const previous = replayCursor.getCursorPosition(session.rows[0]);
+    const next = await replayCursor.stepCursor(session.rows[0], unit, count, Boolean(wholeCandle));
+
+    if (!next) {
+      return res.status(409).json({ error: 'No more replay data' });
+    }
+
+    const tickIndex = next.tickIndex === orderEngine.LAST_TICK ? null : next.tickIndex;
+    await db.query(
+      'UPDATE sessions SET cursor_candle_time = $2, cursor_tick_index = $3 WHERE id = $1',
+      [sessionId, next.candleTime, tickIndex]
+    );
+
+    const candles = await db.query(`
+      SELECT timestamp, open, high, low, close, volume
+      FROM market_data
       WHERE asset = $1
         AND timeframe = $2
-        AND candle_timestamp = ANY($3)
-      ORDER BY candle_timestamp ASC, tick_index ASC
-    `, [asset, timeframe, candleTimestamps]);
-
-    // Group ticks by candle
-    const ticksByCandle = {};
-    for (const tick of ticks.rows) {
-      const key = tick.candle_timestamp.toISOString();
-      if (!ticksByCandle[key]) {
-        ticksByCandle[key] = [];
-      }
-      ticksByCandle[key].push({
-        tickIndex: tick.tick_index,
-        timestamp: tick.timestamp,
-        price: parseFloat(tick.price),
-        runningOpen: parseFloat(tick.running_open),
-        runningHigh: parseFloat(tick.running_high),
-        runningLow: parseFloat(tick.running_low),
-        runningClose: parseFloat(tick.running_close),
-        isFinalTick: tick.is_final_tick
-      });
-    }
+        AND timestamp >= $3
+        AND timestamp <= $4
+      ORDER BY timestamp ASC
+    `, [asset, timeframe, previous.candleTime, next.candleTime]);
 
-    // Bundle candles with their ticks
-    const candlesWithTicks = candles.rows.map(candle => ({
-      timestamp: candle.timestamp,
-      open: parseFloat(candle.open),
-      high: parseFloat(candle.high),
-      low: parseFloat(candle.low),
-      close: parseFloat(candle.close),
-      volume: parseFloat(candle.volume),
-      ticks: ticksByCandle[candle.timestamp.toISOString()] || []
-    }));
+    const revealed = (await marketData.bundleTicks(asset, timeframe, candles.rows))
+      .map(candle => replayCursor.revealCandle(candle, next));
 
     res.json({
-      candles: candlesWithTicks,
-      hasMore: candles.rows.length === parseInt(limit)
+      cursor: { candleTimestamp: next.candleTime, tickIndex },
+      candles: revealed
     });
   } catch (error) {
-    console.error('Get candles with ticks error:', error);
+    console.error('Replay step error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Stream the replay of a session as Server-Sent Events (see services/replayStream)
+router.get('/stream', async (req, res) => {
+  try {
+    const { sessionId, granularity = 'tick' } = req.query;
+    const speed = req.query.speed === undefined ? 1 : Number(req.query.speed);
+
+    if (!replayStream.SPEEDS.includes(speed)) {
+      return res.status(400).json({ error: `Speed must be one of ${replayStream.SPEEDS.join(', ')}` });
+    }
+    if (!replayStream.GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: 'Invalid granularity' });
+    }
+
+    // AUTH DISABLED - skip user check
+    const session = await db.query(
+      'SELECT * FROM sessions WHERE id = $1',
+      [sessionId]
+    );
+
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    req.on('close', () => replayStream.close(sessionId, res));
+    await replayStream.open(session.rows[0], res, { speed, granularity });
+  } catch (error) {
+    console.error('Replay stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+});
+
+// Playback commands for an open stream: play, pause, speed, seek, step, granularity
+router.post('/stream/command', async (req, res) => {
+  try {
+    const { sessionId, action, ...options } = req.body;
+
+    const result = await replayStream.command(sessionId, action, options);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Replay stream command error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -1,15 +1,120 @@
 const express = require('express');
 const db = require('../db');
+const { getMaxLeverage } = require('../config/assets');
+const orderEngine = require('../services/orderEngine');
+const sessionStats = require('../services/sessionStats');
+const branches = require('../services/branches');
+const blindMode = require('../services/blindMode');
+const costModel = require('../services/costModel');
+const replayStream = require('../services/replayStream');
+const replayCursor = require('../services/replayCursor');
+const timeframeAggregation = require('../services/timeframeAggregation');
 // AUTH DISABLED FOR TESTING
 // const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
+const SESSION_STATUSES = ['active', 'paused', 'ended'];
+const MAX_SESSION_ASSETS = 4;
+
+// The user's sessions, newest first, with their trade count and realized PnL
+router.get('/', async (req, res) => {
+  try {
+    const { status, asset, timeframe, from, to } = req.query;
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    if (status && !SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid session status' });
+    }
+
+    const conditions = ['s.user_id = $1'];
+    const params = [userId];
+    const addFilter = (sql, value) => {
+      params.push(value);
+      conditions.push(`${sql} $${params.length}`);
+    };
+
+    if (status) addFilter('s.status =', status);
+    if (asset) {
+      addFilter('s.asset =', asset);
+      // The asset of an active blind session is not known yet
+      conditions.push("NOT (COALESCE(s.blind_mode, false) AND s.status <> 'ended')");
+    }
+    if (timeframe) addFilter('s.timeframe =', timeframe);
+    if (from) addFilter('s.created_at >=', from);
+    if (to) addFilter('s.created_at <=', to);
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    params.push(limit, offset);
+
+    const result = await db.query(`
+      SELECT s.*,
+        COUNT(t.id) FILTER (WHERE t.status = 'closed') AS trade_count,
+        COALESCE(SUM(CASE WHEN t.status = 'closed' THEN t.pnl ELSE t.realized_pnl END), 0) AS realized_pnl
+      FROM sessions s
+      LEFT JOIN trades t ON t.session_id = s.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    // Each active blind session is masked with its own key
+    res.json(result.rows.map(row => blindMode.maskData(blindMode.activeKeyOf(row), row)));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 router.post('/start', async (req, res) => {
   try {
-    const { asset, timeframe, initialBalance, startDate } = req.body;
+    const {
+      asset, assets, timeframe, initialBalance, startDate, leverage, strictReplay, scored, blind, costs
+    } = req.body;
     const userId = 1; // AUTH DISABLED - use dummy user ID
 
+    // Extra assets replay in lockstep with `asset`, which drives the replay clock
+    if (assets !== undefined && assets !== null && !Array.isArray(assets)) {
+      return res.status(400).json({ error: 'Assets must be a list' });
+    }
+    const sessionAssets = [...new Set([asset, ...(assets || [])])];
+    if (sessionAssets.length > MAX_SESSION_ASSETS) {
+      return res.status(400).json({ error: `A session can replay at most ${MAX_SESSION_ASSETS} assets` });
+    }
+
+    // One balance backs every asset, so the most restrictive asset class sets the cap
+    const maxLeverage = Math.min(...sessionAssets.map(getMaxLeverage));
+    const sessionLeverage = leverage === undefined || leverage === null ? 1 : parseFloat(leverage);
+    if (!(sessionLeverage >= 1) || sessionLeverage > maxLeverage) {
+      return res.status(400).json({ error: `Leverage must be between 1 and ${maxLeverage}` });
+    }
+
+    // Scored sessions count towards the leaderboard, so they may not look ahead
+    if (scored && strictReplay === false) {
+      return res.status(400).json({ error: 'Scored sessions must use strict replay' });
+    }
+    const strict = Boolean(strictReplay || scored);
+
+    // A second asset would give the hidden one away by its correlation
+    if (blind && sessionAssets.length > 1) {
+      return res.status(400).json({ error: 'Blind sessions replay a single asset' });
+    }
+
+    // Trading costs of the session's own, in place of the asset class defaults
+    const { costModels, error: costsError } = costModel.normalizeCostModels(costs, sessionAssets);
+    if (costsError) {
+      return res.status(400).json({ error: costsError });
+    }
+
+    // Derived timeframes are aggregated from stored data before the session reads them
+    for (const sessionAsset of sessionAssets) {
+      if (!(await timeframeAggregation.ensureTimeframe(sessionAsset, timeframe))) {
+        return res.status(400).json({ error: 'Unsupported timeframe' });
+      }
+    }
+
     let sessionStartDate;
 
     if (startDate) {
@@ -55,11 +160,34 @@ router.post('/start', async (req, res) => {
       sessionStartDate = randomStart.rows[0].timestamp;
     }
 
+    // Every extra asset needs a candle where the replay starts
+    if (sessionAssets.length > 1) {
+      const covered = await db.query(`
+        SELECT asset FROM market_data
+        WHERE asset = ANY($1) AND timeframe = $2 AND timestamp = $3
+      `, [sessionAssets, timeframe, sessionStartDate]);
+
+      const missing = sessionAssets.filter(a => !covered.rows.some(r => r.asset === a));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `No market data at the session start for ${missing.join(', ')}` });
+      }
+    }
+
+    const blindKey = blind ? blindMode.createKey(sessionStartDate) : null;
+
+    // A strict session starts with only the first tick of its first candle revealed
     const result = await db.query(`
-      INSERT INTO sessions (user_id, asset, timeframe, start_date, initial_balance)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO sessions (
+        user_id, asset, timeframe, start_date, initial_balance, leverage,
+        strict_replay, scored, cursor_candle_time, cursor_tick_index, assets,
+        blind_mode, blind_price_factor, blind_time_offset, cost_models
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING *
-    `, [userId, asset, timeframe, sessionStartDate, initialBalance || 10000]);
+    `, [userId, asset, timeframe, sessionStartDate, initialBalance || 10000, sessionLeverage,
+      strict, Boolean(scored), strict ? sessionStartDate : null, strict ? 0 : null, sessionAssets,
+      Boolean(blindKey), blindKey?.priceFactor ?? null, blindKey?.timeOffset ?? null,
+      costModels && JSON.stringify(costModels)]);
 
     const session = result.rows[0];
 
@@ -71,14 +199,23 @@ router.post('/start', async (req, res) => {
 
     const startPrice = startCandle.rows[0]?.open || 0;
 
-    res.json({
+    const started = {
       sessionId: session.id,
       startDate: session.start_date,
       asset: session.asset,
+      assets: orderEngine.getSessionAssets(session),
       timeframe: session.timeframe,
       initialBalance: parseFloat(session.initial_balance),
+      leverage: parseFloat(session.leverage || 1),
+      strictReplay: Boolean(session.strict_replay),
+      scored: Boolean(session.scored),
+      blind: null,
       startPrice: parseFloat(startPrice)
-    });
+    };
+
+    // A blind session starts out masked; the client only learns its alias
+    const maskKey = blindMode.keyOf(session);
+    res.json(maskKey ? { ...blindMode.maskData(maskKey, started), blind: { alias: maskKey.alias } } : started);
   } catch (error) {
     console.error('Start session error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -106,4 +243,242 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Save the replay cursor so the session resumes from the same spot on any device
+router.patch('/:id/cursor', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { candleTimestamp, tickIndex } = req.body;
+
+    const position = orderEngine.parseReplayPosition({ candleTimestamp, tickIndex });
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended', session: session.rows[0] });
+    }
+
+    if (session.rows[0].strict_replay) {
+      return res.status(409).json({ error: 'Strict replay sessions advance through /api/replay/step' });
+    }
+
+    if (position.candleTime < new Date(session.rows[0].start_date)) {
+      return res.status(400).json({ error: 'Cursor is before the session start' });
+    }
+
+    const hasTick = tickIndex !== undefined && tickIndex !== null;
+    const result = await db.query(`
+      UPDATE sessions
+      SET cursor_candle_time = $2, cursor_tick_index = $3
+      WHERE id = $1
+      RETURNING *
+    `, [id, position.candleTime, hasTick ? position.tickIndex : null]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update cursor error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// End a session - open positions are closed at the current replay price,
+// pending orders are cancelled and the session no longer accepts trades
+router.post('/:id/end', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { replayPosition } = req.body;
+
+    const position = orderEngine.parseReplayPosition(replayPosition);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session already ended', session: session.rows[0] });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    // Stops and targets hit before the end still close at their own level
+    const engineUpdate = await orderEngine.syncSession(session.rows[0], position);
+
+    const openTrades = await db.query(
+      "SELECT * FROM trades WHERE session_id = $1 AND status = 'open' ORDER BY entry_time ASC",
+      [id]
+    );
+
+    const endTime = await orderEngine.getReplayTime(session.rows[0], position);
+    let closedTrades = [];
+    for (const asset of orderEngine.getSessionAssets(session.rows[0])) {
+      const trades = openTrades.rows.filter(t => (t.asset || session.rows[0].asset) === asset);
+      if (trades.length === 0) continue;
+
+      const exitPrice = await orderEngine.getReplayPrice(session.rows[0], position, asset);
+      if (exitPrice === null) {
+        return res.status(400).json({ error: 'No price at this replay position' });
+      }
+      closedTrades = closedTrades.concat(
+        await orderEngine.closeTradesAt(session.rows[0], trades, exitPrice, endTime, 'session_end')
+      );
+    }
+
+    const cancelledOrders = await db.query(`
+      UPDATE orders
+      SET status = 'cancelled', cancelled_at = $2
+      WHERE session_id = $1 AND status = 'pending'
+      RETURNING *
+    `, [id, endTime]);
+
+    const ended = await db.query(`
+      UPDATE sessions
+      SET status = 'ended', ended_at = NOW(), paused_at = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    const summary = await sessionStats.getSessionSummary(ended.rows[0]);
+
+    res.json({
+      session: ended.rows[0],
+      closedTrades: engineUpdate.closedTrades.concat(closedTrades),
+      cancelledOrders: cancelledOrders.rows,
+      summary
+    });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Go back to an earlier replay position and trade on from there as a new branch.
+// What the current branch traded after that point is archived with it.
+router.post('/:id/rewind', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { replayPosition, to } = req.body;
+
+    const from = orderEngine.parseReplayPosition(replayPosition);
+    const target = orderEngine.parseReplayPosition(to);
+    if (!from || !target) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    // The future a strict session has seen stays seen
+    if (session.rows[0].strict_replay) {
+      return res.status(409).json({ error: 'Strict replay sessions cannot be rewound' });
+    }
+
+    if (orderEngine.comparePositions(target, from) >= 0) {
+      return res.status(400).json({ error: 'Can only rewind to an earlier replay position' });
+    }
+
+    if (target.candleTime < new Date(session.rows[0].start_date)) {
+      return res.status(400).json({ error: 'Cannot rewind past the session start' });
+    }
+
+    // Stops and targets hit before the rewind still count for the branch being left
+    await orderEngine.syncSession(session.rows[0], from);
+
+    const rewind = await branches.rewindSession(session.rows[0], from, target);
+    if (rewind.error) {
+      return res.status(400).json({ error: rewind.error });
+    }
+
+    // An open replay stream jumps back with the session
+    if (replayStream.streams.has(String(id))) {
+      await replayStream.command(id, 'seek', { position: to });
+    }
+
+    const trades = await db.query('SELECT * FROM trades WHERE session_id = $1 ORDER BY entry_time ASC', [id]);
+    const orders = await db.query(
+      "SELECT * FROM orders WHERE session_id = $1 AND status = 'pending' ORDER BY created_at ASC",
+      [id]
+    );
+    const balance = await orderEngine.getSessionBalance(rewind.session);
+
+    res.json({
+      session: rewind.session,
+      branch: rewind.branch,
+      trades: trades.rows,
+      pendingOrders: orders.rows,
+      balance
+    });
+  } catch (error) {
+    console.error('Rewind session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pause and resume only change the status - ended sessions stay ended
+const setPaused = (paused) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(`
+      UPDATE sessions
+      SET status = $2, paused_at = ${paused ? 'NOW()' : 'NULL'}
+      WHERE id = $1 AND status = $3
+      RETURNING *
+    `, [id, paused ? 'paused' : 'active', paused ? 'active' : 'paused']);
+
+    if (result.rows.length > 0) {
+      return res.json(result.rows[0]);
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.status(409).json({ error: `Session is ${session.rows[0].status}`, session: session.rows[0] });
+  } catch (error) {
+    console.error(paused ? 'Pause session error:' : 'Resume session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+router.post('/:id/pause', setPaused(true));
+router.post('/:id/resume', setPaused(false));
+
+router.get('/:id/summary', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const summary = await sessionStats.getSessionSummary(session.rows[0]);
+    // Branches left behind by rewinds, each with the stats it had then
+    const archived = await branches.getBranches(id);
+
+    res.json({ session: session.rows[0], ...summary, branches: archived });
+  } catch (error) {
+    console.error('Get session summary error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const db = require('../db');
+const { normalizeIndicators } = require('../config/indicators');
+const { DEFAULT_HOTKEYS, normalizeHotkeys } = require('../config/hotkeys');
+// AUTH DISABLED FOR TESTING
+// const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// The chart indicators the user last chose
+router.get('/indicators', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const result = await db.query(
+      'SELECT indicators FROM user_settings WHERE user_id = $1',
+      [userId]
+    );
+
+    res.json({ indicators: result.rows[0]?.indicators || [] });
+  } catch (error) {
+    console.error('Get indicators error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the saved indicators - the chart sends its whole list on every change
+router.put('/indicators', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const { indicators, error } = normalizeIndicators(req.body.indicators);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.query(`
+      INSERT INTO user_settings (user_id, indicators, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE SET
+        indicators = EXCLUDED.indicators,
+        updated_at = EXCLUDED.updated_at
+      RETURNING indicators
+    `, [userId, JSON.stringify(indicators)]);
+
+    res.json({ indicators: result.rows[0].indicators });
+  } catch (error) {
+    console.error('Save indicators error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The keyboard shortcuts, with the defaults for anything never changed
+router.get('/hotkeys', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const result = await db.query(
+      'SELECT hotkeys FROM user_settings WHERE user_id = $1',
+      [userId]
+    );
+
+    res.json({ hotkeys: { ...DEFAULT_HOTKEYS, ...result.rows[0]?.hotkeys } });
+  } catch (error) {
+    console.error('Get hotkeys error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the saved hotkeys - two actions can never share a key
+router.put('/hotkeys', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const { hotkeys, error } = normalizeHotkeys(req.body.hotkeys);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.query(`
+      INSERT INTO user_settings (user_id, hotkeys, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE SET
+        hotkeys = EXCLUDED.hotkeys,
+        updated_at = EXCLUDED.updated_at
+      RETURNING hotkeys
+    `, [userId, JSON.stringify(hotkeys)]);
+
+    res.json({ hotkeys: result.rows[0].hotkeys });
+  } catch (error) {
+    console.error('Save hotkeys error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const db = require('../db');
+const brackets = require('../services/brackets');
+// AUTH DISABLED FOR TESTING
+// const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+const RISK_MODES = ['percent', 'fixed'];
+const HOTKEY_PATTERN = /^[1-9]$/;
+
+// Check a template sent by the order panel. Returns { template } or { error }.
+const normalizeTemplate = ({ name, riskMode = null, riskValue = null, bracket, hotkey = null }) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `Name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+
+  // Without a risk the order panel's own size is used
+  if (riskMode !== null && !RISK_MODES.includes(riskMode)) {
+    return { error: 'Risk mode must be percent or fixed' };
+  }
+  const risk = parseFloat(riskValue);
+  if (riskMode && !(risk > 0 && (riskMode === 'fixed' || risk <= 100))) {
+    return { error: 'Invalid risk value' };
+  }
+
+  const normalized = brackets.normalizeBracket(bracket);
+  if (normalized.error) return normalized;
+
+  // The size comes from how far away the stop is
+  if (riskMode && !normalized.bracket.stopLoss) {
+    return { error: 'Sizing from risk needs a stop loss' };
+  }
+
+  if (hotkey !== null && !HOTKEY_PATTERN.test(hotkey)) {
+    return { error: 'Hotkey must be a digit from 1 to 9' };
+  }
+
+  return {
+    template: {
+      name: name.trim(),
+      riskMode,
+      riskValue: riskMode ? risk : null,
+      bracket: normalized.bracket,
+      hotkey
+    }
+  };
+};
+
+// Another of the user's templates already on this hotkey
+const hotkeyTaken = async (userId, hotkey, exceptId = null) => {
+  if (!hotkey) return false;
+  const result = await db.query(
+    'SELECT id FROM order_templates WHERE user_id = $1 AND hotkey = $2 AND id IS DISTINCT FROM $3',
+    [userId, hotkey, exceptId]
+  );
+  return result.rows.length > 0;
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const result = await db.query(
+      'SELECT * FROM order_templates WHERE user_id = $1 ORDER BY created_at ASC, id ASC',
+      [userId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+
+    const { template, error } = normalizeTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await hotkeyTaken(userId, template.hotkey)) {
+      return res.status(409).json({ error: `Hotkey ${template.hotkey} is already used by another template` });
+    }
+
+    const result = await db.query(`
+      INSERT INTO order_templates (user_id, name, risk_mode, risk_value, bracket, hotkey)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, template.name, template.riskMode, template.riskValue, JSON.stringify(template.bracket), template.hotkey]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace a template - the order panel sends the whole template
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+    const { id } = req.params;
+
+    const { template, error } = normalizeTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await hotkeyTaken(userId, template.hotkey, id)) {
+      return res.status(409).json({ error: `Hotkey ${template.hotkey} is already used by another template` });
+    }
+
+    const result = await db.query(`
+      UPDATE order_templates
+      SET name = $1, risk_mode = $2, risk_value = $3, bracket = $4, hotkey = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND user_id = $7
+      RETURNING *
+    `, [template.name, template.riskMode, template.riskValue, JSON.stringify(template.bracket), template.hotkey,
+      id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = 1; // AUTH DISABLED - use dummy user ID
+    const { id } = req.params;
+
+    const result = await db.query(
+      'DELETE FROM order_templates WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ id: result.rows[0].id });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
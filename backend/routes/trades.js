@@ -1,54 +1,326 @@
 const express = require('express');
 const db = require('../db');
+const orderEngine = require('../services/orderEngine');
+const stopRules = require('../services/stopRules');
+const brackets = require('../services/brackets');
+const margin = require('../services/margin');
+const costModel = require('../services/costModel');
+const replayCursor = require('../services/replayCursor');
 // AUTH DISABLED FOR TESTING
 // const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
+const SIDES = ['BUY', 'SELL'];
+
+const isPositive = (value) => Number.isFinite(parseFloat(value)) && parseFloat(value) > 0;
+
+// Store a newly opened trade with its entry fill.
+// Entry costs are booked straight away as realized PnL.
+const insertTrade = async ({
+  sessionId, tradeType, entryPrice, positionSize, entryTime, asset, stopLoss = null, takeProfit = null,
+  trailingType = null, trailingValue = null, trailingDistance = null, breakEvenR = null, costModels = null
+}) => {
+  const costs = costModel.getFillCosts(asset, entryPrice, positionSize, null, costModels);
+
+  const result = await db.query(`
+    INSERT INTO trades
+    (session_id, trade_type, entry_price, position_size, stop_loss, take_profit, entry_time, status,
+     initial_stop_loss, trailing_type, trailing_value, trailing_distance, break_even_r,
+     realized_pnl, commission, spread_cost, slippage_cost, asset)
+    VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), 'open', $5, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING *
+  `, [sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit, entryTime,
+    trailingType, trailingValue, trailingDistance, breakEvenR,
+    -costs.total, costs.commission, costs.spreadCost, costs.slippageCost, asset]);
+
+  const trade = result.rows[0];
+  await orderEngine.recordFills([{
+    tradeId: trade.id, fillType: 'entry', price: entryPrice, quantity: positionSize, filledAt: entryTime
+  }]);
+  return trade;
+};
+
+// Load a session for a request at a replay position, or the error response to send
+const loadSessionAt = async (sessionId, replayPosition) => {
+  const position = orderEngine.parseReplayPosition(replayPosition);
+  if (!position) {
+    return { status: 400, error: 'Invalid replay position' };
+  }
+
+  const session = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+  if (session.rows.length === 0) {
+    return { status: 404, error: 'Session not found' };
+  }
+  if (session.rows[0].status === 'ended') {
+    return { status: 409, error: 'Session has ended' };
+  }
+  if (!replayCursor.isRevealed(session.rows[0], position)) {
+    return { status: 409, error: 'Replay position is past the strict replay cursor' };
+  }
+
+  return { session: session.rows[0], position };
+};
+
+// Close open trades at the replay price of their asset. Returns the closed
+// trades, or null when an asset has no price at this position.
+const closeAtReplayPrice = async (session, position, trades, exitTime) => {
+  let closedTrades = [];
+  for (const asset of orderEngine.getSessionAssets(session)) {
+    const assetTrades = trades.filter(t => (t.asset || session.asset) === asset);
+    if (assetTrades.length === 0) continue;
+
+    const exitPrice = await orderEngine.getReplayPrice(session, position, asset);
+    if (exitPrice === null) return null;
+    closedTrades = closedTrades.concat(
+      await orderEngine.closeTradesAt(session, assetTrades, exitPrice, exitTime, 'manual')
+    );
+  }
+  return closedTrades;
+};
+
 router.post('/open', async (req, res) => {
   try {
-    const { sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit } = req.body;
+    const {
+      sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit, replayPosition,
+      trailingStop, breakEvenR, asset
+    } = req.body;
 
-    const result = await db.query(`
-      INSERT INTO trades 
-      (session_id, trade_type, entry_price, position_size, stop_loss, take_profit, entry_time, status)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW(), 'open')
-      RETURNING *
-    `, [sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit]);
+    if (!SIDES.includes(tradeType)) {
+      return res.status(400).json({ error: 'Invalid trade type' });
+    }
 
-    res.json(result.rows[0]);
+    // A size of zero or less would need no margin at all
+    if (!isPositive(positionSize)) {
+      return res.status(400).json({ error: 'Position size must be positive' });
+    }
+
+    // A bracket sets the stop and target relative to the entry, in place of fixed prices
+    let bracket = null;
+    if (req.body.bracket) {
+      const normalized = brackets.normalizeBracket(req.body.bracket);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      bracket = normalized.bracket;
+    }
+
+    const rulesError = stopRules.validateStopRules(trailingStop, breakEvenR, bracket ? bracket.stopLoss : stopLoss);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    // ATR is measured on the candles before the entry, so we need to know where the replay is
+    if (trailingStop?.type === 'atr' && !replayPosition) {
+      return res.status(400).json({ error: 'ATR trailing stops need a replay position' });
+    }
+    if (brackets.needsATR(bracket) && !replayPosition) {
+      return res.status(400).json({ error: 'ATR stops need a replay position' });
+    }
+
+    let position = null;
+    if (replayPosition) {
+      position = orderEngine.parseReplayPosition(replayPosition);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid replay position' });
+      }
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    // Multi-asset sessions trade any of their assets, the session's own by default
+    const tradeAsset = asset || session.rows[0].asset;
+    if (!orderEngine.getSessionAssets(session.rows[0]).includes(tradeAsset)) {
+      return res.status(400).json({ error: 'Asset is not part of this session' });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    const strict = replayCursor.isStrict(session.rows[0]);
+    if (strict && !position) {
+      return res.status(400).json({ error: 'Strict sessions need a replay position' });
+    }
+
+    // Entry time is the replay time of the tick the trade was opened on
+    let entryTime = null;
+    let trailingDistance = trailingStop?.type === 'fixed' ? trailingStop.value : null;
+    if (position) {
+      // Bring existing positions up to date before adding a new one
+      await orderEngine.syncSession(session.rows[0], position);
+      entryTime = await orderEngine.getReplayTime(session.rows[0], position);
+
+      if (trailingStop?.type === 'atr' || brackets.needsATR(bracket)) {
+        const atr = await stopRules.calculateATR({ ...session.rows[0], asset: tradeAsset }, position.candleTime);
+        if (!atr) {
+          return res.status(400).json({ error: 'Not enough history to calculate ATR' });
+        }
+        if (trailingStop?.type === 'atr') {
+          trailingDistance = atr * parseFloat(trailingStop.value);
+        }
+        if (bracket) {
+          bracket.atr = atr;
+        }
+      }
+    }
+
+    const fillPrice = strict ? await orderEngine.getReplayPrice(session.rows[0], position, tradeAsset) : entryPrice;
+    if (fillPrice === null) {
+      return res.status(400).json({ error: 'No price at this replay position' });
+    }
+
+    // Bracket levels are placed around the price the trade is filled at
+    const levels = bracket
+      ? brackets.resolveBracket(bracket, tradeType, fillPrice, tradeAsset)
+      : { stopLoss, takeProfit };
+
+    const marks = await orderEngine.getReplayMarks(session.rows[0], position, tradeAsset);
+    const marginCheck = await margin.checkMargin(session.rows[0], fillPrice, positionSize, tradeAsset, marks);
+    if (!marginCheck.allowed) {
+      return res.status(400).json({
+        error: 'Insufficient margin',
+        requiredMargin: marginCheck.required,
+        freeMargin: marginCheck.freeMargin
+      });
+    }
+
+    const trade = await insertTrade({
+      sessionId, tradeType, entryPrice: fillPrice, positionSize, entryTime, asset: tradeAsset,
+      stopLoss: levels.stopLoss,
+      takeProfit: levels.takeProfit,
+      trailingType: trailingStop?.type || null,
+      trailingValue: trailingStop?.value || null,
+      trailingDistance,
+      breakEvenR: breakEvenR || null,
+      costModels: session.rows[0].cost_models
+    });
+
+    res.json(trade);
   } catch (error) {
     console.error('Open trade error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Close a trade - all of it, or part of it when a quantity or percent is given
 router.put('/:id/close', async (req, res) => {
   try {
     const { id } = req.params;
-    const { exitPrice } = req.body;
+    const { exitPrice, replayPosition, quantity, percent } = req.body;
 
-    const trade = await db.query('SELECT * FROM trades WHERE id = $1', [id]);
+    if (quantity !== undefined && quantity !== null && !(parseFloat(quantity) > 0)) {
+      return res.status(400).json({ error: 'Quantity must be positive' });
+    }
+    if (percent !== undefined && percent !== null && !(parseFloat(percent) > 0 && parseFloat(percent) <= 100)) {
+      return res.status(400).json({ error: 'Percent must be between 0 and 100' });
+    }
+
+    // The traded asset decides what the fill costs - the session's for trades without one
+    const trade = await db.query(
+      `SELECT trades.*, COALESCE(trades.asset, sessions.asset) AS asset, sessions.cost_models,
+        sessions.strict_replay, sessions.scored
+      FROM trades JOIN sessions ON sessions.id = trades.session_id WHERE trades.id = $1`,
+      [id]
+    );
     if (trade.rows.length === 0) {
       return res.status(404).json({ error: 'Trade not found' });
     }
 
-    const { trade_type, entry_price, position_size } = trade.rows[0];
+    if (trade.rows[0].status === 'closed') {
+      return res.status(409).json({ error: 'Trade already closed', trade: trade.rows[0] });
+    }
 
-    let pnl;
-    if (trade_type === 'BUY') {
-      pnl = (exitPrice - entry_price) * position_size;
-    } else {
-      pnl = (entry_price - exitPrice) * position_size;
+    const strict = replayCursor.isStrict(trade.rows[0]);
+    if (strict && !replayPosition) {
+      return res.status(400).json({ error: 'Strict sessions need a replay position' });
     }
 
+    let exitTime = null;
+    let closePrice = exitPrice;
+    if (replayPosition) {
+      const position = orderEngine.parseReplayPosition(replayPosition);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid replay position' });
+      }
+
+      const session = await db.query('SELECT * FROM sessions WHERE id = $1', [trade.rows[0].session_id]);
+      if (session.rows.length === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (!replayCursor.isRevealed(session.rows[0], position)) {
+        return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+      }
+
+      // The stop or target may have been hit before the close request arrived
+      const { closedTrades } = await orderEngine.syncSession(session.rows[0], position);
+      const alreadyClosed = closedTrades.find(t => String(t.id) === String(id));
+      if (alreadyClosed) {
+        return res.status(409).json({ error: 'Trade already closed', trade: alreadyClosed });
+      }
+
+      exitTime = await orderEngine.getReplayTime(session.rows[0], position);
+
+      if (strict) {
+        closePrice = await orderEngine.getReplayPrice(session.rows[0], position, trade.rows[0].asset);
+        if (closePrice === null) {
+          return res.status(400).json({ error: 'No price at this replay position' });
+        }
+      }
+    }
+
+    const { trade_type, entry_price, position_size, realized_pnl, asset, cost_models } = trade.rows[0];
+    const openSize = parseFloat(position_size);
+
+    let closeSize = openSize;
+    if (quantity) {
+      closeSize = parseFloat(quantity);
+    } else if (percent) {
+      closeSize = openSize * parseFloat(percent) / 100;
+    }
+
+    if (closeSize > openSize) {
+      return res.status(400).json({ error: 'Quantity exceeds the open position' });
+    }
+
+    const costs = costModel.getFillCosts(asset, closePrice, closeSize, null, cost_models);
+    const fillPnl = orderEngine.calculatePnL(trade_type, entry_price, closePrice, closeSize) - costs.total;
+    const fill = { tradeId: trade.rows[0].id, fillType: 'exit', price: closePrice, quantity: closeSize, pnl: fillPnl, reason: 'manual', filledAt: exitTime };
+    const costParams = [costs.commission, costs.spreadCost, costs.slippageCost];
+
+    // Partial exit - the trade stays open with the rest, its PnL is banked
+    if (closeSize < openSize) {
+      const result = await db.query(`
+        UPDATE trades
+        SET position_size = $1, realized_pnl = $2,
+            commission = commission + $4, spread_cost = spread_cost + $5, slippage_cost = slippage_cost + $6
+        WHERE id = $3 AND status = 'open'
+        RETURNING *
+      `, [openSize - closeSize, parseFloat(realized_pnl || 0) + fillPnl, id, ...costParams]);
+
+      await orderEngine.recordFills([fill]);
+      return res.json(result.rows[0]);
+    }
+
+    const pnl = fillPnl + parseFloat(realized_pnl || 0);
+
     const result = await db.query(`
-      UPDATE trades 
-      SET exit_price = $1, exit_time = NOW(), pnl = $2, status = 'closed'
+      UPDATE trades
+      SET exit_price = $1, exit_time = COALESCE($4, NOW()), pnl = $2, exit_reason = 'manual', status = 'closed',
+          commission = commission + $5, spread_cost = spread_cost + $6, slippage_cost = slippage_cost + $7
       WHERE id = $3
       RETURNING *
-    `, [exitPrice, pnl, id]);
+    `, [closePrice, pnl, id, exitTime, ...costParams]);
 
+    await orderEngine.recordFills([fill]);
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Close trade error:', error);
@@ -56,6 +328,211 @@ router.put('/:id/close', async (req, res) => {
   }
 });
 
+// Scale into an open trade - the entry price becomes the size-weighted average
+router.post('/:id/add', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { price, quantity, replayPosition } = req.body;
+
+    if (!(parseFloat(price) > 0) || !(parseFloat(quantity) > 0)) {
+      return res.status(400).json({ error: 'Price and quantity must be positive' });
+    }
+
+    const trade = await db.query('SELECT * FROM trades WHERE id = $1', [id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    if (trade.rows[0].status === 'closed') {
+      return res.status(409).json({ error: 'Trade already closed', trade: trade.rows[0] });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [trade.rows[0].session_id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    const strict = replayCursor.isStrict(session.rows[0]);
+    if (strict && !replayPosition) {
+      return res.status(400).json({ error: 'Strict sessions need a replay position' });
+    }
+
+    const tradeAsset = trade.rows[0].asset || session.rows[0].asset;
+    let fillTime = null;
+    let fillPrice = price;
+    let position = null;
+    if (replayPosition) {
+      position = orderEngine.parseReplayPosition(replayPosition);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid replay position' });
+      }
+
+      if (!replayCursor.isRevealed(session.rows[0], position)) {
+        return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+      }
+
+      const { closedTrades } = await orderEngine.syncSession(session.rows[0], position);
+      const alreadyClosed = closedTrades.find(t => String(t.id) === String(id));
+      if (alreadyClosed) {
+        return res.status(409).json({ error: 'Trade already closed', trade: alreadyClosed });
+      }
+
+      fillTime = await orderEngine.getReplayTime(session.rows[0], position);
+
+      if (strict) {
+        fillPrice = await orderEngine.getReplayPrice(session.rows[0], position, tradeAsset);
+        if (fillPrice === null) {
+          return res.status(400).json({ error: 'No price at this replay position' });
+        }
+      }
+    }
+
+    const marks = await orderEngine.getReplayMarks(session.rows[0], position, tradeAsset);
+    const marginCheck = await margin.checkMargin(session.rows[0], fillPrice, quantity, tradeAsset, marks);
+    if (!marginCheck.allowed) {
+      return res.status(400).json({
+        error: 'Insufficient margin',
+        requiredMargin: marginCheck.required,
+        freeMargin: marginCheck.freeMargin
+      });
+    }
+
+    const openSize = parseFloat(trade.rows[0].position_size);
+    const addSize = parseFloat(quantity);
+    const newSize = openSize + addSize;
+    const averageEntry = (parseFloat(trade.rows[0].entry_price) * openSize + parseFloat(fillPrice) * addSize) / newSize;
+    const costs = costModel.getFillCosts(tradeAsset, fillPrice, addSize, null, session.rows[0].cost_models);
+
+    const result = await db.query(`
+      UPDATE trades
+      SET entry_price = $1, position_size = $2, realized_pnl = realized_pnl - $4,
+          commission = commission + $5, spread_cost = spread_cost + $6, slippage_cost = slippage_cost + $7
+      WHERE id = $3 AND status = 'open'
+      RETURNING *
+    `, [averageEntry, newSize, id, costs.total, costs.commission, costs.spreadCost, costs.slippageCost]);
+
+    await orderEngine.recordFills([{
+      tradeId: trade.rows[0].id, fillType: 'entry', price: fillPrice, quantity: addSize, filledAt: fillTime
+    }]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Add to trade error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Move the stop loss or take profit of an open trade - fields left out of the body keep
+// their current value, null removes them. Both have to stay on the right side of the
+// price at the replay position, and every change is kept in trade_modifications.
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!('stopLoss' in req.body) && !('takeProfit' in req.body)) {
+      return res.status(400).json({ error: 'Nothing to modify' });
+    }
+
+    const position = orderEngine.parseReplayPosition(req.body.replayPosition);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const stopLoss = 'stopLoss' in req.body ? req.body.stopLoss ?? null : undefined;
+    const takeProfit = 'takeProfit' in req.body ? req.body.takeProfit ?? null : undefined;
+    if ([stopLoss, takeProfit].some(value => value !== undefined && value !== null && !(parseFloat(value) > 0))) {
+      return res.status(400).json({ error: 'Stop loss and take profit must be positive' });
+    }
+
+    const trade = await db.query('SELECT * FROM trades WHERE id = $1', [id]);
+    if (trade.rows.length === 0) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    if (trade.rows[0].status === 'closed') {
+      return res.status(409).json({ error: 'Trade already closed', trade: trade.rows[0] });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [trade.rows[0].session_id]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.rows[0].status === 'ended') {
+      return res.status(409).json({ error: 'Session has ended' });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    // The old stop or target may have been hit before the change arrived
+    const { closedTrades, updatedTrades } = await orderEngine.syncSession(session.rows[0], position);
+    const alreadyClosed = closedTrades.find(t => String(t.id) === String(id));
+    if (alreadyClosed) {
+      return res.status(409).json({ error: 'Trade already closed', trade: alreadyClosed });
+    }
+
+    const current = updatedTrades.find(t => String(t.id) === String(id)) || trade.rows[0];
+    const asset = current.asset || session.rows[0].asset;
+    const price = await orderEngine.getReplayPrice(session.rows[0], position, asset);
+    const modifiedAt = await orderEngine.getReplayTime(session.rows[0], position);
+    if (price === null) {
+      return res.status(400).json({ error: 'No market data at the replay position' });
+    }
+
+    const levelError = stopRules.validateLevelSides(current.trade_type, price, stopLoss, takeProfit);
+    if (levelError) {
+      return res.status(400).json({ error: levelError, price });
+    }
+
+    const changes = [];
+    if (stopLoss !== undefined) changes.push({ field: 'stop_loss', oldValue: current.stop_loss, newValue: stopLoss });
+    if (takeProfit !== undefined) changes.push({ field: 'take_profit', oldValue: current.take_profit, newValue: takeProfit });
+
+    // A trade opened without a stop takes its first one as the initial stop for R
+    const result = await db.query(`
+      UPDATE trades
+      SET stop_loss = $1, take_profit = $2, initial_stop_loss = COALESCE(initial_stop_loss, $1)
+      WHERE id = $3 AND status = 'open'
+      RETURNING *
+    `, [
+      stopLoss !== undefined ? stopLoss : current.stop_loss,
+      takeProfit !== undefined ? takeProfit : current.take_profit,
+      id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Trade already closed' });
+    }
+
+    const values = changes.map((_, i) => `($1, $${i * 3 + 4}, $${i * 3 + 5}, $${i * 3 + 6}, $2, $3)`);
+    await db.query(`
+      INSERT INTO trade_modifications (trade_id, field, old_value, new_value, price, modified_at)
+      VALUES ${values.join(', ')}
+    `, [id, price, modifiedAt, ...changes.flatMap(c => [c.field, c.oldValue, c.newValue])]);
+
+    // Manual stop moves show up next to the trailing and break-even ones
+    let stopMove = null;
+    if (stopLoss) {
+      const move = await db.query(
+        "INSERT INTO stop_history (trade_id, stop_loss, reason, moved_at) VALUES ($1, $2, 'manual', $3) RETURNING *",
+        [id, stopLoss, modifiedAt]
+      );
+      stopMove = move.rows[0];
+    }
+
+    res.json({ ...result.rows[0], stopMove });
+  } catch (error) {
+    console.error('Modify trade error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 router.get('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
@@ -72,4 +549,181 @@ router.get('/session/:sessionId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Entries and exits of a trade, oldest first
+router.get('/:id/fills', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM trade_fills WHERE trade_id = $1 ORDER BY filled_at ASC, id ASC',
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get trade fills error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// How the stop of a trade moved over its life
+router.get('/:id/stops', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM stop_history WHERE trade_id = $1 ORDER BY moved_at ASC, id ASC',
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get stop history error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Manual stop loss and take profit changes of a trade, oldest first
+router.get('/:id/modifications', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'SELECT * FROM trade_modifications WHERE trade_id = $1 ORDER BY modified_at ASC, id ASC',
+      [id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get trade modifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Close every open trade at the replay price - only those of one asset when it is given
+router.post('/session/:sessionId/close-all', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { replayPosition, asset } = req.body;
+
+    const { session, position, status, error } = await loadSessionAt(sessionId, replayPosition);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Stops and targets hit before the request still close at their own level
+    const engineUpdate = await orderEngine.syncSession(session, position);
+    const openTrades = await db.query(
+      "SELECT * FROM trades WHERE session_id = $1 AND status = 'open' ORDER BY entry_time ASC",
+      [sessionId]
+    );
+    const trades = openTrades.rows.filter(t => !asset || (t.asset || session.asset) === asset);
+
+    const exitTime = await orderEngine.getReplayTime(session, position);
+    const closedTrades = await closeAtReplayPrice(session, position, trades, exitTime);
+    if (!closedTrades) {
+      return res.status(400).json({ error: 'No price at this replay position' });
+    }
+
+    const balance = await orderEngine.getSessionBalance(session);
+    res.json({ ...engineUpdate, closedTrades: engineUpdate.closedTrades.concat(closedTrades), balance });
+  } catch (error) {
+    console.error('Close all trades error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn the position in an asset round: close its open trades and open the net
+// size the other way, both at the replay price
+router.post('/session/:sessionId/reverse', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { replayPosition } = req.body;
+
+    const { session, position, status, error } = await loadSessionAt(sessionId, replayPosition);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const asset = req.body.asset || session.asset;
+    if (!orderEngine.getSessionAssets(session).includes(asset)) {
+      return res.status(400).json({ error: 'Asset is not part of this session' });
+    }
+
+    const engineUpdate = await orderEngine.syncSession(session, position);
+    const openTrades = await db.query(
+      "SELECT * FROM trades WHERE session_id = $1 AND status = 'open' ORDER BY entry_time ASC",
+      [sessionId]
+    );
+    const trades = openTrades.rows.filter(t => (t.asset || session.asset) === asset);
+
+    // Longs and shorts held together net off
+    const netSize = trades.reduce(
+      (sum, t) => sum + (t.trade_type === 'BUY' ? 1 : -1) * parseFloat(t.position_size),
+      0
+    );
+    if (Math.abs(netSize) < 1e-12) {
+      return res.status(400).json({ error: 'No open position to reverse', ...engineUpdate });
+    }
+
+    const exitTime = await orderEngine.getReplayTime(session, position);
+    const closedTrades = await closeAtReplayPrice(session, position, trades, exitTime);
+    if (!closedTrades) {
+      return res.status(400).json({ error: 'No price at this replay position' });
+    }
+    const update = { ...engineUpdate, closedTrades: engineUpdate.closedTrades.concat(closedTrades) };
+
+    const price = await orderEngine.getReplayPrice(session, position, asset);
+    // Sizes add up with float noise
+    const size = Number(Math.abs(netSize).toFixed(8));
+    const marks = await orderEngine.getReplayMarks(session, position, asset);
+    const marginCheck = await margin.checkMargin(session, price, size, asset, marks);
+    if (!marginCheck.allowed) {
+      // The position is flat now - the client still needs to see it closed
+      const balance = await orderEngine.getSessionBalance(session);
+      return res.status(400).json({ error: 'Insufficient margin to reverse', ...update, balance });
+    }
+
+    const trade = await insertTrade({
+      sessionId, tradeType: netSize > 0 ? 'SELL' : 'BUY', entryPrice: price, positionSize: size,
+      entryTime: exitTime, asset, costModels: session.cost_models
+    });
+
+    const balance = await orderEngine.getSessionBalance(session);
+    res.json({ ...update, openedTrades: engineUpdate.openedTrades.concat([trade]), balance });
+  } catch (error) {
+    console.error('Reverse position error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Evaluate open positions and pending orders against the replay up to the client's position
+router.post('/session/:sessionId/sync', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const position = orderEngine.parseReplayPosition(req.body.replayPosition);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid replay position' });
+    }
+
+    const session = await db.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+    if (session.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!replayCursor.isRevealed(session.rows[0], position)) {
+      return res.status(409).json({ error: 'Replay position is past the strict replay cursor' });
+    }
+
+    const engineUpdate = await orderEngine.syncSession(session.rows[0], position);
+    const balance = await orderEngine.getSessionBalance(session.rows[0]);
+
+    res.json({ ...engineUpdate, balance });
+  } catch (error) {
+    console.error('Sync trades error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -33,11 +33,18 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Active blind sessions are masked on the way out and unmasked on the way in
+app.use('/api', require('./middleware/blindMode'));
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/sessions', require('./routes/sessions'));
 app.use('/api/replay', require('./routes/replay'));
 app.use('/api/trades', require('./routes/trades'));
+app.use('/api/orders', require('./routes/orders'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/drawings', require('./routes/drawings'));
+app.use('/api/templates', require('./routes/templates'));
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -0,0 +1,169 @@
+/**
+ * Blind mode - replaying a session without knowing what or when it is
+ *
+ * Famous moves are easy to recognise from a date or a price level. A blind
+ * session gets a key when it starts: a random factor its prices are shown
+ * multiplied by and an offset that moves its timestamps to a fake epoch.
+ * Until the session ends, everything the server sends about it is masked with
+ * the key - prices multiplied by the factor, sizes divided by it so notional
+ * and PnL stay the same, times moved by the offset and the asset swapped for
+ * an alias of its asset class - and what the client sends back is unmasked the
+ * same way. The key itself never leaves the server; the order engine and the
+ * stored trades keep the real values.
+ */
+
+const { getAssetCategory, getPipSize } = require('../config/assets');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Blind sessions appear to start around Monday 3 January 2000
+const FAKE_EPOCH = Date.UTC(2000, 0, 3);
+
+const MIN_PRICE_FACTOR = 0.5;
+const MAX_PRICE_FACTOR = 2;
+
+// What a blind session shows in place of its asset - one stand-in per asset class,
+// as in BLIND_ASSET_CONFIG of the frontend store
+const ALIASES = {
+  crypto: 'BLIND-CRYPTO',
+  commodities: 'BLIND-CMDTY',
+  forex: 'BLIND-FX',
+  unknown: 'BLIND',
+};
+
+const PRICE_FIELDS = new Set([
+  'open', 'high', 'low', 'close', 'price', 'atr',
+  'runningOpen', 'runningHigh', 'runningLow', 'runningClose',
+  'entry_price', 'exit_price', 'stop_loss', 'take_profit', 'initial_stop_loss',
+  'trailing_distance', 'best_price', 'trigger_price', 'old_value', 'new_value',
+  'entryPrice', 'exitPrice', 'stopLoss', 'takeProfit', 'triggerPrice', 'startPrice',
+]);
+
+const SIZE_FIELDS = new Set(['volume', 'runningVolume', 'position_size', 'quantity', 'positionSize']);
+
+const TIME_FIELDS = new Set([
+  'timestamp', 'candleTimestamp', 'candle_timestamp', 'time', 'after', 'nextAfter',
+  'entry_time', 'exit_time', 'filled_at', 'cancelled_at', 'moved_at', 'modified_at',
+  'swap_accrued_through', 'start_date', 'startDate', 'cursor_candle_time', 'engine_candle_time',
+  'rewind_candle_time', 'left_candle_time',
+]);
+
+// Stop and target distances given as { type, value } - brackets and trailing stops
+const LEVEL_FIELDS = new Set(['stopLoss', 'takeProfit', 'trailingStop']);
+
+// Trading costs keyed by asset, e.g. { BTCUSDT: { commission, spread, slippage } }
+const COST_FIELDS = new Set(['cost_models', 'costs']);
+
+// The key's own columns, never sent while it is in use
+const KEY_FIELDS = new Set(['blind_price_factor', 'blind_time_offset']);
+
+/**
+ * A new key for a session starting at `startDate`. The offset is a whole
+ * number of weeks, so weekdays, trading hours and weekend gaps stay where
+ * they were.
+ */
+function createKey(startDate, random = Math.random) {
+  const start = new Date(startDate).getTime();
+
+  return {
+    priceFactor: Number((MIN_PRICE_FACTOR + random() * (MAX_PRICE_FACTOR - MIN_PRICE_FACTOR)).toFixed(6)),
+    timeOffset: Math.round((FAKE_EPOCH - start) / WEEK) * WEEK
+  };
+}
+
+// The key of a session's row, null for a session that is not blind
+function keyOf(session) {
+  if (!session.blind_mode) return null;
+
+  return {
+    sessionId: session.id,
+    asset: session.asset,
+    alias: ALIASES[getAssetCategory(session.asset)],
+    pipSize: getPipSize(session.asset),
+    priceFactor: parseFloat(session.blind_price_factor),
+    timeOffset: Number(session.blind_time_offset)
+  };
+}
+
+// The key a session is masked with, null once it has ended and may be seen as it was
+function activeKeyOf(session) {
+  return session && session.status !== 'ended' ? keyOf(session) : null;
+}
+
+const isNumeric = (value) => typeof value === 'number'
+  || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+const round = (value) => Number(value.toFixed(8));
+
+// direction: 1 masks, -1 unmasks
+function transform(key, data, direction) {
+  const factor = direction > 0 ? key.priceFactor : 1 / key.priceFactor;
+
+  const price = (value) => (isNumeric(value) ? round(Number(value) * factor) : value);
+  const size = (value) => (isNumeric(value) ? round(Number(value) / factor) : value);
+  const time = (value) => {
+    if (typeof value !== 'string' && !(value instanceof Date)) return value;
+    const ms = new Date(value).getTime();
+    return Number.isNaN(ms) ? value : new Date(ms + direction * key.timeOffset).toISOString();
+  };
+  const asset = (value) => {
+    if (direction > 0) return value === key.asset ? key.alias : value;
+    return value === key.alias ? key.asset : value;
+  };
+
+  const level = (value) => {
+    if (value.type === 'fixed') return { ...value, value: price(value.value) };
+    // A pip of the alias is not a pip of the real asset, so pips come in as a price distance
+    if (value.type === 'pips' && direction < 0) {
+      return { ...value, type: 'fixed', value: price(Number(value.value) * key.pipSize) };
+    }
+    return value;
+  };
+
+  const walk = (value, field, parent) => {
+    if (value === null || value === undefined) return value;
+    if (Array.isArray(value)) {
+      return field === 'assets' ? value.map(asset) : value.map(item => walk(item, null, value));
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      if (LEVEL_FIELDS.has(field) && 'type' in value) return level(value);
+      if (COST_FIELDS.has(field)) {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [asset(name), item]));
+      }
+      return Object.fromEntries(Object.entries(value)
+        .filter(([name]) => direction < 0 || !KEY_FIELDS.has(name))
+        .map(([name, item]) => [name, walk(item, name, value)]));
+    }
+
+    if (PRICE_FIELDS.has(field)) return price(value);
+    if (SIZE_FIELDS.has(field)) return size(value);
+    if (TIME_FIELDS.has(field)) return time(value);
+    if (field === 'asset') return asset(value);
+    if (field === 'trailing_value' && parent.trailing_type === 'fixed') return price(value);
+    // An order's created_at is the replay time it was placed at
+    if (field === 'created_at' && 'trigger_price' in parent) return time(value);
+    return value;
+  };
+
+  return walk(data, null, null);
+}
+
+// Data about a blind session as the client may see it; passed through without a key
+function maskData(key, data) {
+  return key ? transform(key, data, 1) : data;
+}
+
+// Data the client sent about a blind session, back to its real values
+function unmaskData(key, data) {
+  return key ? transform(key, data, -1) : data;
+}
+
+module.exports = {
+  FAKE_EPOCH,
+  ALIASES,
+  createKey,
+  keyOf,
+  activeKeyOf,
+  maskData,
+  unmaskData,
+};
@@ -0,0 +1,103 @@
+/**
+ * Bracket orders - a stop loss and take profit set relative to the entry
+ *
+ * A bracket gives each level as a distance rather than a price: a fixed price
+ * distance, pips, a percent of the entry, a multiple of the ATR (stop only) or
+ * a multiple of the stop distance (target only, "2R"). The levels are resolved
+ * against the actual fill price - straight away for market entries, by the
+ * order engine when a pending order fills.
+ */
+
+const { getPipSize } = require('../config/assets');
+
+const STOP_TYPES = ['fixed', 'pips', 'percent', 'atr'];
+const TARGET_TYPES = ['fixed', 'pips', 'percent', 'r'];
+
+// { type, value } with a known type and a positive value, or an error
+function normalizeLevel(level, types, name) {
+  if (level === undefined || level === null) return { level: null };
+  if (!types.includes(level.type)) return { error: `Invalid ${name} type` };
+
+  const value = parseFloat(level.value);
+  if (!(value > 0)) return { error: `${name[0].toUpperCase()}${name.slice(1)} value must be positive` };
+
+  return { level: { type: level.type, value } };
+}
+
+/**
+ * Check a bracket and strip anything the engine does not read.
+ * Returns { bracket } or { error }.
+ */
+function normalizeBracket(bracket) {
+  if (!bracket || typeof bracket !== 'object') return { error: 'Invalid bracket' };
+
+  const stop = normalizeLevel(bracket.stopLoss, STOP_TYPES, 'stop loss');
+  if (stop.error) return stop;
+  const target = normalizeLevel(bracket.takeProfit, TARGET_TYPES, 'take profit');
+  if (target.error) return target;
+
+  if (!stop.level && !target.level) {
+    return { error: 'A bracket needs a stop loss or a take profit' };
+  }
+  // R is measured against the stop
+  if (target.level?.type === 'r' && !stop.level) {
+    return { error: 'A target in R needs a stop loss' };
+  }
+
+  return { bracket: { stopLoss: stop.level, takeProfit: target.level } };
+}
+
+// Whether the stop is a multiple of the ATR, which has to be measured when the order is placed
+const needsATR = (bracket) => bracket?.stopLoss?.type === 'atr';
+
+// Price distance of a level from the entry
+function levelDistance(level, entryPrice, asset, bracket) {
+  switch (level.type) {
+    case 'pips':
+      return level.value * getPipSize(asset);
+    case 'percent':
+      return entryPrice * level.value / 100;
+    case 'atr':
+      return parseFloat(bracket.atr) * level.value;
+    default:
+      return level.value;
+  }
+}
+
+// Drop float noise, and levels a short's target would put at or below zero
+const toPrice = (price) => (price > 0 ? Number(price.toFixed(8)) : null);
+
+/**
+ * Stop loss and take profit of a trade entered at entryPrice.
+ * ATR stops read the ATR stored on the bracket as `atr`.
+ * Returns { stopLoss, takeProfit }, each null when the bracket has none.
+ */
+function resolveBracket(bracket, side, entryPrice, asset) {
+  const entry = parseFloat(entryPrice);
+  const direction = side === 'BUY' ? 1 : -1;
+
+  let stopDistance = null;
+  let stopLoss = null;
+  if (bracket.stopLoss) {
+    stopDistance = levelDistance(bracket.stopLoss, entry, asset, bracket);
+    stopLoss = stopDistance > 0 ? toPrice(entry - direction * stopDistance) : null;
+  }
+
+  let takeProfit = null;
+  if (bracket.takeProfit) {
+    const targetDistance = bracket.takeProfit.type === 'r'
+      ? (stopDistance || 0) * bracket.takeProfit.value
+      : levelDistance(bracket.takeProfit, entry, asset, bracket);
+    takeProfit = targetDistance > 0 ? toPrice(entry + direction * targetDistance) : null;
+  }
+
+  return { stopLoss, takeProfit };
+}
+
+module.exports = {
+  STOP_TYPES,
+  TARGET_TYPES,
+  normalizeBracket,
+  needsATR,
+  resolveBracket,
+};
@@ -0,0 +1,237 @@
+/**
+ * Replay branches - rewinding a session to re-trade it from an earlier point
+ *
+ * A rewind leaves the session's current history behind as an archived
+ * branch. Its open positions are closed where the replay had got to and its
+ * stats are frozen, so "what if I had held" can be compared with what is
+ * traded next. The trades and orders it made after the rewind point are
+ * detached from the session and kept under the branch rather than deleted.
+ * A trade that was open at the rewind point goes on in the new branch, put
+ * back the way it was at that moment.
+ */
+
+const db = require('../db');
+const orderEngine = require('./orderEngine');
+const sessionStats = require('./sessionStats');
+const costModel = require('./costModel');
+
+const { LAST_TICK } = orderEngine;
+
+const time = (value) => new Date(value).getTime();
+
+// NULL stands for the whole candle, as for the replay cursor
+const toTickColumn = (position) => (position.tickIndex === LAST_TICK ? null : position.tickIndex);
+
+/**
+ * Size, average entry and booked PnL of a trade after the fills up to `at`.
+ * Entry costs are worked out again from the fill, exits carry their net PnL.
+ * Swap is left for the order engine to charge again. Null when nothing of
+ * the trade was open at that time.
+ */
+function tradeStateAt(trade, fills, at, asset, costModels = null) {
+  let size = 0;
+  let cost = 0;
+  let realizedPnl = 0;
+  let commission = 0;
+  let spreadCost = 0;
+
+  for (const fill of fills.filter(f => time(f.filled_at) <= time(at))) {
+    const quantity = parseFloat(fill.quantity);
+    const costs = costModel.getFillCosts(asset, fill.price, quantity, null, costModels);
+    commission += costs.commission;
+    spreadCost += costs.spreadCost;
+
+    if (fill.fill_type === 'entry') {
+      size += quantity;
+      cost += parseFloat(fill.price) * quantity;
+      realizedPnl -= costs.total;
+    } else {
+      // The average entry stays put on an exit
+      cost -= size > 0 ? cost / size * quantity : 0;
+      size -= quantity;
+      realizedPnl += parseFloat(fill.pnl || 0);
+    }
+  }
+
+  if (size <= 1e-12) return null;
+
+  return {
+    entryPrice: Number((cost / size).toFixed(8)),
+    positionSize: Number(size.toFixed(8)),
+    realizedPnl,
+    commission,
+    spreadCost
+  };
+}
+
+/**
+ * A trade's stop loss and take profit at `at`: the last change made by then,
+ * or what the trade was opened with. Changes come from the stop history and
+ * the modification audit trail.
+ */
+function levelsAt(trade, stopMoves, modifications, at) {
+  const upTo = (list, field) => list.filter(item => time(item[field]) <= time(at));
+
+  const stops = [
+    ...upTo(stopMoves, 'moved_at').map(m => ({ at: time(m.moved_at), value: m.stop_loss })),
+    ...upTo(modifications.filter(m => m.field === 'stop_loss'), 'modified_at')
+      .map(m => ({ at: time(m.modified_at), value: m.new_value }))
+  ].sort((a, b) => a.at - b.at);
+
+  const targetChanges = modifications.filter(m => m.field === 'take_profit');
+  const targets = upTo(targetChanges, 'modified_at');
+
+  let takeProfit = trade.take_profit;
+  if (targets.length > 0) {
+    takeProfit = targets[targets.length - 1].new_value;
+  } else if (targetChanges.length > 0) {
+    takeProfit = targetChanges[0].old_value;
+  }
+
+  return {
+    stopLoss: stops.length > 0 ? stops[stops.length - 1].value : trade.initial_stop_loss,
+    takeProfit
+  };
+}
+
+// Put a trade that was open at the rewind point back into the session as it was then
+async function reopenTrade(session, trade, rewindTime) {
+  const asset = trade.asset || session.asset;
+  const fills = await db.query('SELECT * FROM trade_fills WHERE trade_id = $1 ORDER BY filled_at ASC, id ASC', [trade.id]);
+  const stopMoves = await db.query('SELECT * FROM stop_history WHERE trade_id = $1', [trade.id]);
+  const modifications = await db.query('SELECT * FROM trade_modifications WHERE trade_id = $1', [trade.id]);
+
+  const state = tradeStateAt(trade, fills.rows, rewindTime, asset, session.cost_models);
+  if (!state) return null;
+  const levels = levelsAt(trade, stopMoves.rows, modifications.rows, rewindTime);
+
+  const result = await db.query(`
+    INSERT INTO trades
+    (session_id, trade_type, entry_price, position_size, stop_loss, take_profit, entry_time, status,
+     initial_stop_loss, trailing_type, trailing_value, trailing_distance, break_even_r,
+     realized_pnl, commission, spread_cost, slippage_cost, asset)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'open', $8, $9, $10, $11, $12, $13, $14, $15, 0, $16)
+    RETURNING *
+  `, [session.id, trade.trade_type, state.entryPrice, state.positionSize, levels.stopLoss, levels.takeProfit,
+    trade.entry_time, trade.initial_stop_loss, trade.trailing_type, trade.trailing_value, trade.trailing_distance,
+    trade.break_even_r, state.realizedPnl, state.commission, state.spreadCost, trade.asset]);
+
+  const reopened = result.rows[0];
+
+  // Its history up to the rewind point comes along
+  await db.query(`
+    INSERT INTO trade_fills (trade_id, fill_type, price, quantity, pnl, reason, filled_at)
+    SELECT $1, fill_type, price, quantity, pnl, reason, filled_at FROM trade_fills
+    WHERE trade_id = $2 AND filled_at <= $3
+  `, [reopened.id, trade.id, rewindTime]);
+  await db.query(`
+    INSERT INTO stop_history (trade_id, stop_loss, reason, moved_at)
+    SELECT $1, stop_loss, reason, moved_at FROM stop_history
+    WHERE trade_id = $2 AND moved_at <= $3
+  `, [reopened.id, trade.id, rewindTime]);
+  await db.query(`
+    INSERT INTO trade_modifications (trade_id, field, old_value, new_value, price, modified_at)
+    SELECT $1, field, old_value, new_value, price, modified_at FROM trade_modifications
+    WHERE trade_id = $2 AND modified_at <= $3
+  `, [reopened.id, trade.id, rewindTime]);
+  await db.query('UPDATE orders SET trade_id = $1 WHERE trade_id = $2', [reopened.id, trade.id]);
+
+  return reopened;
+}
+
+/**
+ * Rewind a session from the replay position it is at to an earlier one and
+ * start a new branch there. The engine must already be synced to `from`.
+ * Returns the archived branch and the session as it is now.
+ */
+async function rewindSession(session, from, to) {
+  const leftTime = await orderEngine.getReplayTime(session, from);
+  const rewindTime = await orderEngine.getReplayTime(session, to);
+
+  // Close the branch's open positions where the replay had got to. Every
+  // price is looked up first, so nothing changes when one is missing.
+  const openTrades = await db.query(
+    "SELECT * FROM trades WHERE session_id = $1 AND status = 'open' ORDER BY entry_time ASC",
+    [session.id]
+  );
+  const closes = [];
+  for (const asset of orderEngine.getSessionAssets(session)) {
+    const trades = openTrades.rows.filter(t => (t.asset || session.asset) === asset);
+    if (trades.length === 0) continue;
+
+    const exitPrice = await orderEngine.getReplayPrice(session, from, asset);
+    if (exitPrice === null) {
+      return { error: 'No price at this replay position' };
+    }
+    closes.push({ trades, exitPrice });
+  }
+  for (const { trades, exitPrice } of closes) {
+    await orderEngine.closeTradesAt(session, trades, exitPrice, leftTime, 'rewind');
+  }
+
+  const summary = await sessionStats.getSessionSummary(session);
+  const branch = await db.query(`
+    INSERT INTO session_branches
+    (session_id, branch, rewind_candle_time, rewind_tick_index, left_candle_time, left_tick_index, summary)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [session.id, session.branch || 1, to.candleTime, toTickColumn(to), from.candleTime, toTickColumn(from),
+    JSON.stringify(summary)]);
+  const branchId = branch.rows[0].id;
+
+  // Trades that were open at the rewind point carry on in the new branch
+  const straddling = await db.query(`
+    SELECT * FROM trades
+    WHERE session_id = $1 AND entry_time <= $2 AND exit_time > $2
+    ORDER BY entry_time ASC, id ASC
+  `, [session.id, rewindTime]);
+  for (const trade of straddling.rows) {
+    await reopenTrade(session, trade, rewindTime);
+  }
+
+  // Everything that happened after the rewind point moves to the archived branch
+  await db.query(`
+    UPDATE trades SET session_id = NULL, branch_id = $3
+    WHERE session_id = $1 AND (entry_time > $2 OR exit_time > $2)
+  `, [session.id, rewindTime, branchId]);
+  await db.query(`
+    UPDATE orders
+    SET session_id = NULL, branch_id = $3,
+        status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+        cancelled_at = CASE WHEN status = 'pending' THEN $4 ELSE cancelled_at END
+    WHERE session_id = $1 AND created_at > $2
+  `, [session.id, rewindTime, branchId, leftTime]);
+  // Orders placed before the rewind point are resting again
+  await db.query(`
+    UPDATE orders
+    SET status = 'pending', filled_at = NULL, cancelled_at = NULL, trade_id = NULL
+    WHERE session_id = $1 AND (filled_at > $2 OR cancelled_at > $2)
+  `, [session.id, rewindTime]);
+
+  const rewound = await db.query(`
+    UPDATE sessions
+    SET branch = COALESCE(branch, 1) + 1,
+        engine_candle_time = $2, engine_tick_index = $3,
+        cursor_candle_time = $2, cursor_tick_index = $4
+    WHERE id = $1
+    RETURNING *
+  `, [session.id, to.candleTime, to.tickIndex, toTickColumn(to)]);
+
+  return { branch: branch.rows[0], session: rewound.rows[0] };
+}
+
+// Archived branches of a session, oldest first
+async function getBranches(sessionId) {
+  const result = await db.query(
+    'SELECT * FROM session_branches WHERE session_id = $1 ORDER BY branch ASC',
+    [sessionId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  tradeStateAt,
+  levelsAt,
+  rewindSession,
+  getBranches,
+};
@@ -0,0 +1,103 @@
+/**
+ * Trading costs - commission, spread and slippage
+ *
+ * Fills happen at the replay (mid) price and their costs are booked
+ * separately, so a trade keeps its chart prices while its PnL is net of
+ * everything it paid. Slippage only applies to stop fills (stop losses,
+ * liquidations and stop entry orders), which in a real market execute as
+ * market orders once the level trades. Each asset class has default costs
+ * (config/assets.js) that a session can replace for its own assets.
+ */
+
+const { getCostModel } = require('../config/assets');
+
+const COMMISSION_TYPES = ['fixed', 'percent'];
+
+// `overrides` is a session's cost_models - see normalizeCostModels
+function calculateCommission(asset, price, quantity, overrides = null) {
+  const { commission } = getCostModel(asset, overrides);
+  if (commission.type === 'percent') {
+    return price * quantity * commission.value / 100;
+  }
+  return commission.value;
+}
+
+// Half the bid/ask spread - the distance from mid to the side the fill crosses
+function calculateSpreadCost(asset, price, quantity, overrides = null) {
+  return price * getCostModel(asset, overrides).spread / 2 * quantity;
+}
+
+// Bars built from ticks carry the range of their candle
+function calculateSlippage(asset, bar, quantity, overrides = null) {
+  const range = bar.range ?? bar.high - bar.low;
+  return (range > 0 ? range : 0) * getCostModel(asset, overrides).slippage * quantity;
+}
+
+/**
+ * Costs of a single fill. Pass the bar for stop fills to include slippage,
+ * and the session's cost models to use its own costs.
+ * Returns { commission, spreadCost, slippageCost, total }.
+ */
+function getFillCosts(asset, price, quantity, bar = null, overrides = null) {
+  const fillPrice = parseFloat(price);
+  const fillSize = parseFloat(quantity);
+  const commission = calculateCommission(asset, fillPrice, fillSize, overrides);
+  const spreadCost = calculateSpreadCost(asset, fillPrice, fillSize, overrides);
+  const slippageCost = bar ? calculateSlippage(asset, bar, fillSize, overrides) : 0;
+
+  return { commission, spreadCost, slippageCost, total: commission + spreadCost + slippageCost };
+}
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value < 1;
+
+/**
+ * Check the costs a session sets for its assets:
+ * { [asset]: { commission: { type, value }, spread, slippage } }, every field
+ * optional. Spread and slippage are fractions, like the defaults.
+ * Returns { costModels } (null when nothing is set) or { error }.
+ */
+function normalizeCostModels(costs, assets) {
+  if (costs === undefined || costs === null) return { costModels: null };
+  if (typeof costs !== 'object' || Array.isArray(costs)) return { error: 'Invalid trading costs' };
+
+  const costModels = {};
+  for (const [asset, model] of Object.entries(costs)) {
+    if (!assets.includes(asset)) {
+      return { error: `${asset} is not part of this session` };
+    }
+    if (!model || typeof model !== 'object') {
+      return { error: `Invalid trading costs for ${asset}` };
+    }
+
+    const normalized = {};
+    if (model.commission !== undefined) {
+      const { type, value } = model.commission || {};
+      if (!COMMISSION_TYPES.includes(type) || typeof value !== 'number' || value < 0) {
+        return { error: `Invalid commission for ${asset}` };
+      }
+      normalized.commission = { type, value };
+    }
+    if (model.spread !== undefined) {
+      if (!isFraction(model.spread)) return { error: `Invalid spread for ${asset}` };
+      normalized.spread = model.spread;
+    }
+    if (model.slippage !== undefined) {
+      if (!isFraction(model.slippage)) return { error: `Invalid slippage for ${asset}` };
+      normalized.slippage = model.slippage;
+    }
+
+    if (Object.keys(normalized).length > 0) {
+      costModels[asset] = normalized;
+    }
+  }
+
+  return { costModels: Object.keys(costModels).length > 0 ? costModels : null };
+}
+
+module.exports = {
+  calculateCommission,
+  calculateSpreadCost,
+  calculateSlippage,
+  getFillCosts,
+  normalizeCostModels,
+};
@@ -0,0 +1,110 @@
+/**
+ * Margin accounting for leveraged sessions
+ *
+ * Used margin is the entry notional of open positions divided by the session
+ * leverage. New positions need enough free margin (equity minus used margin);
+ * the order engine liquidates everything once equity falls below the
+ * maintenance margin of the asset classes held, summed over every open
+ * position of the session.
+ */
+
+const db = require('../db');
+const { getMarginRequirements, getMaxLeverage } = require('../config/assets');
+
+// Leverage actually applied - never more than any asset class of the session allows
+function getLeverage(session) {
+  const leverage = parseFloat(session.leverage) || 1;
+  const assets = [session.asset, ...(session.assets || [])];
+  return Math.min(Math.max(leverage, 1), ...assets.map(getMaxLeverage));
+}
+
+function getInitialMargin(session, notional) {
+  return notional / getLeverage(session);
+}
+
+function getMaintenanceMargin(asset, notional) {
+  return notional * getMarginRequirements(asset).maintenance;
+}
+
+/**
+ * Balance, equity and margin of a session, with open positions on `asset`
+ * marked at price. `marks` maps the session's other assets to the price their
+ * positions are marked at; positions on an asset without a mark are held at
+ * their entry price.
+ */
+async function getAccount(session, price, asset = session.asset, marks = {}) {
+  const prices = { ...marks, [asset]: price };
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(CASE WHEN t.status = 'closed' THEN t.pnl ELSE t.realized_pnl END), 0) AS realized,
+      COALESCE(SUM(CASE WHEN t.status = 'open' THEN t.entry_price * t.position_size END), 0) AS open_notional,
+      COALESCE(SUM(CASE
+        WHEN t.status = 'open' AND t.trade_type = 'BUY' THEN (m.price - t.entry_price) * t.position_size
+        WHEN t.status = 'open' THEN (t.entry_price - m.price) * t.position_size
+      END), 0) AS unrealized
+    FROM trades t
+    LEFT JOIN unnest($3::text[], $2::numeric[]) AS m(asset, price) ON m.asset = COALESCE(t.asset, $4)
+    WHERE t.session_id = $1
+  `, [session.id, Object.values(prices), Object.keys(prices), session.asset]);
+
+  const row = result.rows[0] || {};
+  const balance = parseFloat(session.initial_balance) + parseFloat(row.realized || 0);
+  const equity = balance + parseFloat(row.unrealized || 0);
+  const usedMargin = getInitialMargin(session, parseFloat(row.open_notional || 0));
+
+  return { balance, equity, usedMargin, freeMargin: equity - usedMargin };
+}
+
+/**
+ * Check whether a new position of the given size on `asset` fits in the free
+ * margin, with the rest of the account marked at `marks` (see getAccount).
+ */
+async function checkMargin(session, price, size, asset = session.asset, marks = {}) {
+  const account = await getAccount(session, price, asset, marks);
+  const required = getInitialMargin(session, parseFloat(price) * parseFloat(size));
+
+  return { allowed: required <= account.freeMargin, required, freeMargin: account.freeMargin };
+}
+
+/**
+ * Whether open positions leave equity below the maintenance margin of the
+ * whole account. `marks` maps each asset to the bar its positions are marked
+ * at - the worst price of it is used - and positions on an asset without a
+ * mark yet count at their entry. Trades without an asset are on `asset`.
+ * balance already includes partial exits.
+ */
+function isAccountBelowMaintenance(trades, marks, balance, asset) {
+  if (trades.length === 0) return false;
+
+  let equity = balance;
+  let maintenance = 0;
+  for (const trade of trades) {
+    const tradeAsset = trade.asset || asset;
+    const mark = marks.get(tradeAsset);
+    const size = parseFloat(trade.position_size);
+    const entry = parseFloat(trade.entry_price);
+    const worst = mark ? (trade.trade_type === 'BUY' ? mark.low : mark.high) : entry;
+    equity += trade.trade_type === 'BUY' ? (worst - entry) * size : (entry - worst) * size;
+    maintenance += getMaintenanceMargin(tradeAsset, worst * size);
+  }
+
+  return equity < maintenance;
+}
+
+/**
+ * Whether open positions on one asset, marked at the worst price of a bar,
+ * leave equity below the maintenance margin.
+ */
+function isBelowMaintenance(trades, bar, balance, asset) {
+  return isAccountBelowMaintenance(trades, new Map([[asset, bar]]), balance, asset);
+}
+
+module.exports = {
+  getLeverage,
+  getInitialMargin,
+  getMaintenanceMargin,
+  getAccount,
+  checkMargin,
+  isAccountBelowMaintenance,
+  isBelowMaintenance,
+};
@@ -0,0 +1,67 @@
+/**
+ * Market data access shared by the replay routes and the replay stream
+ */
+
+const db = require('../db');
+
+/**
+ * Load the ticks of a batch of candles and bundle them together.
+ * Prices come back as numbers, ticks in replay order.
+ */
+async function bundleTicks(asset, timeframe, candleRows) {
+  const candleTimestamps = candleRows.map(c => c.timestamp);
+  if (candleTimestamps.length === 0) return [];
+
+  const ticks = await db.query(`
+    SELECT
+      candle_timestamp,
+      tick_index,
+      timestamp,
+      price,
+      running_open,
+      running_high,
+      running_low,
+      running_close,
+      SUM(volume) OVER (PARTITION BY candle_timestamp ORDER BY tick_index) AS running_volume,
+      is_final_tick
+    FROM candle_ticks
+    WHERE asset = $1
+      AND timeframe = $2
+      AND candle_timestamp = ANY($3)
+    ORDER BY candle_timestamp ASC, tick_index ASC
+  `, [asset, timeframe, candleTimestamps]);
+
+  // Group ticks by candle
+  const ticksByCandle = {};
+  for (const tick of ticks.rows) {
+    const key = tick.candle_timestamp.toISOString();
+    if (!ticksByCandle[key]) {
+      ticksByCandle[key] = [];
+    }
+    ticksByCandle[key].push({
+      tickIndex: tick.tick_index,
+      timestamp: tick.timestamp,
+      price: parseFloat(tick.price),
+      runningOpen: parseFloat(tick.running_open),
+      runningHigh: parseFloat(tick.running_high),
+      runningLow: parseFloat(tick.running_low),
+      runningClose: parseFloat(tick.running_close),
+      runningVolume: parseFloat(tick.running_volume),
+      isFinalTick: tick.is_final_tick
+    });
+  }
+
+  return candleRows.map(candle => ({
+    timestamp: candle.timestamp,
+    open: parseFloat(candle.open),
+    high: parseFloat(candle.high),
+    low: parseFloat(candle.low),
+    close: parseFloat(candle.close),
+    volume: parseFloat(candle.volume),
+    ticks: ticksByCandle[candle.timestamp.toISOString()] || []
+  }));
+}
+
+module.exports = {
+  bundleTicks,
+};
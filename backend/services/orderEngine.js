@@ -0,0 +1,716 @@
+/**
+ * Server-side order engine
+ *
+ * Owns the open positions and pending orders of a replay session. The client
+ * reports where the replay is (candle timestamp + tick index) and the engine
+ * walks the stored ticks up to that point, filling orders whose trigger was
+ * crossed, trailing stops, closing any trade whose stop loss or take
+ * profit was touched and liquidating the account when equity falls below
+ * the maintenance margin. Exit prices and times come from the replay data, so a closed
+ * tab or page refresh can no longer lose a stop-out. Fills are charged the
+ * commission, spread and slippage of the session's asset, and positions
+ * accrue swap or funding at every rollover the replay passes.
+ *
+ * A session can replay several assets under one balance. Positions are always
+ * given on the session's own asset, which drives the replay clock; the other
+ * assets are walked up to the last tick at the same replay time, and the ticks
+ * of every asset are merged in time order so margin is checked on the equity
+ * of the whole account.
+ */
+
+const db = require('../db');
+const stopRules = require('./stopRules');
+const margin = require('./margin');
+const costModel = require('./costModel');
+const swap = require('./swap');
+const brackets = require('./brackets');
+
+// Tick index meaning "the whole candle" (instant mode / candles without ticks)
+const LAST_TICK = 2147483647;
+
+function calculatePnL(tradeType, entryPrice, exitPrice, positionSize) {
+  if (tradeType === 'BUY') {
+    return (exitPrice - entryPrice) * positionSize;
+  }
+  return (entryPrice - exitPrice) * positionSize;
+}
+
+/**
+ * Normalize a replay position sent by the client.
+ * Returns null when the position is missing or malformed.
+ */
+function parseReplayPosition(position) {
+  if (!position || !position.candleTimestamp) return null;
+
+  const candleTime = new Date(position.candleTimestamp);
+  if (isNaN(candleTime.getTime())) return null;
+
+  const hasTick = position.tickIndex !== undefined && position.tickIndex !== null;
+  const tickIndex = hasTick ? parseInt(position.tickIndex, 10) : LAST_TICK;
+  if (isNaN(tickIndex) || tickIndex < 0) return null;
+
+  return { candleTime, tickIndex };
+}
+
+function comparePositions(a, b) {
+  const timeDiff = a.candleTime.getTime() - b.candleTime.getTime();
+  if (timeDiff !== 0) return timeDiff;
+  return a.tickIndex - b.tickIndex;
+}
+
+// Every asset replayed in a session, the one driving the replay clock first
+function getSessionAssets(session) {
+  const others = (session.assets || []).filter(asset => asset !== session.asset);
+  return [session.asset, ...others];
+}
+
+// Position the engine has already evaluated for this session
+function getEnginePosition(session) {
+  if (session.engine_candle_time) {
+    return {
+      candleTime: new Date(session.engine_candle_time),
+      tickIndex: session.engine_tick_index ?? LAST_TICK
+    };
+  }
+  // Nothing evaluated yet - start just before the first tick of the session
+  return { candleTime: new Date(session.start_date), tickIndex: -1 };
+}
+
+// Whether a bar knows the price it opened at - whole candles loaded without it do not
+function hasOpen(bar) {
+  return bar.open !== undefined && bar.open !== null && !isNaN(bar.open);
+}
+
+/**
+ * Decide whether a bar (a single tick or a whole candle) hits the stop loss
+ * or take profit of an open trade. Stops are checked first, so a candle that
+ * spans both levels is scored conservatively. A bar that opens through the
+ * stop gapped past it and fills at its open, like an entry stop order.
+ */
+function checkExit(trade, bar) {
+  const stopLoss = trade.stop_loss ? parseFloat(trade.stop_loss) : null;
+  const takeProfit = trade.take_profit ? parseFloat(trade.take_profit) : null;
+
+  if (trade.trade_type === 'BUY') {
+    if (stopLoss && bar.low <= stopLoss) {
+      return { exitPrice: hasOpen(bar) ? Math.min(bar.open, stopLoss) : stopLoss, exitReason: 'stop_loss' };
+    }
+    if (takeProfit && bar.high >= takeProfit) {
+      return { exitPrice: takeProfit, exitReason: 'take_profit' };
+    }
+  } else {
+    if (stopLoss && bar.high >= stopLoss) {
+      return { exitPrice: hasOpen(bar) ? Math.max(bar.open, stopLoss) : stopLoss, exitReason: 'stop_loss' };
+    }
+    if (takeProfit && bar.low <= takeProfit) {
+      return { exitPrice: takeProfit, exitReason: 'take_profit' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the bars in (from, to] for the session's asset and timeframe.
+ * Uses candle_ticks when available and falls back to whole candles.
+ */
+async function loadBars(session, from, to) {
+  const { asset, timeframe } = session;
+
+  // The candle range is kept with each tick - stop slippage is measured against it
+  const ticks = await db.query(`
+    SELECT t.candle_timestamp, t.tick_index, t.timestamp, t.price, m.high - m.low AS candle_range
+    FROM candle_ticks t
+    LEFT JOIN market_data m
+      ON m.asset = t.asset AND m.timeframe = t.timeframe AND m.timestamp = t.candle_timestamp
+    WHERE t.asset = $1
+      AND t.timeframe = $2
+      AND (t.candle_timestamp, t.tick_index) > ($3, $4)
+      AND (t.candle_timestamp, t.tick_index) <= ($5, $6)
+    ORDER BY t.candle_timestamp ASC, t.tick_index ASC
+  `, [asset, timeframe, from.candleTime, from.tickIndex, to.candleTime, to.tickIndex]);
+
+  if (ticks.rows.length > 0) {
+    return ticks.rows.map(tick => {
+      const price = parseFloat(tick.price);
+      return {
+        candleTime: tick.candle_timestamp,
+        tickIndex: tick.tick_index,
+        timestamp: tick.timestamp,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        range: parseFloat(tick.candle_range) || 0
+      };
+    });
+  }
+
+  // A partially evaluated candle still has to be checked as a whole
+  const fromOperator = from.tickIndex === LAST_TICK ? '>' : '>=';
+  const candles = await db.query(`
+    SELECT timestamp, open, high, low, close
+    FROM market_data
+    WHERE asset = $1
+      AND timeframe = $2
+      AND timestamp ${fromOperator} $3
+      AND timestamp <= $4
+    ORDER BY timestamp ASC
+  `, [asset, timeframe, from.candleTime, to.candleTime]);
+
+  return candles.rows.map(candle => ({
+    candleTime: candle.timestamp,
+    tickIndex: LAST_TICK,
+    timestamp: candle.timestamp,
+    open: parseFloat(candle.open),
+    high: parseFloat(candle.high),
+    low: parseFloat(candle.low),
+    close: parseFloat(candle.close)
+  }));
+}
+
+/**
+ * Decide whether a bar crosses the trigger of a pending order.
+ * Limits fill at the trigger or better, stops once price trades through it.
+ */
+function checkFill(order, bar) {
+  const trigger = parseFloat(order.trigger_price);
+
+  if (order.order_type === 'LIMIT') {
+    return order.side === 'BUY' ? bar.low <= trigger : bar.high >= trigger;
+  }
+  if (order.order_type === 'STOP') {
+    return order.side === 'BUY' ? bar.high >= trigger : bar.low <= trigger;
+  }
+  return false;
+}
+
+/**
+ * Price an order fills at on a bar that crosses its trigger. A bar that opens
+ * beyond the trigger gapped through it and fills at its open - better than
+ * the trigger for a limit, worse for a stop.
+ */
+function getFillPrice(order, bar) {
+  const trigger = parseFloat(order.trigger_price);
+  if (!hasOpen(bar)) {
+    return trigger;
+  }
+
+  return triggerSide(order.side, order.order_type) === 'below'
+    ? Math.min(bar.open, trigger)
+    : Math.max(bar.open, trigger);
+}
+
+// Side of the current price a trigger has to be placed on: limits wait for a better price, stops for a break
+function triggerSide(side, orderType) {
+  return (side === 'BUY') === (orderType === 'LIMIT') ? 'below' : 'above';
+}
+
+/**
+ * Run open trades and pending orders through a sequence of bars.
+ * Filled orders become trades that are evaluated from the following bar on.
+ * Stops are trailed after the exit check, so a bar never stops out against
+ * a level it moved itself. Bars tagged with an asset only move the trades and
+ * orders of that asset, so several assets can share one replay clock.
+ *
+ * When an account ({ balance, asset, costModels }) is given, every fill pays
+ * the costs of its asset (trades and orders without one are on the account's
+ * asset), open trades accrue carry at each rollover, and all positions are
+ * liquidated on the first bar that takes the account's equity below the
+ * maintenance margin of everything it holds. Positions on the other assets
+ * are marked at the close of their last bar.
+ * Returns the fills, stop moves and exits in the order they happened.
+ */
+function processBars(openTrades, pendingOrders, bars, account = null) {
+  const fills = [];
+  const exits = [];
+  const stopMoves = [];
+  let trades = openTrades;
+  let orders = pendingOrders;
+  let balance = account ? account.balance : 0;
+  const asset = account ? account.asset : null;
+  const costModels = account ? account.costModels : null;
+  const marks = new Map();
+
+  const assetOf = (item) => item.asset || asset;
+
+  const closeTrade = (trade, exitPrice, exitReason, bar) => {
+    // The exit fill covers what is left; partial exits and costs before it are already realized
+    const size = parseFloat(trade.position_size);
+    const isStopFill = exitReason === 'stop_loss' || exitReason === 'liquidation';
+    const costs = costModel.getFillCosts(assetOf(trade), exitPrice, size, isStopFill ? bar : null, costModels);
+    const fillPnl = calculatePnL(trade.trade_type, parseFloat(trade.entry_price), exitPrice, size) - costs.total;
+    balance += fillPnl;
+    exits.push({
+      trade,
+      exitPrice,
+      exitReason,
+      exitTime: bar.timestamp,
+      fillPnl,
+      costs,
+      pnl: fillPnl + parseFloat(trade.realized_pnl || 0)
+    });
+  };
+
+  // Swap is booked to realized PnL, so it counts towards the balance straight away
+  const accrueSwap = (trade, bar) => {
+    const from = trade.swap_accrued_through || trade.entry_time;
+    if (!from) return;
+
+    const tradeAsset = assetOf(trade);
+    const rollovers = swap.getRollovers(tradeAsset, from, bar.timestamp);
+    if (rollovers.length === 0) return;
+
+    const amount = rollovers.reduce((sum, r) => sum + swap.calculateSwap(tradeAsset, trade, bar.close, r.periods), 0);
+    trade.swap = parseFloat(trade.swap || 0) + amount;
+    trade.realized_pnl = parseFloat(trade.realized_pnl || 0) + amount;
+    trade.swap_accrued_through = rollovers[rollovers.length - 1].time;
+    balance += amount;
+  };
+
+  for (const bar of bars) {
+    if (trades.length === 0 && orders.length === 0) break;
+
+    const onBar = (item) => !bar.asset || assetOf(item) === bar.asset;
+
+    if (asset) {
+      trades.filter(onBar).forEach(trade => accrueSwap(trade, bar));
+    }
+
+    trades = trades.filter(trade => {
+      const exit = onBar(trade) && checkExit(trade, bar);
+      if (!exit) return true;
+
+      closeTrade(trade, exit.exitPrice, exit.exitReason, bar);
+      return false;
+    });
+
+    const barAsset = bar.asset || asset;
+    marks.set(barAsset, bar);
+    if (account && margin.isAccountBelowMaintenance(trades, marks, balance, asset)) {
+      trades.forEach(trade => {
+        const mark = marks.get(assetOf(trade));
+        let price = parseFloat(trade.entry_price);
+        if (mark) {
+          price = trade.trade_type === 'BUY' ? mark.low : mark.high;
+        }
+        // Only the bar's own asset slips through its range, the others close at their last price
+        closeTrade(trade, price, 'liquidation', mark === bar ? bar : { timestamp: bar.timestamp, high: price, low: price });
+      });
+      trades = [];
+    }
+    // Until its next bar, the asset is worth its close
+    const close = bar.close ?? (bar.high + bar.low) / 2;
+    marks.set(barAsset, { high: close, low: close, close });
+
+    for (const trade of trades.filter(onBar)) {
+      if (!stopRules.hasStopRules(trade)) continue;
+
+      const { stopLoss, reason, bestPrice } = stopRules.updateStop(trade, bar);
+      trade.best_price = bestPrice;
+      if (reason) {
+        trade.stop_loss = stopLoss;
+        stopMoves.push({ trade, stopLoss, reason, movedAt: bar.timestamp });
+      }
+    }
+
+    const filledTrades = [];
+    orders = orders.filter(order => {
+      if (!onBar(order) || !checkFill(order, bar)) return true;
+
+      // Entry costs are paid up front and carried in the trade's realized PnL
+      const orderAsset = assetOf(order);
+      const entryPrice = getFillPrice(order, bar);
+      const size = parseFloat(order.position_size);
+      const costs = costModel.getFillCosts(orderAsset, entryPrice, size, order.order_type === 'STOP' ? bar : null, costModels);
+      balance -= costs.total;
+
+      // Bracket levels are placed around the fill; a level set on the order by hand wins
+      const levels = order.bracket
+        ? brackets.resolveBracket(order.bracket, order.side, entryPrice, orderAsset)
+        : {};
+
+      const trade = {
+        session_id: order.session_id,
+        asset: order.asset || null,
+        trade_type: order.side,
+        entry_price: entryPrice,
+        position_size: size,
+        stop_loss: order.stop_loss || levels.stopLoss || null,
+        take_profit: order.take_profit || levels.takeProfit || null,
+        entry_time: bar.timestamp,
+        realized_pnl: -costs.total,
+        commission: costs.commission,
+        spread_cost: costs.spreadCost,
+        slippage_cost: costs.slippageCost
+      };
+      fills.push({ order, trade, fillTime: bar.timestamp });
+      filledTrades.push(trade);
+      return false;
+    });
+    trades = trades.concat(filledTrades);
+  }
+
+  return { fills, exits, stopMoves };
+}
+
+/**
+ * Store entry and exit fills of trades in one statement.
+ * Each fill is { tradeId, fillType, price, quantity, pnl, reason, filledAt }.
+ */
+async function recordFills(fills) {
+  if (fills.length === 0) return;
+
+  const values = [];
+  const params = [];
+  fills.forEach((fill, i) => {
+    const n = i * 7;
+    values.push(`($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, COALESCE($${n + 7}, NOW()))`);
+    params.push(fill.tradeId, fill.fillType, fill.price, fill.quantity, fill.pnl ?? null, fill.reason ?? null, fill.filledAt ?? null);
+  });
+
+  await db.query(
+    `INSERT INTO trade_fills (trade_id, fill_type, price, quantity, pnl, reason, filled_at) VALUES ${values.join(', ')}`,
+    params
+  );
+}
+
+// Record stop moves in one statement - a trailing stop can move on every tick
+async function saveStopMoves(stopMoves) {
+  if (stopMoves.length === 0) return;
+
+  const values = [];
+  const params = [];
+  stopMoves.forEach((move, i) => {
+    values.push(`($${i * 4 + 1}, $${i * 4 + 2}, $${i * 4 + 3}, $${i * 4 + 4})`);
+    params.push(move.trade.id, move.stopLoss, move.reason, move.movedAt);
+  });
+
+  await db.query(
+    `INSERT INTO stop_history (trade_id, stop_loss, reason, moved_at) VALUES ${values.join(', ')}`,
+    params
+  );
+}
+
+// Best price of a trade as a number - rows from pg still carry NUMERIC strings
+function bestPriceOf(trade) {
+  return trade.best_price === null || trade.best_price === undefined ? null : parseFloat(trade.best_price);
+}
+
+/**
+ * Advance the engine for a session up to the given replay position.
+ * Returns the orders filled, the trades they opened, open trades whose stop
+ * moved and the trades closed along the way.
+ */
+async function syncSession(session, target) {
+  const result = { closedTrades: [], filledOrders: [], openedTrades: [], updatedTrades: [], stopMoves: [] };
+
+  // An ended session is frozen - nothing is left to evaluate
+  if (session.status === 'ended') {
+    return result;
+  }
+
+  const from = getEnginePosition(session);
+  if (comparePositions(target, from) <= 0) {
+    return result;
+  }
+
+  const openTrades = await db.query(
+    "SELECT * FROM trades WHERE session_id = $1 AND status = 'open' ORDER BY entry_time ASC",
+    [session.id]
+  );
+  const pendingOrders = await db.query(
+    "SELECT * FROM orders WHERE session_id = $1 AND status = 'pending' ORDER BY created_at ASC",
+    [session.id]
+  );
+
+  // Without positions or orders there is nothing to evaluate, just move the marker
+  if (openTrades.rows.length > 0 || pendingOrders.rows.length > 0) {
+    const balance = await getSessionBalance(session);
+    const initialBest = new Map(openTrades.rows.map(t => [t.id, bestPriceOf(t)]));
+    const initialAccrual = new Map(openTrades.rows.map(t => [t.id, t.swap_accrued_through]));
+
+    // Each asset is walked on its own ticks, up to the same replay time, and
+    // the bars of every asset are merged onto one clock so the balance is shared
+    const assets = getSessionAssets(session).filter(asset =>
+      openTrades.rows.some(t => (t.asset || session.asset) === asset)
+      || pendingOrders.rows.some(o => (o.asset || session.asset) === asset)
+    );
+
+    let bars = [];
+    for (const asset of assets) {
+      const assetFrom = await mapPosition(session, asset, from);
+      const assetTarget = await mapPosition(session, asset, target);
+      if (comparePositions(assetTarget, assetFrom) <= 0) continue;
+
+      const assetBars = await loadBars({ ...session, asset }, assetFrom, assetTarget);
+      bars = bars.concat(assetBars.map(bar => ({ ...bar, asset })));
+    }
+    // A stable sort keeps the session's own asset first at equal times
+    bars.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const { fills, exits, stopMoves } = processBars(openTrades.rows, pendingOrders.rows, bars, {
+      balance, asset: session.asset, costModels: session.cost_models
+    });
+
+    // Fills first, so trades opened and closed within this window have an id
+    for (const fill of fills) {
+      const trade = await db.query(`
+        INSERT INTO trades
+        (session_id, trade_type, entry_price, position_size, stop_loss, take_profit, entry_time, status,
+         realized_pnl, commission, spread_cost, slippage_cost, swap, swap_accrued_through, asset)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, 'open', $8, $9, $10, $11, COALESCE($12, 0), $13, $14)
+        RETURNING *
+      `, [fill.order.session_id, fill.trade.trade_type, fill.trade.entry_price, fill.trade.position_size,
+        fill.trade.stop_loss, fill.trade.take_profit, fill.fillTime,
+        fill.trade.realized_pnl, fill.trade.commission, fill.trade.spread_cost, fill.trade.slippage_cost,
+        fill.trade.swap ?? null, fill.trade.swap_accrued_through ?? null, fill.order.asset || null]);
+      fill.trade.id = trade.rows[0].id;
+      result.openedTrades.push(trade.rows[0]);
+
+      const order = await db.query(`
+        UPDATE orders
+        SET status = 'filled', filled_at = $1, trade_id = $2
+        WHERE id = $3
+        RETURNING *
+      `, [fill.fillTime, fill.trade.id, fill.order.id]);
+      result.filledOrders.push(order.rows[0]);
+    }
+
+    const tradeFills = fills.map(fill => ({
+      tradeId: fill.trade.id,
+      fillType: 'entry',
+      price: fill.trade.entry_price,
+      quantity: fill.trade.position_size,
+      filledAt: fill.fillTime
+    }));
+
+    for (const exit of exits) {
+      const closed = await db.query(`
+        UPDATE trades
+        SET exit_price = $1, exit_time = $2, exit_reason = $3, pnl = $4, status = 'closed',
+            commission = commission + $6, spread_cost = spread_cost + $7, slippage_cost = slippage_cost + $8,
+            swap = COALESCE($9, swap)
+        WHERE id = $5 AND status = 'open'
+        RETURNING *
+      `, [exit.exitPrice, exit.exitTime, exit.exitReason, exit.pnl, exit.trade.id,
+        exit.costs.commission, exit.costs.spreadCost, exit.costs.slippageCost, exit.trade.swap ?? null]);
+
+      if (closed.rows[0]) {
+        result.closedTrades.push(closed.rows[0]);
+        tradeFills.push({
+          tradeId: exit.trade.id,
+          fillType: 'exit',
+          price: exit.exitPrice,
+          quantity: parseFloat(exit.trade.position_size),
+          pnl: exit.fillPnl,
+          reason: exit.exitReason,
+          filledAt: exit.exitTime
+        });
+      }
+    }
+
+    await recordFills(tradeFills);
+
+    await saveStopMoves(stopMoves);
+    result.stopMoves = stopMoves.map(move => ({
+      trade_id: move.trade.id,
+      stop_loss: move.stopLoss,
+      reason: move.reason,
+      moved_at: move.movedAt
+    }));
+
+    // Persist the trailed stop (and best price) of trades that are still open
+    const closedIds = result.closedTrades.map(t => t.id);
+    const trailedTrades = openTrades.rows.filter(t =>
+      stopRules.hasStopRules(t) && !closedIds.includes(t.id) && bestPriceOf(t) !== initialBest.get(t.id)
+    );
+    for (const trade of trailedTrades) {
+      const updated = await db.query(`
+        UPDATE trades
+        SET stop_loss = $1, best_price = $2
+        WHERE id = $3 AND status = 'open'
+        RETURNING *
+      `, [trade.stop_loss, trade.best_price, trade.id]);
+
+      if (updated.rows[0]) {
+        result.updatedTrades.push(updated.rows[0]);
+      }
+    }
+
+    // Persist the carry of trades that are still open and passed a rollover
+    const accruedTrades = openTrades.rows.filter(t =>
+      !closedIds.includes(t.id) && t.swap_accrued_through !== initialAccrual.get(t.id)
+    );
+    for (const trade of accruedTrades) {
+      const updated = await db.query(`
+        UPDATE trades
+        SET swap = $1, realized_pnl = $2, swap_accrued_through = $3
+        WHERE id = $4 AND status = 'open'
+        RETURNING *
+      `, [trade.swap, trade.realized_pnl, trade.swap_accrued_through, trade.id]);
+
+      if (updated.rows[0]) {
+        result.updatedTrades = result.updatedTrades.filter(t => t.id !== trade.id).concat(updated.rows[0]);
+      }
+    }
+
+    // Trades that opened and closed in the same window are reported as closed only
+    result.openedTrades = result.openedTrades.filter(t => !closedIds.includes(t.id));
+  }
+
+  await db.query(
+    'UPDATE sessions SET engine_candle_time = $1, engine_tick_index = $2 WHERE id = $3',
+    [target.candleTime, target.tickIndex, session.id]
+  );
+  session.engine_candle_time = target.candleTime;
+  session.engine_tick_index = target.tickIndex;
+
+  return result;
+}
+
+// Replay time of a position - the tick's own timestamp when we have one
+async function getReplayTime(session, position) {
+  if (position.tickIndex === LAST_TICK) {
+    return position.candleTime;
+  }
+
+  const tick = await db.query(`
+    SELECT timestamp FROM candle_ticks
+    WHERE asset = $1 AND timeframe = $2 AND candle_timestamp = $3 AND tick_index = $4
+  `, [session.asset, session.timeframe, position.candleTime, position.tickIndex]);
+
+  return tick.rows[0]?.timestamp || position.candleTime;
+}
+
+/**
+ * The same replay position on another asset of the session: the last tick of
+ * that asset's candle at or before the replay time. A candle that has no tick
+ * yet maps to the end of the candle before it.
+ */
+async function mapPosition(session, asset, position) {
+  if (asset === session.asset || position.tickIndex === LAST_TICK || position.tickIndex < 0) {
+    return position;
+  }
+
+  const time = await getReplayTime(session, position);
+  const tick = await db.query(`
+    SELECT MAX(tick_index) AS tick_index FROM candle_ticks
+    WHERE asset = $1 AND timeframe = $2 AND candle_timestamp = $3 AND timestamp <= $4
+  `, [asset, session.timeframe, position.candleTime, time]);
+
+  const tickIndex = tick.rows[0]?.tick_index;
+  if (tickIndex === null || tickIndex === undefined) {
+    return { candleTime: new Date(position.candleTime.getTime() - 1), tickIndex: LAST_TICK };
+  }
+  return { candleTime: position.candleTime, tickIndex };
+}
+
+// Replay price of an asset at a position - the tick's price, or the last candle close without ticks
+async function getReplayPrice(session, position, asset = session.asset) {
+  position = await mapPosition(session, asset, position);
+
+  if (position.tickIndex !== LAST_TICK) {
+    const tick = await db.query(`
+      SELECT price FROM candle_ticks
+      WHERE asset = $1 AND timeframe = $2 AND candle_timestamp = $3 AND tick_index <= $4
+      ORDER BY tick_index DESC
+      LIMIT 1
+    `, [asset, session.timeframe, position.candleTime, position.tickIndex]);
+
+    if (tick.rows[0]) {
+      return parseFloat(tick.rows[0].price);
+    }
+  }
+
+  const candle = await db.query(
+    'SELECT close FROM market_data WHERE asset = $1 AND timeframe = $2 AND timestamp <= $3 ORDER BY timestamp DESC LIMIT 1',
+    [asset, session.timeframe, position.candleTime]
+  );
+  return candle.rows[0] ? parseFloat(candle.rows[0].close) : null;
+}
+
+/**
+ * Replay prices of the session's assets other than `asset`, for margin checks
+ * that mark the whole account (see margin.getAccount). Without a replay
+ * position, or on a single-asset session, there is nothing else to mark.
+ */
+async function getReplayMarks(session, position, asset = session.asset) {
+  const marks = {};
+  if (!position) return marks;
+
+  for (const other of getSessionAssets(session)) {
+    if (other === asset) continue;
+    const price = await getReplayPrice(session, position, other);
+    if (price !== null) marks[other] = price;
+  }
+  return marks;
+}
+
+/**
+ * Close open trades of a session at one price, e.g. when the session ends.
+ * Exits pay the session's trading costs like any other fill.
+ * Returns the closed trades.
+ */
+async function closeTradesAt(session, trades, exitPrice, exitTime, exitReason) {
+  const closedTrades = [];
+  const fills = [];
+
+  for (const trade of trades) {
+    const size = parseFloat(trade.position_size);
+    const costs = costModel.getFillCosts(trade.asset || session.asset, exitPrice, size, null, session.cost_models);
+    const fillPnl = calculatePnL(trade.trade_type, parseFloat(trade.entry_price), exitPrice, size) - costs.total;
+
+    const closed = await db.query(`
+      UPDATE trades
+      SET exit_price = $1, exit_time = COALESCE($2, NOW()), exit_reason = $3, pnl = $4, status = 'closed',
+          commission = commission + $6, spread_cost = spread_cost + $7, slippage_cost = slippage_cost + $8
+      WHERE id = $5 AND status = 'open'
+      RETURNING *
+    `, [exitPrice, exitTime, exitReason, fillPnl + parseFloat(trade.realized_pnl || 0), trade.id,
+      costs.commission, costs.spreadCost, costs.slippageCost]);
+
+    if (closed.rows[0]) {
+      closedTrades.push(closed.rows[0]);
+      fills.push({
+        tradeId: trade.id, fillType: 'exit', price: exitPrice, quantity: size,
+        pnl: fillPnl, reason: exitReason, filledAt: exitTime
+      });
+    }
+  }
+
+  await recordFills(fills);
+  return closedTrades;
+}
+
+// Account balance: starting balance plus realized PnL of closed trades and partial exits
+async function getSessionBalance(session) {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(CASE WHEN status = 'closed' THEN pnl ELSE realized_pnl END), 0) AS realized
+    FROM trades
+    WHERE session_id = $1
+  `, [session.id]);
+  return parseFloat(session.initial_balance) + parseFloat(result.rows[0]?.realized || 0);
+}
+
+module.exports = {
+  LAST_TICK,
+  calculatePnL,
+  parseReplayPosition,
+  comparePositions,
+  checkExit,
+  checkFill,
+  getFillPrice,
+  triggerSide,
+  loadBars,
+  processBars,
+  syncSession,
+  recordFills,
+  getReplayTime,
+  getReplayPrice,
+  getReplayMarks,
+  closeTradesAt,
+  getSessionBalance,
+  getSessionAssets,
+  mapPosition,
+};
@@ -0,0 +1,123 @@
+/**
+ * Strict replay - the server decides how much of the replay has been revealed
+ *
+ * A strict session only ever sees data up to its stored cursor (candle
+ * timestamp + tick index). The replay routes cut every response at the
+ * cursor, hide the final OHLC of the candle that is still forming, and the
+ * cursor only moves forward through stepCursor. Trading calls positioned
+ * beyond the cursor are refused, so the order engine cannot be used to peek
+ * ahead either.
+ */
+
+const db = require('../db');
+const { LAST_TICK, comparePositions } = require('./orderEngine');
+
+const STEP_UNITS = ['tick', 'candle'];
+const MAX_STEP = 500;
+
+// Cursor of a session as an engine position, null when it has never been set
+function getCursorPosition(session) {
+  if (!session.cursor_candle_time) return null;
+  return {
+    candleTime: new Date(session.cursor_candle_time),
+    tickIndex: session.cursor_tick_index ?? LAST_TICK
+  };
+}
+
+/**
+ * Whether a replay position has already been revealed to the client.
+ * Always true outside strict mode; a missing position means "now".
+ */
+function isRevealed(session, position) {
+  if (!session.strict_replay || !position) return true;
+  const cursor = getCursorPosition(session);
+  return cursor !== null && comparePositions(position, cursor) <= 0;
+}
+
+// Strict and scored sessions fill trades at the replay price, never at a price the client sends
+function isStrict(session) {
+  return Boolean(session.strict_replay || session.scored);
+}
+
+/**
+ * Move a strict session's cursor forward by `count` ticks or candles.
+ * A candle step lands on the first tick of the new candle, or on the whole
+ * candle when `wholeCandle` is set or the candle has no ticks.
+ * Returns the new cursor, or null when there is no more data.
+ */
+async function stepCursor(session, unit = 'tick', count = 1, wholeCandle = false) {
+  const { asset, timeframe } = session;
+  const cursor = getCursorPosition(session);
+
+  if (unit === 'tick') {
+    const next = await db.query(`
+      SELECT candle_timestamp, tick_index
+      FROM candle_ticks
+      WHERE asset = $1
+        AND timeframe = $2
+        AND (candle_timestamp, tick_index) > ($3, $4)
+      ORDER BY candle_timestamp ASC, tick_index ASC
+      OFFSET $5
+      LIMIT 1
+    `, [asset, timeframe, cursor.candleTime, cursor.tickIndex, count - 1]);
+
+    if (next.rows.length > 0) {
+      return { candleTime: next.rows[0].candle_timestamp, tickIndex: next.rows[0].tick_index };
+    }
+    // No ticks left - carry on with whole candles
+  }
+
+  const next = await db.query(`
+    SELECT m.timestamp, EXISTS (
+      SELECT 1 FROM candle_ticks ct
+      WHERE ct.asset = m.asset AND ct.timeframe = m.timeframe AND ct.candle_timestamp = m.timestamp
+    ) AS has_ticks
+    FROM market_data m
+    WHERE m.asset = $1
+      AND m.timeframe = $2
+      AND m.timestamp > $3
+    ORDER BY m.timestamp ASC
+    OFFSET $4
+    LIMIT 1
+  `, [asset, timeframe, cursor.candleTime, count - 1]);
+
+  if (next.rows.length === 0) return null;
+
+  const { timestamp, has_ticks } = next.rows[0];
+  return {
+    candleTime: timestamp,
+    tickIndex: unit === 'candle' && has_ticks && !wholeCandle ? 0 : LAST_TICK
+  };
+}
+
+/**
+ * Cut a candle and its ticks at the cursor. The candle the cursor sits in only
+ * shows the running OHLC of its last revealed tick.
+ */
+function revealCandle(candle, cursor) {
+  if (!cursor || cursor.tickIndex === LAST_TICK) return candle;
+  if (new Date(candle.timestamp).getTime() !== cursor.candleTime.getTime()) return candle;
+
+  const ticks = candle.ticks.filter(t => t.tickIndex <= cursor.tickIndex);
+  const last = ticks[ticks.length - 1];
+
+  return {
+    ...candle,
+    open: last ? last.runningOpen : candle.open,
+    high: last ? last.runningHigh : candle.open,
+    low: last ? last.runningLow : candle.open,
+    close: last ? last.runningClose : candle.open,
+    volume: last?.runningVolume ?? null,
+    ticks
+  };
+}
+
+module.exports = {
+  STEP_UNITS,
+  MAX_STEP,
+  getCursorPosition,
+  isRevealed,
+  isStrict,
+  stepCursor,
+  revealCandle,
+};
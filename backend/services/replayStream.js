@@ -0,0 +1,424 @@
+/**
+ * Streaming replay over Server-Sent Events
+ *
+ * Instead of downloading hundreds of candles up front, a client opens one
+ * event stream per session and the server pushes ticks at the chosen speed.
+ * Every frame moves the session's replay cursor and runs the order engine up
+ * to the last tick sent, so stops, targets and pending orders are evaluated
+ * as the replay plays, whether or not the client is keeping up. Playback is
+ * driven by commands (play, pause, speed, seek, step) sent over plain HTTP.
+ *
+ * Events:
+ *   snapshot - { candles, cursor, playing, speed } history up to the cursor
+ *   ticks    - { ticks } the ticks revealed by one frame; a tick without a
+ *              tickIndex is a whole candle (no tick data or candle mode)
+ *   engine   - order engine results with the session balance
+ *   state    - { playing, speed } after a command
+ *   end      - the replay ran out of data or the session ended
+ */
+
+const db = require('../db');
+const orderEngine = require('./orderEngine');
+const replayCursor = require('./replayCursor');
+const marketData = require('./marketData');
+const blindMode = require('./blindMode');
+
+const { LAST_TICK } = orderEngine;
+
+// Same pace as client-side playback at 1x
+const TICK_INTERVAL_MS = 170;
+const CANDLE_INTERVAL_MS = 1400;
+const FRAME_MS = 200;
+const BUFFER_SIZE = 500;
+const HISTORY_CANDLES = 100;
+const SPEEDS = [1, 2, 5, 10, 30];
+const GRANULARITIES = ['tick', 'candle'];
+
+// Open streams by session id - clients of the same session share one playback
+const streams = new Map();
+
+// An SSE frame of the stream's session - a blind one goes out masked, like its API responses
+function frameOf(stream, event, data) {
+  const masked = blindMode.maskData(blindMode.activeKeyOf(stream.session), data);
+  return `event: ${event}\ndata: ${JSON.stringify(masked)}\n\n`;
+}
+
+function send(stream, event, data) {
+  const payload = frameOf(stream, event, data);
+  for (const client of stream.clients) {
+    client.write(payload);
+  }
+}
+
+function toCursor(position) {
+  return {
+    candleTimestamp: position.candleTime,
+    tickIndex: position.tickIndex === LAST_TICK ? null : position.tickIndex
+  };
+}
+
+// Where a stream picks up: the saved cursor, else the engine position, else the session start
+function getStartPosition(session) {
+  return replayCursor.getCursorPosition(session) || (session.engine_candle_time
+    ? { candleTime: new Date(session.engine_candle_time), tickIndex: session.engine_tick_index ?? LAST_TICK }
+    : { candleTime: new Date(session.start_date), tickIndex: -1 });
+}
+
+/**
+ * Number of ticks or candles due after `elapsedMs` at `speed`.
+ * `carry` is the fraction left over from the previous frame.
+ */
+function itemsDue(elapsedMs, speed, granularity, carry = 0) {
+  const interval = granularity === 'candle' ? CANDLE_INTERVAL_MS : TICK_INTERVAL_MS;
+  const due = carry + elapsedMs * speed / interval;
+  return { count: Math.floor(due), carry: due - Math.floor(due) };
+}
+
+/**
+ * The next ticks (or whole candles) after a position, in replay order.
+ * Candles without tick data come back as a single whole-candle tick.
+ */
+async function loadNextTicks(session, position, granularity, limit = BUFFER_SIZE) {
+  const { asset, timeframe } = session;
+
+  if (granularity === 'candle') {
+    // A candle that is only partly revealed is finished first
+    const candles = await db.query(`
+      SELECT timestamp, open, high, low, close, volume
+      FROM market_data
+      WHERE asset = $1
+        AND timeframe = $2
+        AND timestamp ${position.tickIndex === LAST_TICK ? '>' : '>='} $3
+      ORDER BY timestamp ASC
+      LIMIT $4
+    `, [asset, timeframe, position.candleTime, limit]);
+
+    return candles.rows.map(c => ({
+      candleTimestamp: c.timestamp,
+      tickIndex: null,
+      timestamp: c.timestamp,
+      price: parseFloat(c.close),
+      runningOpen: parseFloat(c.open),
+      runningHigh: parseFloat(c.high),
+      runningLow: parseFloat(c.low),
+      runningClose: parseFloat(c.close),
+      runningVolume: c.volume === null ? null : parseFloat(c.volume)
+    }));
+  }
+
+  const ticks = await db.query(`
+    SELECT
+      m.timestamp AS candle_timestamp,
+      t.tick_index,
+      COALESCE(t.timestamp, m.timestamp) AS timestamp,
+      COALESCE(t.price, m.close) AS price,
+      COALESCE(t.running_open, m.open) AS running_open,
+      COALESCE(t.running_high, m.high) AS running_high,
+      COALESCE(t.running_low, m.low) AS running_low,
+      COALESCE(t.running_close, m.close) AS running_close,
+      COALESCE((
+        SELECT SUM(v.volume)
+        FROM candle_ticks v
+        WHERE v.asset = m.asset AND v.timeframe = m.timeframe
+          AND v.candle_timestamp = m.timestamp AND v.tick_index <= t.tick_index
+      ), m.volume) AS running_volume
+    FROM market_data m
+    LEFT JOIN candle_ticks t
+      ON t.asset = m.asset AND t.timeframe = m.timeframe AND t.candle_timestamp = m.timestamp
+    WHERE m.asset = $1
+      AND m.timeframe = $2
+      AND (m.timestamp, COALESCE(t.tick_index, $4)) > ($3, $5)
+    ORDER BY m.timestamp ASC, t.tick_index ASC
+    LIMIT $6
+  `, [asset, timeframe, position.candleTime, LAST_TICK, position.tickIndex, limit]);
+
+  return ticks.rows.map(t => ({
+    candleTimestamp: t.candle_timestamp,
+    tickIndex: t.tick_index,
+    timestamp: t.timestamp,
+    price: parseFloat(t.price),
+    runningOpen: parseFloat(t.running_open),
+    runningHigh: parseFloat(t.running_high),
+    runningLow: parseFloat(t.running_low),
+    runningClose: parseFloat(t.running_close),
+    runningVolume: t.running_volume === null ? null : parseFloat(t.running_volume)
+  }));
+}
+
+/**
+ * Candles up to a position - the recent history plus the revealed part of the
+ * candle the position is in.
+ */
+async function loadSnapshot(session, position) {
+  const candles = await db.query(`
+    SELECT timestamp, open, high, low, close, volume
+    FROM market_data
+    WHERE asset = $1
+      AND timeframe = $2
+      AND timestamp >= $3
+      AND timestamp <= $4
+    ORDER BY timestamp DESC
+    LIMIT $5
+  `, [session.asset, session.timeframe, session.start_date, position.candleTime, HISTORY_CANDLES + 1]);
+
+  const bundled = await marketData.bundleTicks(session.asset, session.timeframe, candles.rows.reverse());
+  return bundled
+    .map(candle => replayCursor.revealCandle(candle, position))
+    // Nothing of the candle has been shown before its first tick
+    .filter(candle => position.tickIndex >= 0 || new Date(candle.timestamp).getTime() !== position.candleTime.getTime());
+}
+
+async function sendSnapshot(stream, client = null) {
+  const candles = await loadSnapshot(stream.session, stream.position);
+  const payload = { candles, cursor: toCursor(stream.position), playing: stream.playing, speed: stream.speed };
+  if (client) {
+    client.write(frameOf(stream, 'snapshot', payload));
+  } else {
+    send(stream, 'snapshot', payload);
+  }
+}
+
+// Save the cursor and let the engine catch up with what was just played
+async function advance(stream, position) {
+  stream.position = position;
+  const cursor = toCursor(position);
+  await db.query(
+    'UPDATE sessions SET cursor_candle_time = $2, cursor_tick_index = $3 WHERE id = $1',
+    [stream.session.id, cursor.candleTimestamp, cursor.tickIndex]
+  );
+  stream.session.cursor_candle_time = cursor.candleTimestamp;
+  stream.session.cursor_tick_index = cursor.tickIndex;
+
+  const update = await orderEngine.syncSession(stream.session, position);
+  const changed = Object.values(update).some(list => list.length > 0);
+  if (changed) {
+    const balance = await orderEngine.getSessionBalance(stream.session);
+    send(stream, 'engine', { ...update, balance });
+  }
+}
+
+// Trades and commands go through other requests - always work on the stored session.
+// Returns false once the session is gone or has ended.
+async function refreshSession(stream) {
+  const session = await db.query('SELECT * FROM sessions WHERE id = $1', [stream.session.id]);
+  if (session.rows.length === 0 || session.rows[0].status === 'ended') {
+    return false;
+  }
+  stream.session = session.rows[0];
+  return true;
+}
+
+function stopTimer(stream) {
+  if (stream.timer) {
+    clearInterval(stream.timer);
+    stream.timer = null;
+  }
+}
+
+function endStream(stream, reason) {
+  stopTimer(stream);
+  stream.playing = false;
+  send(stream, 'end', { reason, cursor: toCursor(stream.position) });
+}
+
+/**
+ * Play one frame: send every tick that became due since the last frame.
+ * Frames that would overlap a slow one are skipped, the time carries over.
+ */
+async function playFrame(stream, now = Date.now()) {
+  if (stream.busy || !stream.playing) return;
+  stream.busy = true;
+
+  try {
+    if (!(await refreshSession(stream))) {
+      endStream(stream, 'session_ended');
+      return;
+    }
+
+    const due = itemsDue(now - stream.lastFrameAt, stream.speed, stream.granularity, stream.carry);
+    stream.lastFrameAt = now;
+    stream.carry = due.carry;
+    if (due.count === 0) return;
+
+    if (stream.buffer.length < due.count && !stream.exhausted) {
+      const last = stream.buffer.length > 0 ? stream.buffer[stream.buffer.length - 1] : null;
+      const from = last
+        ? { candleTime: new Date(last.candleTimestamp), tickIndex: last.tickIndex ?? LAST_TICK }
+        : stream.position;
+      const more = await loadNextTicks(stream.session, from, stream.granularity, Math.max(BUFFER_SIZE, due.count));
+      stream.exhausted = more.length === 0;
+      stream.buffer.push(...more);
+    }
+
+    const ticks = stream.buffer.splice(0, due.count);
+    if (ticks.length === 0) {
+      endStream(stream, 'no_more_data');
+      return;
+    }
+
+    send(stream, 'ticks', { ticks });
+    const last = ticks[ticks.length - 1];
+    await advance(stream, { candleTime: new Date(last.candleTimestamp), tickIndex: last.tickIndex ?? LAST_TICK });
+  } catch (error) {
+    console.error('Replay stream frame error:', error);
+  } finally {
+    stream.busy = false;
+  }
+}
+
+function startTimer(stream) {
+  stopTimer(stream);
+  stream.lastFrameAt = Date.now();
+  stream.carry = 0;
+  stream.timer = setInterval(() => playFrame(stream), FRAME_MS);
+}
+
+// Drop buffered ticks after the position moved
+function resetBuffer(stream) {
+  stream.buffer = [];
+  stream.exhausted = false;
+  stream.carry = 0;
+}
+
+/**
+ * Attach an SSE client to the stream of its session, creating the stream on
+ * first use. The client gets a snapshot straight away.
+ */
+async function open(session, client, { speed = 1, granularity = 'tick' } = {}) {
+  let stream = streams.get(String(session.id));
+  if (!stream) {
+    stream = {
+      session,
+      position: getStartPosition(session),
+      granularity,
+      speed,
+      playing: false,
+      clients: new Set(),
+      buffer: [],
+      exhausted: false,
+      carry: 0,
+      lastFrameAt: Date.now(),
+      timer: null,
+      busy: false
+    };
+    streams.set(String(session.id), stream);
+  }
+
+  stream.clients.add(client);
+  await sendSnapshot(stream, client);
+  return stream;
+}
+
+// Detach a client; the last one to leave stops playback
+function close(sessionId, client) {
+  const stream = streams.get(String(sessionId));
+  if (!stream) return;
+
+  stream.clients.delete(client);
+  if (stream.clients.size === 0) {
+    stopTimer(stream);
+    streams.delete(String(sessionId));
+  }
+}
+
+/**
+ * Apply a playback command. Returns { error } for commands that cannot be
+ * applied, otherwise the new playback state.
+ */
+async function command(sessionId, action, options = {}) {
+  const stream = streams.get(String(sessionId));
+  if (!stream) {
+    return { error: 'No open replay stream for this session', status: 404 };
+  }
+
+  switch (action) {
+    case 'play':
+      if (!stream.playing) {
+        stream.playing = true;
+        startTimer(stream);
+      }
+      break;
+
+    case 'pause':
+      stream.playing = false;
+      stopTimer(stream);
+      break;
+
+    case 'speed': {
+      const speed = Number(options.speed);
+      if (!SPEEDS.includes(speed)) {
+        return { error: `Speed must be one of ${SPEEDS.join(', ')}`, status: 400 };
+      }
+      stream.speed = speed;
+      break;
+    }
+
+    case 'seek': {
+      if (!(await refreshSession(stream))) {
+        return { error: 'Session has ended', status: 409 };
+      }
+      const position = orderEngine.parseReplayPosition(options.position);
+      if (!position) {
+        return { error: 'Invalid replay position', status: 400 };
+      }
+      // A strict cursor never moves back - the future it saw stays seen
+      if (stream.session.strict_replay && orderEngine.comparePositions(position, stream.position) < 0) {
+        return { error: 'Strict replay sessions cannot seek backwards', status: 409 };
+      }
+      resetBuffer(stream);
+      await advance(stream, position);
+      await sendSnapshot(stream);
+      break;
+    }
+
+    case 'step': {
+      const unit = options.unit || 'tick';
+      if (!replayCursor.STEP_UNITS.includes(unit)) {
+        return { error: 'Invalid step unit', status: 400 };
+      }
+      if (!(await refreshSession(stream))) {
+        return { error: 'Session has ended', status: 409 };
+      }
+      const cursor = toCursor(stream.position);
+      const next = await replayCursor.stepCursor(
+        { ...stream.session, cursor_candle_time: cursor.candleTimestamp, cursor_tick_index: cursor.tickIndex },
+        unit, 1, stream.granularity === 'candle'
+      );
+      if (!next) {
+        return { error: 'No more replay data', status: 409 };
+      }
+      resetBuffer(stream);
+      await advance(stream, next);
+      await sendSnapshot(stream);
+      break;
+    }
+
+    case 'granularity':
+      if (!GRANULARITIES.includes(options.granularity)) {
+        return { error: 'Invalid granularity', status: 400 };
+      }
+      stream.granularity = options.granularity;
+      resetBuffer(stream);
+      break;
+
+    default:
+      return { error: 'Invalid replay command', status: 400 };
+  }
+
+  const state = { playing: stream.playing, speed: stream.speed, granularity: stream.granularity };
+  send(stream, 'state', state);
+  return state;
+}
+
+module.exports = {
+  SPEEDS,
+  GRANULARITIES,
+  itemsDue,
+  loadNextTicks,
+  loadSnapshot,
+  playFrame,
+  open,
+  close,
+  command,
+  streams,
+};
@@ -0,0 +1,86 @@
+/**
+ * Session statistics
+ *
+ * Summarises a session from its stored trades, so the numbers shown on the
+ * history page come from the server rather than from whatever the browser
+ * still has in localStorage.
+ */
+
+const db = require('../db');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Stats of a session's trades. pnl of closed trades is net of costs and
+ * swap; open trades only contribute what they have realized so far.
+ */
+function calculateStats(trades, initialBalance) {
+  const closed = trades.filter(t => t.status === 'closed');
+  const open = trades.filter(t => t.status !== 'closed');
+  const pnls = closed.map(t => parseFloat(t.pnl || 0));
+
+  const wins = pnls.filter(pnl => pnl > 0);
+  const losses = pnls.filter(pnl => pnl < 0);
+  const grossProfit = sum(wins);
+  const grossLoss = Math.abs(sum(losses));
+
+  const realizedOpen = sum(open.map(t => parseFloat(t.realized_pnl || 0)));
+  const totalPnL = sum(pnls) + realizedOpen;
+  const finalBalance = initialBalance + totalPnL;
+
+  // Drawdown of the closed-trade equity curve, in percent of the peak
+  let peak = initialBalance;
+  let equity = initialBalance;
+  let maxDrawdown = 0;
+  for (const pnl of pnls) {
+    equity += pnl;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - equity) / peak * 100 : 0);
+  }
+
+  const avgWin = wins.length > 0 ? grossProfit / wins.length : 0;
+  const avgLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+  const winRate = closed.length > 0 ? wins.length / closed.length * 100 : 0;
+
+  const costs = {
+    commission: sum(trades.map(t => parseFloat(t.commission || 0))),
+    spread: sum(trades.map(t => parseFloat(t.spread_cost || 0))),
+    slippage: sum(trades.map(t => parseFloat(t.slippage_cost || 0)))
+  };
+
+  return {
+    initialBalance,
+    finalBalance,
+    totalPnL,
+    returnPct: initialBalance > 0 ? totalPnL / initialBalance * 100 : 0,
+    tradeCount: closed.length,
+    openTradeCount: open.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate,
+    avgWin,
+    avgLoss,
+    // null rather than Infinity, which JSON cannot carry
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    expectancy: closed.length > 0 ? sum(pnls) / closed.length : 0,
+    bestTrade: pnls.length > 0 ? Math.max(...pnls) : 0,
+    worstTrade: pnls.length > 0 ? Math.min(...pnls) : 0,
+    maxDrawdown,
+    costs,
+    swap: sum(trades.map(t => parseFloat(t.swap || 0)))
+  };
+}
+
+async function getSessionSummary(session) {
+  const trades = await db.query(
+    'SELECT * FROM trades WHERE session_id = $1 ORDER BY COALESCE(exit_time, entry_time) ASC, id ASC',
+    [session.id]
+  );
+
+  return calculateStats(trades.rows, parseFloat(session.initial_balance));
+}
+
+module.exports = {
+  calculateStats,
+  getSessionSummary,
+};
@@ -0,0 +1,150 @@
+/**
+ * Stop management rules - trailing stops and break-even
+ *
+ * A trade can carry a trailing rule (fixed distance, percent of price or a
+ * multiple of the ATR at entry) and a break-even rule (move the stop to the
+ * entry price once the trade is X R in profit). The order engine calls
+ * updateStop after checking exits on every bar, so a stop only ever trails
+ * price that has already been seen.
+ */
+
+const db = require('../db');
+
+const TRAILING_TYPES = ['fixed', 'percent', 'atr'];
+const ATR_PERIOD = 14;
+
+/**
+ * Validate the stop rules sent with a new trade.
+ * Returns an error message, or null when the rules are usable.
+ */
+function validateStopRules(trailingStop, breakEvenR, stopLoss) {
+  if (trailingStop) {
+    if (!TRAILING_TYPES.includes(trailingStop.type)) {
+      return 'Invalid trailing stop type';
+    }
+    if (!(parseFloat(trailingStop.value) > 0)) {
+      return 'Trailing stop value must be positive';
+    }
+  }
+
+  if (breakEvenR !== undefined && breakEvenR !== null) {
+    if (!(parseFloat(breakEvenR) > 0)) {
+      return 'Break-even R must be positive';
+    }
+    // R is measured against the initial stop
+    if (!stopLoss) {
+      return 'Break-even needs a stop loss';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that a stop loss and take profit sit on the right side of a price: a
+ * long's stop below it and its target above, the other way round for a short.
+ * `reference` names the price in the error message.
+ * Returns an error message, or null when both levels are usable.
+ */
+function validateLevelSides(side, price, stopLoss, takeProfit, reference = 'the current price') {
+  const isBuy = side === 'BUY';
+  if (stopLoss && (isBuy ? parseFloat(stopLoss) >= price : parseFloat(stopLoss) <= price)) {
+    return `Stop loss must be ${isBuy ? 'below' : 'above'} ${reference}`;
+  }
+  if (takeProfit && (isBuy ? parseFloat(takeProfit) <= price : parseFloat(takeProfit) >= price)) {
+    return `Take profit must be ${isBuy ? 'above' : 'below'} ${reference}`;
+  }
+
+  return null;
+}
+
+/**
+ * Average true range over the candles leading up to (and including) the entry candle.
+ * Returns null when there is not enough history.
+ */
+async function calculateATR(session, candleTime, period = ATR_PERIOD) {
+  const result = await db.query(`
+    SELECT high, low, close
+    FROM market_data
+    WHERE asset = $1 AND timeframe = $2 AND timestamp <= $3
+    ORDER BY timestamp DESC
+    LIMIT $4
+  `, [session.asset, session.timeframe, candleTime, period + 1]);
+
+  const candles = result.rows.slice().reverse().map(c => ({
+    high: parseFloat(c.high),
+    low: parseFloat(c.low),
+    close: parseFloat(c.close)
+  }));
+  if (candles.length < period + 1) return null;
+
+  let total = 0;
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    total += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return total / period;
+}
+
+// Trailing distance for the current best price
+function getTrailingDistance(trade, bestPrice) {
+  if (trade.trailing_type === 'percent') {
+    return bestPrice * parseFloat(trade.trailing_value) / 100;
+  }
+  return parseFloat(trade.trailing_distance);
+}
+
+/**
+ * Work out where the stop of an open trade should be after a bar.
+ * Stops only ever tighten. Returns { stopLoss, reason, bestPrice } where
+ * reason is null when the stop stays where it is.
+ */
+function updateStop(trade, bar) {
+  const isBuy = trade.trade_type === 'BUY';
+  const entryPrice = parseFloat(trade.entry_price);
+  const previousBest = trade.best_price ? parseFloat(trade.best_price) : entryPrice;
+  const bestPrice = isBuy ? Math.max(previousBest, bar.high) : Math.min(previousBest, bar.low);
+  const currentStop = trade.stop_loss ? parseFloat(trade.stop_loss) : null;
+
+  // Tighter means higher for a long, lower for a short
+  const isTighter = (price) => currentStop === null || (isBuy ? price > currentStop : price < currentStop);
+
+  let stopLoss = currentStop;
+  let reason = null;
+
+  if (trade.break_even_r && trade.initial_stop_loss) {
+    const risk = Math.abs(entryPrice - parseFloat(trade.initial_stop_loss));
+    const profit = isBuy ? bestPrice - entryPrice : entryPrice - bestPrice;
+    if (risk > 0 && profit >= risk * parseFloat(trade.break_even_r) && isTighter(entryPrice)) {
+      stopLoss = entryPrice;
+      reason = 'break_even';
+    }
+  }
+
+  if (trade.trailing_type) {
+    const distance = getTrailingDistance(trade, bestPrice);
+    const trailed = isBuy ? bestPrice - distance : bestPrice + distance;
+    const beatsStop = stopLoss === null || (isBuy ? trailed > stopLoss : trailed < stopLoss);
+    if (distance > 0 && beatsStop) {
+      stopLoss = trailed;
+      reason = 'trailing';
+    }
+  }
+
+  return { stopLoss, reason, bestPrice };
+}
+
+// Whether the order engine has to track this trade's stop at all
+function hasStopRules(trade) {
+  return Boolean(trade.trailing_type || trade.break_even_r);
+}
+
+module.exports = {
+  TRAILING_TYPES,
+  validateStopRules,
+  validateLevelSides,
+  calculateATR,
+  updateStop,
+  hasStopRules,
+};
@@ -0,0 +1,68 @@
+/**
+ * Overnight swap and funding
+ *
+ * Positions pay (or receive) carry at fixed rollover times: the daily forex
+ * and commodities rollover, or the crypto funding interval. The order engine
+ * walks the rollovers the replay clock passes and books each charge to the
+ * trades that were open at that moment.
+ */
+
+const { getCarryModel } = require('../config/assets');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEDNESDAY = 3;
+
+/**
+ * First rollover strictly after a time, with the number of periods it
+ * charges ({ time, periods }). Null when the asset has no carry.
+ */
+function getNextRollover(asset, after) {
+  const model = getCarryModel(asset);
+  const from = new Date(after).getTime();
+  if (!model || isNaN(from)) return null;
+
+  if (model.type === 'funding') {
+    const interval = model.intervalHours * HOUR;
+    return { time: new Date((Math.floor(from / interval) + 1) * interval), periods: 1 };
+  }
+
+  const day = new Date(from);
+  let time = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), model.rolloverHour);
+  if (time <= from) time += DAY;
+
+  // No rollover on weekends - Wednesday carries the Saturday and Sunday nights
+  while ([0, 6].includes(new Date(time).getUTCDay())) time += DAY;
+
+  return { time: new Date(time), periods: new Date(time).getUTCDay() === WEDNESDAY ? 3 : 1 };
+}
+
+/**
+ * Rollovers in (from, to], oldest first.
+ */
+function getRollovers(asset, from, to) {
+  const end = new Date(to).getTime();
+  const rollovers = [];
+
+  let next = getNextRollover(asset, from);
+  while (next && next.time.getTime() <= end) {
+    rollovers.push(next);
+    next = getNextRollover(asset, next.time);
+  }
+  return rollovers;
+}
+
+// Carry for one rollover, marked at the given price
+function calculateSwap(asset, trade, price, periods = 1) {
+  const model = getCarryModel(asset);
+  if (!model) return 0;
+
+  const rate = trade.trade_type === 'BUY' ? model.long : model.short;
+  return parseFloat(price) * parseFloat(trade.position_size) * rate * periods;
+}
+
+module.exports = {
+  getNextRollover,
+  getRollovers,
+  calculateSwap,
+};
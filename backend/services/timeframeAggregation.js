@@ -0,0 +1,191 @@
+/**
+ * Timeframe aggregation - serve timeframes the fetch scripts do not store
+ *
+ * A derived timeframe is built from the finest stored resolution of the asset
+ * that fits into it evenly. The candles are written to market_data under the
+ * derived timeframe, so the replay routes and the order engine read them like
+ * stored candles and market_data doubles as the cache. Later requests only
+ * rebuild the newest bucket and anything after it, which picks up data
+ * ingested since. Derived candles have no ticks and replay as whole candles.
+ */
+
+const db = require('../db');
+const { LAST_TICK } = require('./orderEngine');
+const {
+  STORED_TIMEFRAMES, parseTimeframe, isStoredTimeframe, fitsEvenly, bucketStart
+} = require('../config/timeframes');
+
+// A derived timeframe is checked for new base data at most this often
+const REFRESH_MS = 60 * 1000;
+
+// `${asset}:${timeframe}` -> when it was last built
+const builtAt = new Map();
+// Builds in progress, so concurrent requests wait for the same one
+const builds = new Map();
+
+/**
+ * The stored timeframe a derived one is built from - the finest one with data
+ * whose buckets fit evenly into the derived buckets. Null when there is none.
+ */
+async function findBaseTimeframe(asset, timeframe) {
+  const candidates = STORED_TIMEFRAMES.filter(tf => fitsEvenly(tf, timeframe));
+  if (candidates.length === 0) return null;
+
+  const stored = await db.query(`
+    SELECT tf.timeframe
+    FROM unnest($2::text[]) AS tf(timeframe)
+    WHERE EXISTS (
+      SELECT 1 FROM market_data m WHERE m.asset = $1 AND m.timeframe = tf.timeframe
+    )
+  `, [asset, candidates]);
+
+  const available = stored.rows.map(r => r.timeframe);
+  return candidates
+    .filter(tf => available.includes(tf))
+    .sort((a, b) => parseTimeframe(a).seconds - parseTimeframe(b).seconds)[0] || null;
+}
+
+// Open time of the bucket of `timestamp`, for bucket length $3 and alignment $4 (seconds)
+const BUCKET_SQL = "TIMESTAMP '1970-01-01' + (FLOOR((EXTRACT(EPOCH FROM timestamp) - $4) / $3) * $3 + $4) * INTERVAL '1 second'";
+
+const AGGREGATE_SQL = `
+  (ARRAY_AGG(open ORDER BY timestamp ASC))[1] AS open,
+  MAX(high) AS high,
+  MIN(low) AS low,
+  (ARRAY_AGG(close ORDER BY timestamp DESC))[1] AS close,
+  SUM(volume) AS volume`;
+
+// Aggregate the base candles from the newest derived bucket on
+async function buildTimeframe(asset, timeframe, baseTimeframe) {
+  const { seconds, alignment } = parseTimeframe(timeframe);
+
+  const latest = await db.query(
+    'SELECT MAX(timestamp) AS latest FROM market_data WHERE asset = $1 AND timeframe = $2',
+    [asset, timeframe]
+  );
+
+  await db.query(`
+    INSERT INTO market_data (asset, timeframe, timestamp, open, high, low, close, volume)
+    SELECT $1, $2, bucket, ${AGGREGATE_SQL}
+    FROM (
+      SELECT timestamp, open, high, low, close, volume, ${BUCKET_SQL} AS bucket
+      FROM market_data
+      WHERE asset = $1
+        AND timeframe = $5
+        AND ($6::timestamp IS NULL OR timestamp >= $6)
+    ) base
+    GROUP BY bucket
+    ON CONFLICT (asset, timeframe, timestamp) DO UPDATE SET
+      open = EXCLUDED.open,
+      high = EXCLUDED.high,
+      low = EXCLUDED.low,
+      close = EXCLUDED.close,
+      volume = EXCLUDED.volume
+  `, [asset, timeframe, seconds, alignment, baseTimeframe, latest.rows[0].latest]);
+}
+
+/**
+ * Make sure a timeframe can be read from market_data, building it first when
+ * it is derived. Returns false for timeframes that cannot be derived.
+ */
+async function ensureTimeframe(asset, timeframe) {
+  if (isStoredTimeframe(timeframe)) return true;
+
+  const key = `${asset}:${timeframe}`;
+  if (Date.now() - (builtAt.get(key) || 0) < REFRESH_MS) return true;
+
+  if (!builds.has(key)) {
+    builds.set(key, (async () => {
+      const baseTimeframe = await findBaseTimeframe(asset, timeframe);
+      if (!baseTimeframe) return false;
+
+      await buildTimeframe(asset, timeframe, baseTimeframe);
+      builtAt.set(key, Date.now());
+      return true;
+    })().finally(() => builds.delete(key)));
+  }
+
+  return builds.get(key);
+}
+
+/**
+ * Candles of a higher timeframe as they stood at a replay position, built from
+ * the session's own candles so they line up with the replay. The last one is
+ * still forming unless the position is at the end of its bucket - it holds the
+ * running OHLC at the position and never the bucket's final close.
+ */
+async function loadHigherTimeframe(session, timeframe, position, limit = 200) {
+  const { asset } = session;
+  const { seconds, alignment } = parseTimeframe(timeframe);
+  const currentBucket = bucketStart(position.candleTime, timeframe);
+  const from = new Date(currentBucket.getTime() - (limit - 1) * seconds * 1000);
+
+  // Buckets made of candles the replay has fully passed
+  const passed = await db.query(`
+    SELECT bucket AS timestamp, ${AGGREGATE_SQL}
+    FROM (
+      SELECT timestamp, open, high, low, close, volume, ${BUCKET_SQL} AS bucket
+      FROM market_data
+      WHERE asset = $1
+        AND timeframe = $2
+        AND timestamp >= $5
+        AND timestamp < $6
+    ) base
+    GROUP BY bucket
+    ORDER BY bucket ASC
+  `, [asset, session.timeframe, seconds, alignment, from, position.candleTime]);
+
+  const candles = passed.rows.map(row => ({
+    timestamp: row.timestamp,
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: row.volume === null ? null : parseFloat(row.volume),
+    forming: false
+  }));
+
+  // The candle at the position, as far as it has formed
+  let current = null;
+  if (position.tickIndex !== LAST_TICK) {
+    const tick = await db.query(`
+      SELECT running_open AS open, running_high AS high, running_low AS low, running_close AS close
+      FROM candle_ticks
+      WHERE asset = $1 AND timeframe = $2 AND candle_timestamp = $3 AND tick_index <= $4
+      ORDER BY tick_index DESC
+      LIMIT 1
+    `, [asset, session.timeframe, position.candleTime, position.tickIndex]);
+    current = tick.rows[0] ? { ...tick.rows[0], volume: null } : null;
+  }
+  if (!current) {
+    const candle = await db.query(
+      'SELECT open, high, low, close, volume FROM market_data WHERE asset = $1 AND timeframe = $2 AND timestamp = $3',
+      [asset, session.timeframe, position.candleTime]
+    );
+    current = candle.rows[0] || null;
+  }
+  if (!current) return candles;
+
+  const last = candles[candles.length - 1];
+  const inCurrentBucket = last && new Date(last.timestamp).getTime() === currentBucket.getTime();
+  const forming = inCurrentBucket ? candles.pop() : null;
+  const candleEnd = position.candleTime.getTime() + parseTimeframe(session.timeframe).seconds * 1000;
+
+  candles.push({
+    timestamp: currentBucket,
+    open: forming ? forming.open : parseFloat(current.open),
+    high: Math.max(forming ? forming.high : -Infinity, parseFloat(current.high)),
+    low: Math.min(forming ? forming.low : Infinity, parseFloat(current.low)),
+    close: parseFloat(current.close),
+    volume: current.volume === null ? null : (forming?.volume || 0) + parseFloat(current.volume),
+    forming: position.tickIndex !== LAST_TICK || candleEnd < currentBucket.getTime() + seconds * 1000
+  });
+
+  return candles;
+}
+
+module.exports = {
+  findBaseTimeframe,
+  ensureTimeframe,
+  loadHigherTimeframe,
+};
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import Login from './pages/Login';
 import SessionSetup from './pages/SessionSetup';
 import TradingDashboard from './pages/TradingDashboard';
+import SessionHistory from './pages/SessionHistory';
 import useStore from './store/useStore';
 
 function App() {
@@ -10,6 +11,8 @@ function App() {
   const [hasSession, setHasSession] = useState(false);
   const [showResumePrompt, setShowResumePrompt] = useState(false);
   const [savedSessionInfo, setSavedSessionInfo] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [endedSessionId, setEndedSessionId] = useState(null);
 
   const session = useStore((state) => state.session);
   const clearSession = useStore((state) => state.clearSession);
@@ -54,6 +57,18 @@ function App() {
     setHasSession(false);
   };
 
+  const handleSessionEnd = (sessionId) => {
+    clearSession();
+    setHasSession(false);
+    setEndedSessionId(sessionId);
+    setShowHistory(true);
+  };
+
+  const handleShowHistory = () => {
+    setEndedSessionId(null);
+    setShowHistory(true);
+  };
+
   if (!isLoggedIn) {
     return <Login onLoginSuccess={() => setIsLoggedIn(true)} />;
   }
@@ -143,11 +158,24 @@ function App() {
     );
   }
 
+  if (!hasSession && showHistory) {
+    return (
+      <SessionHistory
+        onBack={() => setShowHistory(false)}
+        onResume={() => {
+          setShowHistory(false);
+          setHasSession(true);
+        }}
+        selectedSessionId={endedSessionId}
+      />
+    );
+  }
+
   if (!hasSession) {
-    return <SessionSetup onSessionStart={() => setHasSession(true)} />;
+    return <SessionSetup onSessionStart={() => setHasSession(true)} onShowHistory={handleShowHistory} />;
   }
 
-  return <TradingDashboard />;
+  return <TradingDashboard onSessionEnd={handleSessionEnd} />;
 }
 
 export default App;
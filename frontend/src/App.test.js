@@ -6,6 +6,11 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
 
+// The store loads candles through the API
+jest.mock('./services/api', () => ({
+  replayAPI: { getCandlesWithTicks: jest.fn() }
+}));
+
 // Mock child components
 jest.mock('./pages/Login', () => {
   return function MockLogin({ onLoginSuccess }) {
@@ -37,6 +42,12 @@ jest.mock('./pages/TradingDashboard', () => {
   };
 });
 
+jest.mock('./pages/SessionHistory', () => {
+  return function MockSessionHistory() {
+    return <div data-testid="session-history-page">Session History</div>;
+  };
+});
+
 describe('App', () => {
   beforeEach(() => {
     // Clear localStorage before each test
@@ -1,18 +1,143 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { createChart } from 'lightweight-charts';
-import useStore from '../store/useStore';
+import useStore, { formatExitReason } from '../store/useStore';
+import IndicatorPane from './IndicatorPane';
+import DrawingLayer from './DrawingLayer';
+import useIndicatorValues from '../indicators/useIndicatorValues';
+import {
+  addIndicatorSeries, drawIndicator, indicatorSeriesKey, removeIndicatorSeries
+} from '../indicators/series';
+import { snapToCandle, tradeIdOfMarker, tradeMarkers, tradePath, tradeRange } from '../utils/tradeMarkers';
+import {
+  CHART_TYPES, brickCandles, buildBricks, defaultBrickSize, heikinAshi, seriesKindOf, tickPoints
+} from '../utils/chartTransforms';
 import { Radio } from 'lucide-react';
 
-function Chart({ candles }) {
+// Pixels from an SL/TP line within which the mouse grabs it
+const LINE_GRAB_DISTANCE = 5;
+
+// The chart type picked last, shared by every chart
+const CHART_TYPE_KEY = 'trading_gym_chart_type';
+
+const loadChartType = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CHART_TYPE_KEY));
+    return CHART_TYPES[saved?.type] ? saved : { type: 'candles', brickSize: null };
+  } catch (e) {
+    return { type: 'candles', brickSize: null };
+  }
+};
+
+const addPriceSeries = (chart, kind) => {
+  if (kind === 'line') {
+    return chart.addLineSeries({ color: '#a78bfa', lineWidth: 2 });
+  }
+  if (kind === 'bar') {
+    return chart.addBarSeries({ upColor: '#22c55e', downColor: '#ef4444' });
+  }
+  return chart.addCandlestickSeries({
+    upColor: '#22c55e',
+    downColor: '#ef4444',
+    borderUpColor: '#22c55e',
+    borderDownColor: '#ef4444',
+    wickUpColor: '#22c55e',
+    wickDownColor: '#ef4444',
+  });
+};
+
+// Result of a trade next to its hovered marker
+function TradeTooltip({ trade, x, y }) {
+  const isClosed = trade.status === 'closed';
+  const pnl = parseFloat(trade.pnl || 0);
+
+  return (
+    <div
+      className="absolute px-3 py-2 rounded-lg text-xs pointer-events-none whitespace-nowrap"
+      style={{
+        left: x + 12,
+        top: y + 12,
+        zIndex: 7,
+        background: 'rgba(10, 10, 10, 0.95)',
+        border: '1px solid rgba(139, 92, 246, 0.3)',
+      }}
+    >
+      <div className="font-bold">
+        <span className={trade.trade_type === 'BUY' ? 'text-green-400' : 'text-red-400'}>{trade.trade_type}</span>
+        <span className="text-gray-300"> {parseFloat(trade.position_size)} @ ${parseFloat(trade.entry_price).toFixed(2)}</span>
+        {isClosed && <span className="text-gray-300"> → ${parseFloat(trade.exit_price).toFixed(2)}</span>}
+      </div>
+      {isClosed ? (
+        <>
+          <div className={pnl >= 0 ? 'text-green-400' : 'text-red-400'}>PnL: ${pnl.toFixed(2)}</div>
+          <div className="text-gray-400">{formatExitReason(trade.exit_reason)}</div>
+        </>
+      ) : (
+        <div className="text-gray-400">Open</div>
+      )}
+    </div>
+  );
+}
+
+function Chart({
+  candles, label = null, minHeight = 400, indicators = [],
+  drawings = null, onDrawingCreate, onDrawingUpdate, onDrawingRemove, onTradeLineMove,
+  trades = null, focusedTradeId = null, onTradeFocused, tickCandles = null
+}) {
   const chartContainerRef = useRef();
   const chartRef = useRef();
-  const candlestickSeriesRef = useRef();
+  const priceSeriesRef = useRef();
   const priceLinesRef = useRef([]);
+  // SL/TP lines that can be dragged: { trade, field, line, price }
+  const tradeLinesRef = useRef([]);
+  const onTradeLineMoveRef = useRef(onTradeLineMove);
+  onTradeLineMoveRef.current = onTradeLineMove;
+  const stopPathSeriesRef = useRef([]);
+  const tradePathSeriesRef = useRef([]);
+  const tradesRef = useRef(trades);
+  tradesRef.current = trades;
+  // Overlay indicator series by config id, and the charts of indicator panes
+  const overlayEntriesRef = useRef(new Map());
+  const paneChartsRef = useRef(new Map());
   const openTrades = useStore((state) => state.openTrades);
+  const pendingOrders = useStore((state) => state.pendingOrders);
   const isMountedRef = useRef(true);
   const lastCandleCountRef = useRef(0);
   const lastCandleDataRef = useRef(null);
   const [isAtLive, setIsAtLive] = useState(true);
+  // The chart and its candles for layers drawn over them
+  const [chartApi, setChartApi] = useState(null);
+  // The trade under the mouse while it is over one of its markers
+  const [hoveredTrade, setHoveredTrade] = useState(null);
+  // { type, brickSize } - brick charts fall back to candles without tickCandles
+  const [chartType, setChartType] = useState(loadChartType);
+  const brickType = CHART_TYPES[chartType.type].bricks && tickCandles ? chartType.type : null;
+  const displayType = CHART_TYPES[chartType.type].bricks && !brickType ? 'candles' : chartType.type;
+  const brickSize = chartType.brickSize || defaultBrickSize(candles[0]?.close);
+  const seriesKey = brickType ? `${brickType}:${brickSize}` : displayType;
+
+  // What the chart shows: the candles, or bars derived from them or their ticks.
+  // The completed candles' bricks are kept while the forming candle's ticks come in.
+  const completedBricks = useMemo(
+    () => (brickType ? buildBricks(brickType, brickSize, tickPoints(tickCandles.completed)) : null),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [brickType, brickSize, tickCandles?.completed]
+  );
+  const displayCandles = useMemo(() => {
+    if (completedBricks) {
+      return brickCandles(buildBricks(brickType, brickSize, tickPoints([tickCandles.forming]), completedBricks));
+    }
+    return displayType === 'heikinAshi' ? heikinAshi(candles) : candles;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [candles, displayType, completedBricks, tickCandles?.forming]);
+
+  const changeChartType = (next) => {
+    setChartType(next);
+    try {
+      localStorage.setItem(CHART_TYPE_KEY, JSON.stringify(next));
+    } catch (e) {
+      // Storage might be full or disabled
+    }
+  };
 
   useEffect(() => {
     isMountedRef.current = true;
@@ -96,25 +221,25 @@ function Chart({ candles }) {
       },
     });
 
-    const candlestickSeries = chart.addCandlestickSeries({
-      upColor: '#22c55e',
-      downColor: '#ef4444',
-      borderUpColor: '#22c55e',
-      borderDownColor: '#ef4444',
-      wickUpColor: '#22c55e',
-      wickDownColor: '#ef4444',
-    });
-
     chartRef.current = chart;
-    candlestickSeriesRef.current = candlestickSeries;
 
     // Track scroll position to show/hide "Go to Live" button
-    const handleVisibleRangeChange = () => {
+    const handleVisibleRangeChange = (range) => {
       if (chartRef.current) {
         const scrollPos = chartRef.current.timeScale().scrollPosition();
         // scrollPosition of 0 or positive means we're at the right edge (live)
         setIsAtLive(scrollPos >= -3);
       }
+      // Indicator panes scroll with the price chart
+      if (range) {
+        paneChartsRef.current.forEach((pane) => {
+          try {
+            pane.timeScale().setVisibleLogicalRange(range);
+          } catch (e) {
+            // Pane might be disposed
+          }
+        });
+      }
     };
 
     chart.timeScale().subscribeVisibleLogicalRangeChange(handleVisibleRangeChange);
@@ -140,10 +265,10 @@ function Chart({ candles }) {
       }
 
       // Clear price lines first
-      if (candlestickSeriesRef.current) {
+      if (priceSeriesRef.current) {
         priceLinesRef.current.forEach(line => {
           try {
-            candlestickSeriesRef.current.removePriceLine(line);
+            priceSeriesRef.current.removePriceLine(line);
           } catch (e) {
             // Ignore
           }
@@ -161,14 +286,46 @@ function Chart({ candles }) {
       }
 
       chartRef.current = null;
-      candlestickSeriesRef.current = null;
+      priceSeriesRef.current = null;
+      setChartApi(null);
+      stopPathSeriesRef.current = [];
+      tradePathSeriesRef.current = [];
+      overlayEntriesRef.current = new Map();
     };
   }, []);
 
+  // The price series, replaced whenever the chart type changes. Its price lines
+  // and markers go with it and are put back once chartApi changes.
   useEffect(() => {
-    if (!candlestickSeriesRef.current || !candles.length || !isMountedRef.current) return;
+    const chart = chartRef.current;
+    if (!chart || !isMountedRef.current) return undefined;
+
+    const series = addPriceSeries(chart, seriesKindOf(displayType));
+    priceSeriesRef.current = series;
+    priceLinesRef.current = [];
+    tradeLinesRef.current = [];
+    lastCandleCountRef.current = 0;
+    lastCandleDataRef.current = null;
+    setChartApi({ chart, series });
 
-    const formattedCandles = candles.map((candle) => ({
+    return () => {
+      try {
+        chart.removeSeries(series);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [seriesKey]);
+
+  useEffect(() => {
+    if (!priceSeriesRef.current || !displayCandles.length || !isMountedRef.current) return;
+
+    const isLine = seriesKindOf(displayType) === 'line';
+    const formattedCandles = displayCandles.map((candle) => (isLine ? {
+      time: new Date(candle.timestamp).getTime() / 1000,
+      value: parseFloat(candle.close),
+    } : {
       time: new Date(candle.timestamp).getTime() / 1000,
       open: parseFloat(candle.open),
       high: parseFloat(candle.high),
@@ -179,42 +336,90 @@ function Chart({ candles }) {
     const lastCandle = formattedCandles[formattedCandles.length - 1];
     const prevCandleCount = lastCandleCountRef.current;
     const isFirstLoad = prevCandleCount === 0;
-    const isNewCandle = candles.length > prevCandleCount;
+    const isNewCandle = displayCandles.length > prevCandleCount;
 
     try {
       if (isFirstLoad) {
         // First load - set all data, no auto-scroll
-        candlestickSeriesRef.current.setData(formattedCandles);
-        lastCandleCountRef.current = candles.length;
+        priceSeriesRef.current.setData(formattedCandles);
+        lastCandleCountRef.current = displayCandles.length;
         lastCandleDataRef.current = JSON.stringify(lastCandle);
       } else if (isNewCandle) {
         // New candle added - just set data, no auto-scroll
-        candlestickSeriesRef.current.setData(formattedCandles);
-        lastCandleCountRef.current = candles.length;
+        priceSeriesRef.current.setData(formattedCandles);
+        lastCandleCountRef.current = displayCandles.length;
         lastCandleDataRef.current = JSON.stringify(lastCandle);
       } else {
         // Same candle count - just update the last candle (tick update)
         const lastCandleStr = JSON.stringify(lastCandle);
         if (lastCandleDataRef.current !== lastCandleStr) {
           // Only update if data actually changed
-          candlestickSeriesRef.current.update(lastCandle);
+          priceSeriesRef.current.update(lastCandle);
           lastCandleDataRef.current = lastCandleStr;
         }
       }
     } catch (e) {
       // Chart might be disposed, try full setData as fallback
       try {
-        candlestickSeriesRef.current.setData(formattedCandles);
-        lastCandleCountRef.current = candles.length;
+        priceSeriesRef.current.setData(formattedCandles);
+        lastCandleCountRef.current = displayCandles.length;
       } catch (e2) {
         // Ignore
       }
     }
-  }, [candles]);
+    // The type is part of chartApi, which changes with the series
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [displayCandles, chartApi]);
+
+  // Indicators over the candles on screen, recalculated as the forming candle changes
+  const indicatorValues = useIndicatorValues(displayCandles, indicators);
+  const candleTimes = useMemo(
+    () => displayCandles.map((candle) => new Date(candle.timestamp).getTime() / 1000),
+    [displayCandles]
+  );
+  const panes = indicators.filter((config) => config.placement === 'pane');
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart || !isMountedRef.current) return;
+
+    const entries = overlayEntriesRef.current;
+    entries.forEach((entry, id) => {
+      const config = indicators.find((c) => c.id === id && c.placement === 'overlay');
+      if (config && indicatorSeriesKey(config) === entry.key) return;
+      try {
+        removeIndicatorSeries(chart, entry);
+      } catch (e) {
+        // Ignore
+      }
+      entries.delete(id);
+    });
+
+    indicators.forEach((config) => {
+      if (config.placement !== 'overlay') return;
+      try {
+        if (!entries.has(config.id)) entries.set(config.id, addIndicatorSeries(chart, config));
+        drawIndicator(entries.get(config.id), candleTimes, indicatorValues[config.id]);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    });
+  }, [indicators, indicatorValues, candleTimes]);
+
+  // A pane starts out showing the same bars as the price chart
+  const handlePaneChart = useCallback((id, pane) => {
+    if (!pane) {
+      paneChartsRef.current.delete(id);
+      return;
+    }
+    paneChartsRef.current.set(id, pane);
+    const range = chartRef.current?.timeScale().getVisibleLogicalRange();
+    if (range) pane.timeScale().setVisibleLogicalRange(range);
+  }, []);
 
   // Scroll to live function
   const scrollToLive = () => {
-    if (chartRef.current && candles.length > 0) {
+    if (chartRef.current && displayCandles.length > 0) {
       // Scroll to show the last candle on the right
       chartRef.current.timeScale().scrollToPosition(0, false);
       setIsAtLive(true);
@@ -222,17 +427,18 @@ function Chart({ candles }) {
   };
 
   useEffect(() => {
-    if (!candlestickSeriesRef.current || !isMountedRef.current) return;
+    if (!priceSeriesRef.current || !isMountedRef.current) return;
 
     // Remove existing price lines
     priceLinesRef.current.forEach(line => {
       try {
-        candlestickSeriesRef.current.removePriceLine(line);
+        priceSeriesRef.current.removePriceLine(line);
       } catch (e) {
         // Ignore
       }
     });
     priceLinesRef.current = [];
+    tradeLinesRef.current = [];
 
     // Add price lines for each open trade
     openTrades.forEach((trade) => {
@@ -242,7 +448,7 @@ function Chart({ candles }) {
 
       try {
         // Entry line (Yellow/Orange)
-        const entryLine = candlestickSeriesRef.current.createPriceLine({
+        const entryLine = priceSeriesRef.current.createPriceLine({
           price: entryPrice,
           color: '#f59e0b',
           lineWidth: 2,
@@ -254,7 +460,7 @@ function Chart({ candles }) {
 
         // Stop Loss line (Red)
         if (stopLoss) {
-          const slLine = candlestickSeriesRef.current.createPriceLine({
+          const slLine = priceSeriesRef.current.createPriceLine({
             price: stopLoss,
             color: '#ef4444',
             lineWidth: 2,
@@ -263,11 +469,12 @@ function Chart({ candles }) {
             title: 'SL',
           });
           priceLinesRef.current.push(slLine);
+          tradeLinesRef.current.push({ trade, field: 'stopLoss', line: slLine, price: stopLoss });
         }
 
         // Take Profit line (Green)
         if (takeProfit) {
-          const tpLine = candlestickSeriesRef.current.createPriceLine({
+          const tpLine = priceSeriesRef.current.createPriceLine({
             price: takeProfit,
             color: '#22c55e',
             lineWidth: 2,
@@ -276,24 +483,249 @@ function Chart({ candles }) {
             title: 'TP',
           });
           priceLinesRef.current.push(tpLine);
+          tradeLinesRef.current.push({ trade, field: 'takeProfit', line: tpLine, price: takeProfit });
         }
       } catch (e) {
         // Chart might be disposed
       }
     });
 
+    // Pending order triggers (Blue, dashed)
+    pendingOrders.forEach((order) => {
+      try {
+        const orderLine = priceSeriesRef.current.createPriceLine({
+          price: parseFloat(order.trigger_price),
+          color: '#3b82f6',
+          lineWidth: 1,
+          lineStyle: 2,
+          axisLabelVisible: true,
+          title: `${order.side} ${order.order_type}`,
+        });
+        priceLinesRef.current.push(orderLine);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    });
+
     return () => {
-      if (!candlestickSeriesRef.current) return;
+      if (!priceSeriesRef.current) return;
       priceLinesRef.current.forEach(line => {
         try {
-          candlestickSeriesRef.current.removePriceLine(line);
+          priceSeriesRef.current.removePriceLine(line);
         } catch (e) {
           // Ignore
         }
       });
       priceLinesRef.current = [];
+      tradeLinesRef.current = [];
     };
-  }, [openTrades]);
+  }, [openTrades, pendingOrders, chartApi]);
+
+  // SL/TP lines can be dragged to a new price. The move is sent when the mouse is
+  // released and the line goes back if onTradeLineMove does not accept it.
+  const canMoveTradeLines = Boolean(onTradeLineMove);
+  useEffect(() => {
+    const container = chartContainerRef.current;
+    const series = chartApi?.series;
+    if (!container || !series || !canMoveTradeLines) return undefined;
+
+    let drag = null;
+    const priceAt = (e) => series.coordinateToPrice(e.clientY - container.getBoundingClientRect().top);
+    const lineAt = (e) => {
+      const y = e.clientY - container.getBoundingClientRect().top;
+      return tradeLinesRef.current.find(({ price }) => {
+        const lineY = series.priceToCoordinate(price);
+        return lineY !== null && Math.abs(lineY - y) <= LINE_GRAB_DISTANCE;
+      });
+    };
+
+    // Captured before the chart sees it, so grabbing a line does not scroll the chart
+    const handleMouseDown = (e) => {
+      if (e.button !== 0) return;
+      const entry = lineAt(e);
+      if (!entry) return;
+      e.stopPropagation();
+      e.preventDefault();
+      drag = { entry, price: entry.price };
+    };
+
+    const handleHover = (e) => {
+      if (!drag) container.style.cursor = lineAt(e) ? 'ns-resize' : '';
+    };
+
+    const handleDrag = (e) => {
+      if (!drag) return;
+      const price = priceAt(e);
+      if (price === null || price <= 0) return;
+      drag.price = price;
+      try {
+        drag.entry.line.applyOptions({ price });
+      } catch (err) {
+        // Line might be removed
+      }
+    };
+
+    const handleMouseUp = async () => {
+      if (!drag) return;
+      const { entry, price } = drag;
+      drag = null;
+      if (price === entry.price) return;
+
+      const moved = await onTradeLineMoveRef.current?.(entry.trade, entry.field, price);
+      if (!moved) {
+        try {
+          entry.line.applyOptions({ price: entry.price });
+        } catch (err) {
+          // Line might be removed
+        }
+      }
+    };
+
+    container.addEventListener('mousedown', handleMouseDown, true);
+    container.addEventListener('mousemove', handleHover);
+    window.addEventListener('mousemove', handleDrag);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      container.removeEventListener('mousedown', handleMouseDown, true);
+      container.removeEventListener('mousemove', handleHover);
+      window.removeEventListener('mousemove', handleDrag);
+      window.removeEventListener('mouseup', handleMouseUp);
+      container.style.cursor = '';
+    };
+  }, [chartApi, canMoveTradeLines]);
+
+  // Stepped line showing how each trailed stop has moved since entry
+  const lastCandleTimestamp = displayCandles[displayCandles.length - 1]?.timestamp;
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart || !isMountedRef.current) return;
+
+    stopPathSeriesRef.current.forEach(series => {
+      try {
+        chart.removeSeries(series);
+      } catch (e) {
+        // Ignore
+      }
+    });
+    stopPathSeriesRef.current = [];
+
+    const candleTimes = displayCandles.map(candle => new Date(candle.timestamp).getTime() / 1000);
+    const lastTime = candleTimes[candleTimes.length - 1];
+
+    openTrades.forEach((trade) => {
+      if (!trade.stop_history?.length || !trade.initial_stop_loss) return;
+
+      // One point per candle - the stop in force at the end of it
+      const points = new Map();
+      const entryTime = snapToCandle(candleTimes, trade.entry_time);
+      if (entryTime !== null) points.set(entryTime, parseFloat(trade.initial_stop_loss));
+      trade.stop_history.forEach((move) => {
+        const time = snapToCandle(candleTimes, move.moved_at);
+        if (time !== null) points.set(time, parseFloat(move.stop_loss));
+      });
+      if (points.size === 0) return;
+      points.set(lastTime, parseFloat(trade.stop_loss));
+
+      try {
+        const series = chart.addLineSeries({
+          color: '#ef4444',
+          lineWidth: 1,
+          lineStyle: 1,
+          lineType: 1,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          crosshairMarkerVisible: false,
+        });
+        series.setData(
+          [...points.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([time, value]) => ({ time, value }))
+        );
+        stopPathSeriesRef.current.push(series);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    });
+    // Candles only matter when a new one is added
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [openTrades, lastCandleTimestamp]);
+
+  // Entry and exit arrows of the trades, with a line from entry to exit for closed ones
+  useEffect(() => {
+    const chart = chartRef.current;
+    const series = priceSeriesRef.current;
+    if (!chart || !series || !trades || !isMountedRef.current) return;
+
+    tradePathSeriesRef.current.forEach(line => {
+      try {
+        chart.removeSeries(line);
+      } catch (e) {
+        // Ignore
+      }
+    });
+    tradePathSeriesRef.current = [];
+
+    try {
+      series.setMarkers(tradeMarkers(trades, candleTimes));
+      trades.forEach((trade) => {
+        const path = tradePath(trade, candleTimes);
+        if (!path) return;
+
+        const line = chart.addLineSeries({
+          color: path.color,
+          lineWidth: 2,
+          lineStyle: 2,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          crosshairMarkerVisible: false,
+        });
+        line.setData(path.points);
+        tradePathSeriesRef.current.push(line);
+      });
+    } catch (e) {
+      // Chart might be disposed
+    }
+    // Candles only matter when a new one is added
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trades, lastCandleTimestamp, chartApi]);
+
+  // Hovering a trade marker shows the trade's result
+  useEffect(() => {
+    const chart = chartApi?.chart;
+    if (!chart || !trades) return undefined;
+
+    const handleCrosshairMove = (param) => {
+      const tradeId = tradeIdOfMarker(param.hoveredObjectId);
+      const trade = tradeId && tradesRef.current?.find(t => String(t.id) === tradeId);
+      setHoveredTrade(trade && param.point ? { trade, x: param.point.x, y: param.point.y } : null);
+    };
+
+    chart.subscribeCrosshairMove(handleCrosshairMove);
+    return () => {
+      try {
+        chart.unsubscribeCrosshairMove(handleCrosshairMove);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    };
+  }, [chartApi, Boolean(trades)]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Scroll to a trade picked from the trade lists
+  useEffect(() => {
+    if (focusedTradeId === null || !chartRef.current || candleTimes.length === 0) return;
+
+    const trade = trades?.find(t => String(t.id) === String(focusedTradeId));
+    const range = trade ? tradeRange(trade, candleTimes) : null;
+    if (range) {
+      try {
+        chartRef.current.timeScale().setVisibleLogicalRange(range);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    }
+    onTradeFocused?.();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusedTradeId, candleTimes.length]);
 
   // Get the current/latest candle for the date display
   const latestCandle = candles[candles.length - 1];
@@ -319,7 +751,66 @@ function Chart({ candles }) {
       border: '1px solid rgba(139, 92, 246, 0.2)',
     }}>
       {/* Chart Container */}
-      <div ref={chartContainerRef} className="flex-1" style={{ minHeight: '400px' }} />
+      <div className="flex-1 relative" style={{ minHeight: `${minHeight}px` }}>
+        <div ref={chartContainerRef} className="absolute inset-0" />
+        {drawings && (
+          <DrawingLayer
+            chart={chartApi?.chart}
+            series={chartApi?.series}
+            candleTimes={candleTimes}
+            drawings={drawings}
+            onCreate={onDrawingCreate}
+            onUpdate={onDrawingUpdate}
+            onRemove={onDrawingRemove}
+          />
+        )}
+        {hoveredTrade && (
+          <TradeTooltip trade={hoveredTrade.trade} x={hoveredTrade.x} y={hoveredTrade.y} />
+        )}
+
+        {/* Chart Type - brick charts only where there are ticks to build them from */}
+        <div className="absolute top-2 flex items-center gap-1 text-xs" style={{ right: 70, zIndex: 6 }}>
+          <select
+            value={displayType}
+            onChange={(e) => changeChartType({ ...chartType, type: e.target.value })}
+            className="px-2 py-1 rounded-md bg-black/70 border border-purple-500/20 text-gray-300"
+            title="Chart type"
+          >
+            {Object.entries(CHART_TYPES)
+              .filter(([, type]) => !type.bricks || tickCandles)
+              .map(([type, { label: typeLabel }]) => (
+                <option key={type} value={type}>{typeLabel}</option>
+              ))}
+          </select>
+          {brickType && (
+            <input
+              key={brickSize}
+              type="number"
+              min="0"
+              step="any"
+              defaultValue={brickSize}
+              onBlur={(e) => {
+                const size = parseFloat(e.target.value);
+                if (size > 0 && size !== brickSize) changeChartType({ ...chartType, brickSize: size });
+              }}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              className="w-20 px-2 py-1 rounded-md bg-black/70 border border-purple-500/20 text-white"
+              title={brickType === 'renko' ? 'Brick size' : 'Bar range'}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Indicators with a pane of their own */}
+      {panes.map((config) => (
+        <IndicatorPane
+          key={config.id}
+          config={config}
+          times={candleTimes}
+          values={indicatorValues[config.id]}
+          onChart={handlePaneChart}
+        />
+      ))}
 
       {/* Scroll to Live Button - shows when user scrolls away */}
       {!isAtLive && (
@@ -347,6 +838,7 @@ function Chart({ candles }) {
           }}
         >
           <div className="flex items-center gap-4 text-xs">
+            {label && <span className="text-purple-400 font-medium">{label}</span>}
             <div className="flex items-center gap-2">
               <span className="text-gray-500">Date:</span>
               <span className="text-purple-300 font-mono">{formatFullDate(currentDate)}</span>
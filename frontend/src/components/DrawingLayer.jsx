@@ -0,0 +1,271 @@
+import { useEffect, useState } from 'react';
+import { TrendingUp, Minus, Square, AlignJustify, Type, MousePointer2, Trash2 } from 'lucide-react';
+import { DRAWING_TOOLS, fibonacciLevels, logicalToTime, timeToLogical } from '../utils/drawings';
+
+const TOOL_ICONS = {
+  trendline: TrendingUp,
+  horizontal: Minus,
+  rectangle: Square,
+  fibonacci: AlignJustify,
+  text: Type,
+};
+
+const DEFAULT_COLOR = '#a78bfa';
+
+// Drawings over the price chart, kept in place through the chart's own
+// coordinate conversions. With onCreate set it also has a toolbar: pick a
+// tool, click its anchors on the chart; click a drawing to select it, Delete
+// removes it and double-clicking a note edits its text.
+function DrawingLayer({ chart, series, candleTimes, drawings, onCreate, onUpdate, onRemove }) {
+  const [tool, setTool] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [hover, setHover] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [, setVersion] = useState(0);
+  const editable = Boolean(onCreate);
+
+  // Redraw whenever the chart scrolls, zooms or resizes
+  useEffect(() => {
+    if (!chart) return undefined;
+    const redraw = () => setVersion((v) => v + 1);
+    chart.timeScale().subscribeVisibleLogicalRangeChange(redraw);
+    chart.subscribeCrosshairMove(redraw);
+    window.addEventListener('resize', redraw);
+    return () => {
+      window.removeEventListener('resize', redraw);
+      try {
+        chart.timeScale().unsubscribeVisibleLogicalRangeChange(redraw);
+        chart.unsubscribeCrosshairMove(redraw);
+      } catch (e) {
+        // Chart might be disposed
+      }
+    };
+  }, [chart]);
+
+  useEffect(() => {
+    if (!editable) return undefined;
+    const handleKey = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      if (e.key === 'Escape') {
+        setTool(null);
+        setPending([]);
+        setSelectedId(null);
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId !== null) {
+        onRemove(selectedId);
+        setSelectedId(null);
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [editable, selectedId, onRemove]);
+
+  if (!chart || !series) return null;
+
+  let width;
+  let height;
+  try {
+    width = chart.timeScale().width();
+    height = chart.options().height - chart.timeScale().height();
+  } catch (e) {
+    // Chart might be disposed
+    return null;
+  }
+
+  const toX = (time) => {
+    const logical = timeToLogical(candleTimes, new Date(time).getTime() / 1000);
+    return logical === null ? null : chart.timeScale().logicalToCoordinate(logical);
+  };
+  const toY = (price) => series.priceToCoordinate(price);
+  // Prices read the same as on the chart's price axis
+  const formatPrice = (price) => series.priceFormatter().format(price);
+
+  // The anchor under the mouse - snapped to a candle, at the exact price
+  const toPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const logical = chart.timeScale().coordinateToLogical(e.clientX - rect.left);
+    const price = series.coordinateToPrice(e.clientY - rect.top);
+    const time = logical === null ? null : logicalToTime(candleTimes, Math.round(logical));
+    if (time === null || price === null) return null;
+    return { time: new Date(time * 1000).toISOString(), price };
+  };
+
+  const handleClick = (e) => {
+    const point = toPoint(e);
+    if (!point) return;
+    const points = [...pending, point];
+    if (points.length < DRAWING_TOOLS[tool].points) {
+      setPending(points);
+      return;
+    }
+
+    setPending([]);
+    setHover(null);
+    setTool(null);
+    if (tool === 'text') {
+      const text = window.prompt('Note');
+      if (text && text.trim()) onCreate({ tool, points, text: text.trim(), color: DEFAULT_COLOR });
+    } else {
+      onCreate({ tool, points, color: DEFAULT_COLOR });
+    }
+  };
+
+  const selectTool = (next) => {
+    setTool(next === tool ? null : next);
+    setPending([]);
+    setSelectedId(null);
+  };
+
+  const editText = (drawing) => {
+    const text = window.prompt('Note', drawing.text);
+    if (text && text.trim()) onUpdate(drawing.id, { text: text.trim() });
+  };
+
+  const renderDrawing = (drawing, preview = false) => {
+    const color = drawing.color || DEFAULT_COLOR;
+    const selected = drawing.id === selectedId;
+    const strokeWidth = selected ? 2.5 : 1.5;
+    const xs = drawing.points.map((p) => toX(p.time));
+    const ys = drawing.points.map((p) => toY(p.price));
+    if (xs.some((x) => x === null) || ys.some((y) => y === null)) return null;
+
+    const interactive = editable && !preview && !tool;
+    const handlers = interactive ? {
+      onClick: (e) => {
+        e.stopPropagation();
+        setSelectedId(selected ? null : drawing.id);
+      },
+      onDoubleClick: drawing.tool === 'text' ? () => editText(drawing) : undefined,
+      style: { pointerEvents: drawing.tool === 'text' || drawing.tool === 'rectangle' ? 'all' : 'stroke', cursor: 'pointer' },
+    } : {};
+    const key = preview ? 'preview' : drawing.id;
+
+    switch (drawing.tool) {
+      case 'trendline':
+        return (
+          <line key={key} x1={xs[0]} y1={ys[0]} x2={xs[1]} y2={ys[1]} stroke={color} strokeWidth={strokeWidth} {...handlers} />
+        );
+      case 'horizontal':
+        return (
+          <g key={key} {...handlers}>
+            <line x1={0} y1={ys[0]} x2={width} y2={ys[0]} stroke={color} strokeWidth={strokeWidth} />
+            <text x={width - 4} y={ys[0] - 4} fill={color} fontSize={10} textAnchor="end">
+              {formatPrice(drawing.points[0].price)}
+            </text>
+          </g>
+        );
+      case 'rectangle':
+        return (
+          <rect
+            key={key}
+            x={Math.min(xs[0], xs[1])}
+            y={Math.min(ys[0], ys[1])}
+            width={Math.abs(xs[1] - xs[0])}
+            height={Math.abs(ys[1] - ys[0])}
+            fill={color}
+            fillOpacity={0.12}
+            stroke={color}
+            strokeWidth={strokeWidth}
+            {...handlers}
+          />
+        );
+      case 'fibonacci': {
+        const left = Math.min(xs[0], xs[1]);
+        const right = Math.max(xs[0], xs[1]);
+        return (
+          <g key={key} {...handlers}>
+            <line x1={xs[0]} y1={ys[0]} x2={xs[1]} y2={ys[1]} stroke={color} strokeWidth={1} strokeDasharray="4 3" />
+            {fibonacciLevels(drawing.points).map(({ ratio, price }) => {
+              const y = toY(price);
+              if (y === null) return null;
+              return (
+                <g key={ratio}>
+                  <line x1={left} y1={y} x2={right} y2={y} stroke={color} strokeWidth={strokeWidth} strokeOpacity={0.8} />
+                  <text x={left + 4} y={y - 3} fill={color} fontSize={10}>
+                    {ratio} ({formatPrice(price)})
+                  </text>
+                </g>
+              );
+            })}
+          </g>
+        );
+      }
+      case 'text':
+        return (
+          <text
+            key={key}
+            x={xs[0]}
+            y={ys[0]}
+            fill={color}
+            fontSize={12}
+            fontWeight={selected ? 700 : 500}
+            {...handlers}
+          >
+            {drawing.text}
+          </text>
+        );
+      default:
+        return null;
+    }
+  };
+
+  // While placing a drawing, its last anchor follows the mouse
+  const preview = tool && tool !== 'text' && hover && pending.length === DRAWING_TOOLS[tool].points - 1
+    ? { tool, points: [...pending, hover] }
+    : null;
+
+  return (
+    <>
+      <svg
+        className="absolute top-0 left-0"
+        width={width}
+        height={height}
+        style={{ pointerEvents: tool ? 'all' : 'none', cursor: tool ? 'crosshair' : 'default', zIndex: 5 }}
+        onClick={tool ? handleClick : undefined}
+        onMouseMove={tool ? (e) => setHover(toPoint(e)) : undefined}
+        onMouseLeave={tool ? () => setHover(null) : undefined}
+      >
+        {drawings.map((drawing) => renderDrawing(drawing))}
+        {preview && renderDrawing(preview, true)}
+      </svg>
+
+      {editable && (
+        <div className="absolute left-2 top-1/2 -translate-y-1/2 flex flex-col gap-1 p-1 rounded-lg bg-black/70 border border-purple-500/20" style={{ zIndex: 6 }}>
+          <button
+            onClick={() => selectTool(null)}
+            className={`p-1.5 rounded-md transition-all ${!tool ? 'bg-purple-500/30 text-purple-300' : 'text-gray-400 hover:text-white'}`}
+            title="Select"
+          >
+            <MousePointer2 size={14} />
+          </button>
+          {Object.entries(DRAWING_TOOLS).map(([name, { label }]) => {
+            const Icon = TOOL_ICONS[name];
+            return (
+              <button
+                key={name}
+                onClick={() => selectTool(name)}
+                className={`p-1.5 rounded-md transition-all ${tool === name ? 'bg-purple-500/30 text-purple-300' : 'text-gray-400 hover:text-white'}`}
+                title={label}
+              >
+                <Icon size={14} />
+              </button>
+            );
+          })}
+          {selectedId !== null && (
+            <button
+              onClick={() => {
+                onRemove(selectedId);
+                setSelectedId(null);
+              }}
+              className="p-1.5 rounded-md text-red-400 hover:text-red-300 transition-all"
+              title="Delete drawing"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default DrawingLayer;
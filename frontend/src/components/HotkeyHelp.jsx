@@ -0,0 +1,140 @@
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import useStore from '../store/useStore';
+import { DEFAULT_HOTKEYS, HOTKEY_ACTIONS, comboOf, findConflicts } from '../hotkeys';
+
+const GROUPS = ['Replay', 'Trading', 'General'];
+
+const kbdClass = 'px-2 py-0.5 rounded-md border font-mono text-xs';
+
+// Cheat sheet of the keyboard shortcuts, where they are also rebound: pick a
+// binding and press the new key (Escape keeps the old one, Backspace removes it).
+// While it is open no other shortcut fires.
+function HotkeyHelp({ onClose }) {
+  const hotkeys = useStore((state) => state.hotkeys);
+  const saveHotkeys = useStore((state) => state.saveHotkeys);
+  const templates = useStore((state) => state.orderTemplates);
+
+  const [draft, setDraft] = useState(hotkeys);
+  // The action waiting for its new key
+  const [capturing, setCapturing] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const conflicts = findConflicts(draft, templates);
+  const changed = Object.keys(HOTKEY_ACTIONS).some((action) => draft[action] !== hotkeys[action]);
+
+  useEffect(() => {
+    // Capture phase on the window, so the keys never reach the other shortcuts
+    const handleKey = (e) => {
+      e.stopPropagation();
+
+      if (capturing) {
+        e.preventDefault();
+        if (e.code === 'Escape') {
+          setCapturing(null);
+        } else if (e.code === 'Backspace') {
+          setDraft((d) => ({ ...d, [capturing]: null }));
+          setCapturing(null);
+        } else {
+          const combo = comboOf(e);
+          if (!combo) return;
+          setDraft((d) => ({ ...d, [capturing]: combo }));
+          setCapturing(null);
+        }
+      } else if (e.code === 'Escape' || comboOf(e) === hotkeys.showHelp) {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKey, true);
+    return () => window.removeEventListener('keydown', handleKey, true);
+  }, [capturing, hotkeys, onClose]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await saveHotkeys(draft);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save hotkeys');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const templateKeys = templates.filter((t) => t.hotkey);
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-black/80 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+        className="w-full max-w-md max-h-full overflow-y-auto rounded-xl bg-black border border-purple-500/20 p-5 space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-bold text-purple-400">Keyboard Shortcuts</h2>
+          <button onClick={onClose} className="p-1 rounded-lg text-gray-400 hover:text-white" aria-label="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {GROUPS.map((group) => (
+          <div key={group} className="space-y-1">
+            <div className="text-xs text-purple-300 font-medium">{group}</div>
+            {Object.entries(HOTKEY_ACTIONS).filter(([, meta]) => meta.group === group).map(([action, meta]) => (
+              <div key={action}>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-300">{meta.label}</span>
+                  <button
+                    onClick={() => setCapturing(capturing === action ? null : action)}
+                    className={`${kbdClass} ${
+                      conflicts[action] ? 'border-red-500/60 text-red-400' : 'border-purple-500/30 text-purple-200'
+                    } ${capturing === action ? 'bg-purple-500/30' : 'bg-purple-900/20 hover:bg-purple-900/40'}`}
+                    aria-label={`Change key for ${meta.label}`}
+                  >
+                    {capturing === action ? 'Press a key…' : draft[action] || 'None'}
+                  </button>
+                </div>
+                {conflicts[action] && <div className="text-xs text-red-400 text-right">{conflicts[action]}</div>}
+              </div>
+            ))}
+          </div>
+        ))}
+
+        {templateKeys.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs text-purple-300 font-medium">Order templates</div>
+            {templateKeys.map((template) => (
+              <div key={template.id} className="flex items-center justify-between text-sm">
+                <span className="text-gray-300">{template.name}</span>
+                <span className={`${kbdClass} border-purple-500/10 text-gray-400`}>Alt+{template.hotkey}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+
+        <div className="flex justify-between gap-2">
+          <button
+            onClick={() => setDraft(DEFAULT_HOTKEYS)}
+            className="px-3 py-1.5 rounded-lg text-sm text-purple-300 hover:text-white"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !changed || Object.keys(conflicts).length > 0}
+            className="px-3 py-1.5 rounded-lg text-sm bg-purple-500/40 text-white disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HotkeyHelp;
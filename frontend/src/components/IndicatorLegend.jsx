@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { Settings, X } from 'lucide-react';
+import { INDICATORS, indicatorLabel } from '../indicators';
+
+// The indicators on the chart, each with its settings: parameters and whether
+// it is drawn over the price or in a pane below it.
+function IndicatorLegend({ indicators, onChange }) {
+  const [editing, setEditing] = useState(null);
+
+  const startEditing = (config) => {
+    setEditing(editing?.id === config.id ? null : { ...config, params: { ...config.params } });
+  };
+
+  const apply = () => {
+    const definition = INDICATORS[editing.type];
+    const params = Object.fromEntries(definition.params.map((param) => {
+      const value = parseFloat(editing.params[param.key]);
+      const valid = Number.isFinite(value) && value >= param.min && value <= param.max;
+      return [param.key, valid ? value : param.default];
+    }));
+    onChange(indicators.map((config) => (config.id === editing.id ? { ...editing, params } : config)));
+    setEditing(null);
+  };
+
+  const remove = (id) => {
+    onChange(indicators.filter((config) => config.id !== id));
+    if (editing?.id === id) setEditing(null);
+  };
+
+  if (indicators.length === 0) return null;
+
+  return (
+    <div className="flex flex-col items-start gap-1 text-xs">
+      {indicators.map((config) => (
+        <div key={config.id} className="flex items-center gap-1 px-2 py-1 rounded-md bg-black/60 border border-purple-500/20">
+          {config.color && <span className="w-2 h-2 rounded-full" style={{ background: config.color }} />}
+          <span className="text-gray-300">{indicatorLabel(config)}</span>
+          <button
+            onClick={() => startEditing(config)}
+            className="p-0.5 text-gray-500 hover:text-white transition-all"
+            title="Indicator settings"
+          >
+            <Settings size={12} />
+          </button>
+          <button
+            onClick={() => remove(config.id)}
+            className="p-0.5 text-gray-500 hover:text-red-400 transition-all"
+            title="Remove indicator"
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+
+      {editing && (
+        <div className="mt-1 p-3 rounded-lg bg-black/90 border border-purple-500/30 space-y-2 w-48">
+          <div className="text-purple-300 font-medium">{INDICATORS[editing.type].name}</div>
+          {INDICATORS[editing.type].params.map((param) => (
+            <label key={param.key} className="flex items-center justify-between gap-2 text-gray-400">
+              <span>{param.label}</span>
+              <input
+                type="number"
+                min={param.min}
+                max={param.max}
+                step={param.step}
+                value={editing.params[param.key]}
+                onChange={(e) => setEditing({ ...editing, params: { ...editing.params, [param.key]: e.target.value } })}
+                className="w-20 px-2 py-1 rounded bg-black/60 border border-purple-500/20 text-white"
+              />
+            </label>
+          ))}
+          <label className="flex items-center justify-between gap-2 text-gray-400">
+            <span>Placement</span>
+            <select
+              value={editing.placement}
+              onChange={(e) => setEditing({ ...editing, placement: e.target.value })}
+              className="w-20 px-1 py-1 rounded bg-black/60 border border-purple-500/20 text-white"
+            >
+              <option value="overlay">Overlay</option>
+              <option value="pane">Pane</option>
+            </select>
+          </label>
+          <button
+            onClick={apply}
+            className="w-full py-1 rounded bg-purple-600 hover:bg-purple-500 text-white transition-all"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IndicatorLegend;
@@ -0,0 +1,78 @@
+import { useEffect, useRef } from 'react';
+import { createChart } from 'lightweight-charts';
+import { indicatorLabel } from '../indicators';
+import { addIndicatorSeries, drawIndicator, indicatorSeriesKey } from '../indicators/series';
+
+// An indicator drawn below the price chart. It has no time axis of its own -
+// the price chart scrolls it through onChart.
+function IndicatorPane({ config, times, values, onChart, height = 100 }) {
+  const containerRef = useRef();
+  const chartRef = useRef();
+  const entryRef = useRef(null);
+  const key = indicatorSeriesKey(config);
+
+  useEffect(() => {
+    if (!containerRef.current) return undefined;
+
+    const chart = createChart(containerRef.current, {
+      width: containerRef.current.clientWidth,
+      height,
+      layout: {
+        background: { type: 'solid', color: 'transparent' },
+        textColor: '#9ca3af',
+        fontSize: 11,
+      },
+      grid: {
+        vertLines: { color: 'rgba(139, 92, 246, 0.1)' },
+        horzLines: { color: 'rgba(139, 92, 246, 0.1)' },
+      },
+      crosshair: { mode: 1 },
+      handleScroll: false,
+      handleScale: false,
+      timeScale: { visible: false, rightOffset: 5, barSpacing: 8, minBarSpacing: 2 },
+      rightPriceScale: { borderColor: 'rgba(139, 92, 246, 0.2)' },
+    });
+    chartRef.current = chart;
+    entryRef.current = addIndicatorSeries(chart, config);
+    onChart(config.id, chart);
+
+    const handleResize = () => {
+      if (containerRef.current) chart.applyOptions({ width: containerRef.current.clientWidth });
+    };
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      onChart(config.id, null);
+      try {
+        chart.remove();
+      } catch (e) {
+        // Ignore
+      }
+      chartRef.current = null;
+      entryRef.current = null;
+    };
+    // The chart is rebuilt when the indicator's settings change
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, height]);
+
+  useEffect(() => {
+    if (!entryRef.current) return;
+    try {
+      drawIndicator(entryRef.current, times, values);
+    } catch (e) {
+      // Chart might be disposed
+    }
+  }, [key, times, values]);
+
+  return (
+    <div className="relative border-t" style={{ borderColor: 'rgba(139, 92, 246, 0.2)' }}>
+      <span className="absolute top-1 left-2 z-10 text-[10px] text-gray-400 pointer-events-none">
+        {indicatorLabel(config)}
+      </span>
+      <div ref={containerRef} style={{ height: `${height}px` }} />
+    </div>
+  );
+}
+
+export default IndicatorPane;
@@ -1,30 +1,161 @@
 import { useState } from 'react';
-import { tradeAPI } from '../services/api';
-import useStore from '../store/useStore';
+import { tradeAPI, orderAPI } from '../services/api';
+import useStore, { formatPrice } from '../store/useStore';
+import {
+  formatSize, positionSizeForRisk, riskAmount, riskReward, sizeConventions, stopDistanceInPrice
+} from '../utils/positionSizing';
+import { bracketLevels, describeBracket, stopDistanceOf } from '../utils/brackets';
+import OrderTemplates from './OrderTemplates';
+import useHotkeys from '../hotkeys/useHotkeys';
 
-function OrderPanel({ currentPrice = 0 }) {
+// asset: the symbol orders are sent for, null for the session's own asset.
+// atr: the ATR of the asset's chart, for sizing orders with an ATR stop.
+function OrderPanel({ currentPrice = 0, asset = null, atr = null }) {
   const session = useStore((state) => state.session);
   const addOpenTrade = useStore((state) => state.addOpenTrade);
-  
+  const getReplayPosition = useStore((state) => state.getReplayPosition);
+  const addPendingOrder = useStore((state) => state.addPendingOrder);
+  const balance = useStore((state) => state.balance);
+  const orderTemplates = useStore((state) => state.orderTemplates);
+  const activeTemplateId = useStore((state) => state.activeTemplateId);
+
+  const [orderType, setOrderType] = useState('MARKET');
+  const [triggerPrice, setTriggerPrice] = useState('');
   const [positionSize, setPositionSize] = useState(0.1);
   const [stopLoss, setStopLoss] = useState('');
   const [takeProfit, setTakeProfit] = useState('');
+  const [trailingType, setTrailingType] = useState('');
+  const [trailingValue, setTrailingValue] = useState('');
+  const [breakEvenR, setBreakEvenR] = useState('');
+  // Size from risk: an amount (percent of balance or dollars) lost at a stop this far away
+  const [sizingMode, setSizingMode] = useState('units');
+  const [riskMode, setRiskMode] = useState('percent');
+  const [riskValue, setRiskValue] = useState('1');
+  const [stopDistance, setStopDistance] = useState('');
   const [loading, setLoading] = useState(false);
 
   const safePrice = Number(currentPrice) || 0;
+  const symbol = asset || session?.asset;
+  const conventions = sizeConventions(symbol);
+  const entryPrice = orderType === 'MARKET' ? safePrice : parseFloat(triggerPrice) || safePrice;
+
+  // The active template brings its own risk and bracket; the server places the
+  // bracket around the fill, so the levels shown here are only a preview
+  const template = orderTemplates.find((t) => t.id === activeTemplateId) || null;
+  const bracket = template?.bracket || null;
+  const preview = bracket && {
+    BUY: bracketLevels(bracket, 'BUY', entryPrice, symbol, atr),
+    SELL: bracketLevels(bracket, 'SELL', entryPrice, symbol, atr),
+  };
+
+  const isRiskSizing = template ? Boolean(template.risk_mode) : sizingMode === 'risk';
+  const stopDistancePrice = bracket
+    ? stopDistanceOf(bracket, entryPrice, symbol, atr)
+    : stopDistanceInPrice(symbol, stopDistance);
+  const risk = template
+    ? riskAmount(balance, template.risk_mode, template.risk_value)
+    : riskAmount(balance, riskMode, riskValue);
+  const riskSize = isRiskSizing ? positionSizeForRisk(symbol, risk, stopDistancePrice) : null;
+  const orderSize = isRiskSizing ? riskSize?.units : positionSize;
+  let hasStop = Boolean(stopLoss);
+  if (bracket) hasStop = Boolean(bracket.stopLoss);
+  else if (isRiskSizing) hasStop = stopDistancePrice > 0;
+
+  // Risk sizing places the stop the chosen distance from the entry
+  const stopFor = (side, entry) => {
+    if (bracket) return null;
+    if (!isRiskSizing) return stopLoss ? parseFloat(stopLoss) : null;
+    const stop = side === 'BUY' ? entry - stopDistancePrice : entry + stopDistancePrice;
+    return parseFloat(formatPrice(stop, symbol));
+  };
+  const takeProfitPrice = !bracket && takeProfit ? parseFloat(takeProfit) : null;
+  const levelText = (price) => (price === null ? '—' : formatPrice(price, symbol));
+
+  let rewardRatio = null;
+  if (preview) {
+    rewardRatio = riskReward(entryPrice, preview.BUY.stopLoss, preview.BUY.takeProfit);
+  } else if (takeProfit && hasStop) {
+    rewardRatio = riskReward(entryPrice, isRiskSizing ? entryPrice - stopDistancePrice : stopLoss, takeProfit);
+  }
+
+  // A limit rests on the better side of the market, a stop on the worse side
+  const isTriggerValid = (side, trigger) => {
+    const belowMarket = trigger < safePrice;
+    if (orderType === 'LIMIT') return side === 'BUY' ? belowMarket : !belowMarket;
+    return side === 'BUY' ? !belowMarket : belowMarket;
+  };
+
+  const handlePendingOrder = async (side) => {
+    const trigger = parseFloat(triggerPrice);
+    if (!trigger || trigger === safePrice || !isTriggerValid(side, trigger)) {
+      alert(`A ${side.toLowerCase()} ${orderType.toLowerCase()} must be ${
+        isTriggerValid(side, safePrice + 1) ? 'above' : 'below'
+      } the current price`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await orderAPI.place(
+        session.sessionId,
+        side,
+        orderType,
+        trigger,
+        orderSize,
+        stopFor(side, trigger),
+        takeProfitPrice,
+        getReplayPosition(),
+        asset,
+        bracket
+      );
+
+      addPendingOrder(response.data);
+
+      setTriggerPrice('');
+      setStopLoss('');
+      setTakeProfit('');
+    } catch (error) {
+      console.error('Failed to place order:', error);
+      alert(error.response?.data?.error || 'Failed to place order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Trailing / break-even rules and the template's bracket for market entries, null when none are set
+  const getStopRules = () => {
+    const rules = {};
+    if (bracket) {
+      rules.bracket = bracket;
+    }
+    if (trailingType && parseFloat(trailingValue) > 0) {
+      rules.trailingStop = { type: trailingType, value: parseFloat(trailingValue) };
+    }
+    if (hasStop && parseFloat(breakEvenR) > 0) {
+      rules.breakEvenR = parseFloat(breakEvenR);
+    }
+    return Object.keys(rules).length > 0 ? rules : null;
+  };
 
   const handleTrade = async (tradeType) => {
-    if (!safePrice) return;
-    
+    if (!safePrice || !orderSize) return;
+    if (orderType !== 'MARKET') {
+      handlePendingOrder(tradeType);
+      return;
+    }
+
     setLoading(true);
     try {
       const response = await tradeAPI.open(
         session.sessionId,
         tradeType,
         safePrice,
-        positionSize,
-        stopLoss ? parseFloat(stopLoss) : null,
-        takeProfit ? parseFloat(takeProfit) : null
+        orderSize,
+        stopFor(tradeType, safePrice),
+        takeProfitPrice,
+        getReplayPosition(),
+        getStopRules(),
+        asset
       );
       
       addOpenTrade(response.data);
@@ -33,63 +164,254 @@ function OrderPanel({ currentPrice = 0 }) {
       setTakeProfit('');
     } catch (error) {
       console.error('Failed to open trade:', error);
-      alert('Failed to open trade');
+      alert(error.response?.data?.error || 'Failed to open trade');
     } finally {
       setLoading(false);
     }
   };
 
+  // The keys send what the buttons would, with the active template's size and bracket
+  useHotkeys({
+    buy: () => !loading && handleTrade('BUY'),
+    sell: () => !loading && handleTrade('SELL'),
+  });
+
+  const buttonSuffix = orderType === 'MARKET' ? '' : ` ${orderType}`;
+
   return (
     <div className="space-y-3">
-      <div>
-        <label className="block text-xs text-purple-300 mb-1.5 font-medium">
-          Position Size (BTC)
-        </label>
-        <input
-          type="number"
-          value={positionSize}
-          onChange={(e) => setPositionSize(parseFloat(e.target.value))}
-          step="0.01"
-          min="0.01"
-          className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white transition-all"
-          style={{ fontSize: '0.875rem' }}
-        />
+      <OrderTemplates />
+
+      <div className="grid grid-cols-3 gap-1 p-1 bg-purple-900/20 border border-purple-500/20 rounded-lg">
+        {['MARKET', 'LIMIT', 'STOP'].map((type) => (
+          <button
+            key={type}
+            onClick={() => setOrderType(type)}
+            className={`py-1 rounded-md font-medium transition-all ${
+              orderType === type ? 'bg-purple-500/40 text-white' : 'text-purple-300 hover:text-white'
+            }`}
+            style={{ fontSize: '0.75rem' }}
+          >
+            {type.charAt(0) + type.slice(1).toLowerCase()}
+          </button>
+        ))}
       </div>
 
-      <div className="grid grid-cols-2 gap-2">
+      {orderType !== 'MARKET' && (
         <div>
           <label className="block text-xs text-purple-300 mb-1.5 font-medium">
-            Stop Loss
+            Trigger Price
           </label>
           <input
             type="number"
-            value={stopLoss}
-            onChange={(e) => setStopLoss(e.target.value)}
-            placeholder="Optional"
+            value={triggerPrice}
+            onChange={(e) => setTriggerPrice(e.target.value)}
+            placeholder={safePrice ? String(safePrice) : ''}
             className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all"
             style={{ fontSize: '0.875rem' }}
           />
         </div>
+      )}
+
+      {!template && (
+        <div className="grid grid-cols-2 gap-1 p-1 bg-purple-900/20 border border-purple-500/20 rounded-lg">
+          {[['units', 'Size'], ['risk', 'Risk']].map(([mode, modeLabel]) => (
+            <button
+              key={mode}
+              onClick={() => setSizingMode(mode)}
+              className={`py-1 rounded-md font-medium transition-all ${
+                sizingMode === mode ? 'bg-purple-500/40 text-white' : 'text-purple-300 hover:text-white'
+              }`}
+              style={{ fontSize: '0.75rem' }}
+            >
+              {modeLabel}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {template && isRiskSizing && (
+        <div className="text-xs text-gray-400">
+          {riskSize
+            ? <>Size <span className="text-white">{formatSize(symbol, riskSize.units)}</span> · risking ${risk.toFixed(2)}</>
+            : 'Not enough candles yet to measure the ATR'}
+        </div>
+      )}
+
+      {!template && isRiskSizing && (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+              Risk
+            </label>
+            <div className="flex gap-1">
+              <input
+                type="number"
+                value={riskValue}
+                onChange={(e) => setRiskValue(e.target.value)}
+                step={riskMode === 'percent' ? '0.25' : '10'}
+                min="0"
+                aria-label="Risk amount"
+                className="w-full min-w-0 px-2 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white transition-all"
+                style={{ fontSize: '0.875rem' }}
+              />
+              <button
+                onClick={() => setRiskMode(riskMode === 'percent' ? 'fixed' : 'percent')}
+                className="px-2 rounded-lg bg-purple-900/20 border border-purple-500/20 text-purple-300 hover:text-white transition-all"
+                style={{ fontSize: '0.75rem' }}
+                title={riskMode === 'percent' ? 'Percent of balance' : 'Fixed dollars'}
+              >
+                {riskMode === 'percent' ? '%' : '$'}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+              Stop Distance{conventions.stopInPips ? ' (pips)' : ''}
+            </label>
+            <input
+              type="number"
+              value={stopDistance}
+              onChange={(e) => setStopDistance(e.target.value)}
+              min="0"
+              aria-label="Stop distance"
+              className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all"
+              style={{ fontSize: '0.875rem' }}
+            />
+          </div>
 
+          <div className="col-span-2 text-xs text-gray-400">
+            {riskSize
+              ? <>Size <span className="text-white">{formatSize(symbol, riskSize.units)}</span> · risking ${risk.toFixed(2)}</>
+              : 'Set the risk and stop distance to size the trade'}
+          </div>
+        </div>
+      )}
+
+      {!isRiskSizing && (
         <div>
           <label className="block text-xs text-purple-300 mb-1.5 font-medium">
-            Take Profit
+            Position Size ({conventions.unit})
           </label>
           <input
             type="number"
-            value={takeProfit}
-            onChange={(e) => setTakeProfit(e.target.value)}
-            placeholder="Optional"
-            className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all"
+            value={positionSize}
+            onChange={(e) => setPositionSize(parseFloat(e.target.value))}
+            step="0.01"
+            min="0.01"
+            className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white transition-all"
             style={{ fontSize: '0.875rem' }}
           />
+          {conventions.usesLots && positionSize > 0 && (
+            <div className="mt-1 text-xs text-gray-400">{formatSize(symbol, positionSize)}</div>
+          )}
         </div>
-      </div>
+      )}
+
+      {bracket ? (
+        <div className="text-xs text-gray-400 space-y-0.5">
+          <div><span className="text-white">{describeBracket(bracket)}</span>, placed around the fill</div>
+          {['BUY', 'SELL'].map((side) => (
+            <div key={side}>
+              {side === 'BUY' ? 'Long' : 'Short'} at {formatPrice(entryPrice, symbol)}:
+              {' '}SL {levelText(preview[side].stopLoss)} · TP {levelText(preview[side].takeProfit)}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          {!isRiskSizing && (
+            <div>
+              <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+                Stop Loss
+              </label>
+              <input
+                type="number"
+                value={stopLoss}
+                onChange={(e) => setStopLoss(e.target.value)}
+                placeholder="Optional"
+                className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all"
+                style={{ fontSize: '0.875rem' }}
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+              Take Profit
+            </label>
+            <input
+              type="number"
+              value={takeProfit}
+              onChange={(e) => setTakeProfit(e.target.value)}
+              placeholder="Optional"
+              className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all"
+              style={{ fontSize: '0.875rem' }}
+            />
+          </div>
+        </div>
+      )}
+
+      {rewardRatio !== null && (
+        <div className="text-xs text-gray-400">
+          Projected R:R <span className="text-white">1:{rewardRatio.toFixed(2)}</span>
+        </div>
+      )}
+
+      {orderType === 'MARKET' && (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+              Trailing Stop
+            </label>
+            <div className="flex gap-1">
+              <select
+                value={trailingType}
+                onChange={(e) => setTrailingType(e.target.value)}
+                className="px-2 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white transition-all"
+                style={{ fontSize: '0.75rem' }}
+              >
+                <option value="">Off</option>
+                <option value="fixed">Price</option>
+                <option value="percent">%</option>
+                <option value="atr">ATR ×</option>
+              </select>
+              <input
+                type="number"
+                value={trailingValue}
+                onChange={(e) => setTrailingValue(e.target.value)}
+                disabled={!trailingType}
+                aria-label="Trailing stop value"
+                className="w-full min-w-0 px-2 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white disabled:opacity-50 transition-all"
+                style={{ fontSize: '0.875rem' }}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-purple-300 mb-1.5 font-medium">
+              Break-even at (R)
+            </label>
+            <input
+              type="number"
+              value={breakEvenR}
+              onChange={(e) => setBreakEvenR(e.target.value)}
+              placeholder="Off"
+              step="0.5"
+              min="0"
+              disabled={!hasStop}
+              className="w-full px-3 py-2 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 disabled:opacity-50 transition-all"
+              style={{ fontSize: '0.875rem' }}
+            />
+          </div>
+        </div>
+      )}
 
       <div className="grid grid-cols-2 gap-2 pt-1">
         <button
           onClick={() => handleTrade('BUY')}
-          disabled={loading || !safePrice}
+          disabled={loading || !safePrice || !orderSize}
           className="py-2.5 rounded-lg font-semibold disabled:opacity-50 transition-all shadow-lg"
           style={{
             background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
@@ -97,11 +419,11 @@ function OrderPanel({ currentPrice = 0 }) {
             fontSize: '0.875rem'
           }}
         >
-          BUY
+          BUY{buttonSuffix}
         </button>
         <button
           onClick={() => handleTrade('SELL')}
-          disabled={loading || !safePrice}
+          disabled={loading || !safePrice || !orderSize}
           className="py-2.5 rounded-lg font-semibold disabled:opacity-50 transition-all shadow-lg"
           style={{
             background: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
@@ -109,7 +431,7 @@ function OrderPanel({ currentPrice = 0 }) {
             fontSize: '0.875rem'
           }}
         >
-          SELL
+          SELL{buttonSuffix}
         </button>
       </div>
     </div>
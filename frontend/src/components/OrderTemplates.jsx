@@ -0,0 +1,235 @@
+import { useEffect, useState } from 'react';
+import { Plus, Pencil, X } from 'lucide-react';
+import useStore from '../store/useStore';
+import { STOP_TYPES, TARGET_TYPES, describeBracket, describeRisk } from '../utils/brackets';
+
+const HOTKEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const inputClass = 'w-full min-w-0 px-2 py-1.5 bg-purple-900/20 border border-purple-500/20 rounded-lg focus:outline-none focus:border-purple-500/50 text-white placeholder-gray-600 transition-all';
+
+const EMPTY_FORM = {
+  name: '',
+  riskMode: '',
+  riskValue: '1',
+  stopType: 'pips',
+  stopValue: '',
+  targetType: 'r',
+  targetValue: '',
+  hotkey: '',
+};
+
+const formOf = (template) => ({
+  name: template.name,
+  riskMode: template.risk_mode || '',
+  riskValue: template.risk_mode ? String(parseFloat(template.risk_value)) : '1',
+  stopType: template.bracket.stopLoss?.type || 'pips',
+  stopValue: template.bracket.stopLoss ? String(template.bracket.stopLoss.value) : '',
+  targetType: template.bracket.takeProfit?.type || 'r',
+  targetValue: template.bracket.takeProfit ? String(template.bracket.takeProfit.value) : '',
+  hotkey: template.hotkey || '',
+});
+
+// The form as the server takes it - a level left empty is not part of the bracket
+const templateOf = (form) => ({
+  name: form.name,
+  riskMode: form.riskMode || null,
+  riskValue: form.riskMode ? parseFloat(form.riskValue) : null,
+  bracket: {
+    stopLoss: form.stopValue ? { type: form.stopType, value: parseFloat(form.stopValue) } : null,
+    takeProfit: form.targetValue ? { type: form.targetType, value: parseFloat(form.targetValue) } : null,
+  },
+  hotkey: form.hotkey || null,
+});
+
+// Saved bracket templates. Picking one (or pressing Alt with its hotkey) makes it
+// the active template the order panel sends orders with; picking it again drops it.
+function OrderTemplates() {
+  const templates = useStore((state) => state.orderTemplates);
+  const activeTemplateId = useStore((state) => state.activeTemplateId);
+  const setActiveTemplate = useStore((state) => state.setActiveTemplate);
+  const saveOrderTemplate = useStore((state) => state.saveOrderTemplate);
+  const removeOrderTemplate = useStore((state) => state.removeOrderTemplate);
+
+  // null while closed, 'new' or the id of the template being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const toggle = (id) => setActiveTemplate(activeTemplateId === id ? null : id);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!e.altKey || e.target.closest?.('input, textarea, select')) return;
+      // The code, since Alt changes the character some layouts type
+      const digit = e.code?.startsWith('Digit') ? e.code.slice(5) : null;
+      const template = templates.find((t) => t.hotkey && t.hotkey === digit);
+      if (!template) return;
+      e.preventDefault();
+      setActiveTemplate(activeTemplateId === template.id ? null : template.id);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [templates, activeTemplateId, setActiveTemplate]);
+
+  const openEditor = (template = null) => {
+    setEditing(template ? template.id : 'new');
+    setForm(template ? formOf(template) : EMPTY_FORM);
+    setError(null);
+  };
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await saveOrderTemplate(templateOf(form), editing === 'new' ? null : editing);
+      setActiveTemplate(saved.id);
+      setEditing(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Hotkeys another template already uses
+  const takenHotkeys = templates.filter((t) => t.id !== editing && t.hotkey).map((t) => t.hotkey);
+
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-purple-300 font-medium">Templates</span>
+        <button
+          onClick={() => openEditor()}
+          className="p-0.5 rounded text-purple-300 hover:text-white transition-all"
+          title="New template"
+          aria-label="New template"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {templates.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {templates.map((template) => (
+            <div
+              key={template.id}
+              className={`group flex items-center rounded-md border transition-all ${
+                template.id === activeTemplateId
+                  ? 'bg-purple-500/40 border-purple-400/60 text-white'
+                  : 'bg-purple-900/20 border-purple-500/20 text-purple-300 hover:text-white'
+              }`}
+            >
+              <button
+                onClick={() => toggle(template.id)}
+                className="pl-2 pr-1 py-1"
+                style={{ fontSize: '0.75rem' }}
+                title={[describeRisk(template), describeBracket(template.bracket)].filter(Boolean).join(' · ')}
+                aria-pressed={template.id === activeTemplateId}
+              >
+                {template.name}
+                {template.hotkey && <span className="ml-1 text-gray-400">Alt+{template.hotkey}</span>}
+              </button>
+              <button
+                onClick={() => openEditor(template)}
+                className="px-0.5 opacity-60 hover:opacity-100"
+                aria-label={`Edit ${template.name}`}
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => removeOrderTemplate(template.id)}
+                className="pl-0.5 pr-1.5 opacity-60 hover:opacity-100"
+                aria-label={`Delete ${template.name}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing !== null && (
+        <div className="p-2 space-y-2 bg-purple-900/10 border border-purple-500/20 rounded-lg" style={{ fontSize: '0.75rem' }}>
+          <input
+            value={form.name}
+            onChange={update('name')}
+            placeholder="Template name"
+            aria-label="Template name"
+            className={inputClass}
+          />
+
+          <div className="flex gap-1">
+            <select value={form.riskMode} onChange={update('riskMode')} aria-label="Template risk" className={inputClass}>
+              <option value="">Size by hand</option>
+              <option value="percent">Risk % of balance</option>
+              <option value="fixed">Risk $</option>
+            </select>
+            {form.riskMode && (
+              <input
+                type="number"
+                value={form.riskValue}
+                onChange={update('riskValue')}
+                min="0"
+                aria-label="Template risk value"
+                className={`${inputClass} w-20`}
+              />
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-1">
+            <input
+              type="number"
+              value={form.stopValue}
+              onChange={update('stopValue')}
+              min="0"
+              placeholder="Stop loss"
+              aria-label="Template stop loss"
+              className={inputClass}
+            />
+            <select value={form.stopType} onChange={update('stopType')} aria-label="Stop loss type" className={inputClass}>
+              {Object.entries(STOP_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+            <input
+              type="number"
+              value={form.targetValue}
+              onChange={update('targetValue')}
+              min="0"
+              placeholder="Take profit"
+              aria-label="Template take profit"
+              className={inputClass}
+            />
+            <select value={form.targetType} onChange={update('targetType')} aria-label="Take profit type" className={inputClass}>
+              {Object.entries(TARGET_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </div>
+
+          <select value={form.hotkey} onChange={update('hotkey')} aria-label="Template hotkey" className={inputClass}>
+            <option value="">No hotkey</option>
+            {HOTKEYS.map((key) => (
+              <option key={key} value={key} disabled={takenHotkeys.includes(key)}>Alt+{key}</option>
+            ))}
+          </select>
+
+          {error && <div className="text-red-400">{error}</div>}
+
+          <div className="flex justify-end gap-1">
+            <button onClick={() => setEditing(null)} className="px-2 py-1 rounded-md text-purple-300 hover:text-white">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !form.name.trim() || (!form.stopValue && !form.targetValue)}
+              className="px-2 py-1 rounded-md bg-purple-500/40 text-white disabled:opacity-50"
+            >
+              Save template
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrderTemplates;
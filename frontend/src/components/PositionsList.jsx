@@ -1,37 +1,129 @@
-import { tradeAPI } from '../services/api';
-import useStore from '../store/useStore';
+import { useState } from 'react';
+import { tradeAPI, orderAPI } from '../services/api';
+import useStore, { calculateMarginStatus } from '../store/useStore';
 
-function PositionsList({ currentPrice = 0 }) {
+// prices: current price of each asset of a multi-asset session, keyed by symbol
+function PositionsList({ currentPrice = 0, prices = null }) {
   const openTrades = useStore((state) => state.openTrades);
-  const closeTrade = useStore((state) => state.closeTrade);
+  const applyClosedTrades = useStore((state) => state.applyClosedTrades);
+  const getReplayPosition = useStore((state) => state.getReplayPosition);
+  const pendingOrders = useStore((state) => state.pendingOrders);
+  const removePendingOrder = useStore((state) => state.removePendingOrder);
+  const applyEngineUpdate = useStore((state) => state.applyEngineUpdate);
+  const applyTradeUpdate = useStore((state) => state.applyTradeUpdate);
+  const balance = useStore((state) => state.balance);
+  const session = useStore((state) => state.session);
+  const [addSizes, setAddSizes] = useState({});
 
   // FIXED VERSION - convert to safe number
   const safePrice = Number(currentPrice) || 0;
+  // Each trade is priced on its own asset
+  const priceOf = (trade) => (prices ? Number(prices[trade.asset || session?.asset]) || 0 : safePrice);
+  const assetLabel = (asset) => (asset || session?.asset || 'BTC').replace('USDT', '');
 
-  const handleClose = async (trade) => {
+  // Close the whole trade, or a percentage of it
+  const handleClose = async (trade, percent = null) => {
     try {
-      const response = await tradeAPI.close(trade.id, safePrice);
-      closeTrade(trade.id, response.data.pnl);
+      const response = await tradeAPI.close(
+        trade.id,
+        priceOf(trade),
+        getReplayPosition(),
+        percent ? { percent } : null
+      );
+      if (response.data.status === 'closed') {
+        applyClosedTrades([response.data]);
+      } else {
+        applyTradeUpdate(response.data);
+      }
     } catch (error) {
+      // The server already closed it (e.g. stop loss hit first) - show its result
+      if (error.response?.status === 409 && error.response.data?.trade) {
+        applyClosedTrades([error.response.data.trade]);
+        return;
+      }
+
       console.error('Failed to close trade:', error);
       alert('Failed to close trade');
     }
   };
 
+  const handleCancelOrder = async (order) => {
+    try {
+      await orderAPI.cancel(order.id, getReplayPosition());
+      removePendingOrder(order.id);
+    } catch (error) {
+      // Filled before the cancel arrived - the next sync brings in the trade
+      if (error.response?.status === 409 && error.response.data?.order) {
+        applyEngineUpdate({ filledOrders: [error.response.data.order] });
+        return;
+      }
+
+      console.error('Failed to cancel order:', error);
+      alert('Failed to cancel order');
+    }
+  };
+
+  const handleAdd = async (trade) => {
+    const quantity = parseFloat(addSizes[trade.id]);
+    const price = priceOf(trade);
+    if (!quantity || !price) return;
+
+    try {
+      const response = await tradeAPI.addToTrade(trade.id, price, quantity, getReplayPosition());
+      applyTradeUpdate(response.data);
+      setAddSizes((sizes) => ({ ...sizes, [trade.id]: '' }));
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.trade) {
+        applyClosedTrades([error.response.data.trade]);
+        return;
+      }
+
+      console.error('Failed to add to trade:', error);
+      alert(error.response?.data?.error || 'Failed to add to trade');
+    }
+  };
+
   const calculatePnL = (trade) => {
-    if (!safePrice) return 0;
+    const price = priceOf(trade);
+    if (!price) return 0;
     
     if (trade.trade_type === 'BUY') {
-      return (safePrice - parseFloat(trade.entry_price)) * parseFloat(trade.position_size);
+      return (price - parseFloat(trade.entry_price)) * parseFloat(trade.position_size);
     } else {
-      return (parseFloat(trade.entry_price) - safePrice) * parseFloat(trade.position_size);
+      return (parseFloat(trade.entry_price) - price) * parseFloat(trade.position_size);
     }
   };
 
+  const margin = calculateMarginStatus(openTrades, prices || safePrice, balance, session);
+
   return (
     <div className="bg-bg-secondary rounded-lg border border-border p-4">
       <h3 className="text-lg font-bold mb-4">Open Positions ({openTrades.length})</h3>
 
+      <div className="grid grid-cols-3 gap-2 text-xs mb-3">
+        <div>
+          <div className="text-text-secondary">Equity</div>
+          <div className="font-semibold">${margin.equity.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-text-secondary">Used Margin</div>
+          <div className="font-semibold">${margin.usedMargin.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="text-text-secondary">Free Margin</div>
+          <div className={`font-semibold ${margin.freeMargin >= 0 ? 'text-accent-green' : 'text-accent-red'}`}>
+            ${margin.freeMargin.toFixed(2)}
+          </div>
+        </div>
+      </div>
+
+      {margin.marginCall && (
+        <div role="alert" className="mb-3 px-3 py-2 rounded border border-accent-red/50 bg-accent-red/10 text-accent-red text-xs">
+          Margin call - equity is below the margin in use. Positions are liquidated below
+          ${margin.maintenanceMargin.toFixed(2)} equity.
+        </div>
+      )}
+
       <div className="space-y-2">
         {openTrades.length === 0 ? (
           <p className="text-text-secondary text-sm text-center py-4">
@@ -57,15 +149,26 @@ function PositionsList({ currentPrice = 0 }) {
                       {trade.trade_type}
                     </span>
                     <span className="text-text-secondary text-sm ml-2">
-                      {parseFloat(trade.position_size)} BTC
+                      {parseFloat(trade.position_size)} {assetLabel(trade.asset)}
                     </span>
                   </div>
-                  <button
-                    onClick={() => handleClose(trade)}
-                    className="text-xs px-2 py-1 bg-accent-red hover:bg-accent-red/90 rounded"
-                  >
-                    Close
-                  </button>
+                  <div className="flex gap-1">
+                    {[25, 50].map((percent) => (
+                      <button
+                        key={percent}
+                        onClick={() => handleClose(trade, percent)}
+                        className="text-xs px-2 py-1 bg-bg-secondary hover:bg-border rounded border border-border"
+                      >
+                        {percent}%
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => handleClose(trade)}
+                      className="text-xs px-2 py-1 bg-accent-red hover:bg-accent-red/90 rounded"
+                    >
+                      Close
+                    </button>
+                  </div>
                 </div>
 
                 <div className="text-sm space-y-1">
@@ -75,8 +178,20 @@ function PositionsList({ currentPrice = 0 }) {
                   </div>
                   <div className="flex justify-between">
                     <span className="text-text-secondary">Current:</span>
-                    <span>${safePrice.toFixed(2)}</span>
+                    <span>${priceOf(trade).toFixed(2)}</span>
                   </div>
+                  {Boolean(parseFloat(trade.realized_pnl)) && (
+                    <div className="flex justify-between">
+                      <span className="text-text-secondary">Banked:</span>
+                      <span>${parseFloat(trade.realized_pnl).toFixed(2)}</span>
+                    </div>
+                  )}
+                  {Boolean(parseFloat(trade.swap)) && (
+                    <div className="flex justify-between">
+                      <span className="text-text-secondary">Swap:</span>
+                      <span>${parseFloat(trade.swap).toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between font-bold">
                     <span>PnL:</span>
                     <span className={isProfitable ? 'text-accent-green' : 'text-accent-red'}>
@@ -84,11 +199,71 @@ function PositionsList({ currentPrice = 0 }) {
                     </span>
                   </div>
                 </div>
+
+                <div className="flex gap-1 mt-2">
+                  <input
+                    type="number"
+                    value={addSizes[trade.id] || ''}
+                    onChange={(e) => setAddSizes((sizes) => ({ ...sizes, [trade.id]: e.target.value }))}
+                    placeholder="Size"
+                    step="0.01"
+                    min="0"
+                    className="w-full min-w-0 text-xs px-2 py-1 bg-bg-secondary border border-border rounded"
+                  />
+                  <button
+                    onClick={() => handleAdd(trade)}
+                    disabled={!parseFloat(addSizes[trade.id]) || !priceOf(trade)}
+                    className="text-xs px-2 py-1 bg-bg-secondary hover:bg-border rounded border border-border disabled:opacity-50 whitespace-nowrap"
+                  >
+                    Add
+                  </button>
+                </div>
               </div>
             );
           })
         )}
       </div>
+
+      {pendingOrders.length > 0 && (
+        <>
+          <h3 className="text-lg font-bold mt-6 mb-4">Pending Orders ({pendingOrders.length})</h3>
+
+          <div className="space-y-2">
+            {pendingOrders.map((order) => (
+              <div
+                key={order.id}
+                className="bg-bg-primary rounded p-3 border border-border"
+              >
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <span
+                      className={`font-bold ${
+                        order.side === 'BUY' ? 'text-accent-green' : 'text-accent-red'
+                      }`}
+                    >
+                      {order.side} {order.order_type}
+                    </span>
+                    <span className="text-text-secondary text-sm ml-2">
+                      {parseFloat(order.position_size)} {assetLabel(order.asset)}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleCancelOrder(order)}
+                    className="text-xs px-2 py-1 bg-bg-secondary hover:bg-border rounded border border-border"
+                  >
+                    Cancel
+                  </button>
+                </div>
+
+                <div className="text-sm flex justify-between">
+                  <span className="text-text-secondary">Trigger:</span>
+                  <span>${parseFloat(order.trigger_price).toFixed(2)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 }
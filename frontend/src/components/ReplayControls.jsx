@@ -1,6 +1,8 @@
 import { Play, Pause, SkipForward, FastForward, Zap } from 'lucide-react';
 import useStore from '../store/useStore';
-import { useEffect } from 'react';
+import { tradeAPI, sessionAPI, replayAPI } from '../services/api';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import useHotkeys from '../hotkeys/useHotkeys';
 
 function ReplayControls({ isMobile = false }) {
   const isPlaying = useStore((state) => state.isPlaying);
@@ -13,56 +15,142 @@ function ReplayControls({ isMobile = false }) {
   const currentTickIndex = useStore((state) => state.currentTickIndex);
   const candlesWithTicks = useStore((state) => state.candlesWithTicks);
   const progressiveMode = useStore((state) => state.progressiveMode);
-  const checkAndExecuteSLTP = useStore((state) => state.checkAndExecuteSLTP);
-  const getCurrentFormingCandle = useStore((state) => state.getCurrentFormingCandle);
+  const session = useStore((state) => state.session);
+  const needsSync = useStore((state) => state.openTrades.length > 0 || state.pendingOrders.length > 0);
+  const getReplayPosition = useStore((state) => state.getReplayPosition);
+  const applyEngineUpdate = useStore((state) => state.applyEngineUpdate);
+  const applyReplayStep = useStore((state) => state.applyReplayStep);
+  const applyRewind = useStore((state) => state.applyRewind);
+  const seekTo = useStore((state) => state.seekTo);
+  const syncInFlight = useRef(false);
+  const syncPending = useRef(false);
+  const [syncRetry, setSyncRetry] = useState(0);
+  const stepInFlight = useRef(false);
+  // Candle the seek bar is dragged to, null when it is not being dragged
+  const [seekIndex, setSeekIndex] = useState(null);
+  const [rewinding, setRewinding] = useState(false);
+  const streaming = useStore((state) => state.streaming);
+  const strict = Boolean(session?.strictReplay);
 
-  // Auto-play effect - advances ticks or candles based on mode
+  // SL/TP and pending orders are evaluated by the server - report every new position
+  // while trades are open or orders are resting.
+  // Positions reached while a request is in flight are sent once it settles.
+  // A streamed replay is evaluated by the server as it plays.
   useEffect(() => {
-    if (!isPlaying) return;
+    if (!needsSync || !session || streaming) return;
+    if (syncInFlight.current) {
+      syncPending.current = true;
+      return;
+    }
 
-    const interval = setInterval(() => {
-      const formingCandle = getCurrentFormingCandle();
+    const replayPosition = getReplayPosition();
+    if (!replayPosition) return;
 
-      if (formingCandle) {
-        // Check SL/TP on current tick price
-        checkAndExecuteSLTP(formingCandle);
-      }
+    syncInFlight.current = true;
+    syncPending.current = false;
+    tradeAPI.sync(session.sessionId, replayPosition)
+      .then((response) => applyEngineUpdate(response.data))
+      .catch((error) => console.error('Failed to sync trades:', error))
+      .finally(() => {
+        syncInFlight.current = false;
+        if (syncPending.current) setSyncRetry((n) => n + 1);
+      });
+  }, [currentCandleIndex, currentTickIndex, needsSync, session, streaming, getReplayPosition, applyEngineUpdate, syncRetry]);
+
+  // Persist the replay cursor on every new candle and whenever playback stops,
+  // so the session resumes from here on any device. Strict sessions move their
+  // cursor on the server instead, and so does a streamed replay.
+  useEffect(() => {
+    if (!session || strict || streaming) return;
+    const replayPosition = getReplayPosition();
+    if (!replayPosition) return;
+
+    sessionAPI.updateCursor(session.sessionId, replayPosition)
+      .catch((error) => console.error('Failed to save replay cursor:', error));
+  }, [currentCandleIndex, isPlaying, session, strict, streaming, getReplayPosition]);
+
+  // A streamed replay is played by the server - playback controls become commands
+  const sendCommand = useCallback((action, options = {}) => {
+    replayAPI.streamCommand(session.sessionId, action, options)
+      .then((response) => setIsPlaying(response.data.playing))
+      .catch((error) => console.error(`Failed to send replay ${action}:`, error));
+  }, [session, setIsPlaying]);
+
+  useEffect(() => {
+    if (streaming) sendCommand('granularity', { granularity: progressiveMode ? 'tick' : 'candle' });
+  }, [streaming, progressiveMode, sendCommand]);
+
+  const togglePlaying = () => {
+    if (streaming) {
+      sendCommand(isPlaying ? 'pause' : 'play');
+    } else {
+      setIsPlaying(!isPlaying);
+    }
+  };
+
+  const changeSpeed = (speed) => {
+    setReplaySpeed(speed);
+    if (streaming) sendCommand('speed', { speed });
+  };
+
+  // Strict sessions only hold what the server has revealed, so every step asks for the next piece.
+  // Steps requested while one is in flight are dropped rather than queued.
+  const stepStrict = useCallback((unit) => {
+    if (stepInFlight.current) return;
+
+    stepInFlight.current = true;
+    replayAPI.step(session.sessionId, unit, 1, unit === 'candle' && !progressiveMode)
+      .then((response) => applyReplayStep(response.data))
+      .catch((error) => {
+        console.error('Failed to step replay:', error);
+        setIsPlaying(false);
+      })
+      .finally(() => {
+        stepInFlight.current = false;
+      });
+  }, [session, progressiveMode, applyReplayStep, setIsPlaying]);
+
+  const nextTick = useCallback(() => {
+    if (streaming) sendCommand('step', { unit: 'tick' });
+    else if (strict) stepStrict('tick');
+    else advanceTick();
+  }, [streaming, strict, sendCommand, stepStrict, advanceTick]);
+  const nextCandle = useCallback(() => {
+    if (streaming) sendCommand('step', { unit: 'candle' });
+    else if (strict) stepStrict('candle');
+    else advanceCandle();
+  }, [streaming, strict, sendCommand, stepStrict, advanceCandle]);
 
+  // Auto-play effect - advances ticks or candles based on mode
+  useEffect(() => {
+    if (!isPlaying || streaming) return;
+
+    const interval = setInterval(() => {
       if (progressiveMode) {
         // Progressive mode: advance tick by tick
-        advanceTick();
+        nextTick();
       } else {
         // Instant mode: advance full candle
-        advanceCandle();
+        nextCandle();
       }
     }, progressiveMode ? 170 / replaySpeed : 1400 / replaySpeed); // 40% slower base speed
 
     return () => clearInterval(interval);
-  }, [isPlaying, replaySpeed, advanceCandle, advanceTick, progressiveMode, checkAndExecuteSLTP, getCurrentFormingCandle]);
+  }, [isPlaying, streaming, replaySpeed, nextCandle, nextTick, progressiveMode]);
 
   // Skip to next tick (progressive mode only)
   const handleSkipTick = () => {
-    const formingCandle = getCurrentFormingCandle();
-    if (formingCandle) {
-      checkAndExecuteSLTP(formingCandle);
-    }
-    advanceTick();
+    nextTick();
   };
 
   // Skip entire candle (jump to next candle)
   const handleSkipCandle = () => {
     const currentCandle = candlesWithTicks[currentCandleIndex];
-    if (currentCandle) {
-      // Check SL/TP on full candle values
-      checkAndExecuteSLTP({
-        high: currentCandle.high,
-        low: currentCandle.low,
-        close: currentCandle.close
-      });
-    }
 
-    // If in progressive mode, we need to skip remaining ticks
-    if (progressiveMode) {
+    if (strict || streaming) {
+      nextCandle();
+    } else if (progressiveMode) {
+      // If in progressive mode, we need to skip remaining ticks
       const ticksRemaining = (currentCandle?.ticks?.length || 1) - currentTickIndex - 1;
       for (let i = 0; i <= ticksRemaining; i++) {
         advanceTick();
@@ -72,6 +160,41 @@ function ReplayControls({ isMobile = false }) {
     }
   };
 
+  // Seeking: forward just moves the replay on, backward rewinds the session
+  // and starts a new branch there. Strict sessions cannot seek at all.
+  const positionOf = (index) => ({
+    candleTimestamp: candlesWithTicks[index].timestamp,
+    tickIndex: progressiveMode && candlesWithTicks[index].ticks?.length > 0 ? 0 : null
+  });
+
+  const handleSeek = async () => {
+    const index = seekIndex;
+    setSeekIndex(null);
+    if (index === null || index === currentCandleIndex || !candlesWithTicks[index]) return;
+
+    if (index > currentCandleIndex) {
+      if (streaming) sendCommand('seek', { position: positionOf(index) });
+      else seekTo(index);
+      return;
+    }
+
+    if (!window.confirm('Rewind to this candle? What you traded after it is kept as a separate branch.')) return;
+
+    // A streamed replay is taken back by the server and plays on from there
+    if (!streaming) setIsPlaying(false);
+    setRewinding(true);
+    try {
+      const to = positionOf(index);
+      const response = await sessionAPI.rewind(session.sessionId, getReplayPosition(), to);
+      applyRewind(response.data, index, to.tickIndex ?? 0);
+    } catch (error) {
+      console.error('Failed to rewind replay:', error);
+      alert(error.response?.data?.error || 'Failed to rewind');
+    } finally {
+      setRewinding(false);
+    }
+  };
+
   const speeds = [1, 2, 5, 10, 30];
   const currentCandle = candlesWithTicks[currentCandleIndex];
   const totalTicks = currentCandle?.ticks?.length || 0;
@@ -80,6 +203,21 @@ function ReplayControls({ isMobile = false }) {
   // Mobile-optimized speeds
   const mobileSpeeds = [1, 2, 5];
 
+  // Step through the speeds of the buttons, stopping at either end
+  const shiftSpeed = (steps) => {
+    const index = speeds.indexOf(replaySpeed) + steps;
+    if (index >= 0 && index < speeds.length) changeSpeed(speeds[index]);
+  };
+
+  useHotkeys({
+    playPause: togglePlaying,
+    // Without ticks to show, the next tick is the next candle
+    stepTick: progressiveMode && hasTicks ? handleSkipTick : handleSkipCandle,
+    stepCandle: handleSkipCandle,
+    speedUp: () => shiftSpeed(1),
+    speedDown: () => shiftSpeed(-1),
+  });
+
   return (
     <div
       className={`rounded-xl overflow-hidden ${isMobile ? 'w-full' : ''}`}
@@ -94,7 +232,7 @@ function ReplayControls({ isMobile = false }) {
         <div className={`flex items-center ${isMobile ? 'gap-2 flex-wrap' : 'gap-4'}`}>
           {/* Play/Pause Button */}
           <button
-            onClick={() => setIsPlaying(!isPlaying)}
+            onClick={togglePlaying}
             className={`${isMobile ? 'p-2' : 'p-3'} rounded-lg transition-all ${
               isPlaying
                 ? 'bg-red-500/20 border border-red-500/50 text-red-400 hover:bg-red-500/30'
@@ -129,7 +267,7 @@ function ReplayControls({ isMobile = false }) {
             {(isMobile ? mobileSpeeds : speeds).map((speed) => (
               <button
                 key={speed}
-                onClick={() => setReplaySpeed(speed)}
+                onClick={() => changeSpeed(speed)}
                 className={`${isMobile ? 'px-2 py-1.5 text-xs' : 'px-3 py-2 text-sm'} rounded-lg font-medium transition-all ${
                   replaySpeed === speed
                     ? 'bg-gradient-to-r from-purple-600 to-purple-700 text-white shadow-lg shadow-purple-500/20'
@@ -165,6 +303,24 @@ function ReplayControls({ isMobile = false }) {
           )}
         </div>
 
+        {/* Seek Bar - Desktop only, not in strict sessions */}
+        {!isMobile && !strict && candlesWithTicks.length > 1 && (
+          <input
+            type="range"
+            min={0}
+            max={candlesWithTicks.length - 1}
+            value={seekIndex ?? currentCandleIndex}
+            disabled={rewinding}
+            onChange={(e) => setSeekIndex(Number(e.target.value))}
+            onMouseUp={handleSeek}
+            onTouchEnd={handleSeek}
+            onKeyUp={handleSeek}
+            className="w-full mt-3 accent-purple-500 disabled:opacity-50"
+            aria-label="Seek replay"
+            title="Drag back to rewind, forward to skip ahead"
+          />
+        )}
+
         {/* Mobile Progress Display */}
         {isMobile && (
           <div className="flex items-center justify-between mt-2 text-xs text-gray-400">
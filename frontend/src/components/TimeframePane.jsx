@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import Chart from './Chart';
+import useStore from '../store/useStore';
+import { replayAPI } from '../services/api';
+import { bucketStart, extendHigherCandle } from '../utils/timeframes';
+
+// A higher-timeframe chart that follows the replay. The server builds the candles
+// up to the replay position whenever a new higher-timeframe candle opens; in
+// between, the forming candle grows from the candles the replay reveals.
+// Drawings on the session's asset show here too, but are edited on the main chart.
+function TimeframePane({ timeframe, visibleCandles, onRemove }) {
+  const session = useStore((state) => state.session);
+  const getReplayPosition = useStore((state) => state.getReplayPosition);
+  const drawings = useStore((state) => state.drawings);
+  const [loaded, setLoaded] = useState(null);
+
+  const currentCandle = visibleCandles[visibleCandles.length - 1];
+  const bucket = currentCandle ? bucketStart(currentCandle.timestamp, timeframe) : null;
+
+  useEffect(() => {
+    if (!session || bucket === null) return undefined;
+
+    const replayPosition = getReplayPosition();
+    let cancelled = false;
+    replayAPI.getHigherTimeframe(session.sessionId, timeframe, replayPosition)
+      .then((response) => {
+        if (!cancelled) setLoaded({ candles: response.data.candles, at: replayPosition.candleTimestamp });
+      })
+      .catch((error) => console.error(`Failed to load ${timeframe} candles:`, error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session, timeframe, bucket, getReplayPosition]);
+
+  const candles = loaded ? extendHigherCandle(loaded.candles, visibleCandles, loaded.at, timeframe) : [];
+
+  return (
+    <div className="relative flex-1 min-h-0">
+      <Chart
+        candles={candles}
+        label={timeframe}
+        minHeight={120}
+        drawings={drawings.filter((d) => (d.asset || session.asset) === session.asset)}
+      />
+      <button
+        onClick={onRemove}
+        className="absolute top-2 right-2 p-1 rounded-md bg-black/60 border border-purple-500/20 text-gray-400 hover:text-white transition-all z-10"
+        title={`Close ${timeframe} pane`}
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+export default TimeframePane;
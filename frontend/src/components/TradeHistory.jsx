@@ -1,8 +1,28 @@
-import useStore from '../store/useStore';
+import useStore, { formatExitReason, getTradeCosts } from '../store/useStore';
 import { format } from 'date-fns';
 
+// How the stop moved over the life of a trade, e.g. "49000.00 → 50000.00"
+const formatStopPath = (trade) => {
+  const initial = trade.initial_stop_loss ?? trade.stop_loss;
+  if (!initial) return '-';
+
+  const final = trade.stop_loss ?? initial;
+  if (parseFloat(final) === parseFloat(initial)) return `$${parseFloat(initial).toFixed(2)}`;
+  return `$${parseFloat(initial).toFixed(2)} → $${parseFloat(final).toFixed(2)}`;
+};
+
+const describeCosts = ({ commission, spread, slippage }) =>
+  `Commission: $${commission.toFixed(2)}\nSpread: $${spread.toFixed(2)}\nSlippage: $${slippage.toFixed(2)}`;
+
+const STOP_MOVE_LABELS = { trailing: 'Trailing', break_even: 'Break-even', manual: 'Manual' };
+
+const describeStopMoves = (trade) => (trade.stop_history || [])
+  .map(move => `${format(new Date(move.moved_at), 'HH:mm:ss')} ${STOP_MOVE_LABELS[move.reason] || move.reason}: $${parseFloat(move.stop_loss).toFixed(2)}`)
+  .join('\n');
+
 function TradeHistory() {
   const closedTrades = useStore((state) => state.closedTrades);
+  const focusTrade = useStore((state) => state.focusTrade);
 
   if (closedTrades.length === 0) {
     return (
@@ -60,6 +80,8 @@ function TradeHistory() {
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Entry</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Exit</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Size</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Stop</th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Costs</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">PnL</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Exit Reason</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-text-secondary">Time</th>
@@ -69,9 +91,15 @@ function TradeHistory() {
               {closedTrades.slice().reverse().map((trade, index) => {
                 const pnl = parseFloat(trade.pnl || 0);
                 const isProfitable = pnl >= 0;
+                const costs = getTradeCosts(trade);
 
                 return (
-                  <tr key={index} className="hover:bg-bg-primary/50">
+                  <tr
+                    key={index}
+                    className="hover:bg-bg-primary/50 cursor-pointer"
+                    onClick={() => focusTrade(trade)}
+                    title="Show on chart"
+                  >
                     <td className="px-4 py-3">
                       <span className={`font-bold ${
                         trade.trade_type === 'BUY' ? 'text-accent-green' : 'text-accent-red'
@@ -88,6 +116,17 @@ function TradeHistory() {
                     <td className="px-4 py-3 text-sm">
                       {parseFloat(trade.position_size).toFixed(2)} BTC
                     </td>
+                    <td className="px-4 py-3 text-sm" title={describeStopMoves(trade) || undefined}>
+                      {formatStopPath(trade)}
+                      {trade.stop_history?.length > 0 && (
+                        <span className="block text-xs text-text-secondary">
+                          {trade.stop_history.length} move{trade.stop_history.length === 1 ? '' : 's'}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-text-secondary" title={describeCosts(costs)}>
+                      ${costs.total.toFixed(2)}
+                    </td>
                     <td className="px-4 py-3">
                       <span className={`font-bold ${
                         isProfitable ? 'text-accent-green' : 'text-accent-red'
@@ -96,7 +135,7 @@ function TradeHistory() {
                       </span>
                     </td>
                     <td className="px-4 py-3 text-sm text-text-secondary">
-                      {trade.exit_reason || 'Manual'}
+                      {formatExitReason(trade.exit_reason)}
                     </td>
                     <td className="px-4 py-3 text-sm text-text-secondary">
                       {trade.exit_time ? format(new Date(trade.exit_time), 'HH:mm:ss') : '-'}
@@ -1,5 +1,5 @@
 import { useState, useMemo } from 'react';
-import useStore from '../store/useStore';
+import useStore, { formatExitReason } from '../store/useStore';
 import { format } from 'date-fns';
 import {
   BookOpen,
@@ -12,7 +12,8 @@ import {
   Filter,
   Search,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  LocateFixed
 } from 'lucide-react';
 
 // Predefined tags for quick selection
@@ -46,6 +47,7 @@ const TAG_COLORS = {
 
 function TradeJournal() {
   const closedTrades = useStore((state) => state.closedTrades);
+  const focusTrade = useStore((state) => state.focusTrade);
   const [journalEntries, setJournalEntries] = useState(() => {
     // Load from localStorage
     try {
@@ -332,6 +334,18 @@ function TradeJournal() {
                     {isProfitable ? '+' : ''}${pnl.toFixed(2)}
                   </span>
 
+                  {/* Show on Chart */}
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      focusTrade(trade);
+                    }}
+                    className="p-1 text-gray-500 hover:text-purple-300 transition-colors"
+                    title="Show on chart"
+                  >
+                    <LocateFixed className="w-4 h-4" />
+                  </button>
+
                   {/* Expand Icon */}
                   {isExpanded ? (
                     <ChevronUp className="w-5 h-5 text-gray-500" />
@@ -415,7 +429,7 @@ function TradeJournal() {
                         </div>
                         <div>
                           <div className="text-xs text-gray-500">Exit Reason</div>
-                          <div className="text-white">{trade.exit_reason || 'Manual'}</div>
+                          <div className="text-white">{formatExitReason(trade.exit_reason)}</div>
                         </div>
                       </div>
 
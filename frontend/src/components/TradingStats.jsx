@@ -1,5 +1,5 @@
 import { useMemo } from 'react';
-import useStore from '../store/useStore';
+import useStore, { getTradeCosts } from '../store/useStore';
 import {
   TrendingUp,
   TrendingDown,
@@ -9,7 +9,9 @@ import {
   Award,
   AlertTriangle,
   Percent,
-  DollarSign
+  DollarSign,
+  Receipt,
+  Clock
 } from 'lucide-react';
 
 function TradingStats() {
@@ -126,6 +128,20 @@ function TradingStats() {
     // Expectancy
     const expectancy = (winRate / 100 * avgWin) - ((100 - winRate) / 100 * avgLoss);
 
+    // Swap and funding are booked into trade PnL like the costs
+    const totalSwap = closedTrades.reduce((sum, t) => sum + parseFloat(t.swap || 0), 0);
+
+    // Trading costs - trade PnL is net, so gross PnL adds them back
+    const costs = closedTrades.reduce((sum, trade) => {
+      const tradeCosts = getTradeCosts(trade);
+      return {
+        commission: sum.commission + tradeCosts.commission,
+        spread: sum.spread + tradeCosts.spread,
+        slippage: sum.slippage + tradeCosts.slippage,
+        total: sum.total + tradeCosts.total
+      };
+    }, { commission: 0, spread: 0, slippage: 0, total: 0 });
+
     return {
       totalTrades,
       winningTrades: winningTrades.length,
@@ -146,6 +162,9 @@ function TradingStats() {
       maxLossStreak,
       currentStreak,
       expectancy,
+      costs,
+      totalSwap,
+      grossPnL: totalPnL + costs.total - totalSwap,
       initialBalance,
       currentBalance: balance
     };
@@ -357,6 +376,56 @@ function TradingStats() {
         </div>
       </div>
 
+      {/* P&L Breakdown */}
+      <div
+        className="rounded-xl p-6"
+        style={{
+          background: 'rgba(10, 10, 10, 0.9)',
+          border: '1px solid rgba(139, 92, 246, 0.2)'
+        }}
+      >
+        <h3 className="text-lg font-bold text-white mb-4 flex items-center gap-2">
+          <Receipt className="w-5 h-5 text-purple-400" />
+          P&L Breakdown
+        </h3>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <StatCard
+            icon={DollarSign}
+            label="Gross P&L"
+            value={`${stats.grossPnL >= 0 ? '+' : ''}$${stats.grossPnL.toFixed(2)}`}
+            subValue="Before costs"
+            color={stats.grossPnL >= 0 ? 'green' : 'red'}
+          />
+          <StatCard
+            icon={Receipt}
+            label="Commission"
+            value={`$${stats.costs.commission.toFixed(2)}`}
+            color="red"
+          />
+          <StatCard
+            icon={Receipt}
+            label="Spread"
+            value={`$${stats.costs.spread.toFixed(2)}`}
+            color="red"
+          />
+          <StatCard
+            icon={Receipt}
+            label="Slippage"
+            value={`$${stats.costs.slippage.toFixed(2)}`}
+            subValue="Stop fills"
+            color="red"
+          />
+          <StatCard
+            icon={Clock}
+            label="Swap / Funding"
+            value={`${stats.totalSwap >= 0 ? '+' : '-'}$${Math.abs(stats.totalSwap).toFixed(2)}`}
+            subValue="Overnight carry"
+            color={stats.totalSwap >= 0 ? 'green' : 'red'}
+          />
+        </div>
+      </div>
+
       {/* Summary Card */}
       <div
         className="rounded-xl p-6"
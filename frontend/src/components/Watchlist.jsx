@@ -0,0 +1,37 @@
+import { formatPrice } from '../store/useStore';
+
+// The assets of a multi-asset session with their price at the replay time.
+// Clicking one puts it on the main chart and in the order panel.
+// quotes: [{ asset, price, change }] - change is the move since the previous close in percent
+function Watchlist({ quotes, activeAsset, onSelect }) {
+  return (
+    <div className="flex gap-1 overflow-x-auto" role="tablist" aria-label="Watchlist">
+      {quotes.map(({ asset, price, change }) => {
+        const isActive = asset === activeAsset;
+        return (
+          <button
+            key={asset}
+            role="tab"
+            aria-selected={isActive}
+            onClick={() => onSelect(asset)}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-lg border text-xs whitespace-nowrap transition-all ${
+              isActive
+                ? 'bg-purple-500/20 border-purple-500/50 text-purple-300'
+                : 'bg-black/60 border-purple-500/10 text-gray-400 hover:text-gray-300'
+            }`}
+          >
+            <span className="font-semibold">{asset.replace('USDT', '')}</span>
+            <span className="text-white">{price ? formatPrice(price, asset) : '-'}</span>
+            {change !== null && (
+              <span className={change >= 0 ? 'text-green-400' : 'text-red-400'}>
+                {change >= 0 ? '+' : ''}{change.toFixed(2)}%
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Watchlist;
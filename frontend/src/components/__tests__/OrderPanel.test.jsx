@@ -7,23 +7,39 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 
 // Mock the API
 const mockTradeAPIOpen = jest.fn();
+const mockOrderAPIPlace = jest.fn();
 jest.mock('../../services/api', () => ({
   tradeAPI: {
     open: (...args) => mockTradeAPIOpen(...args),
   },
+  orderAPI: {
+    place: (...args) => mockOrderAPIPlace(...args),
+  },
 }));
 
 // Mock the store
 const mockAddOpenTrade = jest.fn();
+const mockAddPendingOrder = jest.fn();
+const mockReplayPosition = { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 };
+const mockSetActiveTemplate = jest.fn();
+let mockTemplates = { orderTemplates: [], activeTemplateId: null };
 jest.mock('../../store/useStore', () => {
+  // Asset conventions and formatting come from the real module
+  const actual = jest.requireActual('../../store/useStore');
   const mockUseStore = (selector) => {
     const state = {
-      session: { sessionId: 1 },
+      session: { sessionId: 1, asset: 'BTCUSDT' },
+      balance: 10000,
       addOpenTrade: mockAddOpenTrade,
+      addPendingOrder: mockAddPendingOrder,
+      getReplayPosition: () => mockReplayPosition,
+      ...mockTemplates,
+      setActiveTemplate: mockSetActiveTemplate,
+      hotkeys: jest.requireActual('../../hotkeys').DEFAULT_HOTKEYS,
     };
     return selector(state);
   };
-  return mockUseStore;
+  return { ...actual, __esModule: true, default: mockUseStore };
 });
 
 import OrderPanel from '../OrderPanel';
@@ -33,6 +49,9 @@ describe('OrderPanel', () => {
     jest.clearAllMocks();
     mockTradeAPIOpen.mockReset();
     mockAddOpenTrade.mockReset();
+    mockOrderAPIPlace.mockReset();
+    mockAddPendingOrder.mockReset();
+    mockTemplates = { orderTemplates: [], activeTemplateId: null };
   });
 
   describe('Rendering', () => {
@@ -104,7 +123,7 @@ describe('OrderPanel', () => {
 
       await waitFor(() => {
         expect(mockTradeAPIOpen).toHaveBeenCalledWith(
-          1, 'BUY', 50000, 0.1, null, null
+          1, 'BUY', 50000, 0.1, null, null, mockReplayPosition, null, null
         );
       });
     });
@@ -119,11 +138,46 @@ describe('OrderPanel', () => {
 
       await waitFor(() => {
         expect(mockTradeAPIOpen).toHaveBeenCalledWith(
-          1, 'SELL', 50000, 0.1, null, null
+          1, 'SELL', 50000, 0.1, null, null, mockReplayPosition, null, null
         );
       });
     });
 
+    it('should open the trade on the asset shown in a multi-asset session', async () => {
+      mockTradeAPIOpen.mockResolvedValue({
+        data: { id: 5, trade_type: 'BUY', entry_price: 1.27, position_size: 0.1, asset: 'GBPUSD' },
+      });
+
+      render(<OrderPanel currentPrice={1.27} asset="GBPUSD" />);
+      fireEvent.click(screen.getByRole('button', { name: /buy/i }));
+
+      await waitFor(() => {
+        expect(mockTradeAPIOpen).toHaveBeenCalledWith(
+          1, 'BUY', 1.27, 0.1, null, null, mockReplayPosition, null, 'GBPUSD'
+        );
+      });
+    });
+
+    it('should buy and sell with the hotkeys', async () => {
+      mockTradeAPIOpen.mockResolvedValue({ data: { id: 6 } });
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.keyDown(window, { code: 'KeyS' });
+
+      await waitFor(() => {
+        expect(mockTradeAPIOpen).toHaveBeenCalledWith(
+          1, 'SELL', 50000, 0.1, null, null, mockReplayPosition, null, null
+        );
+      });
+    });
+
+    it('should not trade on a hotkey typed into an input', () => {
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.keyDown(screen.getByDisplayValue('0.1'), { code: 'KeyB' });
+
+      expect(mockTradeAPIOpen).not.toHaveBeenCalled();
+    });
+
     it('should add trade to store on successful submission', async () => {
       const newTrade = { id: 4, trade_type: 'BUY', entry_price: 50000, position_size: 0.1 };
       mockTradeAPIOpen.mockResolvedValue({ data: newTrade });
@@ -150,10 +204,215 @@ describe('OrderPanel', () => {
       alertSpy.mockRestore();
     });
 
+    it('should show the server reason when a trade is rejected', async () => {
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+      mockTradeAPIOpen.mockRejectedValue({ response: { status: 400, data: { error: 'Insufficient margin' } } });
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.click(screen.getByRole('button', { name: /buy/i }));
+
+      await waitFor(() => {
+        expect(alertSpy).toHaveBeenCalledWith('Insufficient margin');
+      });
+
+      alertSpy.mockRestore();
+    });
+
     it('should not call API when currentPrice is 0', () => {
       render(<OrderPanel currentPrice={0} />);
       fireEvent.click(screen.getByRole('button', { name: /buy/i }));
       expect(mockTradeAPIOpen).not.toHaveBeenCalled();
     });
   });
+
+  describe('Stop Rules', () => {
+    it('should send trailing stop and break-even rules with a market entry', async () => {
+      mockTradeAPIOpen.mockResolvedValue({ data: { id: 5, trade_type: 'BUY' } });
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.change(screen.getAllByPlaceholderText('Optional')[0], { target: { value: '49000' } });
+      fireEvent.change(screen.getByRole('combobox'), { target: { value: 'atr' } });
+      fireEvent.change(screen.getByLabelText('Trailing stop value'), { target: { value: '2' } });
+      fireEvent.change(screen.getByPlaceholderText('Off'), { target: { value: '1' } });
+      fireEvent.click(screen.getByRole('button', { name: /buy/i }));
+
+      await waitFor(() => {
+        expect(mockTradeAPIOpen).toHaveBeenCalledWith(
+          1, 'BUY', 50000, 0.1, 49000, null, mockReplayPosition,
+          { trailingStop: { type: 'atr', value: 2 }, breakEvenR: 1 }, null
+        );
+      });
+    });
+  });
+
+  describe('Risk Sizing', () => {
+    it('should label the position size with the unit of the asset', () => {
+      render(<OrderPanel currentPrice={1.085} asset="EURUSD" />);
+      expect(screen.getByText('Position Size (EUR)')).toBeInTheDocument();
+    });
+
+    it('should size a trade from the risk and stop distance and place the stop', async () => {
+      mockTradeAPIOpen.mockResolvedValue({ data: { id: 6, trade_type: 'BUY' } });
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Risk' }));
+      fireEvent.change(screen.getByLabelText('Stop distance'), { target: { value: '500' } });
+
+      // 1% of 10000 over a 500 stop
+      expect(screen.getByText('0.2 BTC')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /buy/i }));
+
+      await waitFor(() => {
+        expect(mockTradeAPIOpen).toHaveBeenCalledWith(
+          1, 'BUY', 50000, 0.2, 49500, null, mockReplayPosition, null, null
+        );
+      });
+    });
+
+    it('should size forex in lots from a stop in pips', () => {
+      render(<OrderPanel currentPrice={1.085} asset="EURUSD" />);
+      fireEvent.click(screen.getByRole('button', { name: 'Risk' }));
+      fireEvent.click(screen.getByRole('button', { name: '%' }));
+      fireEvent.change(screen.getByLabelText('Risk amount'), { target: { value: '200' } });
+      fireEvent.change(screen.getByLabelText('Stop distance'), { target: { value: '20' } });
+
+      expect(screen.getByText('Stop Distance (pips)')).toBeInTheDocument();
+      expect(screen.getByText('1.00 lot (100,000 EUR)')).toBeInTheDocument();
+    });
+
+    it('should disable the buttons until the trade can be sized', () => {
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Risk' }));
+
+      expect(screen.getByRole('button', { name: /buy/i })).toBeDisabled();
+    });
+
+    it('should show the projected reward to risk', () => {
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.change(screen.getAllByPlaceholderText('Optional')[0], { target: { value: '49000' } });
+      fireEvent.change(screen.getAllByPlaceholderText('Optional')[1], { target: { value: '52000' } });
+
+      expect(screen.getByText('1:2.00')).toBeInTheDocument();
+    });
+  });
+
+  describe('Templates', () => {
+    const atrTemplate = {
+      id: 4,
+      name: '1% ATR',
+      risk_mode: 'percent',
+      risk_value: '1',
+      bracket: { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 } },
+      hotkey: '1',
+    };
+    const pipsTemplate = {
+      id: 5,
+      name: 'Pips',
+      risk_mode: null,
+      risk_value: null,
+      bracket: { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'pips', value: 40 } },
+      hotkey: null,
+    };
+
+    it('should pick a template with its hotkey', () => {
+      mockTemplates = { orderTemplates: [atrTemplate, pipsTemplate], activeTemplateId: null };
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.keyDown(window, { code: 'Digit1', altKey: true });
+
+      expect(mockSetActiveTemplate).toHaveBeenCalledWith(4);
+    });
+
+    it('should size from the template risk and send its bracket with a market entry', async () => {
+      mockTemplates = { orderTemplates: [atrTemplate], activeTemplateId: 4 };
+      mockTradeAPIOpen.mockResolvedValue({ data: { id: 7, trade_type: 'SELL' } });
+
+      render(<OrderPanel currentPrice={50000} atr={200} />);
+
+      // 1% of 10000 over a 1.5 ATR stop of 300
+      expect(screen.getByText('0.3333 BTC')).toBeInTheDocument();
+      expect(screen.getByText('SL 1.5 ATR · TP 2R')).toBeInTheDocument();
+      expect(screen.getByText(/SL 50300.00 · TP 49400.00/)).toBeInTheDocument();
+      expect(screen.queryByPlaceholderText('Optional')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /sell/i }));
+
+      await waitFor(() => {
+        expect(mockTradeAPIOpen).toHaveBeenCalledWith(
+          1, 'SELL', 50000, 0.3333, null, null, mockReplayPosition, { bracket: atrTemplate.bracket }, null
+        );
+      });
+    });
+
+    it('should not size from an ATR stop before there are candles to measure it', () => {
+      mockTemplates = { orderTemplates: [atrTemplate], activeTemplateId: 4 };
+
+      render(<OrderPanel currentPrice={50000} />);
+
+      expect(screen.getByText('Not enough candles yet to measure the ATR')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /buy/i })).toBeDisabled();
+    });
+
+    it('should leave the bracket of a pending order to the fill', async () => {
+      mockTemplates = { orderTemplates: [pipsTemplate], activeTemplateId: 5 };
+      mockOrderAPIPlace.mockResolvedValue({ data: { id: 9, status: 'pending' } });
+
+      render(<OrderPanel currentPrice={1.085} asset="EURUSD" />);
+      fireEvent.click(screen.getByRole('button', { name: 'Limit' }));
+      fireEvent.change(screen.getByPlaceholderText('1.085'), { target: { value: '1.08' } });
+      fireEvent.change(screen.getByDisplayValue('0.1'), { target: { value: '1000' } });
+      fireEvent.click(screen.getByRole('button', { name: /buy limit/i }));
+
+      await waitFor(() => {
+        expect(mockOrderAPIPlace).toHaveBeenCalledWith(
+          1, 'BUY', 'LIMIT', 1.08, 1000, null, null, mockReplayPosition, 'EURUSD', pipsTemplate.bracket
+        );
+      });
+    });
+  });
+
+  describe('Pending Orders', () => {
+    it('should show a trigger price input for limit and stop orders', () => {
+      render(<OrderPanel currentPrice={50000} />);
+      expect(screen.queryByText(/trigger price/i)).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Limit' }));
+
+      expect(screen.getByText(/trigger price/i)).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /buy limit/i })).toBeInTheDocument();
+    });
+
+    it('should place a buy limit below the current price', async () => {
+      const order = { id: 3, side: 'BUY', order_type: 'LIMIT', trigger_price: 49000, status: 'pending' };
+      mockOrderAPIPlace.mockResolvedValue({ data: order });
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Limit' }));
+      fireEvent.change(screen.getByPlaceholderText('50000'), { target: { value: '49000' } });
+      fireEvent.click(screen.getByRole('button', { name: /buy limit/i }));
+
+      await waitFor(() => {
+        expect(mockAddPendingOrder).toHaveBeenCalledWith(order);
+      });
+      expect(mockOrderAPIPlace).toHaveBeenCalledWith(
+        1, 'BUY', 'LIMIT', 49000, 0.1, null, null, mockReplayPosition, null, null
+      );
+      expect(mockTradeAPIOpen).not.toHaveBeenCalled();
+    });
+
+    it('should reject a buy stop below the current price', () => {
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+
+      render(<OrderPanel currentPrice={50000} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+      fireEvent.change(screen.getByPlaceholderText('50000'), { target: { value: '49000' } });
+      fireEvent.click(screen.getByRole('button', { name: /buy stop/i }));
+
+      expect(alertSpy).toHaveBeenCalledWith('A buy stop must be above the current price');
+      expect(mockOrderAPIPlace).not.toHaveBeenCalled();
+
+      alertSpy.mockRestore();
+    });
+  });
 });
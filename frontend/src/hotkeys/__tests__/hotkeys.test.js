@@ -0,0 +1,96 @@
+/**
+ * Tests for reading, matching and checking hotkeys
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { DEFAULT_HOTKEYS, actionOf, comboOf, findConflicts } from '../index';
+import useHotkeys from '../useHotkeys';
+
+jest.mock('../../services/api', () => ({}));
+
+describe('comboOf', () => {
+  it('should read the key from its position with the modifiers in order', () => {
+    expect(comboOf({ code: 'KeyB' })).toBe('B');
+    expect(comboOf({ code: 'Digit3', altKey: true })).toBe('Alt+3');
+    expect(comboOf({ code: 'ArrowRight', shiftKey: true })).toBe('Shift+ArrowRight');
+    expect(comboOf({ code: 'Slash', shiftKey: true, ctrlKey: true })).toBe('Ctrl+Shift+/');
+    expect(comboOf({ code: 'Space' })).toBe('Space');
+  });
+
+  it('should ignore modifiers on their own and keys that cannot be bound', () => {
+    expect(comboOf({ code: 'ShiftLeft', shiftKey: true })).toBeNull();
+    expect(comboOf({ code: 'Escape' })).toBeNull();
+    expect(comboOf({})).toBeNull();
+  });
+});
+
+describe('actionOf', () => {
+  it('should find the action bound to a key', () => {
+    expect(actionOf(DEFAULT_HOTKEYS, 'Shift+X')).toBe('closeAll');
+    expect(actionOf(DEFAULT_HOTKEYS, 'Q')).toBeNull();
+    expect(actionOf(DEFAULT_HOTKEYS, null)).toBeNull();
+  });
+});
+
+describe('findConflicts', () => {
+  it('should find nothing wrong with the defaults', () => {
+    expect(findConflicts(DEFAULT_HOTKEYS)).toEqual({});
+  });
+
+  it('should mark both actions that share a key', () => {
+    const conflicts = findConflicts({ ...DEFAULT_HOTKEYS, sell: 'B' });
+
+    expect(conflicts.buy).toBe('Also bound to Sell');
+    expect(conflicts.sell).toBe('Also bound to Buy');
+  });
+
+  it('should keep Alt with a digit for the order templates', () => {
+    const conflicts = findConflicts(
+      { ...DEFAULT_HOTKEYS, buy: 'Alt+1', sell: 'Alt+2', reverse: null },
+      [{ id: 1, hotkey: '1' }]
+    );
+
+    expect(conflicts.buy).toBe('Alt+1 picks an order template');
+    expect(conflicts.sell).toBe('Alt+2 is kept for the order templates');
+    expect(conflicts.reverse).toBeUndefined();
+  });
+});
+
+describe('useHotkeys', () => {
+  const Listener = ({ handlers }) => {
+    useHotkeys(handlers);
+    return <input aria-label="text" />;
+  };
+
+  it('should run the handler of the bound action', () => {
+    const playPause = jest.fn();
+    render(<Listener handlers={{ playPause }} />);
+
+    fireEvent.keyDown(window, { code: 'Space' });
+    fireEvent.keyDown(window, { code: 'KeyB' });
+
+    expect(playPause).toHaveBeenCalledTimes(1);
+  });
+
+  it('should repeat stepping but never trading while a key is held', () => {
+    const stepTick = jest.fn();
+    const buy = jest.fn();
+    render(<Listener handlers={{ stepTick, buy }} />);
+
+    fireEvent.keyDown(window, { code: 'ArrowRight', repeat: true });
+    fireEvent.keyDown(window, { code: 'KeyB', repeat: true });
+
+    expect(stepTick).toHaveBeenCalledTimes(1);
+    expect(buy).not.toHaveBeenCalled();
+  });
+
+  it('should leave keys typed into a field alone', () => {
+    const buy = jest.fn();
+    render(<Listener handlers={{ buy }} />);
+
+    fireEvent.keyDown(screen.getByLabelText('text'), { code: 'KeyB' });
+
+    expect(buy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+// Keyboard shortcuts. A key is written as its modifiers (Ctrl, Alt, Shift, Meta,
+// in that order) and the physical key, e.g. "Shift+ArrowRight" or "Shift+/".
+// Keys are read from the key's position rather than the character it types, so
+// a binding works the same on every keyboard layout. Alt with a digit belongs
+// to the order templates. Must match backend/config/hotkeys.js.
+
+export const HOTKEY_ACTIONS = {
+  playPause: { label: 'Play / pause', group: 'Replay' },
+  stepTick: { label: 'Next tick', group: 'Replay', repeat: true },
+  stepCandle: { label: 'Next candle', group: 'Replay', repeat: true },
+  speedUp: { label: 'Faster', group: 'Replay', repeat: true },
+  speedDown: { label: 'Slower', group: 'Replay', repeat: true },
+  buy: { label: 'Buy', group: 'Trading' },
+  sell: { label: 'Sell', group: 'Trading' },
+  closeAll: { label: 'Close all positions', group: 'Trading' },
+  reverse: { label: 'Reverse position', group: 'Trading' },
+  showHelp: { label: 'Show shortcuts', group: 'General' },
+};
+
+export const DEFAULT_HOTKEYS = {
+  playPause: 'Space',
+  stepTick: 'ArrowRight',
+  stepCandle: 'Shift+ArrowRight',
+  speedUp: 'ArrowUp',
+  speedDown: 'ArrowDown',
+  buy: 'B',
+  sell: 'S',
+  closeAll: 'Shift+X',
+  reverse: 'R',
+  showHelp: 'Shift+/',
+};
+
+const TEMPLATE_KEY = /^Alt\+[1-9]$/;
+
+const PUNCTUATION = {
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Backquote: '`',
+};
+
+const keyOf = (code = '') => {
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+  if (/^(F([1-9]|1[0-2])|Space|Enter|Arrow(Up|Down|Left|Right))$/.test(code)) return code;
+  return PUNCTUATION[code] || null;
+};
+
+// The key of a keydown event, null for a modifier on its own or a key that cannot be bound
+export const comboOf = (event) => {
+  const key = keyOf(event.code);
+  if (!key) return null;
+
+  return [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta',
+    key,
+  ].filter(Boolean).join('+');
+};
+
+// Keys typed into a form field are text, not shortcuts
+export const isTypingTarget = (target) => Boolean(
+  target?.isContentEditable || target?.closest?.('input, textarea, select')
+);
+
+export const actionOf = (hotkeys, combo) => (
+  combo ? Object.keys(HOTKEY_ACTIONS).find((action) => hotkeys[action] === combo) || null : null
+);
+
+// Why each binding cannot be saved, keyed by action: a key shared with another
+// action or one of the order templates' Alt keys
+export const findConflicts = (hotkeys, templates = []) => {
+  const templateKeys = templates.filter((t) => t.hotkey).map((t) => `Alt+${t.hotkey}`);
+  const conflicts = {};
+
+  Object.keys(HOTKEY_ACTIONS).forEach((action) => {
+    const key = hotkeys[action];
+    if (!key) return;
+
+    if (TEMPLATE_KEY.test(key)) {
+      conflicts[action] = templateKeys.includes(key)
+        ? `${key} picks an order template`
+        : `${key} is kept for the order templates`;
+      return;
+    }
+    const other = Object.keys(HOTKEY_ACTIONS).find((a) => a !== action && hotkeys[a] === key);
+    if (other) conflicts[action] = `Also bound to ${HOTKEY_ACTIONS[other].label}`;
+  });
+
+  return conflicts;
+};
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+import useStore from '../store/useStore';
+import { HOTKEY_ACTIONS, actionOf, comboOf, isTypingTarget } from './index';
+
+// Run handlers[action] when the key bound to the action is pressed. Components
+// pass only the actions they own; a key held down repeats only actions that
+// step or change speed, never the ones that trade.
+function useHotkeys(handlers) {
+  const hotkeys = useStore((state) => state.hotkeys);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.defaultPrevented || isTypingTarget(e.target)) return;
+
+      const action = actionOf(hotkeys, comboOf(e));
+      const handler = action && handlersRef.current[action];
+      if (!handler || (e.repeat && !HOTKEY_ACTIONS[action].repeat)) return;
+
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [hotkeys]);
+}
+
+export default useHotkeys;
@@ -0,0 +1,105 @@
+/**
+ * Tests for the indicator calculations
+ */
+
+import { CALCULATORS } from '../calculators';
+
+// Run a calculator over a list of bars and return every value
+const run = (type, params, bars) => {
+  const { init, step } = CALCULATORS[type];
+  let state = init(params);
+  return bars.map((bar) => {
+    const result = step(state, bar, params);
+    state = result.state;
+    return result.value;
+  });
+};
+
+const HOUR = 3600000;
+const bars = (closes, extra = {}) => closes.map((close, i) => ({
+  time: Date.UTC(2024, 0, 15) + i * HOUR,
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 10,
+  ...extra,
+}));
+
+describe('indicator calculators', () => {
+  it('should average the last closes for the SMA', () => {
+    const values = run('sma', { period: 3 }, bars([1, 2, 3, 4, 5]));
+
+    expect(values.map((v) => v.value)).toEqual([null, null, 2, 3, 4]);
+  });
+
+  it('should seed the EMA with the SMA of its first period', () => {
+    const values = run('ema', { period: 3 }, bars([1, 2, 3, 4]));
+
+    expect(values.map((v) => v.value)).toEqual([null, null, 2, 3]);
+  });
+
+  it('should restart the VWAP at midnight UTC', () => {
+    const day = [
+      { time: Date.UTC(2024, 0, 15, 22), high: 11, low: 9, close: 10, volume: 1 },
+      { time: Date.UTC(2024, 0, 15, 23), high: 21, low: 19, close: 20, volume: 3 },
+      { time: Date.UTC(2024, 0, 16, 0), high: 31, low: 29, close: 30, volume: 2 },
+    ];
+
+    expect(run('vwap', {}, day).map((v) => v.value)).toEqual([10, 17.5, 30]);
+  });
+
+  it('should put the Bollinger Bands standard deviations around the SMA', () => {
+    const [, value] = run('bollinger', { period: 2, stdDev: 2 }, bars([10, 12]));
+
+    expect(value).toEqual({ upper: 13, middle: 11, lower: 9 });
+  });
+
+  it('should keep the RSI between 0 and 100', () => {
+    const rising = run('rsi', { period: 3 }, bars([1, 2, 3, 4, 5]));
+    const mixed = run('rsi', { period: 2 }, bars([10, 12, 11, 13]));
+
+    expect(rising.map((v) => v.value)).toEqual([null, null, null, 100, 100]);
+    // gains 2, 0, 2 and losses 0, 1, 0 smoothed over two candles
+    expect(mixed[2].value).toBeCloseTo(66.67, 2);
+    expect(mixed[3].value).toBeCloseTo(85.71, 2);
+  });
+
+  it('should take the MACD signal line from the MACD line', () => {
+    const values = run('macd', { fast: 2, slow: 3, signal: 2 }, bars([1, 2, 3, 4, 5]));
+
+    expect(values[1]).toEqual({ macd: null, signal: null, histogram: null });
+    expect(values[2].signal).toBeNull();
+    expect(values[3].signal).not.toBeNull();
+    expect(values[4].histogram).toBeCloseTo(values[4].macd - values[4].signal, 10);
+  });
+
+  it('should use gaps from the previous close for the ATR', () => {
+    const gapped = [
+      { time: 0, high: 11, low: 9, close: 10 },
+      { time: 1, high: 16, low: 15, close: 15 },
+    ];
+
+    expect(run('atr', { period: 2 }, gapped).map((v) => v.value)).toEqual([null, 4]);
+  });
+
+  it('should place the close in the recent range for the stochastic', () => {
+    const values = run('stochastic', { kPeriod: 2, dPeriod: 2 }, [
+      { time: 0, high: 10, low: 0, close: 5 },
+      { time: 1, high: 10, low: 5, close: 10 },
+      { time: 2, high: 8, low: 6, close: 6 },
+    ]);
+
+    expect(values.map((v) => v.k)).toEqual([null, 100, 20]);
+    expect(values[2].d).toBe(60);
+  });
+
+  it('should color volume by the candle direction', () => {
+    const values = run('volume', {}, [
+      { time: 0, open: 10, close: 11, volume: 5 },
+      { time: 1, open: 11, close: 10, volume: null },
+    ]);
+
+    expect(values).toEqual([{ volume: 5, up: true }, { volume: null, up: false }]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for incremental indicator runs and indicator configs
+ */
+
+import { createIndicatorRunner, createIndicatorConfig, indicatorLabel } from '../index';
+import { CALCULATORS } from '../calculators';
+
+const candle = (hour, close) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 15, hour)).toISOString(),
+  open: close, high: close, low: close, close, volume: null,
+});
+
+describe('createIndicatorRunner', () => {
+  const candles = [candle(0, 1), candle(1, 2), candle(2, 3), candle(3, 4)];
+
+  it('should only recalculate the forming candle on a tick', () => {
+    const step = jest.spyOn(CALCULATORS.sma, 'step');
+    const run = createIndicatorRunner('sma', { period: 2 });
+
+    run(candles);
+    step.mockClear();
+    const values = run([...candles.slice(0, 3), candle(3, 6)]);
+
+    expect(step).toHaveBeenCalledTimes(1);
+    expect(values.map((v) => v.value)).toEqual([null, 1.5, 2.5, 4.5]);
+    step.mockRestore();
+  });
+
+  it('should recalculate the candle that was forming once the next one opens', () => {
+    const run = createIndicatorRunner('sma', { period: 2 });
+
+    run([...candles.slice(0, 3), candle(3, 3.5)]);
+    const values = run([...candles, candle(4, 5)]);
+
+    expect(values.map((v) => v.value)).toEqual([null, 1.5, 2.5, 3.5, 4.5]);
+  });
+
+  it('should start over when the candles are replaced', () => {
+    const run = createIndicatorRunner('sma', { period: 2 });
+
+    run(candles);
+    const values = run([candle(0, 10), candle(1, 20)]);
+
+    expect(values.map((v) => v.value)).toEqual([null, 15]);
+  });
+
+  it('should never see past the candles it is given', () => {
+    const run = createIndicatorRunner('sma', { period: 2 });
+
+    const before = run(candles.slice(0, 2));
+    const later = run(candles);
+
+    expect(before).toHaveLength(2);
+    expect(later.slice(0, 2)).toEqual(before);
+  });
+});
+
+describe('indicator configs', () => {
+  it('should start with the default parameters and placement', () => {
+    const config = createIndicatorConfig('macd');
+
+    expect(config).toMatchObject({ type: 'macd', params: { fast: 12, slow: 26, signal: 9 }, placement: 'pane' });
+    expect(indicatorLabel(config)).toBe('MACD 12 26 9');
+  });
+
+  it('should give each line overlay its own color', () => {
+    const first = createIndicatorConfig('ema');
+    const second = createIndicatorConfig('sma', [first]);
+
+    expect(first.color).toBeDefined();
+    expect(second.color).not.toBe(first.color);
+    expect(createIndicatorConfig('bollinger').color).toBeUndefined();
+  });
+});
@@ -0,0 +1,151 @@
+// Indicator calculations, one candle at a time. Each calculator has
+// init(params) -> state and step(state, bar, params) -> { state, value }.
+// step never changes the state it is given, so the state after any candle can
+// be kept and the forming candle recalculated from the one before it.
+// A value field is null while there are not enough candles for it.
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const push = (window, value, length) => [...window, value].slice(-length);
+
+// Exponential average seeded with the simple average of the first `period` values.
+// alpha defaults to the usual 2 / (period + 1); Wilder's smoothing uses 1 / period.
+const smoothInit = () => ({ count: 0, sum: 0, value: null });
+
+const smoothStep = (state, x, period, alpha = 2 / (period + 1)) => {
+  const count = state.count + 1;
+  if (count < period) return { count, sum: state.sum + x, value: null };
+  if (count === period) return { count, sum: state.sum + x, value: (state.sum + x) / period };
+  return { count, sum: state.sum, value: x * alpha + state.value * (1 - alpha) };
+};
+
+const sma = {
+  init: () => ({ window: [] }),
+  step: (state, bar, { period }) => {
+    const window = push(state.window, bar.close, period);
+    return { state: { window }, value: { value: window.length === period ? average(window) : null } };
+  },
+};
+
+const ema = {
+  init: () => smoothInit(),
+  step: (state, bar, { period }) => {
+    const next = smoothStep(state, bar.close, period);
+    return { state: next, value: { value: next.value } };
+  },
+};
+
+// Volume weighted average price of the typical price, reset at 00:00 UTC.
+// Candles without volume leave it where it was.
+const vwap = {
+  init: () => ({ day: null, priceVolume: 0, volume: 0 }),
+  step: (state, bar) => {
+    const day = Math.floor(bar.time / 86400000);
+    const carried = day === state.day ? state : { priceVolume: 0, volume: 0 };
+    const volume = bar.volume || 0;
+    const next = {
+      day,
+      priceVolume: carried.priceVolume + ((bar.high + bar.low + bar.close) / 3) * volume,
+      volume: carried.volume + volume,
+    };
+    return { state: next, value: { value: next.volume > 0 ? next.priceVolume / next.volume : null } };
+  },
+};
+
+const bollinger = {
+  init: () => ({ window: [] }),
+  step: (state, bar, { period, stdDev }) => {
+    const window = push(state.window, bar.close, period);
+    if (window.length < period) {
+      return { state: { window }, value: { upper: null, middle: null, lower: null } };
+    }
+    const middle = average(window);
+    const deviation = Math.sqrt(average(window.map((v) => (v - middle) ** 2)));
+    return {
+      state: { window },
+      value: { upper: middle + stdDev * deviation, middle, lower: middle - stdDev * deviation },
+    };
+  },
+};
+
+// Relative strength index with Wilder's smoothing
+const rsi = {
+  init: () => ({ prevClose: null, gain: smoothInit(), loss: smoothInit() }),
+  step: (state, bar, { period }) => {
+    if (state.prevClose === null) {
+      return { state: { ...state, prevClose: bar.close }, value: { value: null } };
+    }
+    const change = bar.close - state.prevClose;
+    const gain = smoothStep(state.gain, Math.max(change, 0), period, 1 / period);
+    const loss = smoothStep(state.loss, Math.max(-change, 0), period, 1 / period);
+
+    let value = null;
+    if (gain.value !== null) {
+      value = loss.value === 0 ? 100 : 100 - 100 / (1 + gain.value / loss.value);
+    }
+    return { state: { prevClose: bar.close, gain, loss }, value: { value } };
+  },
+};
+
+const macd = {
+  init: () => ({ fast: smoothInit(), slow: smoothInit(), signal: smoothInit() }),
+  step: (state, bar, params) => {
+    const fast = smoothStep(state.fast, bar.close, params.fast);
+    const slow = smoothStep(state.slow, bar.close, params.slow);
+    if (fast.value === null || slow.value === null) {
+      return { state: { ...state, fast, slow }, value: { macd: null, signal: null, histogram: null } };
+    }
+    const line = fast.value - slow.value;
+    const signal = smoothStep(state.signal, line, params.signal);
+    return {
+      state: { fast, slow, signal },
+      value: {
+        macd: line,
+        signal: signal.value,
+        histogram: signal.value === null ? null : line - signal.value,
+      },
+    };
+  },
+};
+
+// Average true range with Wilder's smoothing
+const atr = {
+  init: () => ({ prevClose: null, range: smoothInit() }),
+  step: (state, bar, { period }) => {
+    const trueRange = state.prevClose === null
+      ? bar.high - bar.low
+      : Math.max(bar.high - bar.low, Math.abs(bar.high - state.prevClose), Math.abs(bar.low - state.prevClose));
+    const range = smoothStep(state.range, trueRange, period, 1 / period);
+    return { state: { prevClose: bar.close, range }, value: { value: range.value } };
+  },
+};
+
+// %K over kPeriod candles, %D its simple average over dPeriod
+const stochastic = {
+  init: () => ({ highs: [], lows: [], ks: [] }),
+  step: (state, bar, { kPeriod, dPeriod }) => {
+    const highs = push(state.highs, bar.high, kPeriod);
+    const lows = push(state.lows, bar.low, kPeriod);
+    if (highs.length < kPeriod) {
+      return { state: { highs, lows, ks: [] }, value: { k: null, d: null } };
+    }
+    const highest = Math.max(...highs);
+    const lowest = Math.min(...lows);
+    const k = highest === lowest ? 50 : ((bar.close - lowest) / (highest - lowest)) * 100;
+    const ks = push(state.ks, k, dPeriod);
+    return {
+      state: { highs, lows, ks },
+      value: { k, d: ks.length === dPeriod ? average(ks) : null },
+    };
+  },
+};
+
+const volume = {
+  init: () => ({}),
+  step: (state, bar) => ({
+    state,
+    value: { volume: bar.volume, up: bar.close >= bar.open },
+  }),
+};
+
+export const CALCULATORS = { sma, ema, vwap, bollinger, rsi, macd, atr, stochastic, volume };
@@ -0,0 +1,158 @@
+// Chart indicators. A definition says how an indicator is drawn and which
+// parameters it takes; the numbers come from its calculator. Indicators only
+// ever see the candles the replay shows - the forming candle as far as it has
+// formed, with its volume so far - so none of them can look ahead.
+//
+// An indicator the user added is a config: { id, type, params, placement, color }.
+// Overlays share the price chart, panes get a chart of their own below it.
+// Indicators that are not prices get their own scale when overlaid.
+
+import { CALCULATORS } from './calculators';
+
+const GREEN = 'rgba(34, 197, 94, 0.6)';
+const RED = 'rgba(239, 68, 68, 0.6)';
+
+const period = (value, label = 'Period') => ({ key: 'period', label, default: value, min: 1, max: 500, step: 1 });
+
+export const INDICATORS = {
+  sma: {
+    name: 'SMA',
+    params: [period(20)],
+    placement: 'overlay',
+    priceScale: true,
+    outputs: [{ key: 'value', color: '#f59e0b' }],
+  },
+  ema: {
+    name: 'EMA',
+    params: [period(21)],
+    placement: 'overlay',
+    priceScale: true,
+    outputs: [{ key: 'value', color: '#38bdf8' }],
+  },
+  vwap: {
+    name: 'VWAP',
+    params: [],
+    placement: 'overlay',
+    priceScale: true,
+    outputs: [{ key: 'value', color: '#e879f9' }],
+  },
+  bollinger: {
+    name: 'Bollinger Bands',
+    params: [period(20), { key: 'stdDev', label: 'Std Dev', default: 2, min: 0.1, max: 10, step: 0.1 }],
+    placement: 'overlay',
+    priceScale: true,
+    outputs: [
+      { key: 'upper', color: '#a78bfa' },
+      { key: 'middle', color: '#a78bfa', lineStyle: 2 },
+      { key: 'lower', color: '#a78bfa' },
+    ],
+  },
+  rsi: {
+    name: 'RSI',
+    params: [period(14)],
+    placement: 'pane',
+    outputs: [{ key: 'value', color: '#a78bfa' }],
+    levels: [30, 70],
+  },
+  macd: {
+    name: 'MACD',
+    params: [
+      { key: 'fast', label: 'Fast', default: 12, min: 1, max: 500, step: 1 },
+      { key: 'slow', label: 'Slow', default: 26, min: 1, max: 500, step: 1 },
+      { key: 'signal', label: 'Signal', default: 9, min: 1, max: 500, step: 1 },
+    ],
+    placement: 'pane',
+    outputs: [
+      { key: 'histogram', style: 'histogram', colorOf: (value) => (value.histogram >= 0 ? GREEN : RED) },
+      { key: 'macd', color: '#38bdf8' },
+      { key: 'signal', color: '#f59e0b' },
+    ],
+  },
+  atr: {
+    name: 'ATR',
+    params: [period(14)],
+    placement: 'pane',
+    outputs: [{ key: 'value', color: '#f472b6' }],
+  },
+  stochastic: {
+    name: 'Stochastic',
+    params: [
+      { key: 'kPeriod', label: '%K', default: 14, min: 1, max: 500, step: 1 },
+      { key: 'dPeriod', label: '%D', default: 3, min: 1, max: 500, step: 1 },
+    ],
+    placement: 'pane',
+    outputs: [{ key: 'k', color: '#38bdf8' }, { key: 'd', color: '#f59e0b' }],
+    levels: [20, 80],
+  },
+  volume: {
+    name: 'Volume',
+    params: [],
+    placement: 'pane',
+    outputs: [{ key: 'volume', style: 'histogram', colorOf: (value) => (value.up ? GREEN : RED) }],
+  },
+};
+
+// Line colors handed out to overlays as they are added, so two of them can be told apart
+export const INDICATOR_COLORS = ['#f59e0b', '#38bdf8', '#e879f9', '#34d399', '#f472b6', '#facc15'];
+
+// A new indicator with its default parameters
+export const createIndicatorConfig = (type, existing = []) => {
+  const definition = INDICATORS[type];
+  const config = {
+    id: `${type}-${Date.now().toString(36)}`,
+    type,
+    params: Object.fromEntries(definition.params.map((param) => [param.key, param.default])),
+    placement: definition.placement,
+  };
+  if (definition.outputs.length === 1 && !definition.outputs[0].style) {
+    config.color = INDICATOR_COLORS[existing.filter((c) => c.color).length % INDICATOR_COLORS.length];
+  }
+  return config;
+};
+
+// Short label such as "EMA 21" or "MACD 12 26 9"
+export const indicatorLabel = (config) => {
+  const definition = INDICATORS[config.type];
+  return [definition.name, ...definition.params.map((param) => config.params[param.key])].join(' ');
+};
+
+const toBar = (candle) => ({
+  time: new Date(candle.timestamp).getTime(),
+  open: parseFloat(candle.open),
+  high: parseFloat(candle.high),
+  low: parseFloat(candle.low),
+  close: parseFloat(candle.close),
+  volume: candle.volume === null || candle.volume === undefined ? null : parseFloat(candle.volume),
+});
+
+const sameBar = (a, b) => a.time === b.time && a.close === b.close && a.high === b.high && a.low === b.low;
+
+// Calculates an indicator over the visible candles and keeps the state after
+// every candle. When called again, candles that did not change are reused, so
+// a tick on the forming candle recalculates that candle only.
+export const createIndicatorRunner = (type, params) => {
+  const { init, step } = CALCULATORS[type];
+  const states = [init(params)];
+  const bars = [];
+  const values = [];
+
+  return (candles) => {
+    // The last candle seen may have been forming, so it is always recalculated
+    const next = candles.map(toBar);
+    let keep = 0;
+    const limit = Math.min(bars.length - 1, next.length - 1);
+    while (keep < limit && sameBar(bars[keep], next[keep])) keep++;
+
+    states.length = keep + 1;
+    bars.length = keep;
+    values.length = keep;
+    for (let i = keep; i < next.length; i++) {
+      const { state, value } = step(states[i], next[i], params);
+      states.push(state);
+      bars.push(next[i]);
+      values.push(value);
+    }
+
+    return values.slice();
+  };
+};
@@ -0,0 +1,79 @@
+// Drawing indicators on a lightweight-charts chart. Every candle gets a point,
+// blank until the indicator has a value, so an indicator pane has the same
+// bars as the price chart and the two can scroll together.
+
+import { INDICATORS } from './index';
+
+// Series are rebuilt when anything but the values changes
+export const indicatorSeriesKey = (config) => JSON.stringify([config.type, config.params, config.placement, config.color]);
+
+export const addIndicatorSeries = (chart, config) => {
+  const definition = INDICATORS[config.type];
+  const isPane = config.placement === 'pane';
+  // Indicators that are not prices get their own scale along the bottom of the price chart
+  const ownScale = !isPane && !definition.priceScale;
+  const priceScaleId = ownScale ? config.id : 'right';
+
+  const series = definition.outputs.map((output, i) => {
+    const options = {
+      priceScaleId,
+      priceLineVisible: false,
+      lastValueVisible: isPane,
+      crosshairMarkerVisible: false,
+    };
+    const item = output.style === 'histogram'
+      ? chart.addHistogramSeries(options)
+      : chart.addLineSeries({
+        ...options,
+        color: (i === 0 && config.color) || output.color,
+        lineWidth: 1,
+        lineStyle: output.lineStyle || 0,
+      });
+    return { output, series: item };
+  });
+
+  if (ownScale) {
+    chart.priceScale(config.id).applyOptions({ scaleMargins: { top: 0.8, bottom: 0 } });
+  }
+
+  (definition.levels || []).forEach((level) => {
+    series[0].series.createPriceLine({
+      price: level,
+      color: 'rgba(156, 163, 175, 0.4)',
+      lineWidth: 1,
+      lineStyle: 2,
+      axisLabelVisible: false,
+    });
+  });
+
+  return { key: indicatorSeriesKey(config), series, count: 0, firstTime: null };
+};
+
+export const removeIndicatorSeries = (chart, entry) => {
+  entry.series.forEach(({ series }) => chart.removeSeries(series));
+};
+
+const toPoint = (output, time, value) => {
+  const v = value[output.key];
+  if (v === null || v === undefined) return { time };
+  return output.colorOf ? { time, value: v, color: output.colorOf(value) } : { time, value: v };
+};
+
+// times are chart times (seconds) of the candles the values were calculated on.
+// A tick on the forming candle only updates its point.
+export const drawIndicator = (entry, times, values) => {
+  if (values.length === 0) return;
+  const full = values.length !== entry.count || times[0] !== entry.firstTime;
+  const last = values.length - 1;
+
+  entry.series.forEach(({ output, series }) => {
+    if (full) {
+      series.setData(values.map((value, i) => toPoint(output, times[i], value)));
+    } else {
+      series.update(toPoint(output, times[last], values[last]));
+    }
+  });
+
+  entry.count = values.length;
+  entry.firstTime = times[0];
+};
@@ -0,0 +1,32 @@
+import { useMemo, useRef } from 'react';
+import { createIndicatorRunner } from './index';
+
+// Values of each indicator config over the candles, keyed by config id.
+// Runners live as long as their config's parameters do, so every render
+// only recalculates what changed since the last one.
+function useIndicatorValues(candles, configs) {
+  const runnersRef = useRef(new Map());
+
+  return useMemo(() => {
+    const runners = runnersRef.current;
+    const values = {};
+
+    configs.forEach((config) => {
+      const key = JSON.stringify([config.type, config.params]);
+      let runner = runners.get(config.id);
+      if (!runner || runner.key !== key) {
+        runner = { key, run: createIndicatorRunner(config.type, config.params) };
+        runners.set(config.id, runner);
+      }
+      values[config.id] = runner.run(candles);
+    });
+
+    [...runners.keys()].forEach((id) => {
+      if (!configs.some((config) => config.id === id)) runners.delete(id);
+    });
+
+    return values;
+  }, [candles, configs]);
+}
+
+export default useIndicatorValues;
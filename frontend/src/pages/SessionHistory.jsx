@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react';
+import { sessionAPI, tradeAPI, orderAPI } from '../services/api';
+import useStore, { BLIND_ASSET_CONFIG } from '../store/useStore';
+import { History, ArrowLeft, Filter, Play } from 'lucide-react';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'paused', label: 'Paused' },
+  { value: 'ended', label: 'Ended' },
+];
+
+const STATUS_STYLES = {
+  active: 'bg-green-500/20 text-green-300 border-green-500/30',
+  paused: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
+  ended: 'bg-gray-500/20 text-gray-300 border-gray-500/30',
+};
+
+const formatMoney = (value) => {
+  const num = Number(value) || 0;
+  return `${num >= 0 ? '+' : '-'}$${Math.abs(num).toFixed(2)}`;
+};
+
+function SessionHistory({ onBack, onResume, selectedSessionId = null }) {
+  const restoreSession = useStore((state) => state.restoreSession);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ status: '', asset: '' });
+  const [selectedId, setSelectedId] = useState(selectedSessionId);
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      setLoading(true);
+      try {
+        const params = {};
+        if (filters.status) params.status = filters.status;
+        if (filters.asset) params.asset = filters.asset;
+        const response = await sessionAPI.list(params);
+        setSessions(response.data);
+        setError('');
+      } catch (err) {
+        console.error('Failed to load sessions:', err);
+        setError(err.response?.data?.error || 'Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSessions();
+  }, [filters]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setSummary(null);
+      return;
+    }
+    const loadSummary = async () => {
+      try {
+        const response = await sessionAPI.summary(selectedId);
+        setSummary(response.data);
+      } catch (err) {
+        console.error('Failed to load session summary:', err);
+        setSummary(null);
+      }
+    };
+    loadSummary();
+  }, [selectedId]);
+
+  // Pick a session up where its replay cursor stopped
+  const handleResume = async (s) => {
+    try {
+      if (s.status === 'paused') {
+        await sessionAPI.resume(s.id);
+      }
+      const [trades, orders] = await Promise.all([
+        tradeAPI.getSessionTrades(s.id),
+        orderAPI.getSessionOrders(s.id),
+      ]);
+      restoreSession({
+        sessionId: s.id,
+        startDate: s.start_date,
+        asset: s.asset,
+        assets: s.assets || [s.asset],
+        timeframe: s.timeframe,
+        initialBalance: parseFloat(s.initial_balance),
+        leverage: parseFloat(s.leverage || 1),
+        strictReplay: Boolean(s.strict_replay),
+        scored: Boolean(s.scored),
+        // An active blind session comes masked, its asset already the alias
+        blind: BLIND_ASSET_CONFIG[s.asset] ? { alias: s.asset } : null,
+      }, trades.data, orders.data);
+      onResume?.();
+    } catch (err) {
+      console.error('Failed to resume session:', err);
+      setError(err.response?.data?.error || 'Failed to resume session');
+    }
+  };
+
+  // The asset of a blind session stays hidden until it ends
+  const assetLabel = (s) => BLIND_ASSET_CONFIG[s.asset]?.name || s.asset;
+  const assets = [...new Set(sessions.filter((s) => !BLIND_ASSET_CONFIG[s.asset]).map((s) => s.asset))];
+
+  return (
+    <div
+      className="min-h-screen p-4"
+      style={{
+        background: 'linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #0a0a0a 100%)'
+      }}
+    >
+      <div
+        className="max-w-5xl mx-auto rounded-2xl overflow-hidden"
+        style={{
+          background: 'rgba(10, 10, 10, 0.95)',
+          backdropFilter: 'blur(20px)',
+          border: '1px solid rgba(139, 92, 246, 0.2)',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.8), 0 0 50px rgba(139, 92, 246, 0.15)'
+        }}
+      >
+        {/* Header */}
+        <div
+          className="p-6 border-b flex items-center justify-between"
+          style={{ borderColor: 'rgba(139, 92, 246, 0.2)' }}
+        >
+          <div className="flex items-center gap-3">
+            <div className="p-2 rounded-lg bg-gradient-to-br from-purple-600 to-purple-800">
+              <History className="text-white" size={24} />
+            </div>
+            <h1 className="text-2xl font-bold text-white">Session History</h1>
+          </div>
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-gray-700 hover:border-gray-600 text-gray-400 hover:text-gray-300 transition-all text-sm"
+          >
+            <ArrowLeft size={16} />
+            New Session
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="px-6 pt-4 flex flex-wrap items-center gap-2">
+          <Filter size={16} className="text-purple-400" />
+          {STATUS_FILTERS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setFilters({ ...filters, status: option.value })}
+              className={`px-3 py-1.5 rounded-lg border text-xs transition-all ${
+                filters.status === option.value
+                  ? 'bg-purple-500/20 border-purple-500/50 text-purple-300'
+                  : 'bg-transparent border-gray-700 text-gray-500'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <select
+            value={filters.asset}
+            onChange={(e) => setFilters({ ...filters, asset: e.target.value })}
+            className="ml-auto px-3 py-1.5 rounded-lg bg-gray-900 border border-gray-700 text-gray-300 text-xs"
+            aria-label="Asset filter"
+          >
+            <option value="">All assets</option>
+            {[...new Set([...assets, filters.asset].filter(Boolean))].map((asset) => (
+              <option key={asset} value={asset}>{asset}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="p-6 grid gap-6 md:grid-cols-3">
+          {/* Session List */}
+          <div className="md:col-span-2 overflow-x-auto">
+            {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+            {loading ? (
+              <p className="text-gray-500 text-sm">Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+              <p className="text-gray-500 text-sm">No sessions found</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-500 text-left border-b border-gray-800">
+                    <th className="py-2">Started</th>
+                    <th className="py-2">Asset</th>
+                    <th className="py-2">Status</th>
+                    <th className="py-2 text-right">Trades</th>
+                    <th className="py-2 text-right">P&L</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {sessions.map((s) => {
+                    const pnl = Number(s.realized_pnl) || 0;
+                    return (
+                      <tr
+                        key={s.id}
+                        onClick={() => setSelectedId(s.id)}
+                        className={`border-b border-gray-900 cursor-pointer transition-all hover:bg-purple-500/5 ${
+                          selectedId === s.id ? 'bg-purple-500/10' : ''
+                        }`}
+                      >
+                        <td className="py-2 text-gray-400">{new Date(s.created_at).toLocaleDateString()}</td>
+                        <td className="py-2 text-white">
+                          {assetLabel(s)} <span className="text-gray-500">{s.timeframe}</span>
+                          {s.blind_mode && <span className="ml-1 text-xs text-purple-400">blind</span>}
+                        </td>
+                        <td className="py-2">
+                          <span className={`px-2 py-0.5 rounded border text-xs ${STATUS_STYLES[s.status] || STATUS_STYLES.ended}`}>
+                            {s.status}
+                          </span>
+                        </td>
+                        <td className="py-2 text-right text-gray-300">{s.trade_count}</td>
+                        <td className={`py-2 text-right ${pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {formatMoney(pnl)}
+                        </td>
+                        <td className="py-2 text-right">
+                          {s.status !== 'ended' && onResume && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleResume(s);
+                              }}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded border border-purple-500/30 text-purple-300 text-xs hover:bg-purple-500/10"
+                            >
+                              <Play size={12} />
+                              Resume
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Summary Panel */}
+          <div className="p-4 rounded-xl bg-purple-900/20 border border-purple-500/20 space-y-3 h-fit">
+            <h2 className="text-white font-semibold">Summary</h2>
+            {!summary ? (
+              <p className="text-gray-500 text-sm">Select a session to see its results</p>
+            ) : (
+              <>
+                <SummaryRow label="Final Balance" value={`$${summary.finalBalance.toFixed(2)}`} />
+                <SummaryRow
+                  label="Total P&L"
+                  value={`${formatMoney(summary.totalPnL)} (${summary.returnPct.toFixed(2)}%)`}
+                  positive={summary.totalPnL >= 0}
+                />
+                <SummaryRow label="Trades" value={`${summary.tradeCount} (${summary.wins}W / ${summary.losses}L)`} />
+                <SummaryRow label="Win Rate" value={`${summary.winRate.toFixed(1)}%`} />
+                <SummaryRow
+                  label="Profit Factor"
+                  value={summary.profitFactor === null ? '∞' : summary.profitFactor.toFixed(2)}
+                />
+                <SummaryRow label="Expectancy" value={formatMoney(summary.expectancy)} />
+                <SummaryRow label="Best Trade" value={formatMoney(summary.bestTrade)} />
+                <SummaryRow label="Worst Trade" value={formatMoney(summary.worstTrade)} />
+                <SummaryRow label="Max Drawdown" value={`${summary.maxDrawdown.toFixed(2)}%`} />
+                <SummaryRow
+                  label="Costs"
+                  value={`$${(summary.costs.commission + summary.costs.spread + summary.costs.slippage).toFixed(2)}`}
+                />
+                {summary.branches?.length > 0 && <BranchComparison summary={summary} />}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Every branch a rewind left behind next to the one traded now, so a different
+// decision from the same point can be weighed against the first
+function BranchComparison({ summary }) {
+  const rows = [
+    ...summary.branches.map((b) => ({
+      key: b.id,
+      label: `#${b.branch}`,
+      note: `rewound to ${new Date(b.rewind_candle_time).toLocaleString()}`,
+      stats: b.summary,
+    })),
+    { key: 'current', label: `#${summary.session.branch || 1}`, note: 'current', stats: summary },
+  ];
+
+  return (
+    <div className="pt-3 border-t border-purple-500/20 space-y-2">
+      <h3 className="text-sm text-purple-300 font-medium">Branches</h3>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-500 text-left">
+            <th className="pb-1 font-normal">Branch</th>
+            <th className="pb-1 font-normal text-right">Trades</th>
+            <th className="pb-1 font-normal text-right">Win Rate</th>
+            <th className="pb-1 font-normal text-right">P&L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, label, note, stats }) => (
+            <tr key={key} className="border-t border-purple-500/10">
+              <td className="py-1 text-gray-300">
+                {label} <span className="text-gray-500">{note}</span>
+              </td>
+              <td className="py-1 text-right text-gray-300">{stats.tradeCount}</td>
+              <td className="py-1 text-right text-gray-300">{stats.winRate.toFixed(1)}%</td>
+              <td className={`py-1 text-right ${stats.totalPnL >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {formatMoney(stats.totalPnL)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function SummaryRow({ label, value, positive }) {
+  const color = positive === undefined ? 'text-white' : positive ? 'text-green-400' : 'text-red-400';
+  return (
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-400">{label}</span>
+      <span className={`font-medium ${color}`}>{value}</span>
+    </div>
+  );
+}
+
+export default SessionHistory;
@@ -1,9 +1,13 @@
 import { useState, useEffect } from 'react';
 import { sessionAPI, replayAPI } from '../services/api';
-import useStore from '../store/useStore';
-import { TrendingUp, Clock, DollarSign, Zap, Calendar, Info } from 'lucide-react';
+import useStore, { getMaxLeverage } from '../store/useStore';
+import { TrendingUp, Clock, DollarSign, Zap, Calendar, Info, History, Lock, Layers, EyeOff } from 'lucide-react';
 
-function SessionSetup({ onSessionStart }) {
+const LEVERAGE_OPTIONS = [1, 2, 5, 10, 20, 50, 100];
+// Must match MAX_SESSION_ASSETS in backend/routes/sessions.js
+const MAX_SESSION_ASSETS = 4;
+
+function SessionSetup({ onSessionStart, onShowHistory }) {
   const [loading, setLoading] = useState(false);
   const [loadingData, setLoadingData] = useState(true);
   const [error, setError] = useState('');
@@ -14,10 +18,17 @@ function SessionSetup({ onSessionStart }) {
 
   const [formData, setFormData] = useState({
     asset: 'BTCUSDT',
+    extraAssets: [], // replayed in lockstep with `asset` under the same balance
     timeframe: '5m', // Changed default to 5m since that's what most assets have
     initialBalance: 10000,
+    leverage: 1,
     progressiveMode: true,
+    strictReplay: false,
+    scored: false,
+    blind: false, // hides the asset, dates and price levels until the session ends
     startDate: '',
+    // Trading costs of the main asset - empty fields keep the asset's defaults
+    costs: { commissionType: 'fixed', commission: '', spread: '', slippage: '' },
   });
 
   // Available assets organized by category
@@ -126,12 +137,29 @@ function SessionSetup({ onSessionStart }) {
   // State for selected category
   const [selectedCategory, setSelectedCategory] = useState('Crypto');
 
+  // Every asset of the session, and the leverage the most restrictive of them allows
+  const sessionAssets = [formData.asset, ...formData.extraAssets];
+  const maxLeverage = Math.min(...sessionAssets.map(getMaxLeverage));
+
+  const toggleExtraAsset = (symbol) => {
+    const extraAssets = formData.extraAssets.includes(symbol)
+      ? formData.extraAssets.filter((asset) => asset !== symbol)
+      : [...formData.extraAssets, symbol];
+    const limit = Math.min(...[formData.asset, ...extraAssets].map(getMaxLeverage));
+    setFormData({ ...formData, extraAssets, leverage: Math.min(formData.leverage, limit) });
+  };
+
+  // 30m, 2h, 12h and 1w are aggregated by the server from a finer stored timeframe
   const timeframes = [
     { value: '5m', label: '5 Minutes', description: 'Fast-paced scalping' },
     { value: '15m', label: '15 Minutes', description: 'Short-term trading' },
+    { value: '30m', label: '30 Minutes', description: 'Intraday momentum' },
     { value: '1h', label: '1 Hour', description: 'Intraday trading' },
+    { value: '2h', label: '2 Hours', description: 'Intraday swings' },
     { value: '4h', label: '4 Hours', description: 'Swing trading' },
+    { value: '12h', label: '12 Hours', description: 'Multi-day swings' },
     { value: '1d', label: '1 Day', description: 'Position trading' },
+    { value: '1w', label: '1 Week', description: 'Long-term positions' },
   ];
 
   // Fetch available data ranges on mount and when asset changes
@@ -200,6 +228,18 @@ function SessionSetup({ onSessionStart }) {
     });
   };
 
+  const setCost = (field, value) => setFormData({ ...formData, costs: { ...formData.costs, [field]: value } });
+
+  // Spread and slippage are entered in percent, the server takes fractions
+  const buildCosts = () => {
+    const { commissionType, commission, spread, slippage } = formData.costs;
+    const model = {};
+    if (commission !== '') model.commission = { type: commissionType, value: Number(commission) };
+    if (spread !== '') model.spread = Number(spread) / 100;
+    if (slippage !== '') model.slippage = Number(slippage) / 100;
+    return Object.keys(model).length > 0 ? { [formData.asset]: model } : undefined;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -210,7 +250,15 @@ function SessionSetup({ onSessionStart }) {
         formData.asset,
         formData.timeframe,
         formData.initialBalance,
-        formData.startDate // Pass the selected start date
+        formData.blind ? null : formData.startDate, // A blind session starts at a random date
+        formData.leverage,
+        {
+          strictReplay: formData.strictReplay || formData.scored,
+          scored: formData.scored,
+          blind: formData.blind,
+          assets: formData.extraAssets.length > 0 ? sessionAssets : undefined,
+          costs: buildCosts()
+        }
       );
 
       setSession(response.data);
@@ -297,7 +345,15 @@ function SessionSetup({ onSessionStart }) {
                     <button
                       key={asset.symbol}
                       type="button"
-                      onClick={() => setFormData({ ...formData, asset: asset.symbol })}
+                      onClick={() => {
+                        const extraAssets = formData.extraAssets.filter((symbol) => symbol !== asset.symbol);
+                        setFormData({
+                          ...formData,
+                          asset: asset.symbol,
+                          extraAssets,
+                          leverage: Math.min(formData.leverage, ...[asset.symbol, ...extraAssets].map(getMaxLeverage))
+                        });
+                      }}
                       className={`p-3 rounded-xl border text-center transition-all ${
                         isSelected
                           ? 'border-purple-500 bg-purple-900/30'
@@ -322,6 +378,41 @@ function SessionSetup({ onSessionStart }) {
             </div>
           </div>
 
+          {/* Extra assets for correlation trading */}
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+              <Layers size={16} className="text-purple-400" />
+              Also Replay
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {assetCategories
+                .flatMap((category) => category.assets)
+                .filter((asset) => asset.symbol !== formData.asset)
+                .map((asset) => {
+                  const isSelected = formData.extraAssets.includes(asset.symbol);
+                  return (
+                    <button
+                      key={asset.symbol}
+                      type="button"
+                      aria-pressed={isSelected}
+                      disabled={formData.blind || (!isSelected && sessionAssets.length >= MAX_SESSION_ASSETS)}
+                      onClick={() => toggleExtraAsset(asset.symbol)}
+                      className={`px-3 py-1.5 rounded-lg border text-xs transition-all disabled:opacity-40 ${
+                        isSelected
+                          ? 'bg-purple-500/20 border-purple-500/50 text-purple-300'
+                          : 'bg-transparent border-gray-700 text-gray-500'
+                      }`}
+                    >
+                      {asset.name}
+                    </button>
+                  );
+                })}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Up to {MAX_SESSION_ASSETS - 1} more assets replay on the same clock and share one balance.
+            </p>
+          </div>
+
           {/* Timeframe Selection */}
           <div>
             <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
@@ -368,6 +459,7 @@ function SessionSetup({ onSessionStart }) {
                 type="date"
                 value={formData.startDate}
                 onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                disabled={formData.blind}
                 min={tfData?.minDate?.split('T')[0]}
                 max={tfData?.maxDate?.split('T')[0]}
                 className="w-full px-4 py-3 bg-gray-900/50 border border-gray-800 rounded-xl text-white focus:outline-none focus:border-purple-500 transition-colors"
@@ -398,7 +490,7 @@ function SessionSetup({ onSessionStart }) {
                 const minDate = tfData?.minDate ? new Date(tfData.minDate) : null;
                 const maxDate = tfData?.maxDate ? new Date(tfData.maxDate) : null;
                 const presetDate = new Date(preset.date);
-                const isDisabled = minDate && (presetDate < minDate || presetDate > maxDate);
+                const isDisabled = formData.blind || (minDate && (presetDate < minDate || presetDate > maxDate));
 
                 return (
                   <button
@@ -456,6 +548,82 @@ function SessionSetup({ onSessionStart }) {
             </div>
           </div>
 
+          {/* Leverage */}
+          <div>
+            <label htmlFor="leverage" className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+              <Zap size={16} className="text-purple-400" />
+              Leverage
+            </label>
+            <select
+              id="leverage"
+              value={formData.leverage}
+              onChange={(e) => setFormData({ ...formData, leverage: Number(e.target.value) })}
+              className="w-full px-4 py-3 bg-gray-900/50 border border-gray-800 rounded-xl text-white focus:outline-none focus:border-purple-500 transition-colors"
+            >
+              {LEVERAGE_OPTIONS.filter((option) => option <= maxLeverage).map((option) => (
+                <option key={option} value={option}>{option}:1</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-2">
+              Up to {maxLeverage}:1 for {formData.extraAssets.length > 0 ? 'these assets' : 'this asset'}. Positions are liquidated when equity
+              falls below the maintenance margin.
+            </p>
+          </div>
+
+          {/* Trading Costs */}
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+              <DollarSign size={16} className="text-purple-400" />
+              Trading Costs
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                aria-label="Commission type"
+                value={formData.costs.commissionType}
+                onChange={(e) => setCost('commissionType', e.target.value)}
+                className="px-3 py-2 bg-gray-900/50 border border-gray-800 rounded-xl text-sm text-white focus:outline-none focus:border-purple-500"
+              >
+                <option value="fixed">Commission $ per fill</option>
+                <option value="percent">Commission % of notional</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                aria-label="Commission"
+                placeholder="Default"
+                value={formData.costs.commission}
+                onChange={(e) => setCost('commission', e.target.value)}
+                className="px-3 py-2 bg-gray-900/50 border border-gray-800 rounded-xl text-sm text-white focus:outline-none focus:border-purple-500"
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                aria-label="Spread"
+                placeholder="Spread % - default"
+                value={formData.costs.spread}
+                onChange={(e) => setCost('spread', e.target.value)}
+                className="px-3 py-2 bg-gray-900/50 border border-gray-800 rounded-xl text-sm text-white focus:outline-none focus:border-purple-500"
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                aria-label="Slippage"
+                placeholder="Stop slippage % - default"
+                value={formData.costs.slippage}
+                onChange={(e) => setCost('slippage', e.target.value)}
+                className="px-3 py-2 bg-gray-900/50 border border-gray-800 rounded-xl text-sm text-white focus:outline-none focus:border-purple-500"
+              />
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              For {formData.asset}. Spread is the bid/ask width as a percent of price, slippage a percent of the candle
+              range on stop fills. Empty fields use the asset's usual costs.
+            </p>
+          </div>
+
           {/* Progressive Mode Toggle */}
           <div>
             <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
@@ -494,6 +662,62 @@ function SessionSetup({ onSessionStart }) {
             </div>
           </div>
 
+          {/* Strict Replay */}
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+              <Lock size={16} className="text-purple-400" />
+              Replay Integrity
+            </label>
+            <div className="space-y-2">
+              <label className="flex items-start gap-3 p-3 rounded-xl border border-gray-800 bg-gray-900/30 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.scored}
+                  onChange={(e) => setFormData({ ...formData, scored: e.target.checked })}
+                  className="mt-1 accent-purple-500"
+                />
+                <span>
+                  <span className="block text-sm text-gray-300">Scored session</span>
+                  <span className="block text-xs text-gray-500">Counts towards the leaderboard - always uses strict replay</span>
+                </span>
+              </label>
+              <label className="flex items-start gap-3 p-3 rounded-xl border border-gray-800 bg-gray-900/30 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.strictReplay || formData.scored}
+                  disabled={formData.scored}
+                  onChange={(e) => setFormData({ ...formData, strictReplay: e.target.checked })}
+                  className="mt-1 accent-purple-500"
+                />
+                <span>
+                  <span className="block text-sm text-gray-300">Strict replay</span>
+                  <span className="block text-xs text-gray-500">The server only reveals candles as you step through them</span>
+                </span>
+              </label>
+              <label className="flex items-start gap-3 p-3 rounded-xl border border-gray-800 bg-gray-900/30 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.blind}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    blind: e.target.checked,
+                    extraAssets: e.target.checked ? [] : formData.extraAssets
+                  })}
+                  className="mt-1 accent-purple-500"
+                />
+                <span>
+                  <span className="flex items-center gap-1 text-sm text-gray-300">
+                    <EyeOff size={14} className="text-purple-400" />
+                    Blind mode
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    Hides the asset, the dates and the price level until the session ends - starts at a random date on one asset
+                  </span>
+                </span>
+              </label>
+            </div>
+          </div>
+
           {/* Error Message */}
           {error && (
             <div className="bg-red-900/20 border border-red-500/50 text-red-400 px-4 py-3 rounded-xl text-sm">
@@ -533,9 +757,22 @@ function SessionSetup({ onSessionStart }) {
           style={{ borderColor: 'rgba(139, 92, 246, 0.1)' }}
         >
           <p className="text-gray-500 text-sm">
-            Start from <span className="text-purple-400 font-medium">{formatDate(formData.startDate)}</span> with{' '}
+            Start from{' '}
+            <span className="text-purple-400 font-medium">
+              {formData.blind ? 'a hidden date' : formatDate(formData.startDate)}
+            </span> with{' '}
             <span className="text-purple-400 font-medium">${formData.initialBalance.toLocaleString()}</span>
           </p>
+          {onShowHistory && (
+            <button
+              type="button"
+              onClick={onShowHistory}
+              className="mt-3 inline-flex items-center gap-2 text-sm text-gray-400 hover:text-purple-300 transition-all"
+            >
+              <History size={14} />
+              Session History
+            </button>
+          )}
         </div>
       </div>
     </div>
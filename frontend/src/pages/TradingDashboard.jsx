@@ -1,7 +1,10 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { replayAPI } from '../services/api';
-import useStore from '../store/useStore';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { replayAPI, sessionAPI, tradeAPI } from '../services/api';
+import useStore, { getSessionAssets } from '../store/useStore';
 import Chart from '../components/Chart';
+import TimeframePane from '../components/TimeframePane';
+import Watchlist from '../components/Watchlist';
+import IndicatorLegend from '../components/IndicatorLegend';
 import ReplayControls from '../components/ReplayControls';
 import OrderPanel from '../components/OrderPanel';
 import PositionsList from '../components/PositionsList';
@@ -10,7 +13,13 @@ import EquityCurve from '../components/EquityCurve';
 import TradingStats from '../components/TradingStats';
 import TradeJournal from '../components/TradeJournal';
 import Leaderboard from '../components/Leaderboard';
-import { ChevronUp, ChevronDown, Maximize2, Minimize2, BarChart3, GripVertical, Zap, BookOpen, Activity, Trophy, Menu, X, ShoppingCart } from 'lucide-react';
+import HotkeyHelp from '../components/HotkeyHelp';
+import useHotkeys from '../hotkeys/useHotkeys';
+import { PANE_TIMEFRAMES, fitsEvenly } from '../utils/timeframes';
+import { candlesAtReplayTime, formingAtReplayTime } from '../utils/lockstep';
+import { averageTrueRange } from '../utils/brackets';
+import { INDICATORS, createIndicatorConfig } from '../indicators';
+import { ChevronUp, ChevronDown, Maximize2, Minimize2, BarChart3, GripVertical, Zap, BookOpen, Activity, Trophy, Menu, X, ShoppingCart, Keyboard } from 'lucide-react';
 
 // Hook to detect mobile
 const useIsMobile = () => {
@@ -29,11 +38,14 @@ const useIsMobile = () => {
   return isMobile;
 };
 
-function TradingDashboard() {
+const MAX_TIMEFRAME_PANES = 3;
+
+function TradingDashboard({ onSessionEnd }) {
   const session = useStore((state) => state.session);
   const candlesWithTicks = useStore((state) => state.candlesWithTicks);
   const setCandlesWithTicks = useStore((state) => state.setCandlesWithTicks);
   const setCandles = useStore((state) => state.setCandles);
+  const setNextCandlesAfter = useStore((state) => state.setNextCandlesAfter);
   const currentCandleIndex = useStore((state) => state.currentCandleIndex);
   const currentTickIndex = useStore((state) => state.currentTickIndex);
   const progressiveMode = useStore((state) => state.progressiveMode);
@@ -41,8 +53,36 @@ function TradingDashboard() {
   const getVisibleCandles = useStore((state) => state.getVisibleCandles);
   const getCurrentFormingCandle = useStore((state) => state.getCurrentFormingCandle);
   const logout = useStore((state) => state.logout);
+  const getReplayPosition = useStore((state) => state.getReplayPosition);
   const balance = useStore((state) => state.balance);
   const openTrades = useStore((state) => state.openTrades);
+  const closedTrades = useStore((state) => state.closedTrades);
+  const focusedTradeId = useStore((state) => state.focusedTradeId);
+  const clearFocusedTrade = useStore((state) => state.clearFocusedTrade);
+  const applyStreamSnapshot = useStore((state) => state.applyStreamSnapshot);
+  const applyStreamTicks = useStore((state) => state.applyStreamTicks);
+  const applyEngineUpdate = useStore((state) => state.applyEngineUpdate);
+  const applyTradeUpdate = useStore((state) => state.applyTradeUpdate);
+  const applyClosedTrades = useStore((state) => state.applyClosedTrades);
+  const setStreaming = useStore((state) => state.setStreaming);
+  const setIsPlaying = useStore((state) => state.setIsPlaying);
+  const setReplaySpeed = useStore((state) => state.setReplaySpeed);
+  const activeAsset = useStore((state) => state.activeAsset);
+  const setActiveAsset = useStore((state) => state.setActiveAsset);
+  const assetCandles = useStore((state) => state.assetCandles);
+  const loadAssetCandles = useStore((state) => state.loadAssetCandles);
+  const getReplayTime = useStore((state) => state.getReplayTime);
+  const indicators = useStore((state) => state.indicators);
+  const loadIndicators = useStore((state) => state.loadIndicators);
+  const saveIndicators = useStore((state) => state.saveIndicators);
+  const loadOrderTemplates = useStore((state) => state.loadOrderTemplates);
+  const hotkeys = useStore((state) => state.hotkeys);
+  const loadHotkeys = useStore((state) => state.loadHotkeys);
+  const drawings = useStore((state) => state.drawings);
+  const loadDrawings = useStore((state) => state.loadDrawings);
+  const createDrawing = useStore((state) => state.createDrawing);
+  const updateDrawing = useStore((state) => state.updateDrawing);
+  const removeDrawing = useStore((state) => state.removeDrawing);
 
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('trading');
@@ -51,6 +91,8 @@ function TradingDashboard() {
   const [panelMinimized, setPanelMinimized] = useState(false);
   const [showPositions, setShowPositions] = useState(false);
   const [hasTickData, setHasTickData] = useState(false);
+  const [timeframePanes, setTimeframePanes] = useState([]);
+  const [showHotkeys, setShowHotkeys] = useState(false);
 
   const [panelPosition, setPanelPosition] = useState({ x: 20, y: 80 });
   const [isDragging, setIsDragging] = useState(false);
@@ -63,13 +105,104 @@ function TradingDashboard() {
   const [mobileTradeOpen, setMobileTradeOpen] = useState(false);
 
   useEffect(() => {
-    loadCandles();
+    // Let the server push the replay when the browser supports event streams
+    if (typeof window.EventSource !== 'function') {
+      loadCandles();
+      return undefined;
+    }
+    return openReplayStream();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  useEffect(() => {
+    loadIndicators();
+  }, [loadIndicators]);
+
+  useEffect(() => {
+    loadOrderTemplates();
+  }, [loadOrderTemplates]);
+
+  useEffect(() => {
+    loadHotkeys();
+  }, [loadHotkeys]);
+
+  // An SL/TP line dragged on the chart - true when the server took the new price
+  const handleTradeLineMove = async (trade, field, price) => {
+    try {
+      const response = await tradeAPI.modify(trade.id, { [field]: price }, getReplayPosition());
+      const { stopMove, ...modified } = response.data;
+      applyTradeUpdate(stopMove ? { ...modified, stop_history: [...(trade.stop_history || []), stopMove] } : modified);
+      return true;
+    } catch (error) {
+      // The old stop or target was hit first - show the server's result
+      if (error.response?.status === 409 && error.response.data?.trade) {
+        applyClosedTrades([error.response.data.trade]);
+        return false;
+      }
+
+      console.error('Failed to modify trade:', error);
+      alert(error.response?.data?.error || 'Failed to modify trade');
+      return false;
+    }
+  };
+
+  useEffect(() => {
+    loadDrawings();
+  }, [session.sessionId, loadDrawings]);
+
+  // A trade picked in the analytics lists is shown on the chart
+  useEffect(() => {
+    if (focusedTradeId !== null) setActiveTab('trading');
+  }, [focusedTradeId]);
+
+  // Keep the other assets of a multi-asset session loaded over the same window.
+  // Strict sessions reveal them only up to the cursor, so they follow every tick.
+  const strictTick = session.strictReplay ? currentTickIndex : null;
+  useEffect(() => {
+    if (!loading) loadAssetCandles();
+  }, [loading, candlesWithTicks.length, currentCandleIndex, strictTick, loadAssetCandles]);
+
+  const openReplayStream = () => {
+    const { replaySpeed } = useStore.getState();
+    const source = replayAPI.openStream(session.sessionId, replaySpeed, progressiveMode ? 'tick' : 'candle');
+    let opened = false;
+    const on = (event, handler) => source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+
+    on('snapshot', (data) => {
+      opened = true;
+      applyStreamSnapshot(data);
+      setHasTickData(data.candles.some(c => c.ticks && c.ticks.length > 0));
+      setIsPlaying(data.playing);
+      setReplaySpeed(data.speed);
+      setStreaming(true);
+      setLoading(false);
+    });
+    on('ticks', ({ ticks }) => {
+      applyStreamTicks(ticks);
+      if (ticks.some(t => t.tickIndex !== null)) setHasTickData(true);
+    });
+    on('engine', applyEngineUpdate);
+    on('state', ({ playing }) => setIsPlaying(playing));
+    on('end', () => setIsPlaying(false));
+
+    source.onerror = () => {
+      // No stream from this server - download the candles instead
+      if (!opened) {
+        source.close();
+        loadCandles();
+      }
+    };
+
+    return () => {
+      source.close();
+      setStreaming(false);
+    };
+  };
+
   const loadCandles = async () => {
     try {
       // Try to load candles with ticks first
-      const response = await replayAPI.getCandlesWithTicks(session.sessionId, 0, 500);
+      // Let the server place the window around the saved replay cursor
+      const response = await replayAPI.getCandlesWithTicks(session.sessionId, null, 500);
       const candlesData = response.data.candles;
 
       // Check if we have tick data
@@ -77,7 +210,9 @@ function TradingDashboard() {
       setHasTickData(hasTicks);
 
       if (hasTicks) {
-        setCandlesWithTicks(candlesData);
+        setCandlesWithTicks(candlesData, response.data.cursor);
+        // Later windows are prefetched by the store as the replay moves on
+        setNextCandlesAfter(response.data.hasMore ? response.data.nextAfter : null);
       } else {
         // Fallback to regular candles
         const fallbackResponse = await replayAPI.getCandles(session.sessionId, 0, 1000);
@@ -86,6 +221,7 @@ function TradingDashboard() {
           ...c,
           ticks: [] // No ticks available
         })));
+        setNextCandlesAfter(fallbackResponse.data.hasMore ? fallbackResponse.data.nextAfter : null);
       }
 
       setLoading(false);
@@ -99,6 +235,7 @@ function TradingDashboard() {
           ...c,
           ticks: []
         })));
+        setNextCandlesAfter(response.data.hasMore ? response.data.nextAfter : null);
         setHasTickData(false);
       } catch (fallbackError) {
         console.error('Fallback failed:', fallbackError);
@@ -107,6 +244,18 @@ function TradingDashboard() {
     }
   };
 
+  // Close everything at the current replay price and freeze the session
+  const handleEndSession = async () => {
+    if (!window.confirm('End this session? Open positions will be closed at the current price.')) return;
+    try {
+      await sessionAPI.end(session.sessionId, getReplayPosition());
+      onSessionEnd?.(session.sessionId);
+    } catch (error) {
+      console.error('Failed to end session:', error);
+      alert(error.response?.data?.error || 'Failed to end session');
+    }
+  };
+
   const handleMouseDown = (e) => {
     if (e.target.closest('.drag-handle')) {
       setIsDragging(true);
@@ -141,21 +290,101 @@ function TradingDashboard() {
     }
   }, [isDragging, handleMouseMove, handleMouseUp]);
 
-  // Get visible candles for the chart
-  const visibleCandles = getVisibleCandles();
+  // Calculate total ticks for progress display
+  const currentCandle = candlesWithTicks[currentCandleIndex];
+  const totalTicks = currentCandle?.ticks?.length || 0;
+
+  // Get visible candles for the chart - the session's own asset drives the replay,
+  // the other assets of a multi-asset session follow it to the same replay time
+  const sessionAssets = getSessionAssets(session);
+  const isMultiAsset = sessionAssets.length > 1;
+  const chartAsset = sessionAssets.includes(activeAsset) ? activeAsset : session.asset;
+  const sessionCandles = getVisibleCandles();
+  const replayTime = getReplayTime();
+  const candlesOf = (asset) => {
+    if (asset === session.asset) return sessionCandles;
+    return currentCandle ? candlesAtReplayTime(assetCandles[asset] || [], currentCandle.timestamp, replayTime) : [];
+  };
+  const visibleCandles = candlesOf(chartAsset);
+  // For sizing orders from a template's ATR stop
+  const chartATR = averageTrueRange(visibleCandles);
+
+  // Candles with the ticks revealed so far, for Renko and range bars. The completed
+  // ones only change with the candle, the forming one with every tick.
+  const chartTickCandles = chartAsset === session.asset ? candlesWithTicks : assetCandles[chartAsset];
+  const completedTickCandles = useMemo(() => {
+    if (!currentCandle || !chartTickCandles) return [];
+    const currentTime = new Date(currentCandle.timestamp).getTime();
+    return chartTickCandles.filter((c) => new Date(c.timestamp).getTime() < currentTime);
+  }, [chartTickCandles, currentCandle]);
+  const formingTickCandle = useMemo(() => {
+    if (!currentCandle || !chartTickCandles) return null;
+    if (chartAsset !== session.asset) return formingAtReplayTime(chartTickCandles, currentCandle.timestamp, replayTime);
+    if (!progressiveMode || !currentCandle.ticks?.length) return currentCandle;
+    return { ...currentCandle, ticks: currentCandle.ticks.slice(0, currentTickIndex + 1) };
+  }, [chartTickCandles, currentCandle, chartAsset, session.asset, replayTime, progressiveMode, currentTickIndex]);
+  const tickCandles = useMemo(
+    () => ({ completed: completedTickCandles, forming: formingTickCandle }),
+    [completedTickCandles, formingTickCandle]
+  );
+  // Trades marked on the chart - those of the asset it shows
+  const chartTrades = useMemo(
+    () => [...closedTrades, ...openTrades].filter((t) => (t.asset || session.asset) === chartAsset),
+    [closedTrades, openTrades, chartAsset, session.asset]
+  );
+  // Higher timeframes that can be built from the session's candles
+  const paneOptions = PANE_TIMEFRAMES.filter(tf => fitsEvenly(session.timeframe, tf) && !timeframePanes.includes(tf));
+
+  // Close everything, or flip the position in the chart's asset. A reverse
+  // refused for margin has still closed the position, so the update is applied.
+  const runPositionCommand = async (command, label) => {
+    try {
+      const response = await command();
+      applyEngineUpdate(response.data);
+    } catch (error) {
+      if (error.response?.data?.closedTrades) applyEngineUpdate(error.response.data);
+      console.error(`Failed to ${label}:`, error);
+      alert(error.response?.data?.error || `Failed to ${label}`);
+    }
+  };
+
+  const handleCloseAll = () => runPositionCommand(
+    () => tradeAPI.closeAll(session.sessionId, getReplayPosition()),
+    'close positions'
+  );
+
+  const handleReverse = () => runPositionCommand(
+    () => tradeAPI.reverse(session.sessionId, getReplayPosition(), chartAsset),
+    'reverse position'
+  );
+
+  useHotkeys({
+    closeAll: () => openTrades.length > 0 && handleCloseAll(),
+    reverse: () => openTrades.length > 0 && handleReverse(),
+    showHelp: () => setShowHotkeys(true),
+  });
+
+  // Price of every asset at the replay time, with the move since the previous close
+  const quotes = sessionAssets.map((asset) => {
+    const candles = candlesOf(asset);
+    const last = candles[candles.length - 1];
+    const previous = candles[candles.length - 2];
+    return {
+      asset,
+      price: last?.close || 0,
+      change: last && previous ? ((last.close - previous.close) / previous.close) * 100 : null
+    };
+  });
+  const prices = Object.fromEntries(quotes.map(({ asset, price }) => [asset, price]));
 
   // Get current price from forming candle
   const formingCandle = getCurrentFormingCandle();
-  const currentPrice = formingCandle?.close || 0;
+  const currentPrice = chartAsset === session.asset ? formingCandle?.close || 0 : prices[chartAsset];
   const tickProgress = formingCandle?.tickProgress || 0;
 
   const safeBalance = Number(balance) || 0;
   const totalPnL = safeBalance - (session?.initialBalance || 10000);
 
-  // Calculate total ticks for progress display
-  const currentCandle = candlesWithTicks[currentCandleIndex];
-  const totalTicks = currentCandle?.ticks?.length || 0;
-
   if (loading) {
     return (
       <div className="min-h-screen bg-black flex items-center justify-center">
@@ -176,7 +405,7 @@ function TradingDashboard() {
             {isMobile ? 'TG' : 'Trading Gym'}
           </h1>
           <div className="flex gap-2 md:gap-4 text-xs md:text-sm text-gray-400">
-            <span className="text-purple-400">{session.asset?.replace('USDT', '')}</span>
+            <span className="text-purple-400">{chartAsset?.replace('USDT', '')}</span>
             <span className="hidden sm:inline">•</span>
             <span className="hidden sm:inline">{session.timeframe}</span>
             <span>•</span>
@@ -207,6 +436,34 @@ function TradingDashboard() {
             </button>
           )}
 
+          {/* Indicators */}
+          <select
+            value=""
+            onChange={(e) => saveIndicators([...indicators, createIndicatorConfig(e.target.value, indicators)])}
+            className="px-3 py-1.5 rounded-lg bg-transparent border border-purple-500/10 text-gray-400 text-xs"
+            aria-label="Add indicator"
+          >
+            <option value="">+ Indicator</option>
+            {Object.entries(INDICATORS).map(([type, definition]) => (
+              <option key={type} value={type}>{definition.name}</option>
+            ))}
+          </select>
+
+          {/* Higher-timeframe panes */}
+          {paneOptions.length > 0 && timeframePanes.length < MAX_TIMEFRAME_PANES && (
+            <select
+              value=""
+              onChange={(e) => setTimeframePanes([...timeframePanes, e.target.value])}
+              className="px-3 py-1.5 rounded-lg bg-transparent border border-purple-500/10 text-gray-400 text-xs"
+              aria-label="Add timeframe pane"
+            >
+              <option value="">+ Timeframe</option>
+              {paneOptions.map((tf) => (
+                <option key={tf} value={tf}>{tf}</option>
+              ))}
+            </select>
+          )}
+
           <button
             onClick={() => setActiveTab(activeTab === 'trading' ? 'analytics' : 'trading')}
             className="flex items-center gap-2 px-4 py-2 rounded-lg border transition-all hover:bg-purple-500/10"
@@ -220,6 +477,22 @@ function TradingDashboard() {
             <span className="text-sm">{activeTab === 'trading' ? 'Analytics' : 'Trading'}</span>
           </button>
 
+          <button
+            onClick={() => setShowHotkeys(true)}
+            className="p-2 rounded-lg border border-purple-500/10 text-gray-400 hover:text-purple-300 transition-all"
+            title={hotkeys.showHelp ? `Keyboard shortcuts (${hotkeys.showHelp})` : 'Keyboard shortcuts'}
+            aria-label="Keyboard shortcuts"
+          >
+            <Keyboard size={16} />
+          </button>
+
+          <button
+            onClick={handleEndSession}
+            className="px-4 py-2 rounded-lg border border-red-500/30 hover:border-red-500/50 text-red-400 hover:text-red-300 transition-all text-sm"
+          >
+            End Session
+          </button>
+
           <button
             onClick={logout}
             className="px-4 py-2 rounded-lg border border-gray-700 hover:border-gray-600 text-gray-400 hover:text-gray-300 transition-all text-sm"
@@ -339,7 +612,16 @@ function TradingDashboard() {
                 </button>
               )}
 
-              <div className="mt-auto pt-6">
+              <div className="mt-auto pt-6 flex flex-col gap-3">
+                <button
+                  onClick={() => {
+                    setMobileMenuOpen(false);
+                    handleEndSession();
+                  }}
+                  className="w-full p-4 rounded-xl bg-gray-900/50 border border-red-500/30 text-red-400"
+                >
+                  End Session
+                </button>
                 <button
                   onClick={logout}
                   className="w-full p-4 rounded-xl bg-red-900/30 border border-red-500/30 text-red-400"
@@ -352,6 +634,8 @@ function TradingDashboard() {
         </div>
       )}
 
+      {showHotkeys && <HotkeyHelp onClose={() => setShowHotkeys(false)} />}
+
       {/* Mobile Trade Panel Overlay */}
       {isMobile && mobileTradeOpen && (
         <div className="fixed inset-0 z-[100] bg-black/95 backdrop-blur-sm overflow-y-auto">
@@ -381,13 +665,13 @@ function TradingDashboard() {
               </div>
             </div>
 
-            <OrderPanel currentPrice={currentPrice} onTradeComplete={() => setMobileTradeOpen(false)} />
+            <OrderPanel currentPrice={currentPrice} asset={chartAsset} atr={chartATR} onTradeComplete={() => setMobileTradeOpen(false)} />
 
             {/* Open Positions */}
             {openTrades.length > 0 && (
               <div className="mt-6">
                 <h3 className="text-lg font-bold text-white mb-3">Open Positions</h3>
-                <PositionsList currentPrice={currentPrice} />
+                <PositionsList currentPrice={currentPrice} prices={prices} />
               </div>
             )}
           </div>
@@ -397,9 +681,44 @@ function TradingDashboard() {
       {/* Main Content */}
       {activeTab === 'trading' ? (
         <div className="flex-1 relative overflow-hidden">
-          {/* Full-Screen Chart */}
-          <div className="absolute inset-0 p-2 md:p-4">
-            <Chart candles={visibleCandles} />
+          {/* Full-Screen Chart, with higher-timeframe panes alongside on desktop */}
+          <div className="absolute inset-0 p-2 md:p-4 flex gap-2">
+            <div className="flex-1 min-w-0 flex flex-col gap-2">
+              {isMultiAsset && (
+                <Watchlist quotes={quotes} activeAsset={chartAsset} onSelect={setActiveAsset} />
+              )}
+              <div className="flex-1 min-h-0 relative">
+                <Chart
+                  candles={visibleCandles}
+                  label={isMultiAsset ? `${chartAsset} ${session.timeframe}` : timeframePanes.length > 0 ? session.timeframe : null}
+                  indicators={indicators}
+                  drawings={drawings.filter((d) => (d.asset || session.asset) === chartAsset)}
+                  onDrawingCreate={(drawing) => createDrawing({ ...drawing, asset: chartAsset })}
+                  onDrawingUpdate={updateDrawing}
+                  onDrawingRemove={removeDrawing}
+                  onTradeLineMove={handleTradeLineMove}
+                  trades={chartTrades}
+                  focusedTradeId={focusedTradeId}
+                  onTradeFocused={clearFocusedTrade}
+                  tickCandles={tickCandles}
+                />
+                <div className="absolute top-2 left-2 z-10">
+                  <IndicatorLegend indicators={indicators} onChange={saveIndicators} />
+                </div>
+              </div>
+            </div>
+            {!isMobile && timeframePanes.length > 0 && (
+              <div className="w-1/3 flex flex-col gap-2">
+                {timeframePanes.map((tf) => (
+                  <TimeframePane
+                    key={tf}
+                    timeframe={tf}
+                    visibleCandles={sessionCandles}
+                    onRemove={() => setTimeframePanes(timeframePanes.filter(pane => pane !== tf))}
+                  />
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Replay Controls - Bottom Left (Responsive) */}
@@ -471,7 +790,7 @@ function TradingDashboard() {
                     )}
                   </div>
 
-                  <OrderPanel currentPrice={currentPrice} />
+                  <OrderPanel currentPrice={currentPrice} asset={chartAsset} atr={chartATR} />
 
                   {/* Quick Stats */}
                   <div className="mt-4 grid grid-cols-2 gap-2">
@@ -530,7 +849,7 @@ function TradingDashboard() {
               </button>
 
               <div className="p-4 overflow-y-auto" style={{ height: 'calc(100% - 48px)' }}>
-                {showPositions && <PositionsList currentPrice={currentPrice} />}
+                {showPositions && <PositionsList currentPrice={currentPrice} prices={prices} />}
               </div>
             </div>
           )}
@@ -4,7 +4,7 @@
  */
 
 describe('API Service Contract', () => {
-  let authAPI, sessionAPI, replayAPI, tradeAPI;
+  let authAPI, sessionAPI, replayAPI, tradeAPI, orderAPI, settingsAPI, drawingAPI, templateAPI;
 
   beforeEach(() => {
     jest.resetModules();
@@ -15,6 +15,8 @@ describe('API Service Contract', () => {
         post: jest.fn().mockResolvedValue({ data: {} }),
         get: jest.fn().mockResolvedValue({ data: {} }),
         put: jest.fn().mockResolvedValue({ data: {} }),
+        patch: jest.fn().mockResolvedValue({ data: {} }),
+        delete: jest.fn().mockResolvedValue({ data: {} }),
         interceptors: {
           request: {
             use: jest.fn(),
@@ -33,6 +35,10 @@ describe('API Service Contract', () => {
     sessionAPI = api.sessionAPI;
     replayAPI = api.replayAPI;
     tradeAPI = api.tradeAPI;
+    orderAPI = api.orderAPI;
+    settingsAPI = api.settingsAPI;
+    drawingAPI = api.drawingAPI;
+    templateAPI = api.templateAPI;
   });
 
   afterEach(() => {
@@ -74,6 +80,30 @@ describe('API Service Contract', () => {
     it('get should accept sessionId', async () => {
       await expect(sessionAPI.get(1)).resolves.toBeDefined();
     });
+
+    it('should export lifecycle functions', () => {
+      expect(typeof sessionAPI.list).toBe('function');
+      expect(typeof sessionAPI.end).toBe('function');
+      expect(typeof sessionAPI.pause).toBe('function');
+      expect(typeof sessionAPI.resume).toBe('function');
+      expect(typeof sessionAPI.summary).toBe('function');
+    });
+
+    it('updateCursor should accept sessionId and replay position', async () => {
+      await expect(sessionAPI.updateCursor(1, { candleTimestamp: '2024-01-01T00:00:00Z', tickIndex: 3 })).resolves.toBeDefined();
+    });
+
+    it('end should accept sessionId and replay position', async () => {
+      await expect(sessionAPI.end(1, { candleTimestamp: '2024-01-01T00:00:00Z', tickIndex: 0 })).resolves.toBeDefined();
+    });
+
+    it('rewind should accept sessionId, replay position and the earlier position', async () => {
+      await expect(sessionAPI.rewind(
+        1,
+        { candleTimestamp: '2024-01-02T00:00:00Z', tickIndex: 4 },
+        { candleTimestamp: '2024-01-01T00:00:00Z', tickIndex: 0 }
+      )).resolves.toBeDefined();
+    });
   });
 
   describe('replayAPI', () => {
@@ -81,10 +111,30 @@ describe('API Service Contract', () => {
       expect(typeof replayAPI.getCandles).toBe('function');
     });
 
+    it('step should accept sessionId and a step unit', async () => {
+      await expect(replayAPI.step(1, 'candle')).resolves.toBeDefined();
+    });
+
+    it('streamCommand should accept sessionId, action and options', async () => {
+      await expect(replayAPI.streamCommand(1, 'speed', { speed: 5 })).resolves.toBeDefined();
+    });
+
+    it('should export openStream function', () => {
+      expect(typeof replayAPI.openStream).toBe('function');
+    });
+
     it('getCandles should accept sessionId with default offset and limit', async () => {
       await expect(replayAPI.getCandles(1)).resolves.toBeDefined();
     });
 
+    it('getHigherTimeframe should accept a timeframe and replay position', async () => {
+      await expect(replayAPI.getHigherTimeframe(1, '1h', { candleTimestamp: '2024-01-15T10:00:00Z', tickIndex: 3 })).resolves.toBeDefined();
+    });
+
+    it('getCandlesWithTicks should accept a keyset after timestamp', async () => {
+      await expect(replayAPI.getCandlesWithTicks(1, null, 500, '2024-01-20T00:00:00Z')).resolves.toBeDefined();
+    });
+
     it('getCandles should accept custom offset and limit', async () => {
       await expect(replayAPI.getCandles(1, 50, 25)).resolves.toBeDefined();
     });
@@ -122,6 +172,119 @@ describe('API Service Contract', () => {
     it('getSessionTrades should accept sessionId', async () => {
       await expect(tradeAPI.getSessionTrades(1)).resolves.toBeDefined();
     });
+
+    it('should export sync function', () => {
+      expect(typeof tradeAPI.sync).toBe('function');
+    });
+
+    it('open and close should accept a replay position', async () => {
+      const replayPosition = { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 };
+      await expect(tradeAPI.open(1, 'BUY', 50000, 0.1, null, null, replayPosition)).resolves.toBeDefined();
+      await expect(tradeAPI.close(1, 51000, replayPosition)).resolves.toBeDefined();
+    });
+
+    it('open should accept trailing stop and break-even rules', async () => {
+      await expect(
+        tradeAPI.open(1, 'BUY', 50000, 0.1, 49000, null, null, { trailingStop: { type: 'percent', value: 1 }, breakEvenR: 1 })
+      ).resolves.toBeDefined();
+    });
+
+    it('close should accept a partial quantity or percent', async () => {
+      await expect(tradeAPI.close(1, 51000, null, { percent: 50 })).resolves.toBeDefined();
+      await expect(tradeAPI.close(1, 51000, null, { quantity: 0.05 })).resolves.toBeDefined();
+    });
+
+    it('addToTrade should accept tradeId, price and quantity', async () => {
+      await expect(tradeAPI.addToTrade(1, 50500, 0.1)).resolves.toBeDefined();
+    });
+
+    it('getFills should accept tradeId', async () => {
+      await expect(tradeAPI.getFills(1)).resolves.toBeDefined();
+    });
+
+    it('getStopHistory should accept tradeId', async () => {
+      await expect(tradeAPI.getStopHistory(1)).resolves.toBeDefined();
+    });
+
+    it('modify should accept tradeId, SL/TP changes and replay position', async () => {
+      const replayPosition = { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 };
+      await expect(tradeAPI.modify(1, { stopLoss: 49500 }, replayPosition)).resolves.toBeDefined();
+      await expect(tradeAPI.modify(1, { takeProfit: null }, replayPosition)).resolves.toBeDefined();
+    });
+
+    it('getModifications should accept tradeId', async () => {
+      await expect(tradeAPI.getModifications(1)).resolves.toBeDefined();
+    });
+
+    it('sync should accept sessionId and replay position', async () => {
+      await expect(
+        tradeAPI.sync(1, { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 })
+      ).resolves.toBeDefined();
+    });
+
+    it('closeAll and reverse should accept a replay position and an asset', async () => {
+      const replayPosition = { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 };
+      await expect(tradeAPI.closeAll(1, replayPosition)).resolves.toBeDefined();
+      await expect(tradeAPI.reverse(1, replayPosition, 'ETHUSDT')).resolves.toBeDefined();
+    });
+  });
+
+  describe('orderAPI', () => {
+    const replayPosition = { candleTimestamp: '2024-01-15T00:00:00Z', tickIndex: 12 };
+
+    it('should export place, getSessionOrders, modify and cancel functions', () => {
+      expect(typeof orderAPI.place).toBe('function');
+      expect(typeof orderAPI.getSessionOrders).toBe('function');
+      expect(typeof orderAPI.modify).toBe('function');
+      expect(typeof orderAPI.cancel).toBe('function');
+    });
+
+    it('place should accept order parameters and a replay position', async () => {
+      await expect(
+        orderAPI.place(1, 'BUY', 'LIMIT', 49000, 0.1, 48000, null, replayPosition)
+      ).resolves.toBeDefined();
+    });
+
+    it('modify and cancel should accept an orderId', async () => {
+      await expect(orderAPI.modify(3, { triggerPrice: 48500 }, replayPosition)).resolves.toBeDefined();
+      await expect(orderAPI.cancel(3)).resolves.toBeDefined();
+    });
+  });
+
+  describe('drawingAPI', () => {
+    it('should create, update, list and delete drawings', async () => {
+      const drawing = { tool: 'horizontal', points: [{ time: '2024-01-15T02:00:00.000Z', price: 42000 }] };
+
+      await expect(drawingAPI.create(1, drawing)).resolves.toBeDefined();
+      await expect(drawingAPI.update(7, { color: '#ffffff' })).resolves.toBeDefined();
+      await expect(drawingAPI.getSessionDrawings(1)).resolves.toBeDefined();
+      await expect(drawingAPI.remove(7)).resolves.toBeDefined();
+    });
+  });
+
+  describe('settingsAPI', () => {
+    it('should load and save the chart indicators', async () => {
+      const indicators = [{ id: 'rsi-1', type: 'rsi', params: { period: 14 }, placement: 'pane' }];
+
+      await expect(settingsAPI.getIndicators()).resolves.toBeDefined();
+      await expect(settingsAPI.saveIndicators(indicators)).resolves.toBeDefined();
+    });
+
+    it('should load and save the hotkeys', async () => {
+      await expect(settingsAPI.getHotkeys()).resolves.toBeDefined();
+      await expect(settingsAPI.saveHotkeys({ buy: 'B', sell: null })).resolves.toBeDefined();
+    });
+  });
+
+  describe('templateAPI', () => {
+    it('should create, update, list and delete order templates', async () => {
+      const template = { name: 'Scalp', bracket: { stopLoss: { type: 'pips', value: 20 } }, hotkey: '1' };
+
+      await expect(templateAPI.create(template)).resolves.toBeDefined();
+      await expect(templateAPI.update(4, template)).resolves.toBeDefined();
+      await expect(templateAPI.getAll()).resolves.toBeDefined();
+      await expect(templateAPI.remove(4)).resolves.toBeDefined();
+    });
   });
 });
 
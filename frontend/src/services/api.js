@@ -24,22 +24,70 @@ export const authAPI = {
 };
 
 export const sessionAPI = {
-  start: (asset, timeframe, initialBalance, startDate = null) =>
-    api.post('/sessions/start', { asset, timeframe, initialBalance, startDate }),
+  // mode: { strictReplay, scored, assets, blind } - scored sessions always replay strictly;
+  // assets are replayed in lockstep with `asset` under the same balance; a blind
+  // session is masked by the server until it ends and only names its asset class
+  start: (asset, timeframe, initialBalance, startDate = null, leverage = 1, mode = {}) =>
+    api.post('/sessions/start', { asset, timeframe, initialBalance, startDate, leverage, ...mode }),
 
   get: (sessionId) =>
     api.get(`/sessions/${sessionId}`),
+
+  // replayPosition: { candleTimestamp, tickIndex } from getReplayPosition()
+  updateCursor: (sessionId, replayPosition) =>
+    api.patch(`/sessions/${sessionId}/cursor`, replayPosition),
+
+  // filters: { status, asset, timeframe, from, to, limit, offset }
+  list: (filters = {}) =>
+    api.get('/sessions', { params: filters }),
+
+  // Closes open positions at the replay price and freezes the session
+  end: (sessionId, replayPosition) =>
+    api.post(`/sessions/${sessionId}/end`, { replayPosition }),
+
+  pause: (sessionId) =>
+    api.post(`/sessions/${sessionId}/pause`),
+
+  resume: (sessionId) =>
+    api.post(`/sessions/${sessionId}/resume`),
+
+  summary: (sessionId) =>
+    api.get(`/sessions/${sessionId}/summary`),
+
+  // Goes back from replayPosition to the earlier position `to` as a new branch;
+  // what was traded after `to` is archived with the old one
+  rewind: (sessionId, replayPosition, to) =>
+    api.post(`/sessions/${sessionId}/rewind`, { replayPosition, to }),
 };
 
 export const replayAPI = {
-  getCandles: (sessionId, offset = 0, limit = 100) =>
-    api.get('/replay/candles', { params: { sessionId, offset, limit } }),
+  // `after` pages by timestamp - pass the nextAfter of the previous page
+  getCandles: (sessionId, offset = 0, limit = 100, after = null) =>
+    api.get('/replay/candles', { params: { sessionId, offset, limit, after } }),
+
+  getTicks: (sessionId, offset = 0, limit = 100, after = null, afterTick = null) =>
+    api.get('/replay/ticks', { params: { sessionId, offset, limit, after, afterTick } }),
+
+  // A null offset lets the server open the window around the saved replay cursor.
+  // `asset` reads another asset of a multi-asset session.
+  getCandlesWithTicks: (sessionId, offset = null, limit = 100, after = null, asset = null) =>
+    api.get('/replay/candles-with-ticks', { params: { sessionId, offset, limit, after, asset } }),
+
+  // Higher-timeframe candles as they stood at a replay position (the cursor when null)
+  getHigherTimeframe: (sessionId, timeframe, replayPosition = null, limit = 200) =>
+    api.get('/replay/higher-timeframe', { params: { sessionId, timeframe, limit, ...replayPosition } }),
 
-  getTicks: (sessionId, offset = 0, limit = 100) =>
-    api.get('/replay/ticks', { params: { sessionId, offset, limit } }),
+  // Strict replay sessions: move the server-side cursor and receive the newly revealed candles
+  step: (sessionId, unit = 'tick', count = 1, wholeCandle = false) =>
+    api.post('/replay/step', { sessionId, unit, count, wholeCandle }),
 
-  getCandlesWithTicks: (sessionId, offset = 0, limit = 100) =>
-    api.get('/replay/candles-with-ticks', { params: { sessionId, offset, limit } }),
+  // Server-pushed replay: an EventSource for the session plus playback commands
+  // (play, pause, speed, seek, step, granularity)
+  openStream: (sessionId, speed = 1, granularity = 'tick') =>
+    new EventSource(`${API_URL}/replay/stream?sessionId=${sessionId}&speed=${speed}&granularity=${granularity}`),
+
+  streamCommand: (sessionId, action, options = {}) =>
+    api.post('/replay/stream/command', { sessionId, action, ...options }),
 
   // Get date range for available historical data
   getDateRange: (asset = 'BTCUSDT', timeframe = '1d') =>
@@ -51,14 +99,106 @@ export const replayAPI = {
 };
 
 export const tradeAPI = {
-  open: (sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit) =>
-    api.post('/trades/open', { sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit }),
+  // stopRules: { trailingStop: { type, value }, breakEvenR, bracket }; a null asset trades the session's own.
+  // A bracket ({ stopLoss: { type, value }, takeProfit: { type, value } }) replaces stopLoss and takeProfit.
+  open: (sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit, replayPosition = null, stopRules = null, asset = null) =>
+    api.post('/trades/open', { sessionId, tradeType, entryPrice, positionSize, stopLoss, takeProfit, replayPosition, asset, ...stopRules }),
+
+  // portion: { quantity } or { percent } for a partial close, null closes everything
+  close: (tradeId, exitPrice, replayPosition = null, portion = null) =>
+    api.put(`/trades/${tradeId}/close`, { exitPrice, replayPosition, ...portion }),
+
+  addToTrade: (tradeId, price, quantity, replayPosition = null) =>
+    api.post(`/trades/${tradeId}/add`, { price, quantity, replayPosition }),
+
+  // Let the server evaluate SL/TP and pending orders up to the current replay position
+  sync: (sessionId, replayPosition) =>
+    api.post(`/trades/session/${sessionId}/sync`, { replayPosition }),
+
+  // Close every open trade at the replay price, only those of `asset` when given
+  closeAll: (sessionId, replayPosition, asset = null) =>
+    api.post(`/trades/session/${sessionId}/close-all`, { replayPosition, asset }),
 
-  close: (tradeId, exitPrice) =>
-    api.put(`/trades/${tradeId}/close`, { exitPrice }),
+  // Flip the net position in `asset` (the session's own when null) to the other side
+  reverse: (sessionId, replayPosition, asset = null) =>
+    api.post(`/trades/session/${sessionId}/reverse`, { replayPosition, asset }),
 
   getSessionTrades: (sessionId) =>
     api.get(`/trades/session/${sessionId}`),
+
+  // changes: { stopLoss, takeProfit } - null removes one, a field left out keeps its value
+  modify: (tradeId, changes, replayPosition = null) =>
+    api.patch(`/trades/${tradeId}`, { ...changes, replayPosition }),
+
+  getModifications: (tradeId) =>
+    api.get(`/trades/${tradeId}/modifications`),
+
+  getStopHistory: (tradeId) =>
+    api.get(`/trades/${tradeId}/stops`),
+
+  getFills: (tradeId) =>
+    api.get(`/trades/${tradeId}/fills`),
+};
+
+export const orderAPI = {
+  // A bracket is placed around the fill price when the order fills, in place of stopLoss and takeProfit
+  place: (sessionId, side, orderType, triggerPrice, positionSize, stopLoss, takeProfit, replayPosition, asset = null, bracket = null) =>
+    api.post('/orders', { sessionId, side, orderType, triggerPrice, positionSize, stopLoss, takeProfit, replayPosition, asset, bracket }),
+
+  getSessionOrders: (sessionId) =>
+    api.get(`/orders/session/${sessionId}`),
+
+  modify: (orderId, changes, replayPosition = null) =>
+    api.patch(`/orders/${orderId}`, { ...changes, replayPosition }),
+
+  cancel: (orderId, replayPosition = null) =>
+    api.put(`/orders/${orderId}/cancel`, { replayPosition }),
+};
+
+export const drawingAPI = {
+  getSessionDrawings: (sessionId) =>
+    api.get(`/drawings/session/${sessionId}`),
+
+  // drawing: { tool, points: [{ time, price }], text, color, asset }
+  create: (sessionId, drawing) =>
+    api.post('/drawings', { sessionId, ...drawing }),
+
+  update: (drawingId, changes) =>
+    api.patch(`/drawings/${drawingId}`, changes),
+
+  remove: (drawingId) =>
+    api.delete(`/drawings/${drawingId}`),
+};
+
+export const settingsAPI = {
+  getIndicators: () =>
+    api.get('/settings/indicators'),
+
+  // indicators: the whole list of chart indicator configs
+  saveIndicators: (indicators) =>
+    api.put('/settings/indicators', { indicators }),
+
+  getHotkeys: () =>
+    api.get('/settings/hotkeys'),
+
+  // hotkeys: { [action]: key or null }
+  saveHotkeys: (hotkeys) =>
+    api.put('/settings/hotkeys', { hotkeys }),
+};
+
+export const templateAPI = {
+  getAll: () =>
+    api.get('/templates'),
+
+  // template: { name, riskMode, riskValue, bracket, hotkey }
+  create: (template) =>
+    api.post('/templates', template),
+
+  update: (templateId, template) =>
+    api.put(`/templates/${templateId}`, template),
+
+  remove: (templateId) =>
+    api.delete(`/templates/${templateId}`),
 };
 
 export default api;
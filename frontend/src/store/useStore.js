@@ -1,36 +1,46 @@
 import { create } from 'zustand';
+import { replayAPI, settingsAPI, drawingAPI, templateAPI } from '../services/api';
+import { DEFAULT_HOTKEYS } from '../hotkeys';
 
 // Session state keys for localStorage
 const SESSION_STORAGE_KEY = 'trading_gym_session_state';
 
-// Asset configuration - pricing, decimals, pip values
+// Asset configuration - pricing, decimals, pip values and what a position is counted in
 export const ASSET_CONFIG = {
   // Crypto
-  BTCUSDT: { name: 'Bitcoin', category: 'crypto', decimals: 2, pipValue: 0.01, icon: '₿', color: '#F7931A' },
-  ETHUSDT: { name: 'Ethereum', category: 'crypto', decimals: 2, pipValue: 0.01, icon: 'Ξ', color: '#627EEA' },
-  SOLUSDT: { name: 'Solana', category: 'crypto', decimals: 2, pipValue: 0.01, icon: '◎', color: '#9945FF' },
+  BTCUSDT: { name: 'Bitcoin', category: 'crypto', decimals: 2, pipValue: 0.01, unit: 'BTC', icon: '₿', color: '#F7931A' },
+  ETHUSDT: { name: 'Ethereum', category: 'crypto', decimals: 2, pipValue: 0.01, unit: 'ETH', icon: 'Ξ', color: '#627EEA' },
+  SOLUSDT: { name: 'Solana', category: 'crypto', decimals: 2, pipValue: 0.01, unit: 'SOL', icon: '◎', color: '#9945FF' },
 
   // Commodities
-  XAUUSD: { name: 'Gold', category: 'commodities', decimals: 2, pipValue: 0.01, icon: '🥇', color: '#FFD700' },
-  XAGUSD: { name: 'Silver', category: 'commodities', decimals: 3, pipValue: 0.001, icon: '🥈', color: '#C0C0C0' },
-  WTIUSD: { name: 'Oil (WTI)', category: 'commodities', decimals: 2, pipValue: 0.01, icon: '🛢️', color: '#4A4A4A' },
+  XAUUSD: { name: 'Gold', category: 'commodities', decimals: 2, pipValue: 0.01, unit: 'oz', icon: '🥇', color: '#FFD700' },
+  XAGUSD: { name: 'Silver', category: 'commodities', decimals: 3, pipValue: 0.001, unit: 'oz', icon: '🥈', color: '#C0C0C0' },
+  WTIUSD: { name: 'Oil (WTI)', category: 'commodities', decimals: 2, pipValue: 0.01, unit: 'bbl', icon: '🛢️', color: '#4A4A4A' },
 
   // Forex
-  EURUSD: { name: 'EUR/USD', category: 'forex', decimals: 5, pipValue: 0.0001, icon: '€', color: '#003399' },
-  GBPUSD: { name: 'GBP/USD', category: 'forex', decimals: 5, pipValue: 0.0001, icon: '£', color: '#C8102E' },
-  USDJPY: { name: 'USD/JPY', category: 'forex', decimals: 3, pipValue: 0.01, icon: '¥', color: '#BC002D' },
-  AUDUSD: { name: 'AUD/USD', category: 'forex', decimals: 5, pipValue: 0.0001, icon: 'A$', color: '#00843D' },
-  USDCAD: { name: 'USD/CAD', category: 'forex', decimals: 5, pipValue: 0.0001, icon: 'C$', color: '#FF0000' },
-  USDCHF: { name: 'USD/CHF', category: 'forex', decimals: 5, pipValue: 0.0001, icon: 'Fr', color: '#FF0000' },
+  EURUSD: { name: 'EUR/USD', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'EUR', icon: '€', color: '#003399' },
+  GBPUSD: { name: 'GBP/USD', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'GBP', icon: '£', color: '#C8102E' },
+  USDJPY: { name: 'USD/JPY', category: 'forex', decimals: 3, pipValue: 0.01, unit: 'USD', icon: '¥', color: '#BC002D' },
+  AUDUSD: { name: 'AUD/USD', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'AUD', icon: 'A$', color: '#00843D' },
+  USDCAD: { name: 'USD/CAD', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'USD', icon: 'C$', color: '#FF0000' },
+  USDCHF: { name: 'USD/CHF', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'USD', icon: 'Fr', color: '#FF0000' },
+};
+
+// What a blind session shows in place of its asset - one stand-in per asset class
+export const BLIND_ASSET_CONFIG = {
+  'BLIND-CRYPTO': { name: 'Hidden crypto', category: 'crypto', decimals: 2, pipValue: 0.01, unit: 'units', icon: '?', color: '#888888' },
+  'BLIND-CMDTY': { name: 'Hidden commodity', category: 'commodities', decimals: 3, pipValue: 0.001, unit: 'units', icon: '?', color: '#888888' },
+  'BLIND-FX': { name: 'Hidden currency pair', category: 'forex', decimals: 5, pipValue: 0.0001, unit: 'units', icon: '?', color: '#888888' },
 };
 
 // Helper to get asset configuration
 export const getAssetConfig = (symbol) => {
-  return ASSET_CONFIG[symbol] || {
+  return ASSET_CONFIG[symbol] || BLIND_ASSET_CONFIG[symbol] || {
     name: symbol,
     category: 'unknown',
     decimals: 2,
     pipValue: 0.01,
+    unit: 'units',
     icon: '?',
     color: '#888888'
   };
@@ -55,6 +65,89 @@ export const calculatePipValue = (symbol, lotSize = 1) => {
   }
 };
 
+// Margin rates per asset class - must match backend/config/assets.js
+export const MARGIN_REQUIREMENTS = {
+  crypto: { initial: 0.02, maintenance: 0.01 },
+  commodities: { initial: 0.05, maintenance: 0.025 },
+  forex: { initial: 0.01, maintenance: 0.005 },
+  unknown: { initial: 1, maintenance: 0.5 },
+};
+
+export const getMarginRequirements = (symbol) => {
+  return MARGIN_REQUIREMENTS[getAssetConfig(symbol).category] || MARGIN_REQUIREMENTS.unknown;
+};
+
+// Highest leverage a session on this asset may use
+export const getMaxLeverage = (symbol) => Math.round(1 / getMarginRequirements(symbol).initial);
+
+// Every asset replayed in a session, the one driving the replay clock first
+export const getSessionAssets = (session) => {
+  if (!session?.asset) return [];
+  return [session.asset, ...(session.assets || []).filter((asset) => asset !== session.asset)];
+};
+
+// Equity and margin of the open positions at the current price. Multi-asset
+// sessions pass the prices keyed by symbol.
+export const calculateMarginStatus = (openTrades, currentPrice, balance, session) => {
+  const priceOf = (trade) => Number(
+    typeof currentPrice === 'object' && currentPrice !== null
+      ? currentPrice[trade.asset || session?.asset]
+      : currentPrice
+  ) || 0;
+  // One balance backs every asset, so the most restrictive asset class caps the leverage
+  const maxLeverage = Math.min(...[session?.asset, ...(session?.assets || [])].map(getMaxLeverage));
+  const leverage = Math.min(Math.max(Number(session?.leverage) || 1, 1), maxLeverage);
+
+  let unrealized = 0;
+  let entryNotional = 0;
+  let maintenanceMargin = 0;
+  openTrades.forEach((trade) => {
+    const price = priceOf(trade);
+    const size = parseFloat(trade.position_size);
+    const entry = parseFloat(trade.entry_price);
+    entryNotional += entry * size;
+    maintenanceMargin += price * size * getMarginRequirements(trade.asset || session?.asset).maintenance;
+    if (price) {
+      unrealized += trade.trade_type === 'BUY' ? (price - entry) * size : (entry - price) * size;
+    }
+  });
+
+  const equity = Number(balance) + unrealized;
+  const usedMargin = entryNotional / leverage;
+
+  return {
+    equity,
+    usedMargin,
+    freeMargin: equity - usedMargin,
+    maintenanceMargin,
+    // Warn once equity no longer covers the margin in use
+    marginCall: openTrades.length > 0 && equity < usedMargin,
+  };
+};
+
+// Commission, spread and slippage a trade has paid - its pnl is already net of them
+export const getTradeCosts = (trade) => {
+  const commission = parseFloat(trade.commission || 0);
+  const spread = parseFloat(trade.spread_cost || 0);
+  const slippage = parseFloat(trade.slippage_cost || 0);
+  return { commission, spread, slippage, total: commission + spread + slippage };
+};
+
+// Labels for exit reasons reported by the order engine
+const EXIT_REASON_LABELS = {
+  manual: 'Manual',
+  stop_loss: 'Stop Loss',
+  take_profit: 'Take Profit',
+  liquidation: 'Liquidation',
+  session_end: 'Session End',
+  rewind: 'Rewind',
+};
+
+export const formatExitReason = (reason) => {
+  if (!reason) return 'Manual';
+  return EXIT_REASON_LABELS[reason] || reason;
+};
+
 // Helper to save session state to localStorage
 const saveSessionState = (state) => {
   try {
@@ -63,6 +156,7 @@ const saveSessionState = (state) => {
       balance: state.balance,
       openTrades: state.openTrades,
       closedTrades: state.closedTrades,
+      pendingOrders: state.pendingOrders,
       currentCandleIndex: state.currentCandleIndex,
       currentTickIndex: state.currentTickIndex,
       progressiveMode: state.progressiveMode,
@@ -104,6 +198,14 @@ const clearSessionState = () => {
 // Load initial state
 const savedState = loadSessionState();
 
+// Long sessions load candles window by window as the replay moves on
+const CANDLE_WINDOW = 500;
+// The next window is requested once fewer candles than this are left ahead
+const PREFETCH_AHEAD = 100;
+// Older candles are dropped past this many, so memory stays bounded
+const MAX_LOADED_CANDLES = 3000;
+let prefetchInFlight = false;
+
 const useStore = create((set, get) => ({
   // User state
   user: null,
@@ -123,8 +225,18 @@ const useStore = create((set, get) => ({
       session: null,
       candles: [],
       candlesWithTicks: [],
+      nextCandlesAfter: null,
+      activeAsset: null,
+      focusedTradeId: null,
+      assetCandles: {},
+      drawings: [],
+      indicators: [],
+      orderTemplates: [],
+      activeTemplateId: null,
+      hotkeys: DEFAULT_HOTKEYS,
       openTrades: [],
       closedTrades: [],
+      pendingOrders: [],
       balance: 10000,
       currentCandleIndex: 0,
       currentTickIndex: 0,
@@ -144,6 +256,7 @@ const useStore = create((set, get) => ({
   balance: savedState?.balance || 10000,
   openTrades: savedState?.openTrades || [],
   closedTrades: savedState?.closedTrades || [],
+  pendingOrders: savedState?.pendingOrders || [],
 
   setBalance: (balance) => {
     set({ balance });
@@ -158,96 +271,121 @@ const useStore = create((set, get) => ({
     return newState;
   }),
 
-  closeTrade: (tradeId, pnl) => set((state) => {
-    const trade = state.openTrades.find(t => t.id === tradeId);
-    const newState = {
-      openTrades: state.openTrades.filter(t => t.id !== tradeId),
-      closedTrades: [...state.closedTrades, { ...trade, pnl, status: 'closed' }],
-      balance: state.balance + pnl
+  // Apply trades closed on the server (manual closes or engine SL/TP exits)
+  applyClosedTrades: (closedTrades, balance) => set((state) => {
+    if (!closedTrades || closedTrades.length === 0) return state;
+
+    const closedIds = closedTrades.map(t => String(t.id));
+    const alreadyClosed = new Set(state.closedTrades.map(t => String(t.id)));
+    const newlyClosed = closedTrades
+      .filter(t => !alreadyClosed.has(String(t.id)))
+      .map(t => ({ ...state.openTrades.find(o => String(o.id) === String(t.id)), ...t, status: 'closed' }));
+
+    // Partial exits were already added to the balance when they were taken
+    const realized = newlyClosed.reduce(
+      (sum, t) => sum + (parseFloat(t.pnl) || 0) - (parseFloat(t.realized_pnl) || 0),
+      0
+    );
+
+    setTimeout(() => saveSessionState(get()), 0);
+    return {
+      openTrades: state.openTrades.filter(t => !closedIds.includes(String(t.id))),
+      closedTrades: [...state.closedTrades, ...newlyClosed],
+      balance: balance !== undefined && balance !== null
+        ? parseFloat(balance)
+        : Number(state.balance) + realized
     };
+  }),
+
+  // Apply a trade that is still open after a partial close or scale-in.
+  // PnL banked by a partial exit is added to the balance straight away.
+  applyTradeUpdate: (trade) => set((state) => {
+    const previous = state.openTrades.find(t => String(t.id) === String(trade.id));
+    if (!previous) return state;
+
+    const banked = (parseFloat(trade.realized_pnl) || 0) - (parseFloat(previous.realized_pnl) || 0);
+
     setTimeout(() => saveSessionState(get()), 0);
-    return newState;
+    return {
+      openTrades: state.openTrades.map(t => String(t.id) === String(trade.id) ? { ...previous, ...trade } : t),
+      balance: Number(state.balance) + banked
+    };
   }),
 
-  // Check SL/TP against current price (works with ticks or candles)
-  checkAndExecuteSLTP: (currentCandle) => set((state) => {
-    if (!currentCandle) return state;
+  // Pending limit/stop orders resting on the server
+  addPendingOrder: (order) => set((state) => {
+    setTimeout(() => saveSessionState(get()), 0);
+    return { pendingOrders: [...state.pendingOrders, order] };
+  }),
 
-    const high = parseFloat(currentCandle.high || currentCandle.runningHigh || 0);
-    const low = parseFloat(currentCandle.low || currentCandle.runningLow || 0);
-    let updatedOpenTrades = [...state.openTrades];
-    let updatedClosedTrades = [...state.closedTrades];
-    let updatedBalance = state.balance;
-    let hasChanges = false;
-
-    state.openTrades.forEach((trade) => {
-      const entryPrice = parseFloat(trade.entry_price);
-      const positionSize = parseFloat(trade.position_size);
-      const stopLoss = trade.stop_loss ? parseFloat(trade.stop_loss) : null;
-      const takeProfit = trade.take_profit ? parseFloat(trade.take_profit) : null;
-
-      let shouldClose = false;
-      let exitPrice = null;
-      let exitReason = '';
-
-      if (trade.trade_type === 'BUY') {
-        if (stopLoss && low <= stopLoss) {
-          shouldClose = true;
-          exitPrice = stopLoss;
-          exitReason = 'Stop Loss';
-        }
-        else if (takeProfit && high >= takeProfit) {
-          shouldClose = true;
-          exitPrice = takeProfit;
-          exitReason = 'Take Profit';
-        }
-      } else {
-        if (stopLoss && high >= stopLoss) {
-          shouldClose = true;
-          exitPrice = stopLoss;
-          exitReason = 'Stop Loss';
-        }
-        else if (takeProfit && low <= takeProfit) {
-          shouldClose = true;
-          exitPrice = takeProfit;
-          exitReason = 'Take Profit';
-        }
-      }
+  updatePendingOrder: (order) => set((state) => {
+    setTimeout(() => saveSessionState(get()), 0);
+    return {
+      pendingOrders: state.pendingOrders.map(o => String(o.id) === String(order.id) ? order : o)
+    };
+  }),
 
-      if (shouldClose && exitPrice) {
-        hasChanges = true;
-        let pnl;
-        if (trade.trade_type === 'BUY') {
-          pnl = (exitPrice - entryPrice) * positionSize;
-        } else {
-          pnl = (entryPrice - exitPrice) * positionSize;
-        }
-
-        updatedOpenTrades = updatedOpenTrades.filter(t => t.id !== trade.id);
-
-        updatedClosedTrades.push({
-          ...trade,
-          exit_price: exitPrice,
-          pnl: pnl,
-          status: 'closed',
-          exit_reason: exitReason,
-          exit_time: currentCandle.timestamp
-        });
-
-        updatedBalance += pnl;
-      }
-    });
+  removePendingOrder: (orderId) => set((state) => {
+    setTimeout(() => saveSessionState(get()), 0);
+    return { pendingOrders: state.pendingOrders.filter(o => String(o.id) !== String(orderId)) };
+  }),
 
-    if (hasChanges) {
+  // Apply the result of an engine sync: filled orders become open trades, stops trail,
+  // SL/TP exits close trades
+  applyEngineUpdate: ({
+    closedTrades = [], filledOrders = [], openedTrades = [], updatedTrades = [], stopMoves = [], balance
+  } = {}) => {
+    if (filledOrders.length > 0 || openedTrades.length > 0 || updatedTrades.length > 0 || stopMoves.length > 0) {
+      set((state) => {
+        const filledIds = filledOrders.map(o => String(o.id));
+        const openIds = new Set(state.openTrades.map(t => String(t.id)));
+        const trades = [...state.openTrades, ...openedTrades.filter(t => !openIds.has(String(t.id)))];
+
+        return {
+          pendingOrders: state.pendingOrders.filter(o => !filledIds.includes(String(o.id))),
+          openTrades: trades.map(trade => {
+            const updated = updatedTrades.find(t => String(t.id) === String(trade.id));
+            const moves = stopMoves.filter(m => String(m.trade_id) === String(trade.id));
+            if (!updated && moves.length === 0) return trade;
+            return {
+              ...trade,
+              ...updated,
+              stop_history: [...(trade.stop_history || []), ...moves]
+            };
+          })
+        };
+      });
       setTimeout(() => saveSessionState(get()), 0);
     }
 
+    if (closedTrades.length > 0) {
+      get().applyClosedTrades(closedTrades, balance);
+    } else if (balance !== undefined && balance !== null) {
+      get().setBalance(parseFloat(balance));
+    }
+  },
+
+  // Current replay position, as understood by the server-side order engine
+  getReplayPosition: () => {
+    const { candlesWithTicks, currentCandleIndex, currentTickIndex, progressiveMode } = get();
+    const currentCandle = candlesWithTicks[currentCandleIndex];
+    if (!currentCandle) return null;
+
+    const hasTicks = progressiveMode && currentCandle.ticks?.length > 0;
     return {
-      openTrades: updatedOpenTrades,
-      closedTrades: updatedClosedTrades,
-      balance: updatedBalance
+      candleTimestamp: currentCandle.timestamp,
+      // null means the whole candle has been revealed
+      tickIndex: hasTicks ? currentTickIndex : null
     };
-  }),
+  },
+
+  // Replay time the other assets of a multi-asset session are shown at - the
+  // timestamp of the current tick, null when the whole candle is shown
+  getReplayTime: () => {
+    const { candlesWithTicks, currentCandleIndex, currentTickIndex, progressiveMode } = get();
+    const tick = progressiveMode ? candlesWithTicks[currentCandleIndex]?.ticks?.[currentTickIndex] : null;
+    return tick ? tick.timestamp : null;
+  },
 
   // Candles state (basic mode - full candles)
   candles: [],
@@ -256,11 +394,12 @@ const useStore = create((set, get) => ({
   setCandles: (candles) => set({ candles, currentCandleIndex: 0 }),
 
   advanceCandle: () => set((state) => {
-    const newIndex = Math.min(state.currentCandleIndex + 1, state.candles.length - 1);
+    const newIndex = Math.min(state.currentCandleIndex + 1, state.candlesWithTicks.length - 1);
     // Save periodically (every 10 candles)
     if (newIndex % 10 === 0) {
       setTimeout(() => saveSessionState(get()), 0);
     }
+    setTimeout(() => get().prefetchCandles(), 0);
     return { currentCandleIndex: newIndex };
   }),
 
@@ -269,10 +408,15 @@ const useStore = create((set, get) => ({
   currentTickIndex: savedState?.currentTickIndex || 0, // Current tick within current candle
   progressiveMode: savedState?.progressiveMode ?? true, // Toggle between progressive and instant mode
 
-  setCandlesWithTicks: (candlesWithTicks) => set((state) => {
+  // cursor: the server-side replay cursor, which wins over the local saved position
+  setCandlesWithTicks: (candlesWithTicks, cursor = null) => set((state) => {
     // If we have a saved position, try to restore it
-    const savedIndex = savedState?.currentCandleIndex || 0;
-    const savedTickIndex = savedState?.currentTickIndex || 0;
+    const hasCursor = cursor && cursor.candleIndex !== null && cursor.candleIndex !== undefined;
+    const savedIndex = hasCursor ? cursor.candleIndex : savedState?.currentCandleIndex || 0;
+    // A null cursor tick index means the whole candle was shown
+    const savedTickIndex = hasCursor
+      ? cursor.tickIndex ?? Number.MAX_SAFE_INTEGER
+      : savedState?.currentTickIndex || 0;
 
     // Validate saved indices
     const validCandleIndex = Math.min(savedIndex, candlesWithTicks.length - 1);
@@ -287,6 +431,198 @@ const useStore = create((set, get) => ({
     };
   }),
 
+  // Keyset of the next candle window, null when the replay has no more data
+  nextCandlesAfter: null,
+  setNextCandlesAfter: (nextCandlesAfter) => set({ nextCandlesAfter }),
+
+  // Load the next candle window before the replay reaches the end of what is loaded
+  prefetchCandles: async () => {
+    const { session, streaming, nextCandlesAfter, candlesWithTicks, currentCandleIndex } = get();
+    if (!session || streaming || !nextCandlesAfter || prefetchInFlight) return;
+    if (candlesWithTicks.length - currentCandleIndex > PREFETCH_AHEAD) return;
+
+    prefetchInFlight = true;
+    try {
+      const response = await replayAPI.getCandlesWithTicks(session.sessionId, null, CANDLE_WINDOW, nextCandlesAfter);
+      const { candles, hasMore, nextAfter } = response.data;
+      // The session was closed or replaced while loading
+      if (get().session !== session) return;
+
+      set((state) => {
+        const loaded = [...state.candlesWithTicks, ...candles];
+        // Drop the oldest candles, never the one being replayed
+        const dropped = Math.min(Math.max(loaded.length - MAX_LOADED_CANDLES, 0), state.currentCandleIndex);
+        return {
+          candlesWithTicks: loaded.slice(dropped),
+          currentCandleIndex: state.currentCandleIndex - dropped,
+          nextCandlesAfter: hasMore ? nextAfter : null
+        };
+      });
+    } catch (error) {
+      console.error('Failed to prefetch candles:', error);
+    } finally {
+      prefetchInFlight = false;
+    }
+  },
+
+  // Multi-asset sessions: the asset on the main chart, null for the session's own
+  activeAsset: null,
+  setActiveAsset: (activeAsset) => set({ activeAsset }),
+
+  // Trade picked in the trade lists for the chart to scroll to, cleared once it has.
+  // The chart switches to the trade's asset.
+  focusedTradeId: null,
+  focusTrade: (trade) => set({ focusedTradeId: trade.id, activeAsset: trade.asset || null }),
+  clearFocusedTrade: () => set({ focusedTradeId: null }),
+
+  // Candles with ticks of the other assets, keyed by symbol
+  assetCandles: {},
+
+  // Chart drawings of the session, saved on the server as they are made
+  drawings: [],
+  loadDrawings: async () => {
+    const { session } = get();
+    if (!session) return;
+    try {
+      const response = await drawingAPI.getSessionDrawings(session.sessionId);
+      if (get().session === session) set({ drawings: response.data });
+    } catch (error) {
+      console.error('Failed to load drawings:', error);
+    }
+  },
+  createDrawing: async (drawing) => {
+    const { session } = get();
+    try {
+      const response = await drawingAPI.create(session.sessionId, drawing);
+      set((state) => ({ drawings: [...state.drawings, response.data] }));
+    } catch (error) {
+      console.error('Failed to save drawing:', error);
+    }
+  },
+  updateDrawing: async (id, changes) => {
+    try {
+      const response = await drawingAPI.update(id, changes);
+      set((state) => ({ drawings: state.drawings.map((d) => (d.id === id ? response.data : d)) }));
+    } catch (error) {
+      console.error('Failed to update drawing:', error);
+    }
+  },
+  removeDrawing: async (id) => {
+    set((state) => ({ drawings: state.drawings.filter((d) => d.id !== id) }));
+    try {
+      await drawingAPI.remove(id);
+    } catch (error) {
+      console.error('Failed to delete drawing:', error);
+    }
+  },
+
+  // Load the other assets of the session over the window of candles loaded for
+  // the session's own asset. Strict sessions reload the last candle, which the
+  // server only revealed as far as the cursor.
+  loadAssetCandles: async () => {
+    const { session, candlesWithTicks } = get();
+    const others = getSessionAssets(session).slice(1);
+    if (others.length === 0 || candlesWithTicks.length === 0) return;
+
+    const time = (c) => new Date(c.timestamp).getTime();
+    const first = time(candlesWithTicks[0]);
+    const last = time(candlesWithTicks[candlesWithTicks.length - 1]);
+
+    await Promise.all(others.map(async (asset) => {
+      const loaded = (get().assetCandles[asset] || []).filter((c) => time(c) >= first);
+      if (session.strictReplay) loaded.pop();
+      const loadedUntil = loaded.length > 0 ? time(loaded[loaded.length - 1]) : first - 1;
+      if (loadedUntil >= last) return;
+
+      try {
+        const missing = candlesWithTicks.filter((c) => time(c) > loadedUntil).length;
+        const response = await replayAPI.getCandlesWithTicks(
+          session.sessionId, null, missing, new Date(loadedUntil).toISOString(), asset
+        );
+        if (get().session !== session) return;
+
+        set((state) => ({
+          assetCandles: { ...state.assetCandles, [asset]: [...loaded, ...response.data.candles] }
+        }));
+      } catch (error) {
+        console.error(`Failed to load ${asset} candles:`, error);
+      }
+    }));
+  },
+
+  // Merge what a strict replay step revealed and move to the server's cursor.
+  // The candle the cursor was in comes back further formed, so it replaces the local copy.
+  applyReplayStep: ({ cursor, candles = [] }) => set((state) => {
+    const revealed = new Map(candles.map(c => [new Date(c.timestamp).getTime(), c]));
+    const merged = state.candlesWithTicks.map(c => revealed.get(new Date(c.timestamp).getTime()) || c);
+    const known = new Set(merged.map(c => new Date(c.timestamp).getTime()));
+    const candlesWithTicks = [...merged, ...candles.filter(c => !known.has(new Date(c.timestamp).getTime()))];
+
+    const cursorTime = new Date(cursor.candleTimestamp).getTime();
+    const candleIndex = candlesWithTicks.findIndex(c => new Date(c.timestamp).getTime() === cursorTime);
+    const tickCount = candlesWithTicks[candleIndex]?.ticks?.length || 0;
+
+    return {
+      candlesWithTicks,
+      currentCandleIndex: candleIndex,
+      // A null tick index means the whole candle is revealed
+      currentTickIndex: cursor.tickIndex ?? Math.max(tickCount - 1, 0)
+    };
+  }),
+
+  // Streaming replay: the server sends the history up to its cursor...
+  applyStreamSnapshot: ({ candles = [], cursor }) => {
+    const cursorTime = new Date(cursor.candleTimestamp).getTime();
+    const candleIndex = candles.findIndex(c => new Date(c.timestamp).getTime() === cursorTime);
+    // Before the first tick of a candle the previous candle is the last one shown
+    get().setCandlesWithTicks(candles, candleIndex >= 0
+      ? { ...cursor, candleIndex }
+      : { candleIndex: candles.length - 1, tickIndex: null });
+  },
+
+  // ...then pushes ticks, each one extending its candle. A tick without a
+  // tickIndex is a whole candle.
+  applyStreamTicks: (ticks) => set((state) => {
+    if (ticks.length === 0) return state;
+
+    const candlesWithTicks = [...state.candlesWithTicks];
+    let candleIndex = state.currentCandleIndex;
+
+    for (const tick of ticks) {
+      const tickTime = new Date(tick.candleTimestamp).getTime();
+      candleIndex = candlesWithTicks.findIndex(c => new Date(c.timestamp).getTime() === tickTime);
+      const candle = candleIndex >= 0
+        ? candlesWithTicks[candleIndex]
+        : { timestamp: tick.candleTimestamp, volume: null, ticks: [] };
+
+      const updated = {
+        ...candle,
+        open: tick.runningOpen,
+        high: tick.runningHigh,
+        low: tick.runningLow,
+        close: tick.runningClose,
+        volume: tick.runningVolume ?? null,
+        ticks: tick.tickIndex === null
+          ? []
+          : [...candle.ticks.filter(t => t.tickIndex < tick.tickIndex), { ...tick, isFinalTick: false }]
+      };
+
+      if (candleIndex >= 0) {
+        candlesWithTicks[candleIndex] = updated;
+      } else {
+        candlesWithTicks.push(updated);
+        candleIndex = candlesWithTicks.length - 1;
+      }
+    }
+
+    const last = ticks[ticks.length - 1];
+    return {
+      candlesWithTicks,
+      currentCandleIndex: candleIndex,
+      currentTickIndex: last.tickIndex ?? 0
+    };
+  }),
+
   setProgressiveMode: (progressiveMode) => {
     set({ progressiveMode });
     saveSessionState(get());
@@ -315,6 +651,7 @@ const useStore = create((set, get) => ({
       if (newCandleIndex % 5 === 0) {
         setTimeout(() => saveSessionState(get()), 0);
       }
+      setTimeout(() => get().prefetchCandles(), 0);
       return {
         currentCandleIndex: newCandleIndex,
         currentTickIndex: 0
@@ -368,7 +705,8 @@ const useStore = create((set, get) => ({
       high: currentTick.runningHigh,
       low: currentTick.runningLow,
       close: currentTick.runningClose,
-      volume: currentCandle.volume,
+      // Volume traded so far - the candle's total is not known until it closes
+      volume: currentTick.runningVolume ?? null,
       isComplete: currentTick.isFinalTick,
       tickProgress: (currentTickIndex + 1) / currentCandle.ticks.length
     };
@@ -415,7 +753,7 @@ const useStore = create((set, get) => ({
           high: currentTick.runningHigh,
           low: currentTick.runningLow,
           close: currentTick.runningClose,
-          volume: currentCandle.volume
+          volume: currentTick.runningVolume ?? null
         };
       } else {
         formingCandle = {
@@ -443,6 +781,85 @@ const useStore = create((set, get) => ({
   replaySpeed: savedState?.replaySpeed || 1,
 
   setIsPlaying: (isPlaying) => set({ isPlaying }),
+  // Replay is pushed by the server instead of played from downloaded candles
+  streaming: false,
+  setStreaming: (streaming) => set({ streaming }),
+
+  // Chart indicators, saved per user
+  indicators: [],
+  loadIndicators: async () => {
+    try {
+      const response = await settingsAPI.getIndicators();
+      set({ indicators: response.data.indicators });
+    } catch (error) {
+      console.error('Failed to load indicators:', error);
+    }
+  },
+  saveIndicators: async (indicators) => {
+    set({ indicators });
+    try {
+      await settingsAPI.saveIndicators(indicators);
+    } catch (error) {
+      console.error('Failed to save indicators:', error);
+    }
+  },
+
+  // Keyboard shortcuts, saved per user
+  hotkeys: DEFAULT_HOTKEYS,
+  loadHotkeys: async () => {
+    try {
+      const response = await settingsAPI.getHotkeys();
+      set({ hotkeys: response.data.hotkeys });
+    } catch (error) {
+      console.error('Failed to load hotkeys:', error);
+    }
+  },
+  // Errors are left to the caller, which shows why the server refused the keys
+  saveHotkeys: async (hotkeys) => {
+    const response = await settingsAPI.saveHotkeys(hotkeys);
+    set({ hotkeys: response.data.hotkeys });
+    return response.data.hotkeys;
+  },
+
+  // Order templates, saved per user. The active one fills in the size, stop and
+  // target of every order the order panel sends.
+  orderTemplates: [],
+  activeTemplateId: null,
+  loadOrderTemplates: async () => {
+    try {
+      const response = await templateAPI.getAll();
+      set({ orderTemplates: response.data });
+    } catch (error) {
+      console.error('Failed to load order templates:', error);
+    }
+  },
+  // Create a template, or replace the one with `id`. Errors are left to the
+  // caller, which shows why the server refused the template.
+  saveOrderTemplate: async (template, id = null) => {
+    const response = id ? await templateAPI.update(id, template) : await templateAPI.create(template);
+    set((state) => ({
+      orderTemplates: id
+        ? state.orderTemplates.map((t) => (t.id === id ? response.data : t))
+        : [...state.orderTemplates, response.data],
+    }));
+    return response.data;
+  },
+  removeOrderTemplate: async (id) => {
+    set((state) => ({
+      orderTemplates: state.orderTemplates.filter((t) => t.id !== id),
+      activeTemplateId: state.activeTemplateId === id ? null : state.activeTemplateId,
+    }));
+    try {
+      await templateAPI.remove(id);
+    } catch (error) {
+      console.error('Failed to delete order template:', error);
+    }
+  },
+  setActiveTemplate: (activeTemplateId) => set({ activeTemplateId }),
+  getActiveTemplate: () => {
+    const { orderTemplates, activeTemplateId } = get();
+    return orderTemplates.find((t) => t.id === activeTemplateId) || null;
+  },
   setReplaySpeed: (replaySpeed) => {
     set({ replaySpeed });
     saveSessionState(get());
@@ -454,14 +871,74 @@ const useStore = create((set, get) => ({
     return state.session !== null && state.token !== null;
   },
 
+  // Rebuild the trading state of a server-side session, e.g. when resuming it in
+  // another browser. The replay position follows from the session's cursor.
+  // A blind session and its trades come masked.
+  restoreSession: (session, trades = [], orders = []) => {
+    const closedTrades = trades.filter(t => t.status === 'closed');
+    const openTrades = trades.filter(t => t.status === 'open');
+    const balance = session.initialBalance
+      + closedTrades.reduce((sum, t) => sum + (parseFloat(t.pnl) || 0), 0)
+      + openTrades.reduce((sum, t) => sum + (parseFloat(t.realized_pnl) || 0), 0);
+
+    set({
+      session,
+      openTrades,
+      closedTrades,
+      pendingOrders: orders.filter(o => o.status === 'pending'),
+      balance,
+      candles: [],
+      candlesWithTicks: [],
+      nextCandlesAfter: null,
+      activeAsset: null,
+      focusedTradeId: null,
+      assetCandles: {},
+      drawings: [],
+      currentCandleIndex: 0,
+      currentTickIndex: 0,
+      isPlaying: false,
+    });
+    saveSessionState(get());
+  },
+
+  // Jump to a later candle of the loaded replay, at its first tick
+  seekTo: (candleIndex) => {
+    set((state) => ({
+      currentCandleIndex: Math.max(0, Math.min(candleIndex, state.candlesWithTicks.length - 1)),
+      currentTickIndex: 0,
+    }));
+    saveSessionState(get());
+  },
+
+  // Take over the session as the server left it after a rewind: the trades and
+  // orders of the new branch, at the earlier replay position
+  applyRewind: ({ trades = [], pendingOrders = [], balance }, candleIndex, tickIndex = 0) => {
+    set({
+      openTrades: trades.filter(t => t.status === 'open'),
+      closedTrades: trades.filter(t => t.status === 'closed'),
+      pendingOrders,
+      balance: parseFloat(balance),
+      focusedTradeId: null,
+      currentCandleIndex: candleIndex,
+      currentTickIndex: tickIndex,
+    });
+    saveSessionState(get());
+  },
+
   clearSession: () => {
     clearSessionState();
     set({
       session: null,
       candles: [],
       candlesWithTicks: [],
+      nextCandlesAfter: null,
+      activeAsset: null,
+      focusedTradeId: null,
+      assetCandles: {},
+      drawings: [],
       openTrades: [],
       closedTrades: [],
+      pendingOrders: [],
       balance: 10000,
       currentCandleIndex: 0,
       currentTickIndex: 0,
@@ -0,0 +1,54 @@
+/**
+ * Tests for previewing bracket templates
+ */
+
+import { averageTrueRange, bracketLevels, describeBracket, describeRisk, stopDistanceOf } from '../brackets';
+
+jest.mock('../../services/api', () => ({}));
+
+describe('brackets', () => {
+  describe('averageTrueRange', () => {
+    it('should average the true range of the last candles', () => {
+      const candles = [
+        { high: 10, low: 8, close: 9 },
+        { high: 12, low: 10, close: 11 }, // gap up: 12 - 9
+        { high: 11, low: 10, close: 10 },
+      ];
+
+      expect(averageTrueRange(candles, 2)).toBe(2);
+    });
+
+    it('should return null without enough candles', () => {
+      expect(averageTrueRange([{ high: 10, low: 8, close: 9 }], 2)).toBeNull();
+    });
+  });
+
+  describe('bracketLevels', () => {
+    it('should place an ATR stop and an R target around the entry', () => {
+      const bracket = { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: { type: 'r', value: 2 } };
+
+      expect(bracketLevels(bracket, 'BUY', 50000, 'BTCUSDT', 200)).toEqual({ stopLoss: 49700, takeProfit: 50600 });
+      expect(bracketLevels(bracket, 'SELL', 50000, 'BTCUSDT', 200)).toEqual({ stopLoss: 50300, takeProfit: 49400 });
+    });
+
+    it('should use the pip size of the asset', () => {
+      const bracket = { stopLoss: { type: 'pips', value: 20 }, takeProfit: { type: 'pips', value: 40 } };
+
+      expect(bracketLevels(bracket, 'BUY', 1.085, 'EURUSD')).toEqual({ stopLoss: 1.083, takeProfit: 1.089 });
+    });
+
+    it('should leave out levels it cannot place yet', () => {
+      const bracket = { stopLoss: { type: 'atr', value: 1.5 }, takeProfit: null };
+
+      expect(bracketLevels(bracket, 'BUY', 50000, 'BTCUSDT')).toEqual({ stopLoss: null, takeProfit: null });
+      expect(stopDistanceOf(bracket, 50000, 'BTCUSDT')).toBe(0);
+    });
+  });
+
+  it('should describe a template', () => {
+    expect(describeBracket({ stopLoss: { type: 'percent', value: 1 }, takeProfit: { type: 'r', value: 2 } }))
+      .toBe('SL 1% · TP 2R');
+    expect(describeRisk({ risk_mode: 'fixed', risk_value: '250.00000000' })).toBe('$250 risk');
+    expect(describeRisk({ risk_mode: null })).toBeNull();
+  });
+});
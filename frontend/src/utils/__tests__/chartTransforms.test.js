@@ -0,0 +1,106 @@
+/**
+ * Tests for the chart types derived from candles and ticks
+ */
+
+import {
+  heikinAshi, tickPoints, buildBricks, brickCandles, defaultBrickSize, seriesKindOf
+} from '../chartTransforms';
+
+describe('chartTransforms', () => {
+  const points = (prices, start = 1000) => prices.map((price, i) => ({ time: start + i * 10, price }));
+
+  describe('heikinAshi', () => {
+    it('should average each candle and open at the middle of the previous one', () => {
+      const [first, second] = heikinAshi([
+        { timestamp: 't0', open: '10', high: '14', low: '8', close: '12' },
+        { timestamp: 't1', open: '12', high: '16', low: '11', close: '15' },
+      ]);
+
+      expect(first).toMatchObject({ timestamp: 't0', open: 11, close: 11, high: 14, low: 8 });
+      expect(second).toMatchObject({ open: 11, close: 13.5, high: 16, low: 11 });
+    });
+  });
+
+  describe('tickPoints', () => {
+    it('should use the ticks of a candle, or its close without ticks', () => {
+      expect(tickPoints([
+        { timestamp: '1970-01-01T00:16:40Z', close: '5', ticks: [] },
+        {
+          timestamp: '1970-01-01T00:17:00Z',
+          close: '7',
+          ticks: [
+            { timestamp: '1970-01-01T00:17:01Z', price: '6' },
+            { timestamp: '1970-01-01T00:17:02.500Z', price: '7' },
+          ],
+        },
+        null,
+      ])).toEqual([
+        { time: 1000, price: 5 },
+        { time: 1021, price: 6 },
+        { time: 1022, price: 7 },
+      ]);
+    });
+  });
+
+  describe('renko', () => {
+    it('should add a brick for every full brick the price moves', () => {
+      const { bricks } = buildBricks('renko', 10, points([100, 105, 121, 125]));
+
+      expect(bricks.map((b) => [b.open, b.close])).toEqual([[100, 110], [110, 120]]);
+    });
+
+    it('should need two bricks to turn round', () => {
+      const { bricks } = buildBricks('renko', 10, points([100, 110, 95, 89]));
+
+      expect(bricks.map((b) => [b.open, b.close])).toEqual([[100, 110], [100, 90]]);
+    });
+
+    it('should give bricks formed on the same tick their own times', () => {
+      const { bricks } = buildBricks('renko', 10, points([100, 130]));
+
+      expect(bricks.map((b) => b.time)).toEqual([1010, 1011, 1012]);
+    });
+
+    it('should carry on from the bricks built so far without changing them', () => {
+      const before = buildBricks('renko', 10, points([100, 112]));
+      const after = buildBricks('renko', 10, points([123], 2000), before);
+
+      expect(before.bricks).toHaveLength(1);
+      expect(after.bricks).toHaveLength(2);
+    });
+  });
+
+  describe('range bars', () => {
+    it('should close a bar once its range is reached and open the next where it closed', () => {
+      const state = buildBricks('range', 10, points([100, 104, 96, 107]));
+
+      expect(state.bricks).toEqual([{ time: 1000, open: 100, high: 106, low: 96, close: 106 }]);
+      expect(state.forming).toEqual({ time: 1030, open: 106, high: 107, low: 106, close: 107 });
+    });
+
+    it('should show the forming bar last', () => {
+      const candles = brickCandles(buildBricks('range', 10, points([100, 111])));
+
+      expect(candles.map((c) => c.close)).toEqual([110, 111]);
+      expect(candles[0].timestamp).toBe('1970-01-01T00:16:40.000Z');
+    });
+  });
+
+  it('should ignore a brick size that is not positive', () => {
+    const from = buildBricks('renko', 10, points([100]));
+
+    expect(buildBricks('renko', 0, points([200]), from)).toBe(from);
+  });
+
+  it('should pick a round default brick size', () => {
+    expect(defaultBrickSize(50000)).toBe(50);
+    expect(defaultBrickSize('1.0845')).toBe(0.001);
+    expect(defaultBrickSize(undefined)).toBe(1);
+  });
+
+  it('should draw lines and bars with their own series', () => {
+    expect(seriesKindOf('line')).toBe('line');
+    expect(seriesKindOf('bars')).toBe('bar');
+    expect(seriesKindOf('renko')).toBe('candlestick');
+  });
+});
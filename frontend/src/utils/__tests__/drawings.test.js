@@ -0,0 +1,53 @@
+/**
+ * Tests for anchoring chart drawings to time and price
+ */
+
+import { timeToLogical, logicalToTime, fibonacciLevels } from '../drawings';
+
+describe('drawings', () => {
+  // Hourly candles with a gap over the weekend
+  const times = [0, 3600, 7200, 180000];
+
+  describe('timeToLogical', () => {
+    it('should find the index of a candle time', () => {
+      expect(timeToLogical(times, 7200)).toBe(2);
+    });
+
+    it('should fall between the candles around a time', () => {
+      expect(timeToLogical(times, 1800)).toBe(0.5);
+      expect(timeToLogical(times, 7200 + (180000 - 7200) / 4)).toBe(2.25);
+    });
+
+    it('should carry on past either end at the spacing of the candles there', () => {
+      expect(timeToLogical(times, -7200)).toBe(-2);
+      expect(timeToLogical(times, 180000 + 2 * 172800)).toBe(5);
+    });
+
+    it('should return null without candles', () => {
+      expect(timeToLogical([], 0)).toBeNull();
+    });
+  });
+
+  describe('logicalToTime', () => {
+    it('should undo timeToLogical', () => {
+      [-2, 0, 0.5, 2.25, 3, 5].forEach((logical) => {
+        expect(timeToLogical(times, logicalToTime(times, logical))).toBeCloseTo(logical, 10);
+      });
+    });
+
+    it('should place a single candle anywhere at its own time', () => {
+      expect(logicalToTime([3600], 4)).toBe(3600);
+    });
+  });
+
+  describe('fibonacciLevels', () => {
+    it('should retrace from the end of the swing back to its start', () => {
+      const levels = fibonacciLevels([{ price: 100 }, { price: 200 }]);
+
+      expect(levels[0]).toEqual({ ratio: 0, price: 200 });
+      expect(levels.find((l) => l.ratio === 0.5).price).toBe(150);
+      expect(levels.find((l) => l.ratio === 0.618).price).toBeCloseTo(138.2, 10);
+      expect(levels[levels.length - 1]).toEqual({ ratio: 1, price: 100 });
+    });
+  });
+});
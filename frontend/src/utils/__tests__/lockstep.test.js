@@ -0,0 +1,49 @@
+/**
+ * Tests for the lockstep replay of secondary assets
+ */
+
+import { candlesAtReplayTime, formingAtReplayTime } from '../lockstep';
+
+describe('lockstep', () => {
+  const candles = [
+    { timestamp: '2024-01-15T09:00:00Z', open: 1.27, high: 1.28, low: 1.26, close: 1.275, ticks: [] },
+    {
+      timestamp: '2024-01-15T10:00:00Z', open: 1.275, high: 1.29, low: 1.27, close: 1.285, volume: 180,
+      ticks: [
+        { tickIndex: 0, timestamp: '2024-01-15T10:01:00Z', runningOpen: 1.275, runningHigh: 1.276, runningLow: 1.275, runningClose: 1.276, runningVolume: 40 },
+        { tickIndex: 1, timestamp: '2024-01-15T10:20:00Z', runningOpen: 1.275, runningHigh: 1.28, runningLow: 1.272, runningClose: 1.279, runningVolume: 95 },
+      ],
+    },
+    { timestamp: '2024-01-15T11:00:00Z', open: 1.285, high: 1.3, low: 1.28, close: 1.29, ticks: [] },
+  ];
+
+  it('should cut the current candle at the last tick before the replay time', () => {
+    const visible = candlesAtReplayTime(candles, '2024-01-15T10:00:00Z', '2024-01-15T10:15:00Z');
+
+    expect(visible).toHaveLength(2);
+    expect(visible[1]).toEqual({
+      timestamp: '2024-01-15T10:00:00Z', open: 1.275, high: 1.276, low: 1.275, close: 1.276, volume: 40,
+    });
+  });
+
+  it('should leave out a current candle that has not started at the replay time', () => {
+    const visible = candlesAtReplayTime(candles, '2024-01-15T10:00:00Z', '2024-01-15T10:00:30Z');
+
+    expect(visible.map((c) => c.timestamp)).toEqual(['2024-01-15T09:00:00Z']);
+  });
+
+  it('should show the whole current candle when the replay shows whole candles', () => {
+    const visible = candlesAtReplayTime(candles, '2024-01-15T10:00:00Z', null);
+
+    expect(visible[1].close).toBe(1.285);
+    expect(visible[1].ticks).toBeUndefined();
+  });
+
+  it('should keep only the ticks of the current candle formed at the replay time', () => {
+    const forming = formingAtReplayTime(candles, '2024-01-15T10:00:00Z', '2024-01-15T10:15:00Z');
+
+    expect(forming.ticks.map((t) => t.tickIndex)).toEqual([0]);
+    expect(formingAtReplayTime(candles, '2024-01-15T10:00:00Z', '2024-01-15T10:00:30Z')).toBeNull();
+    expect(formingAtReplayTime(candles, '2024-01-15T10:00:00Z', null).ticks).toHaveLength(2);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for sizing positions from risk
+ */
+
+import {
+  sizeConventions, riskAmount, stopDistanceInPrice, positionSizeForRisk, formatSize, riskReward
+} from '../positionSizing';
+
+// The asset conventions live in the store, which would otherwise load the real API client
+jest.mock('../../services/api', () => ({}));
+
+describe('positionSizing', () => {
+  describe('sizeConventions', () => {
+    it('should trade forex in standard lots of 100,000 with stops in pips', () => {
+      expect(sizeConventions('EURUSD')).toMatchObject({
+        unit: 'EUR', unitsPerLot: 100000, usesLots: true, stopInPips: true, unitStep: 1000,
+      });
+    });
+
+    it('should trade commodities in lots of 100', () => {
+      expect(sizeConventions('XAUUSD')).toMatchObject({ unit: 'oz', unitsPerLot: 100, usesLots: true, stopInPips: false });
+    });
+
+    it('should trade crypto in coins', () => {
+      expect(sizeConventions('BTCUSDT')).toMatchObject({ unit: 'BTC', unitsPerLot: 1, usesLots: false });
+    });
+  });
+
+  it('should take the risk as a percent of the balance or in dollars', () => {
+    expect(riskAmount(10000, 'percent', '1.5')).toBe(150);
+    expect(riskAmount(10000, 'fixed', '200')).toBe(200);
+    expect(riskAmount(10000, 'percent', '')).toBe(0);
+  });
+
+  it('should read forex stop distances in pips', () => {
+    expect(stopDistanceInPrice('EURUSD', '25')).toBeCloseTo(0.0025);
+    expect(stopDistanceInPrice('BTCUSDT', '500')).toBe(500);
+  });
+
+  describe('positionSizeForRisk', () => {
+    it('should lose the risk amount at the stop', () => {
+      expect(positionSizeForRisk('BTCUSDT', 100, 500)).toEqual({ units: 0.2, lots: 0.2 });
+      expect(positionSizeForRisk('EURUSD', 100, 0.002)).toEqual({ units: 50000, lots: 0.5 });
+      expect(positionSizeForRisk('XAUUSD', 100, 5)).toEqual({ units: 20, lots: 0.2 });
+    });
+
+    it('should round down to the smallest size of the asset', () => {
+      // 0.333... lots of EURUSD becomes 0.33
+      expect(positionSizeForRisk('EURUSD', 100, 0.003).units).toBe(33000);
+    });
+
+    it('should return null without a risk or stop, or below the smallest size', () => {
+      expect(positionSizeForRisk('BTCUSDT', 0, 500)).toBeNull();
+      expect(positionSizeForRisk('BTCUSDT', 100, 0)).toBeNull();
+      expect(positionSizeForRisk('EURUSD', 1, 0.01)).toBeNull();
+    });
+  });
+
+  it('should show lots alongside units where the asset trades in lots', () => {
+    expect(formatSize('EURUSD', 35000)).toBe('0.35 lots (35,000 EUR)');
+    expect(formatSize('BTCUSDT', 0.25)).toBe('0.25 BTC');
+  });
+
+  it('should work out the reward to risk of a stop and target', () => {
+    expect(riskReward(50000, 49000, 52000)).toBe(2);
+    expect(riskReward(50000, '', 52000)).toBeNull();
+  });
+});
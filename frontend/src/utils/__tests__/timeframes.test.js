@@ -0,0 +1,52 @@
+/**
+ * Tests for the timeframe helpers
+ */
+
+import { fitsEvenly, bucketStart, extendHigherCandle } from '../timeframes';
+
+describe('timeframes', () => {
+  describe('fitsEvenly', () => {
+    it('should accept timeframes made of whole base candles', () => {
+      expect(fitsEvenly('5m', '1h')).toBe(true);
+      expect(fitsEvenly('4h', '1w')).toBe(true);
+    });
+
+    it('should reject shorter or uneven timeframes', () => {
+      expect(fitsEvenly('1h', '15m')).toBe(false);
+      expect(fitsEvenly('1h', '1h')).toBe(false);
+      expect(fitsEvenly('4h', '30m')).toBe(false);
+    });
+  });
+
+  describe('bucketStart', () => {
+    it('should open weeks on Monday', () => {
+      expect(bucketStart('2024-01-17T13:25:00Z', '1w')).toBe(Date.parse('2024-01-15T00:00:00Z'));
+      expect(bucketStart('2024-01-17T13:25:00Z', '4h')).toBe(Date.parse('2024-01-17T12:00:00Z'));
+    });
+  });
+
+  describe('extendHigherCandle', () => {
+    const loaded = [
+      { timestamp: '2024-01-15T09:00:00Z', open: 100, high: 120, low: 95, close: 110 },
+      { timestamp: '2024-01-15T10:00:00Z', open: 110, high: 115, low: 105, close: 112 },
+    ];
+
+    it('should extend the forming candle with candles revealed since it was loaded', () => {
+      const visible = [
+        { timestamp: '2024-01-15T10:05:00Z', open: 111, high: 114, low: 108, close: 112 },
+        { timestamp: '2024-01-15T10:10:00Z', open: 112, high: 118, low: 111, close: 117 },
+      ];
+
+      const candles = extendHigherCandle(loaded, visible, '2024-01-15T10:05:00Z', '1h');
+
+      expect(candles[0]).toBe(loaded[0]);
+      expect(candles[1]).toMatchObject({ open: 110, high: 118, low: 105, close: 117 });
+    });
+
+    it('should leave the candles alone once the replay moved to the next bucket', () => {
+      const visible = [{ timestamp: '2024-01-15T11:00:00Z', open: 112, high: 130, low: 90, close: 125 }];
+
+      expect(extendHigherCandle(loaded, visible, '2024-01-15T10:05:00Z', '1h')).toBe(loaded);
+    });
+  });
+});
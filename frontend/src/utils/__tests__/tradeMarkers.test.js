@@ -0,0 +1,104 @@
+/**
+ * Tests for placing trades on the chart's candles
+ */
+
+import { snapToCandle, tradeMarkers, tradePath, tradeRange, tradeIdOfMarker } from '../tradeMarkers';
+
+describe('tradeMarkers', () => {
+  // Five-minute candles from 2024-01-15 00:00 UTC
+  const start = Date.UTC(2024, 0, 15) / 1000;
+  const times = [0, 1, 2, 3, 4, 5].map((i) => start + i * 300);
+  const at = (seconds) => new Date((start + seconds) * 1000).toISOString();
+
+  const winner = {
+    id: 7,
+    trade_type: 'BUY',
+    status: 'closed',
+    entry_price: '50000',
+    exit_price: '50500',
+    entry_time: at(320),
+    exit_time: at(1250),
+    pnl: '50',
+  };
+  const openShort = {
+    id: 8,
+    trade_type: 'SELL',
+    status: 'open',
+    entry_price: '50600',
+    entry_time: at(1210),
+  };
+
+  describe('snapToCandle', () => {
+    it('should snap to the candle a time falls in', () => {
+      expect(snapToCandle(times, at(320))).toBe(times[1]);
+      expect(snapToCandle(times, at(300))).toBe(times[1]);
+    });
+
+    it('should return null before the first candle', () => {
+      expect(snapToCandle(times, at(-10))).toBeNull();
+    });
+  });
+
+  describe('tradeMarkers', () => {
+    it('should mark the entry and exit of a closed long', () => {
+      expect(tradeMarkers([winner], times)).toEqual([
+        expect.objectContaining({ id: 'entry-7', time: times[1], position: 'belowBar', shape: 'arrowUp' }),
+        expect.objectContaining({ id: 'exit-7', time: times[4], position: 'aboveBar', shape: 'arrowDown', color: '#22c55e' }),
+      ]);
+    });
+
+    it('should mark only the entry of an open trade', () => {
+      expect(tradeMarkers([openShort], times)).toEqual([
+        expect.objectContaining({ id: 'entry-8', time: times[4], position: 'aboveBar', shape: 'arrowDown' }),
+      ]);
+    });
+
+    it('should keep the markers in time order', () => {
+      const markers = tradeMarkers([openShort, winner], times);
+      expect(markers.map((m) => m.time)).toEqual([times[1], times[4], times[4]]);
+    });
+
+    it('should color the exit of a losing trade red', () => {
+      const [, exit] = tradeMarkers([{ ...winner, pnl: '-20' }], times);
+      expect(exit.color).toBe('#ef4444');
+    });
+  });
+
+  describe('tradePath', () => {
+    it('should join the entry and exit prices', () => {
+      expect(tradePath(winner, times)).toEqual({
+        color: '#22c55e',
+        points: [
+          { time: times[1], value: 50000 },
+          { time: times[4], value: 50500 },
+        ],
+      });
+    });
+
+    it('should skip open trades and trades closed on their entry candle', () => {
+      expect(tradePath(openShort, times)).toBeNull();
+      expect(tradePath({ ...winner, exit_time: at(390) }, times)).toBeNull();
+    });
+  });
+
+  describe('tradeRange', () => {
+    it('should span the trade with padding either side', () => {
+      expect(tradeRange(winner, times, 2)).toEqual({ from: -1, to: 6 });
+    });
+
+    it('should run an open trade to the last candle', () => {
+      expect(tradeRange(openShort, times, 0)).toEqual({ from: 4, to: 5 });
+    });
+
+    it('should return null when the entry is not loaded', () => {
+      expect(tradeRange({ ...winner, entry_time: at(-600) }, times)).toBeNull();
+    });
+  });
+
+  describe('tradeIdOfMarker', () => {
+    it('should read the trade id of a marker', () => {
+      expect(tradeIdOfMarker('exit-7')).toBe('7');
+      expect(tradeIdOfMarker(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { formatPrice, getAssetConfig } from '../store/useStore';
+
+// Bracket templates: a stop loss and take profit given as distances from the
+// entry, saved on the server with an optional risk. The server places the real
+// levels around the fill price; these helpers only preview them and size the
+// order from the stop distance. Must match backend/services/brackets.js.
+
+export const STOP_TYPES = {
+  pips: 'pips',
+  fixed: 'price',
+  percent: '%',
+  atr: 'ATR',
+};
+
+export const TARGET_TYPES = {
+  pips: 'pips',
+  fixed: 'price',
+  percent: '%',
+  r: 'R',
+};
+
+const ATR_PERIOD = 14;
+
+// Average true range of the last `period` candles, as the server measures it
+// for ATR stops. null without enough candles.
+export const averageTrueRange = (candles, period = ATR_PERIOD) => {
+  if (!candles || candles.length < period + 1) return null;
+
+  const recent = candles.slice(-(period + 1));
+  let total = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const high = parseFloat(recent[i].high);
+    const low = parseFloat(recent[i].low);
+    const prevClose = parseFloat(recent[i - 1].close);
+    total += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return total / period;
+};
+
+const levelDistance = (level, entry, symbol, atr) => {
+  const value = parseFloat(level.value);
+  if (level.type === 'pips') return value * getAssetConfig(symbol).pipValue;
+  if (level.type === 'percent') return (entry * value) / 100;
+  if (level.type === 'atr') return atr ? atr * value : 0;
+  return value;
+};
+
+// Price distance from the entry to the stop, 0 when it cannot be worked out yet
+export const stopDistanceOf = (bracket, entry, symbol, atr = null) => (
+  bracket?.stopLoss ? levelDistance(bracket.stopLoss, parseFloat(entry), symbol, atr) : 0
+);
+
+// Stop and target of a trade entered at `entry`, each null when the bracket has none
+export const bracketLevels = (bracket, side, entry, symbol, atr = null) => {
+  const price = parseFloat(entry);
+  const direction = side === 'BUY' ? 1 : -1;
+  const stopDistance = stopDistanceOf(bracket, price, symbol, atr);
+
+  let targetDistance = 0;
+  if (bracket?.takeProfit) {
+    targetDistance = bracket.takeProfit.type === 'r'
+      ? stopDistance * parseFloat(bracket.takeProfit.value)
+      : levelDistance(bracket.takeProfit, price, symbol, atr);
+  }
+
+  const level = (distance, sign) => {
+    const value = price + sign * direction * distance;
+    return distance > 0 && value > 0 ? parseFloat(formatPrice(value, symbol)) : null;
+  };
+  return { stopLoss: level(stopDistance, -1), takeProfit: level(targetDistance, 1) };
+};
+
+// e.g. "SL 1.5 ATR · TP 2R"
+export const describeBracket = (bracket) => {
+  const part = (label, level, types) => {
+    if (!level) return null;
+    const unit = types[level.type];
+    // R and % read best without a space
+    const gap = unit.length > 1 ? ' ' : '';
+    return `${label} ${level.value}${gap}${unit}`;
+  };
+  return [part('SL', bracket?.stopLoss, STOP_TYPES), part('TP', bracket?.takeProfit, TARGET_TYPES)]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+// e.g. "1% risk" or "$250 risk", null for templates sized by hand
+export const describeRisk = (template) => {
+  if (!template?.risk_mode) return null;
+  const value = parseFloat(template.risk_value);
+  return template.risk_mode === 'percent' ? `${value}% risk` : `$${value} risk`;
+};
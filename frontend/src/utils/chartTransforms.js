@@ -0,0 +1,151 @@
+// Chart types other than plain candlesticks. Heikin Ashi re-averages the candles;
+// Renko and range bars ignore time and are built from the tick stream instead, so
+// they only ever use the ticks the replay has revealed.
+// Every transform returns candles in the same shape as the replay's, so
+// indicators, drawings and trade markers work on them unchanged.
+
+export const CHART_TYPES = {
+  candles: { label: 'Candles' },
+  heikinAshi: { label: 'Heikin Ashi' },
+  bars: { label: 'Bars' },
+  line: { label: 'Line' },
+  renko: { label: 'Renko', bricks: true },
+  range: { label: 'Range bars', bricks: true },
+};
+
+// Series the chart draws each type with
+export const seriesKindOf = (chartType) => {
+  if (chartType === 'line') return 'line';
+  if (chartType === 'bars') return 'bar';
+  return 'candlestick';
+};
+
+// A round brick size of about 0.1% of the price, e.g. 50 at 50000
+export const defaultBrickSize = (price) => {
+  const raw = parseFloat(price) * 0.001;
+  return raw > 0 ? Number(raw.toPrecision(1)) : 1;
+};
+
+export const heikinAshi = (candles) => {
+  let previous = null;
+  return candles.map((candle) => {
+    const open = parseFloat(candle.open);
+    const high = parseFloat(candle.high);
+    const low = parseFloat(candle.low);
+    const close = parseFloat(candle.close);
+
+    const haClose = (open + high + low + close) / 4;
+    const haOpen = previous ? (previous.open + previous.close) / 2 : (open + close) / 2;
+    previous = {
+      ...candle,
+      open: haOpen,
+      high: Math.max(high, haOpen, haClose),
+      low: Math.min(low, haOpen, haClose),
+      close: haClose,
+    };
+    return previous;
+  });
+};
+
+// { time (seconds), price } for every tick of the candles. A candle loaded
+// without ticks counts as a single tick at its close.
+export const tickPoints = (candles) => candles.flatMap((candle) => {
+  if (!candle) return [];
+  if (!candle.ticks?.length) {
+    return [{ time: Math.floor(new Date(candle.timestamp).getTime() / 1000), price: parseFloat(candle.close) }];
+  }
+  return candle.ticks.map((tick) => ({
+    time: Math.floor(new Date(tick.timestamp).getTime() / 1000),
+    price: parseFloat(tick.price),
+  }));
+});
+
+// Bricks need their own time on the chart, even when several form on one tick
+const nextTime = (time, lastTime) => (lastTime === null ? time : Math.max(time, lastTime + 1));
+const lastTimeOf = (bricks) => (bricks.length > 0 ? bricks[bricks.length - 1].time : null);
+
+// A Renko brick forms each time the price moves a full brick beyond the last one.
+// Turning round takes two bricks' worth, since the new brick starts at the far
+// end of the last one.
+const renkoStep = (state, { time, price }, size) => {
+  if (state.base === null) return { ...state, base: price };
+
+  const added = [];
+  let last = state.bricks[state.bricks.length - 1] || null;
+  for (;;) {
+    const top = last ? last.high : state.base;
+    const bottom = last ? last.low : state.base;
+    let open;
+    let close;
+    if (price >= top + size) {
+      open = top;
+      close = top + size;
+    } else if (price <= bottom - size) {
+      open = bottom;
+      close = bottom - size;
+    } else {
+      break;
+    }
+
+    last = {
+      time: nextTime(time, last ? last.time : null),
+      open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close,
+    };
+    added.push(last);
+  }
+
+  return added.length > 0 ? { ...state, bricks: [...state.bricks, ...added] } : state;
+};
+
+// A range bar closes as soon as its high and low are a full range apart and the
+// next one opens where it closed. The bar still forming is kept apart.
+const rangeStep = (state, { time, price }, size) => {
+  if (!state.forming) {
+    return {
+      ...state,
+      forming: { time: nextTime(time, lastTimeOf(state.bricks)), open: price, high: price, low: price, close: price },
+    };
+  }
+
+  const closed = [];
+  let bar = state.forming;
+  while (price > bar.low + size || price < bar.high - size) {
+    const edge = price > bar.low + size ? bar.low + size : bar.high - size;
+    const done = { ...bar, high: Math.max(bar.high, edge), low: Math.min(bar.low, edge), close: edge };
+    closed.push(done);
+    bar = { time: nextTime(time, done.time), open: edge, high: edge, low: edge, close: edge };
+  }
+
+  return {
+    ...state,
+    bricks: closed.length > 0 ? [...state.bricks, ...closed] : state.bricks,
+    forming: { ...bar, high: Math.max(bar.high, price), low: Math.min(bar.low, price), close: price },
+  };
+};
+
+const BRICK_STEPS = { renko: renkoStep, range: rangeStep };
+
+export const emptyBricks = () => ({ bricks: [], forming: null, base: null });
+
+// Add the tick points to the bricks built so far. The state passed in is never
+// changed, so the bricks of the completed candles can be kept and the forming
+// candle's ticks added to them again on every tick.
+export const buildBricks = (type, size, points, from = emptyBricks()) => {
+  const step = BRICK_STEPS[type];
+  if (!step || !(size > 0)) return from;
+  return points.reduce((state, point) => step(state, point, size), from);
+};
+
+// The bricks as candles, the forming range bar last
+export const brickCandles = ({ bricks, forming }) => (forming ? [...bricks, forming] : bricks)
+  .map(({ time, open, high, low, close }) => ({
+    timestamp: new Date(time * 1000).toISOString(),
+    open,
+    high,
+    low,
+    close,
+    volume: null,
+  }));
@@ -0,0 +1,61 @@
+// Chart drawings are anchored to a time and a price, so they stay on the
+// candles they were drawn on while the chart scrolls and new candles arrive.
+// The chart positions bars by logical index; these helpers map times to
+// indexes and back, past either end of the candles too, so a drawing can
+// reach into space the replay has not revealed yet.
+
+// Anchors per tool - must match TOOL_POINTS in backend/routes/drawings.js
+export const DRAWING_TOOLS = {
+  trendline: { label: 'Trendline', points: 2 },
+  horizontal: { label: 'Horizontal level', points: 1 },
+  rectangle: { label: 'Zone', points: 2 },
+  fibonacci: { label: 'Fibonacci retracement', points: 2 },
+  text: { label: 'Text note', points: 1 },
+};
+
+export const FIB_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+// Seconds between the two candles at one end of the chart
+const spacing = (times, i) => (times.length > 1 ? times[i + 1] - times[i] : 0);
+
+// Logical index of a time (seconds) among ascending candle times, fractional between candles
+export const timeToLogical = (times, time) => {
+  if (times.length === 0) return null;
+
+  const last = times.length - 1;
+  if (time <= times[0]) {
+    const step = spacing(times, 0);
+    return step ? (time - times[0]) / step : 0;
+  }
+  if (time >= times[last]) {
+    const step = spacing(times, last - 1);
+    return step ? last + (time - times[last]) / step : last;
+  }
+
+  let low = 0;
+  let high = last;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (times[mid] <= time) low = mid;
+    else high = mid;
+  }
+  return low + (time - times[low]) / (times[high] - times[low]);
+};
+
+// Time (seconds) at a logical index, the inverse of timeToLogical
+export const logicalToTime = (times, logical) => {
+  if (times.length === 0) return null;
+
+  const last = times.length - 1;
+  if (logical <= 0) return times[0] + logical * spacing(times, 0);
+  if (logical >= last) return times[last] + (logical - last) * spacing(times, last - 1);
+
+  const index = Math.floor(logical);
+  return times[index] + (logical - index) * (times[index + 1] - times[index]);
+};
+
+// Retracement levels from the end of the swing (0) back to its start (1)
+export const fibonacciLevels = ([start, end]) => FIB_RATIOS.map((ratio) => ({
+  ratio,
+  price: end.price - (end.price - start.price) * ratio,
+}));
@@ -0,0 +1,48 @@
+// Lockstep replay of the other assets of a multi-asset session. The session's own
+// asset drives the clock; any other asset shows its candles up to the current one,
+// and the current one only as far as it had formed at the replay time - the same
+// cut the server's order engine makes.
+
+const time = (timestamp) => new Date(timestamp).getTime();
+
+// replayTime is the timestamp of the current tick, null when the whole candle is shown
+export const candlesAtReplayTime = (candles, candleTimestamp, replayTime) => {
+  const candleTime = time(candleTimestamp);
+  const visible = [];
+
+  for (const { ticks, ...candle } of candles) {
+    const openTime = time(candle.timestamp);
+    if (openTime > candleTime) break;
+
+    if (openTime < candleTime || replayTime === null) {
+      visible.push(candle);
+      continue;
+    }
+
+    // Without a tick at or before the replay time the candle has not started yet
+    const formed = (ticks || []).filter((tick) => time(tick.timestamp) <= time(replayTime));
+    const last = formed[formed.length - 1];
+    if (last) {
+      visible.push({
+        ...candle,
+        open: last.runningOpen,
+        high: last.runningHigh,
+        low: last.runningLow,
+        close: last.runningClose,
+        volume: last.runningVolume ?? null,
+      });
+    }
+  }
+
+  return visible;
+};
+
+// The current candle with only the ticks formed at the replay time, for charts
+// built from ticks. null when the candle has not started yet.
+export const formingAtReplayTime = (candles, candleTimestamp, replayTime) => {
+  const candle = candles.find((c) => time(c.timestamp) === time(candleTimestamp));
+  if (!candle || replayTime === null) return candle || null;
+
+  const ticks = (candle.ticks || []).filter((tick) => time(tick.timestamp) <= time(replayTime));
+  return ticks.length > 0 ? { ...candle, ticks } : null;
+};
@@ -0,0 +1,81 @@
+import { calculatePipValue, getAssetConfig } from '../store/useStore';
+
+// Position sizing from risk: how much of the balance a trade may lose if its stop
+// is hit, turned into a position size with the asset's pip and lot conventions.
+// Positions are always sent to the server in units (coins, ounces, currency);
+// forex and commodities are also shown in lots.
+
+// Smallest size step per asset class, in lots where the class trades in lots
+const SIZE_STEPS = {
+  forex: 0.01, // micro lot
+  commodities: 0.01,
+  crypto: 0.0001,
+  unknown: 0.0001,
+};
+
+export const sizeConventions = (symbol) => {
+  const config = getAssetConfig(symbol);
+  // What one pip of a one-lot position is worth, over the pip itself
+  const unitsPerLot = Math.round(calculatePipValue(symbol, 1) / config.pipValue);
+  const usesLots = unitsPerLot > 1;
+  const step = SIZE_STEPS[config.category] ?? SIZE_STEPS.unknown;
+
+  return {
+    category: config.category,
+    unit: config.unit,
+    pipSize: config.pipValue,
+    unitsPerLot,
+    usesLots,
+    // Forex stops are thought of in pips, everything else in price
+    stopInPips: config.category === 'forex',
+    unitStep: usesLots ? step * unitsPerLot : step,
+  };
+};
+
+// Dollars at risk: a percent of the balance or a fixed amount
+export const riskAmount = (balance, mode, value) => {
+  const amount = parseFloat(value);
+  if (!(amount > 0)) return 0;
+  return mode === 'percent' ? (Number(balance) * amount) / 100 : amount;
+};
+
+// Stop distance as a price difference, from pips for forex
+export const stopDistanceInPrice = (symbol, distance) => {
+  const value = parseFloat(distance);
+  if (!(value > 0)) return 0;
+  const { stopInPips, pipSize } = sizeConventions(symbol);
+  return stopInPips ? value * pipSize : value;
+};
+
+// Largest position that loses no more than `risk` over `stopDistance` (a price
+// difference), rounded down to the asset's size step. { units, lots } or null.
+export const positionSizeForRisk = (symbol, risk, stopDistance) => {
+  if (!(risk > 0) || !(stopDistance > 0)) return null;
+
+  const { pipSize, unitsPerLot, unitStep } = sizeConventions(symbol);
+  const pips = stopDistance / pipSize;
+  const lots = risk / (pips * calculatePipValue(symbol, 1));
+  // The small epsilon keeps exact fits like 0.1 / 0.0001 from rounding a step down
+  const units = Math.floor((lots * unitsPerLot) / unitStep + 1e-9) * unitStep;
+  if (!(units > 0)) return null;
+
+  return { units: Number(units.toPrecision(12)), lots: units / unitsPerLot };
+};
+
+// e.g. "0.25 BTC", or "0.35 lots (35,000 EUR)"
+export const formatSize = (symbol, units) => {
+  const { unit, usesLots, unitsPerLot } = sizeConventions(symbol);
+  const amount = Number(units).toLocaleString('en-US', { maximumFractionDigits: 4 });
+  if (!usesLots) return `${amount} ${unit}`;
+
+  const lots = Number(units) / unitsPerLot;
+  return `${lots.toFixed(2)} lot${lots === 1 ? '' : 's'} (${amount} ${unit})`;
+};
+
+// Reward over risk of an entry with its stop and target, null without both
+export const riskReward = (entry, stopLoss, takeProfit) => {
+  const risk = Math.abs(parseFloat(entry) - parseFloat(stopLoss));
+  const reward = Math.abs(parseFloat(takeProfit) - parseFloat(entry));
+  if (!(risk > 0) || !(reward > 0)) return null;
+  return reward / risk;
+};
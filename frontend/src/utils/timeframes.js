@@ -0,0 +1,62 @@
+// Timeframe helpers - buckets line up with the server's aggregation: aligned to
+// the Unix epoch, except weeks, which open on Monday 00:00 UTC.
+
+const UNIT_SECONDS = { m: 60, h: 3600, d: 86400, w: 604800 };
+const WEEK_ALIGNMENT_SECONDS = 4 * 86400;
+
+// Timeframes a chart pane can follow the replay in
+export const PANE_TIMEFRAMES = ['15m', '30m', '1h', '2h', '4h', '12h', '1d', '1w'];
+
+export const parseTimeframe = (timeframe) => {
+  const match = /^([1-9]\d*)([mhdw])$/.exec(timeframe || '');
+  if (!match) return null;
+  return {
+    seconds: parseInt(match[1], 10) * UNIT_SECONDS[match[2]],
+    alignment: match[2] === 'w' ? WEEK_ALIGNMENT_SECONDS : 0,
+  };
+};
+
+// Whether each bucket of `timeframe` is made of whole buckets of the shorter `baseTimeframe`
+export const fitsEvenly = (baseTimeframe, timeframe) => {
+  const base = parseTimeframe(baseTimeframe);
+  const target = parseTimeframe(timeframe);
+  if (!base || !target) return false;
+  return base.seconds < target.seconds
+    && target.seconds % base.seconds === 0
+    && (target.alignment - base.alignment) % base.seconds === 0;
+};
+
+// Open time (ms) of the bucket a timestamp falls into
+export const bucketStart = (timestamp, timeframe) => {
+  const { seconds, alignment } = parseTimeframe(timeframe);
+  const epochSeconds = new Date(timestamp).getTime() / 1000;
+  return (Math.floor((epochSeconds - alignment) / seconds) * seconds + alignment) * 1000;
+};
+
+// Bring the last higher-timeframe candle up to date with the candles revealed
+// since it was loaded at `loadedAt`. Only visible candles are used, so the
+// candle never shows more than the replay has.
+export const extendHigherCandle = (higherCandles, visibleCandles, loadedAt, timeframe) => {
+  const last = higherCandles[higherCandles.length - 1];
+  if (!last) return higherCandles;
+
+  const bucket = new Date(last.timestamp).getTime();
+  const from = new Date(loadedAt).getTime();
+  const since = [];
+  for (let i = visibleCandles.length - 1; i >= 0; i--) {
+    const time = new Date(visibleCandles[i].timestamp).getTime();
+    if (time < from || bucketStart(time, timeframe) !== bucket) break;
+    since.unshift(visibleCandles[i]);
+  }
+  if (since.length === 0) return higherCandles;
+
+  return [
+    ...higherCandles.slice(0, -1),
+    {
+      ...last,
+      high: Math.max(last.high, ...since.map(c => parseFloat(c.high))),
+      low: Math.min(last.low, ...since.map(c => parseFloat(c.low))),
+      close: parseFloat(since[since.length - 1].close),
+    },
+  ];
+};
@@ -0,0 +1,86 @@
+// Trades drawn on the price chart: an arrow where each one was entered, another
+// where it was closed and a line between the two in the colour of its outcome.
+// Everything is placed on candle times, since a point between candles would add
+// a bar of its own to the chart's time scale.
+
+const WIN_COLOR = '#22c55e';
+const LOSS_COLOR = '#ef4444';
+
+// Chart time (seconds) of the last candle that opened at or before a timestamp
+export const snapToCandle = (candleTimes, timestamp) => {
+  const time = new Date(timestamp).getTime() / 1000;
+  let snapped = null;
+  for (const candleTime of candleTimes) {
+    if (candleTime > time) break;
+    snapped = candleTime;
+  }
+  return snapped;
+};
+
+export const tradeColor = (trade) => (parseFloat(trade.pnl) >= 0 ? WIN_COLOR : LOSS_COLOR);
+
+// Marker ids carry the trade id, so a hovered marker leads back to its trade
+export const markerId = (kind, trade) => `${kind}-${trade.id}`;
+export const tradeIdOfMarker = (id) => (typeof id === 'string' ? id.replace(/^(entry|exit)-/, '') : null);
+
+// Entry and exit arrows, in time order as the chart requires. Longs are entered
+// with an up arrow below the bar and closed with a down arrow above it.
+export const tradeMarkers = (trades, candleTimes) => {
+  const markers = [];
+  trades.forEach((trade) => {
+    const isBuy = trade.trade_type === 'BUY';
+    const entryTime = snapToCandle(candleTimes, trade.entry_time);
+    if (entryTime !== null) {
+      markers.push({
+        id: markerId('entry', trade),
+        time: entryTime,
+        position: isBuy ? 'belowBar' : 'aboveBar',
+        shape: isBuy ? 'arrowUp' : 'arrowDown',
+        color: '#f59e0b',
+      });
+    }
+
+    if (trade.status !== 'closed' || !trade.exit_time) return;
+    const exitTime = snapToCandle(candleTimes, trade.exit_time);
+    if (exitTime !== null) {
+      markers.push({
+        id: markerId('exit', trade),
+        time: exitTime,
+        position: isBuy ? 'aboveBar' : 'belowBar',
+        shape: isBuy ? 'arrowDown' : 'arrowUp',
+        color: tradeColor(trade),
+      });
+    }
+  });
+  return markers.sort((a, b) => a.time - b.time);
+};
+
+// Entry-to-exit line of a closed trade, null while either end is off the loaded
+// candles or both fall on the same candle
+export const tradePath = (trade, candleTimes) => {
+  if (trade.status !== 'closed' || !trade.exit_time) return null;
+
+  const entryTime = snapToCandle(candleTimes, trade.entry_time);
+  const exitTime = snapToCandle(candleTimes, trade.exit_time);
+  if (entryTime === null || exitTime === null || exitTime <= entryTime) return null;
+
+  return {
+    color: tradeColor(trade),
+    points: [
+      { time: entryTime, value: parseFloat(trade.entry_price) },
+      { time: exitTime, value: parseFloat(trade.exit_price) },
+    ],
+  };
+};
+
+// Logical range that shows a trade with some candles either side, null when its
+// entry is not among the loaded candles
+export const tradeRange = (trade, candleTimes, padding = 20) => {
+  const entryTime = snapToCandle(candleTimes, trade.entry_time);
+  if (entryTime === null) return null;
+
+  const exitTime = trade.exit_time ? snapToCandle(candleTimes, trade.exit_time) : null;
+  const from = candleTimes.indexOf(entryTime);
+  const to = exitTime === null ? candleTimes.length - 1 : candleTimes.indexOf(exitTime);
+  return { from: from - padding, to: to + padding };
+};